@@ -0,0 +1,73 @@
+const AuditLog = require('../../../lib/db/auditLog');
+let auditLog;
+
+/**
+ * Initializes the controller with the audit log, or null when auditing is disabled.
+ * @param {object|null} auditLogInstance - The AuditLog the database writes to.
+ */
+function initializeController(auditLogInstance) {
+    auditLog = auditLogInstance;
+}
+
+/**
+ * Reads audit log entries, newest first.
+ * Query parameters: table, operation, source, actor, client, record, from, to,
+ * limit and cursor (the nextCursor value returned by the previous page).
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+async function getEntries(req, res) {
+    if (!auditLog) {
+        return res.status(503).json({ success: false, error: 'The audit log is disabled (AUDIT_ENABLED=false).' });
+    }
+
+    try {
+        AuditLog.normalizeFilters(req.query);
+    } catch (err) {
+        return res.status(400).json({ success: false, error: err.message });
+    }
+
+    try {
+        const page = await auditLog.query(req.query);
+        res.json({ success: true, count: page.rows.length, data: page.rows, nextCursor: page.nextCursor });
+    } catch (err) {
+        console.error('Audit log read error:', err);
+        res.status(500).json({ success: false, error: 'Internal server error while reading the audit log.' });
+    }
+}
+
+/**
+ * Streams every audit log entry matching the getEntries filters as a CSV file.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+async function exportCsv(req, res) {
+    if (!auditLog) {
+        return res.status(503).json({ success: false, error: 'The audit log is disabled (AUDIT_ENABLED=false).' });
+    }
+
+    const { limit, cursor, ...filters } = req.query;
+    try {
+        AuditLog.normalizeFilters(filters);
+    } catch (err) {
+        return res.status(400).json({ success: false, error: err.message });
+    }
+
+    const filename = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    try {
+        await auditLog.exportCsv(filters, chunk => res.write(chunk));
+        res.end();
+    } catch (err) {
+        // The header row is already sent, so the status can no longer change
+        console.error('Audit log export error:', err);
+        res.destroy(err);
+    }
+}
+
+module.exports = {
+    initializeController,
+    getEntries,
+    exportCsv
+};
@@ -1,13 +1,29 @@
 const bcrypt = require('bcryptjs');
+const { getBearerToken, writeOptions } = require('../Middleware/authMiddleware');
+const { DEFAULT_ROLE, ROLES, isValidRole } = require('../../../lib/auth/permissions');
+const { validate } = require('../../../lib/validation/validator');
 let db;
+let sessions;
+
+const loginSchema = {
+    username: { type: 'string', required: true },
+    password: { type: 'string', required: true }
+};
+
+const registerSchema = {
+    username: { type: 'string', required: true, min: 3, max: 50, pattern: /^[\w.@-]+$/ },
+    password: { type: 'string', required: true, min: 8, max: 128 }
+};
 
 /**
  * Initializes the controller with a database instance.
  * This must be called once when the application starts.
  * @param {object} databaseInstance - The connected database instance.
+ * @param {object} sessionManager - The SessionManager used to issue tokens.
  */
-function initializeController(databaseInstance) {
+function initializeController(databaseInstance, sessionManager) {
     db = databaseInstance;
+    sessions = sessionManager;
 }
 
 /**
@@ -16,12 +32,12 @@ function initializeController(databaseInstance) {
  * @param {object} res - The Express response object.
  */
 async function login(req, res) {
-    const { username, password } = req.body;
+    const { valid, errors } = validate(req.body, loginSchema);
+    if (!valid) {
+        return res.status(400).json({ success: false, error: 'Validation failed.', errors });
+    }
 
-    db.validate(req.body, {
-        username: ['required'],
-        password: ['required']
-    });
+    const { username, password } = req.body;
     try {
         const users = await db.getDataByFilters('users', { username });
         const user = users && users.length > 0 ? users[0] : null;
@@ -34,7 +50,8 @@ async function login(req, res) {
 
         if (passwordIsValid) {
             const { password, ...userWithoutPassword } = user;
-            res.status(200).json({ success: true, user: userWithoutPassword });
+            const tokens = sessions.createSession(user);
+            res.status(200).json({ success: true, user: userWithoutPassword, ...tokens });
         } else {
             res.status(401).json({ success: false, error: 'Invalid email or password.' });
         }
@@ -50,15 +67,15 @@ async function login(req, res) {
  * @param {object} res - The Express response object.
  */
 async function register(req, res) {
-    const { username, password } = req.body;
+    const { valid, errors } = validate(req.body, registerSchema);
+    if (!valid) {
+        return res.status(400).json({ success: false, error: 'Validation failed.', errors });
+    }
 
-    db.validate(req.body, {
-        username: ['required'],
-        // email: ['required', 'email'],
-        password: ['required']
-    });
+    const { username, password } = req.body;
     try {
-        const existingUsers = await db.getDataByFilters('users', { username });
+        // Soft-deleted accounts keep their username
+        const existingUsers = await db.getDataByFilters('users', { username }, { withTrashed: true });
         if (existingUsers && existingUsers.length > 0) {
             return res.status(409).json({ success: false, error: 'User with this email already exists.' });
         }
@@ -66,14 +83,18 @@ async function register(req, res) {
         const salt = await bcrypt.genSalt(10);
         const hashedPassword = await bcrypt.hash(password, salt);
 
+        // Everyone starts with the default role until an admin changes it; admins are made
+        // with scripts/create-admin.js, so a race of registrations cannot make one.
+        const role = process.env.AUTH_DEFAULT_ROLE || DEFAULT_ROLE;
+
         const newUser = {
             username,
             password: hashedPassword,
-            // role: 'user'
+            role
         };
 
-        const result = await db.postData('users', newUser);
-        res.status(201).json({ success: true, userId: result.insertId });
+        const result = await db.postData('users', newUser, writeOptions(req));
+        res.status(201).json({ success: true, userId: result.insertId, role });
 
     } catch (error) {
         console.error('Registration error:', error);
@@ -81,8 +102,98 @@ async function register(req, res) {
     }
 }
 
+/**
+ * Exchanges a refresh token for a new access/refresh token pair.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+async function refresh(req, res) {
+    const { refreshToken } = req.body || {};
+
+    if (!refreshToken) {
+        return res.status(400).json({ success: false, error: 'refreshToken is required.' });
+    }
+    try {
+        const tokens = sessions.refreshSession(refreshToken);
+        res.status(200).json({ success: true, ...tokens });
+    } catch (error) {
+        res.status(401).json({ success: false, error: `Invalid refresh token: ${error.message}` });
+    }
+}
+
+/**
+ * Ends the session of the access token (or refresh token in the body).
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+async function logout(req, res) {
+    const token = getBearerToken(req) || (req.body && req.body.refreshToken);
+
+    if (!token) {
+        return res.status(400).json({ success: false, error: 'A token is required to log out.' });
+    }
+    try {
+        sessions.endSession(token);
+        res.status(200).json({ success: true, message: 'Logged out.' });
+    } catch (error) {
+        res.status(401).json({ success: false, error: `Invalid token: ${error.message}` });
+    }
+}
+
+/**
+ * Returns the profile of the authenticated user (requires authenticateToken).
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+async function profile(req, res) {
+    try {
+        const users = await db.getDataByFilters('users', { id: req.user.id });
+        const user = users && users.length > 0 ? users[0] : null;
+
+        if (!user) {
+            return res.status(404).json({ success: false, error: 'User not found.' });
+        }
+
+        const { password, ...profileData } = user;
+        res.status(200).json({ success: true, data: profileData });
+    } catch (error) {
+        console.error('Profile error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error while loading profile.' });
+    }
+}
+
+/**
+ * Changes the role of a user (requires the users:manage permission).
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+async function updateRole(req, res) {
+    const { id } = req.params;
+    const { role } = req.body || {};
+
+    if (!isValidRole(role)) {
+        return res.status(400).json({ success: false, error: `role must be one of: ${ROLES.join(', ')}.` });
+    }
+    try {
+        const result = await db.table('users').where('id', id).actingAs(req.user, writeOptions(req)).update({ role });
+        if (!result.affectedRows) {
+            return res.status(404).json({ success: false, error: 'User not found.' });
+        }
+
+        sessions.updateUserRole(id, role);
+        res.status(200).json({ success: true, userId: id, role });
+    } catch (error) {
+        console.error('Role update error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error while updating role.' });
+    }
+}
+
 module.exports = {
     initializeController,
     login,
     register,
+    refresh,
+    logout,
+    profile,
+    updateRole,
 };
\ No newline at end of file
@@ -1,32 +1,326 @@
+const { validate } = require('../../../lib/validation/validator');
+const { normalizeAggregateOptions } = require('../../../lib/db/aggregation');
+const { writeOptions } = require('../Middleware/authMiddleware');
+const FilterPolicy = require('../../../lib/db/filterPolicy');
+const filterPolicy = FilterPolicy.fromConfig();
 let db;
 function initializeController(databaseInstance) {
     db = databaseInstance;
 }
 
+const sensorDataSchema = {
+    user_id: { required: true },
+    device_id: { required: true },
+    ph_reading: { type: 'numeric' },
+    temperature_reading: { type: 'numeric' },
+    moisture_percentage: { type: 'numeric' }
+};
+
+// Tables that may be read through GET /api/data/:table
+const readableTables = (process.env.API_READABLE_TABLES || 'sensor_data,sensors_data')
+    .split(',').map(t => t.trim()).filter(Boolean);
+const defaultTimeField = process.env.API_TIME_FIELD || 'created_at';
+const defaultLimit = 100;
+const maxLimit = 1000;
+
 async function insertSensorData(req, res) {
-    const { user_id, device_id, ph_reading, temperature_reading, moisture_percentage } = req.body;
+    const { valid, errors } = validate(req.body, sensorDataSchema);
+    if (!valid) {
+        return res.status(400).json({ success: false, error: 'Validation failed.', errors });
+    }
 
+    const { user_id, device_id, ph_reading, temperature_reading, moisture_percentage } = req.body;
     try {
-        dbInstance.validate(req.body, {
-            user_id: ['required'],
-            device_id: ['required']
-        });
-
-        const result = await dbInstance.postData('sensor_data', {
+        // The readings are encrypted by the sensor_data encryption policy (config/tables.js)
+        const result = await db.postData('sensor_data', {
             user_id,
             device_id,
-            ph_reading: dbInstance.encrypt(String(ph_reading)),
-            temperature_reading: dbInstance.encrypt(String(temperature_reading)),
-            moisture_percentage: dbInstance.encrypt(String(moisture_percentage))
-        });
+            ph_reading,
+            temperature_reading,
+            moisture_percentage
+        }, writeOptions(req));
 
         res.json({ success: true, id: result.insertId, message: "Data received via API and saved." });
     } catch (err) {
-        res.status(400).json({ success: false, error: err.message });
+        console.error('Sensor data insert error:', err);
+        res.status(500).json({ success: false, error: err.message });
     }
 };
 
+/**
+ * Reads rows from the sensor_data table. See getTableData for query parameters.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+async function getSensorData(req, res) {
+    return sendTableData('sensor_data', req, res);
+}
+
+/**
+ * Reads rows from any table listed in API_READABLE_TABLES.
+ * Query parameters: device_id, user_id, from, to, timeField, orderBy ("column [asc|desc]"),
+ * limit and cursor (the nextCursor value returned by the previous page). timeField and orderBy
+ * may name 'id' or one of the table's filterable columns (config/tables.js).
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+async function getTableData(req, res) {
+    return sendTableData(req.params.table, req, res);
+}
+
+/**
+ * Aggregates a table listed in API_READABLE_TABLES per time bucket and/or group, for charts.
+ * Query parameters: bucket (minute, hour, day, 15m, 6h ...), metrics ("avg(ph_reading),max(ph_reading)"),
+ * groupBy ("device_id"), timeField, and the device_id, user_id, from and to filters of getTableData.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+async function getAggregates(req, res) {
+    const tableName = req.params.table;
+    if (!db) {
+        return res.status(500).json({ success: false, error: "Database controller has not been initialized." });
+    }
+    if (!readableTables.includes(tableName)) {
+        return res.status(404).json({ success: false, error: `Table '${tableName}' is not available.` });
+    }
+
+    let options;
+    try {
+        options = {
+            bucket: req.query.bucket,
+            metrics: req.query.metrics,
+            groupBy: req.query.groupBy,
+            timeField: parseTimeField(tableName, req.query),
+            where: parseFilters(req.query),
+            ...parseTimeRange(req.query)
+        };
+        normalizeAggregateOptions(options);
+    } catch (err) {
+        return res.status(400).json({ success: false, error: err.message });
+    }
+
+    try {
+        const rows = await db.aggregate(tableName, options);
+        res.json({ success: true, table: tableName, count: rows.length, data: rows });
+    } catch (err) {
+        console.error(`Aggregate error (${tableName}):`, err);
+        res.status(500).json({ success: false, error: 'Internal server error while aggregating data.' });
+    }
+}
+
+async function sendTableData(tableName, req, res) {
+    if (!db) {
+        return res.status(500).json({ success: false, error: "Database controller has not been initialized." });
+    }
+    if (!readableTables.includes(tableName)) {
+        return res.status(404).json({ success: false, error: `Table '${tableName}' is not available.` });
+    }
+
+    let options;
+    try {
+        options = parseReadOptions(tableName, req.query);
+    } catch (err) {
+        return res.status(400).json({ success: false, error: err.message });
+    }
+
+    try {
+        const page = await readPage(tableName, options);
+        res.json({
+            success: true,
+            table: tableName,
+            count: page.rows.length,
+            data: page.rows,
+            nextCursor: page.nextCursor
+        });
+    } catch (err) {
+        console.error(`Read error (${tableName}):`, err);
+        res.status(500).json({ success: false, error: 'Internal server error while reading data.' });
+    }
+}
+
+function parseReadOptions(tableName, query) {
+    const options = {
+        filters: parseFilters(query),
+        timeField: parseTimeField(tableName, query),
+        ...parseTimeRange(query),
+        orderField: 'id',
+        direction: 'desc',
+        limit: defaultLimit,
+        cursor: null
+    };
+
+    if (query.orderBy) {
+        const [column, direction] = singleValue(query, 'orderBy').trim().split(/\s+/);
+        if (!readColumns(tableName).includes(column)) {
+            throw new Error(`Cannot order '${tableName}' by '${column}'`);
+        }
+        options.orderField = column;
+        options.direction = direction && direction.toLowerCase() === 'asc' ? 'asc' : 'desc';
+    }
+
+    if (query.limit !== undefined) {
+        const limit = parseInt(singleValue(query, 'limit'), 10);
+        if (!Number.isInteger(limit) || limit <= 0) {
+            throw new Error("'limit' must be a positive integer");
+        }
+        options.limit = Math.min(limit, maxLimit);
+    }
+
+    if (query.cursor) {
+        options.cursor = decodeCursor(singleValue(query, 'cursor'));
+    }
+
+    return options;
+}
+
+function parseFilters(query) {
+    const filters = {};
+    for (const field of ['device_id', 'user_id']) {
+        if (query[field] !== undefined && query[field] !== '') {
+            filters[field] = singleValue(query, field);
+        }
+    }
+    return filters;
+}
+
+// Columns reads may order and range-filter by: 'id' and the table's filterable columns, which
+// never include encrypted ones (lib/db/filterPolicy.js)
+function readColumns(tableName) {
+    return ['id', ...filterPolicy.columns(tableName)];
+}
+
+// The default timeField is only checked when 'from' or 'to' uses it
+function parseTimeField(tableName, query) {
+    if (!query.timeField) {
+        return defaultTimeField;
+    }
+    const timeField = singleValue(query, 'timeField');
+    if (!readColumns(tableName).includes(timeField)) {
+        throw new Error(`Column '${timeField}' of '${tableName}' cannot be used as timeField`);
+    }
+    return timeField;
+}
+
+// Repeated parameters (?device_id=a&device_id=b) and bracket syntax arrive as arrays or objects
+function singleValue(query, name) {
+    const value = query[name];
+    if (typeof value !== 'string') {
+        throw new Error(`'${name}' must be given once, as a single value`);
+    }
+    return value;
+}
+
+function parseTimeRange(query) {
+    const range = { from: null, to: null };
+    for (const bound of ['from', 'to']) {
+        if (query[bound]) {
+            const date = new Date(singleValue(query, bound));
+            if (isNaN(date.getTime())) {
+                throw new Error(`'${bound}' must be a valid date or timestamp`);
+            }
+            // In the form the database writes timestamps (MySQL rejects ISO strings ending in 'Z')
+            range[bound] = db._timestamp(date);
+        }
+    }
+    return range;
+}
+
+// Keyset paging: rows are ordered by (orderField, id) and the cursor holds both values of
+// the last row returned. The rows tied with the cursor's orderField value are read first (by
+// id), then the rows past that value, so ties are neither skipped nor repeated and a page
+// takes at most three queries however many rows share a value.
+async function readPage(tableName, options) {
+    const { orderField, direction, limit, cursor } = options;
+    const after = direction === 'asc' ? '>' : '<';
+    let rows;
+
+    if (!cursor) {
+        rows = await buildReadQuery(tableName, options).limit(limit + 1).get();
+    } else if (orderField === 'id') {
+        rows = await buildReadQuery(tableName, options).where('id', after, cursor.id).limit(limit + 1).get();
+    } else {
+        const value = cursor.v === undefined || cursor.v === null ? null
+            : (cursor.date ? db._timestamp(new Date(cursor.v)) : cursor.v);
+        // The rest of the tie by id, then the values past it; NULLs sort before every value, so
+        // they come after the tie when reading ascending and last when reading descending
+        const tied = buildReadQuery(tableName, options).where('id', after, cursor.id);
+        const steps = [value === null ? tied.whereNull(orderField) : tied.where(orderField, value)];
+        if (value === null) {
+            if (direction === 'asc') steps.push(buildReadQuery(tableName, options).whereNotNull(orderField));
+        } else {
+            steps.push(buildReadQuery(tableName, options).where(orderField, after, value));
+            if (direction === 'desc') steps.push(buildReadQuery(tableName, options).whereNull(orderField));
+        }
+
+        rows = [];
+        for (const query of steps) {
+            if (rows.length > limit) break;
+            rows = rows.concat(await query.limit(limit + 1 - rows.length).get());
+        }
+    }
+
+    const pageRows = rows.slice(0, limit);
+    const last = pageRows[pageRows.length - 1];
+    return {
+        rows: pageRows,
+        nextCursor: rows.length > limit ? encodeCursor({ v: last[orderField], id: last.id }) : null
+    };
+}
+
+function buildReadQuery(tableName, options) {
+    const { filters, timeField, from, to, orderField, direction } = options;
+    const query = db.table(tableName);
+
+    if (Object.keys(filters).length > 0) {
+        query.where(filters);
+    }
+    if (from && to) {
+        query.whereBetween(timeField, from, to);
+    } else if (from) {
+        query.where(timeField, '>=', from);
+    } else if (to) {
+        query.where(timeField, '<=', to);
+    }
+
+    query.orderBy(orderField, direction);
+    if (orderField !== 'id') {
+        query.orderBy('id', direction);
+    }
+    return query;
+}
+
+// Date values travel as ISO strings and are bound in the database's timestamp form again
+function encodeCursor(position) {
+    const cursor = position.v instanceof Date
+        ? { v: position.v.toISOString(), id: position.id, date: true }
+        : { v: position.v, id: position.id };
+    return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+// Only scalars reach where(): a forged cursor must not bind arrays or objects
+function decodeCursor(cursor) {
+    let position;
+    try {
+        position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch (err) {
+        throw new Error("'cursor' is invalid");
+    }
+    const isScalar = value => typeof value === 'string' || (typeof value === 'number' && Number.isFinite(value));
+    const valid = position && typeof position === 'object' && !Array.isArray(position)
+        && isScalar(position.id)
+        && (position.v === undefined || position.v === null || isScalar(position.v) || typeof position.v === 'boolean')
+        && (position.date === undefined || (position.date === true && typeof position.v === 'string'
+            && !isNaN(new Date(position.v).getTime())));
+    if (!valid) {
+        throw new Error("'cursor' is invalid");
+    }
+    return { v: position.v, id: position.id, date: position.date };
+}
+
 module.exports = {
     initializeController,
-    insertSensorData
-};
\ No newline at end of file
+    insertSensorData,
+    getSensorData,
+    getTableData,
+    getAggregates
+};
@@ -1,31 +1,47 @@
 // controller/genericApiController.js
+const { validate } = require('../../../lib/validation/validator');
+const WritePolicy = require('../../../lib/db/writePolicy');
+const { requestRole, writeOptions } = require('../Middleware/authMiddleware');
 
 // This variable will hold the database instance for this controller.
 let db;
+// Tables, columns, record counts and roles the handler accepts (config/tables.js `write`)
+let writePolicy;
+
+const requestSchema = {
+    tableName: { type: 'string', required: true, pattern: /^\w+$/, message: "A 'tableName' string is required in the request body." },
+    records: { type: 'array', required: true, min: 1, items: { type: 'object' } },
+    atomic: { type: 'boolean' }
+};
 
 /**
  * Initializes the controller with the database instance.
  * @param {object} databaseInstance - An instance of the Database class from database.js.
+ * @param {object} [policy] - The WritePolicy to enforce; defaults to config/tables.js.
  */
-function initializeController(databaseInstance) {
+function initializeController(databaseInstance, policy = WritePolicy.fromConfig()) {
     if (!databaseInstance) {
         throw new Error("Database instance is required for controller initialization.");
     }
     db = databaseInstance;
+    writePolicy = policy;
 }
 
-// EXAMPLE
+// EXAMPLE ("atomic": true inserts every record or none; without it each record is
+// inserted on its own and failures are reported per record)
+// The table needs a `write` policy in config/tables.js that allows these columns.
 // {
-//     "tableName": "activity_logs",
+//     "tableName": "sensors_data",
+//     "atomic": true,
 //     "records": [
-//         { "user_id": 1, "action": "login", "ip_address": "192.168.1.10" },
-//         { "user_id": 2, "action": "data_export", "details": "Exported temperature readings." }
+//         { "device_id": "esp32-1", "sensor_type": "temperature", "value": "21.4", "unit": "C" },
+//         { "device_id": "esp32-1", "sensor_type": "humidity", "value": "48", "unit": "%" }
 //     ]
 // }
 
 
 /**
- * A flexible API endpoint to insert data into any specified table.
+ * A flexible API endpoint to insert data into the tables whose write policy allows it.
  * It expects a JSON body with a 'tableName' and a 'records' array.
  * @param {object} req - The Express request object.
  * @param {object} res - The Express response object.
@@ -35,39 +51,48 @@ async function genericDataHandler(req, res) {
         return res.status(500).json({ success: false, error: "Generic API controller has not been initialized." });
     }
 
-    // 1. Get the target table and the data records from the request body.
-    const { tableName, records } = req.body;
-
-    // 2. Validate the incoming structure.
-    if (!tableName || typeof tableName !== 'string') {
-        return res.status(400).json({ success: false, error: "A 'tableName' string is required in the request body." });
+    // 1. Validate the incoming structure.
+    const { valid, errors: validationErrors } = validate(req.body, requestSchema);
+    if (!valid) {
+        return res.status(400).json({ success: false, error: 'Validation failed.', errors: validationErrors });
     }
-    if (!Array.isArray(records) || records.length === 0) {
-        return res.status(400).json({ success: false, error: "A non-empty 'records' array is required." });
+
+    // 2. Get the target table and the data records from the request body.
+    const { tableName, records, atomic } = req.body;
+
+    // 3. Enforce the table's write policy: allowed table and columns, required fields,
+    // records per request and role.
+    try {
+        writePolicy.check(tableName, records, requestRole(req));
+    } catch (err) {
+        return res.status(err.status || 400).json({ success: false, error: err.message, errors: err.errors });
     }
 
     // --- IMPORTANT SECURITY NOTE ---
-    // Because this function is generic, it does not know which fields to encrypt.
-    // Unlike the specific 'insertSensorData' controller, it will NOT apply encryption.
-    // For sensitive data, encryption must be handled by the client application
-    // BEFORE sending it to this flexible API endpoint.
+    // Fields are encrypted by the database driver according to the table's encryption
+    // policy (config/tables.js). Clients must send plain values; pre-encrypted values
+    // in a policy column would be encrypted twice.
+
+    if (atomic) {
+        return insertAtomically(tableName, records, req, res);
+    }
 
     const insertedIds = [];
     const errors = [];
 
-    // 3. Loop through each record and use the generic postData function from your Database class.
+    // 4. Loop through each record and use the generic postData function from your Database class.
     for (let index = 0; index < records.length; index++) {
         const record = records[index];
         try {
             // The postData function is now driven entirely by the API request.
-            const result = await db.postData(tableName, record);
+            const result = await db.postData(tableName, record, writeOptions(req));
             insertedIds.push(result.insertId);
         } catch (err) {
             errors.push({ index: index, record: record, error: err.message });
         }
     }
 
-    // 4. Send back a consolidated response.
+    // 5. Send back a consolidated response.
     if (errors.length > 0) {
         return res.status(400).json({
             success: false,
@@ -85,6 +110,26 @@ async function genericDataHandler(req, res) {
     });
 }
 
+// Insert all records in one transaction; on any failure nothing is kept
+async function insertAtomically(tableName, records, req, res) {
+    try {
+        const result = await db.transaction(trx => trx.postMany(tableName, records, writeOptions(req)));
+        res.status(201).json({
+            success: true,
+            message: `Successfully inserted ${result.affectedRows} records into '${tableName}'.`,
+            insertedIds: result.insertIds
+        });
+    } catch (err) {
+        res.status(400).json({
+            success: false,
+            message: `No records were inserted into '${tableName}'; the batch was rolled back.`,
+            processedCount: 0,
+            failedCount: records.length,
+            error: err.message
+        });
+    }
+}
+
 module.exports = {
     initializeController,
     genericDataHandler
@@ -0,0 +1,110 @@
+const { hasPermission, OPEN_ROLE } = require('../../../lib/auth/permissions');
+let sessions;
+let authRequired = false;
+let anonymousRole = OPEN_ROLE;
+
+/**
+ * Initializes the middleware with the session manager used to verify tokens.
+ * @param {object} sessionManager - The SessionManager instance owned by the API server.
+ * @param {object} options - { required: boolean, anonymousRole: string } whether data routes
+ *   need a token, and the role given to callers without one while tokens are optional.
+ */
+function initializeMiddleware(sessionManager, options = {}) {
+    sessions = sessionManager;
+    authRequired = !!options.required;
+    anonymousRole = options.anonymousRole || anonymousRole;
+}
+
+/**
+ * Rejects requests without a valid "Authorization: Bearer <token>" header and
+ * exposes the authenticated user as req.user.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware.
+ */
+function authenticateToken(req, res, next) {
+    if (!sessions) {
+        return res.status(500).json({ success: false, error: "Authentication middleware has not been initialized." });
+    }
+
+    const token = getBearerToken(req);
+    if (!token) {
+        return res.status(401).json({ success: false, error: 'Authentication token is required.' });
+    }
+
+    try {
+        req.user = sessions.authenticate(token);
+        next();
+    } catch (error) {
+        res.status(401).json({ success: false, error: `Invalid token: ${error.message}` });
+    }
+}
+
+/**
+ * Same as authenticateToken, but only enforced when API_AUTH_REQUIRED is enabled.
+ * A token sent while authentication is optional is still verified.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware.
+ */
+function authenticateIfRequired(req, res, next) {
+    if (!authRequired && !getBearerToken(req)) {
+        return next();
+    }
+    return authenticateToken(req, res, next);
+}
+
+/**
+ * Builds a middleware that only lets through callers whose role grants the permission.
+ * Runs after authenticateToken / authenticateIfRequired.
+ * @param {string} permission - A value from PERMISSIONS in lib/auth/permissions.js.
+ * @returns {function} Express middleware.
+ */
+function authorize(permission) {
+    return (req, res, next) => {
+        const role = requestRole(req);
+
+        if (!role) {
+            return res.status(401).json({ success: false, error: 'Authentication token is required.' });
+        }
+        if (!hasPermission(role, permission)) {
+            return res.status(403).json({ success: false, error: `Role '${role}' is not allowed to perform '${permission}'.` });
+        }
+        next();
+    };
+}
+
+/**
+ * The role a request acts with: its user's, or the anonymous role while tokens are optional.
+ * @param {object} req - The Express request object.
+ * @returns {string|null} The role, or null for an unauthenticated caller when auth is required.
+ */
+function requestRole(req) {
+    return req.user ? req.user.role : (authRequired ? null : anonymousRole);
+}
+
+/**
+ * Options for a database write made for this request: the caller (written to created_by /
+ * updated_by) and the source and address the audit log records.
+ * @param {object} req - The Express request object.
+ * @returns {object} { actor, source, clientId }
+ */
+function writeOptions(req) {
+    return { actor: req.user || null, source: 'rest', clientId: req.ip || null };
+}
+
+function getBearerToken(req) {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+    return scheme && scheme.toLowerCase() === 'bearer' && token ? token : null;
+}
+
+module.exports = {
+    initializeMiddleware,
+    authenticateToken,
+    authenticateIfRequired,
+    authorize,
+    requestRole,
+    writeOptions,
+    getBearerToken
+};
@@ -0,0 +1,32 @@
+// config/serialDevices.js
+// Serial devices read by modules/serial/serialManager.js, one SerialCommunicator each. Leave the
+// list empty to read a single device set up with the SERIAL_* variables in .env (device id
+// "default"). Settings a device leaves out are taken from those variables, except SERIAL_PORT.
+//
+//   id:          name used by the IPC serial-* channels and sent with every serial-* event
+//   port:        explicit port path (COM3, /dev/ttyUSB0), or
+//   match:       USB identifiers of the port: { vendorId, productId, serialNumber, pnpId } (hex
+//                ids as reported by SerialPort.list(), compared case-insensitively), or
+//   profiles:    several of those, ranked: [{ name, priority, vendorId, productId, serialNumber,
+//                pnpId, manufacturer }]. The port matching the highest priority wins; among equal
+//                ones, the last port that delivered data for that profile (SERIAL_PORT_STATE_PATH).
+//                Without port, match or profiles, the best free Arduino/ESP32-like port is used.
+//   baudRate, lineDelimiter, dataType, csvDelimiter, fieldMapping: how the device talks
+//   frame:       layout of binary frames for the struct, length-prefixed, cobs, slip and
+//                modbus-rtu data types (lib/com/parsers/binary.js)
+//   modbus:      poll Modbus RTU slaves with dataType 'modbus-rtu': { pollInterval, timeout,
+//                retries, requests: [{ slaveId, functionCode, address, count, registers }] }
+//                (lib/com/modbusMaster.js)
+//   commands:    acknowledged commands: { format ('json' or 'text'), timeout, retries, maxQueue }
+//                (lib/com/serialCommands.js)
+//   dbTableName, requiredFields, fieldsToEncrypt: where and how readings are stored
+//   autoReconnect, reconnectDelay, maxReconnectAttempts: reconnect behaviour
+//
+// Example:
+//   { id: 'bench-1', match: { vendorId: '10C4', productId: 'EA60', serialNumber: '0001' }, baudRate: 115200 },
+//   { id: 'bench-2', port: '/dev/ttyUSB1', baudRate: 9600, dbTableName: 'sensor_data' },
+//   { id: 'field', profiles: [
+//       { name: 'main', serialNumber: 'A50285BI', priority: 10 },
+//       { name: 'spare', vendorId: '0403', productId: '6001' }
+//   ] }
+module.exports = [];
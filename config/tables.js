@@ -0,0 +1,78 @@
+// config/tables.js
+// Per-table settings for the data layer, shared by the MySQL and Firebase drivers.
+//
+//   encrypt: columns stored encrypted; they are encrypted on every write and only these
+//            columns are decrypted on read. Columns used in equality lookups (for example
+//            users.username for login) must not be listed, since each write uses a fresh IV.
+//   timestamps: the drivers set created_at on insert and updated_at on insert and update;
+//            'created' sets created_at only. SQL tables also default created_at, Firebase does not.
+//   softDeletes: delete() sets deleted_at instead of removing rows, and reads leave those rows
+//            out unless asked for withTrashed() / onlyTrashed() (lib/db/modelPolicy.js).
+//   userstamps: created_by / updated_by hold the id of the user (or WebSocket client) the
+//            write was made for. These columns must exist in the table (database/migrations).
+//   retention: raw rows older than keepDays are rolled up into summary tables and deleted by
+//            the retention job (lib/db/retention.js, RETENTION_ENABLED). Summaries of encrypted
+//            columns are plain unless the summary columns are listed under their table's encrypt.
+//   audit: every insert, update and delete is recorded in audit_log (lib/db/auditLog.js) unless
+//            this is false; { redact: [...] } keeps those columns' values out of the log.
+//   filterable: columns the renderer may filter, order, update and delete by over IPC, and
+//            WebSocket clients update and delete by (lib/db/filterPolicy.js). Tables without
+//            this list cannot be reached through get-data-by-filters, update-data, delete-data
+//            or the WebSocket 'update' / 'delete' requests. GET /api/data/:table may order and
+//            range-filter by them and 'id'. Encrypted columns cannot be listed.
+//   write: what POST /api/maui-data, the WebSocket 'insert' request and the IPC post-data /
+//            insert-data handlers may insert, and which columns IPC update-data and the
+//            WebSocket 'update' request may set
+//            (lib/db/writePolicy.js): { columns, required, maxRecords, roles }. Tables without
+//            it cannot be written through those endpoints; `encrypt` applies as usual.
+module.exports = {
+    users: {
+        encrypt: ['name', 'email', 'phone', 'address'],
+        timestamps: true,
+        softDeletes: true,
+        userstamps: true,
+        audit: { redact: ['password'] }
+    },
+    sensor_data: {
+        encrypt: ['ph_reading', 'temperature_reading', 'moisture_percentage'],
+        timestamps: 'created',
+        filterable: ['id', 'user_id', 'device_id', 'reading_date', 'created_at'],
+        write: {
+            columns: ['user_id', 'device_id', 'ph_reading', 'temperature_reading', 'moisture_percentage', 'reading_date'],
+            required: ['device_id'],
+            maxRecords: 100
+        }
+    },
+    sensors_data: {
+        timestamps: 'created',
+        filterable: ['id', 'device_id', 'sensor_type', 'value', 'unit', 'client_id', 'client_type',
+            'data_type', 'received_at', 'created_at'],
+        write: {
+            columns: ['device_id', 'sensor_type', 'value', 'unit', 'client_id', 'client_type', 'data_type', 'received_at'],
+            required: ['device_id', 'value'],
+            maxRecords: 500
+        },
+        retention: {
+            keepDays: 30,
+            timeField: 'created_at',
+            rollups: [
+                { table: 'sensors_data_hourly', bucket: 'hour', groupBy: ['device_id', 'sensor_type', 'unit'], metrics: ['value'] },
+                { table: 'sensors_data_daily', bucket: 'day', groupBy: ['device_id', 'sensor_type', 'unit'], metrics: ['value'] }
+            ]
+        }
+    },
+    sensors_data_hourly: {
+        timestamps: 'created'
+    },
+    sensors_data_daily: {
+        timestamps: 'created'
+    },
+    audit_log: {
+        encrypt: ['before_data', 'after_data'],
+        timestamps: 'created',
+        retention: {
+            keepDays: 365,
+            timeField: 'created_at'
+        }
+    }
+};
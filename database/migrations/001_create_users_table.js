@@ -0,0 +1,43 @@
+// database/migrations/001_create_users_table.js
+// Accounts for the REST API. Encrypted columns (config/tables.js) are TEXT because the
+// stored ciphertext is much longer than the plain value.
+module.exports = {
+    mysql: {
+        up: db => db.query(`CREATE TABLE IF NOT EXISTS users (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            username VARCHAR(50) NOT NULL UNIQUE,
+            password VARCHAR(255) NOT NULL,
+            role VARCHAR(20) NOT NULL DEFAULT 'viewer',
+            name TEXT NULL,
+            email TEXT NULL,
+            phone TEXT NULL,
+            address TEXT NULL,
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+        )`),
+        down: db => db.query('DROP TABLE IF EXISTS users')
+    },
+    sqlite: {
+        up: db => db.query(`CREATE TABLE IF NOT EXISTS users (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            username TEXT NOT NULL UNIQUE,
+            password TEXT NOT NULL,
+            role TEXT NOT NULL DEFAULT 'viewer',
+            name TEXT NULL,
+            email TEXT NULL,
+            phone TEXT NULL,
+            address TEXT NULL,
+            created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+            updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+        )`),
+        down: db => db.query('DROP TABLE IF EXISTS users')
+    },
+    firebase: {
+        indexes: { users: ['username', 'role'] },
+        up: db => db.setNode('_schema/users', {
+            fields: ['username', 'password', 'role', 'name', 'email', 'phone', 'address', 'created_at'],
+            created_at: new Date().toISOString()
+        }),
+        down: db => db.setNode('_schema/users', null)
+    }
+};
@@ -0,0 +1,44 @@
+// database/migrations/002_create_sensor_data_table.js
+// Readings posted to POST /api/sensor-data. The reading columns are encrypted (config/tables.js).
+module.exports = {
+    mysql: {
+        up: db => db.query(`CREATE TABLE IF NOT EXISTS sensor_data (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NULL,
+            device_id VARCHAR(64) NOT NULL,
+            ph_reading TEXT NULL,
+            temperature_reading TEXT NULL,
+            moisture_percentage TEXT NULL,
+            reading_date TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_sensor_data_device_created (device_id, created_at),
+            INDEX idx_sensor_data_user (user_id)
+        )`),
+        down: db => db.query('DROP TABLE IF EXISTS sensor_data')
+    },
+    sqlite: {
+        up: async db => {
+            await db.query(`CREATE TABLE IF NOT EXISTS sensor_data (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NULL,
+                device_id TEXT NOT NULL,
+                ph_reading TEXT NULL,
+                temperature_reading TEXT NULL,
+                moisture_percentage TEXT NULL,
+                reading_date TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+                created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+            )`);
+            await db.query('CREATE INDEX IF NOT EXISTS idx_sensor_data_device_created ON sensor_data (device_id, created_at)');
+            await db.query('CREATE INDEX IF NOT EXISTS idx_sensor_data_user ON sensor_data (user_id)');
+        },
+        down: db => db.query('DROP TABLE IF EXISTS sensor_data')
+    },
+    firebase: {
+        indexes: { sensor_data: ['device_id', 'user_id', 'created_at'] },
+        up: db => db.setNode('_schema/sensor_data', {
+            fields: ['user_id', 'device_id', 'ph_reading', 'temperature_reading', 'moisture_percentage', 'created_at'],
+            created_at: new Date().toISOString()
+        }),
+        down: db => db.setNode('_schema/sensor_data', null)
+    }
+};
@@ -0,0 +1,50 @@
+// database/migrations/003_create_sensors_data_table.js
+// Default ingest table for the serial port and WebSocket devices (SERIAL_DB_TABLE_NAME,
+// WS_DB_TABLE). Payload fields become columns, so add a migration for any field your
+// devices send that is not listed here.
+module.exports = {
+    mysql: {
+        up: db => db.query(`CREATE TABLE IF NOT EXISTS sensors_data (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            device_id VARCHAR(64) NULL,
+            sensor_type VARCHAR(64) NULL,
+            value TEXT NULL,
+            unit VARCHAR(32) NULL,
+            client_id VARCHAR(64) NULL,
+            client_ip VARCHAR(64) NULL,
+            client_type VARCHAR(32) NULL,
+            data_type VARCHAR(32) NULL,
+            received_at VARCHAR(32) NULL,
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_sensors_data_device_created (device_id, created_at)
+        )`),
+        down: db => db.query('DROP TABLE IF EXISTS sensors_data')
+    },
+    sqlite: {
+        up: async db => {
+            await db.query(`CREATE TABLE IF NOT EXISTS sensors_data (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                device_id TEXT NULL,
+                sensor_type TEXT NULL,
+                value TEXT NULL,
+                unit TEXT NULL,
+                client_id TEXT NULL,
+                client_ip TEXT NULL,
+                client_type TEXT NULL,
+                data_type TEXT NULL,
+                received_at TEXT NULL,
+                created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+            )`);
+            await db.query('CREATE INDEX IF NOT EXISTS idx_sensors_data_device_created ON sensors_data (device_id, created_at)');
+        },
+        down: db => db.query('DROP TABLE IF EXISTS sensors_data')
+    },
+    firebase: {
+        indexes: { sensors_data: ['device_id', 'created_at'] },
+        up: db => db.setNode('_schema/sensors_data', {
+            fields: ['device_id', 'sensor_type', 'value', 'unit', 'client_id', 'data_type', 'received_at', 'created_at'],
+            created_at: new Date().toISOString()
+        }),
+        down: db => db.setNode('_schema/sensors_data', null)
+    }
+};
@@ -0,0 +1,76 @@
+// database/migrations/004_create_sensors_data_rollups.js
+// Hourly and daily summaries of sensors_data, written by the retention job (lib/db/retention.js)
+// before raw rows are deleted. The columns follow the sensors_data policy in config/tables.js.
+const ROLLUP_TABLES = ['sensors_data_hourly', 'sensors_data_daily'];
+
+module.exports = {
+    mysql: {
+        up: async db => {
+            for (const table of ROLLUP_TABLES) {
+                await db.query(`CREATE TABLE IF NOT EXISTS ${table} (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    bucket_start VARCHAR(32) NOT NULL,
+                    device_id VARCHAR(64) NULL,
+                    sensor_type VARCHAR(64) NULL,
+                    unit VARCHAR(32) NULL,
+                    sample_count INT NOT NULL DEFAULT 0,
+                    value_avg DOUBLE NULL,
+                    value_min DOUBLE NULL,
+                    value_max DOUBLE NULL,
+                    value_sum DOUBLE NULL,
+                    value_count INT NOT NULL DEFAULT 0,
+                    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                    INDEX idx_${table}_bucket (bucket_start, device_id)
+                )`);
+            }
+        },
+        down: async db => {
+            for (const table of ROLLUP_TABLES) {
+                await db.query(`DROP TABLE IF EXISTS ${table}`);
+            }
+        }
+    },
+    sqlite: {
+        up: async db => {
+            for (const table of ROLLUP_TABLES) {
+                await db.query(`CREATE TABLE IF NOT EXISTS ${table} (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    bucket_start TEXT NOT NULL,
+                    device_id TEXT NULL,
+                    sensor_type TEXT NULL,
+                    unit TEXT NULL,
+                    sample_count INTEGER NOT NULL DEFAULT 0,
+                    value_avg REAL NULL,
+                    value_min REAL NULL,
+                    value_max REAL NULL,
+                    value_sum REAL NULL,
+                    value_count INTEGER NOT NULL DEFAULT 0,
+                    created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+                )`);
+                await db.query(`CREATE INDEX IF NOT EXISTS idx_${table}_bucket ON ${table} (bucket_start, device_id)`);
+            }
+        },
+        down: async db => {
+            for (const table of ROLLUP_TABLES) {
+                await db.query(`DROP TABLE IF EXISTS ${table}`);
+            }
+        }
+    },
+    firebase: {
+        indexes: { sensors_data_hourly: ['bucket_start'], sensors_data_daily: ['bucket_start'] },
+        up: async db => {
+            for (const table of ROLLUP_TABLES) {
+                await db.setNode(`_schema/${table}`, {
+                    fields: ['bucket_start', 'device_id', 'sensor_type', 'unit', 'sample_count',
+                        'value_avg', 'value_min', 'value_max', 'value_sum', 'value_count', 'created_at'],
+                    created_at: new Date().toISOString()
+                });
+            }
+        },
+        down: async db => {
+            for (const table of ROLLUP_TABLES) {
+                await db.setNode(`_schema/${table}`, null);
+            }
+        }
+    }
+};
@@ -0,0 +1,36 @@
+// database/migrations/005_add_model_columns_to_users.js
+// Soft-delete and userstamp columns for the users policy in config/tables.js
+// (softDeletes, userstamps). created_by / updated_by hold user ids as strings.
+const USER_FIELDS = ['username', 'password', 'role', 'name', 'email', 'phone', 'address', 'created_at'];
+
+module.exports = {
+    mysql: {
+        up: db => db.query(`ALTER TABLE users
+            ADD COLUMN deleted_at TIMESTAMP NULL DEFAULT NULL,
+            ADD COLUMN created_by VARCHAR(64) NULL,
+            ADD COLUMN updated_by VARCHAR(64) NULL`),
+        down: db => db.query(`ALTER TABLE users
+            DROP COLUMN deleted_at,
+            DROP COLUMN created_by,
+            DROP COLUMN updated_by`)
+    },
+    sqlite: {
+        // SQLite adds and drops one column per statement
+        up: async db => {
+            await db.query('ALTER TABLE users ADD COLUMN deleted_at TEXT NULL');
+            await db.query('ALTER TABLE users ADD COLUMN created_by TEXT NULL');
+            await db.query('ALTER TABLE users ADD COLUMN updated_by TEXT NULL');
+        },
+        down: async db => {
+            await db.query('ALTER TABLE users DROP COLUMN deleted_at');
+            await db.query('ALTER TABLE users DROP COLUMN created_by');
+            await db.query('ALTER TABLE users DROP COLUMN updated_by');
+        }
+    },
+    firebase: {
+        indexes: { users: ['deleted_at'] },
+        up: db => db.setNode('_schema/users/fields',
+            [...USER_FIELDS, 'updated_at', 'deleted_at', 'created_by', 'updated_by']),
+        down: db => db.setNode('_schema/users/fields', USER_FIELDS)
+    }
+};
@@ -0,0 +1,56 @@
+// database/migrations/006_create_audit_log_table.js
+// Audit trail written by lib/db/auditedDB.js: one row per inserted, updated or deleted record.
+// before_data / after_data hold the record as JSON and are encrypted (config/tables.js).
+const FIELDS = ['source', 'actor_id', 'actor_name', 'client_id', 'table_name', 'operation',
+    'record_id', 'before_data', 'after_data', 'created_at'];
+
+module.exports = {
+    mysql: {
+        up: db => db.query(`CREATE TABLE IF NOT EXISTS audit_log (
+            id BIGINT AUTO_INCREMENT PRIMARY KEY,
+            source VARCHAR(16) NOT NULL,
+            actor_id VARCHAR(64) NULL,
+            actor_name VARCHAR(255) NULL,
+            client_id VARCHAR(128) NULL,
+            table_name VARCHAR(64) NOT NULL,
+            operation VARCHAR(16) NOT NULL,
+            record_id VARCHAR(64) NULL,
+            before_data MEDIUMTEXT NULL,
+            after_data MEDIUMTEXT NULL,
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_audit_log_created (created_at),
+            INDEX idx_audit_log_record (table_name, record_id),
+            INDEX idx_audit_log_actor (actor_id)
+        )`),
+        down: db => db.query('DROP TABLE IF EXISTS audit_log')
+    },
+    sqlite: {
+        up: async db => {
+            await db.query(`CREATE TABLE IF NOT EXISTS audit_log (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                source TEXT NOT NULL,
+                actor_id TEXT NULL,
+                actor_name TEXT NULL,
+                client_id TEXT NULL,
+                table_name TEXT NOT NULL,
+                operation TEXT NOT NULL,
+                record_id TEXT NULL,
+                before_data TEXT NULL,
+                after_data TEXT NULL,
+                created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+            )`);
+            await db.query('CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log (created_at)');
+            await db.query('CREATE INDEX IF NOT EXISTS idx_audit_log_record ON audit_log (table_name, record_id)');
+            await db.query('CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log (actor_id)');
+        },
+        down: db => db.query('DROP TABLE IF EXISTS audit_log')
+    },
+    firebase: {
+        indexes: { audit_log: ['created_at', 'table_name', 'actor_id'] },
+        up: db => db.setNode('_schema/audit_log', {
+            fields: FIELDS,
+            created_at: new Date().toISOString()
+        }),
+        down: db => db.setNode('_schema/audit_log', null)
+    }
+};
@@ -0,0 +1,66 @@
+// lib/auth/permissions.js
+// Role -> permission map shared by the REST API, WebSocket server and IPC handlers.
+
+const ROLES = ['admin', 'operator', 'viewer', 'device'];
+const DEFAULT_ROLE = 'viewer';
+// Role of callers without a session while authentication is turned off: they read and write
+// data and drive the serial ports as before, but do not manage users, the system or the audit log
+const OPEN_ROLE = 'operator';
+
+const PERMISSIONS = {
+    DASHBOARD_READ: 'dashboard:read',   // status, health, client lists
+    DATA_READ: 'data:read',
+    DATA_WRITE: 'data:write',           // inserts (including device ingest)
+    DATA_UPDATE: 'data:update',
+    DATA_DELETE: 'data:delete',
+    SERIAL_CONTROL: 'serial:control',   // reconnect, disconnect, send data
+    SYSTEM_MANAGE: 'system:manage',     // restart, broadcast, file system access
+    USERS_MANAGE: 'users:manage',
+    AUDIT_READ: 'audit:read'            // audit log queries and CSV export
+};
+
+const ROLE_PERMISSIONS = {
+    admin: ['*'],
+    operator: [
+        PERMISSIONS.DASHBOARD_READ,
+        PERMISSIONS.DATA_READ,
+        PERMISSIONS.DATA_WRITE,
+        PERMISSIONS.DATA_UPDATE,
+        PERMISSIONS.DATA_DELETE,
+        PERMISSIONS.SERIAL_CONTROL
+    ],
+    viewer: [
+        PERMISSIONS.DASHBOARD_READ,
+        PERMISSIONS.DATA_READ
+    ],
+    device: [
+        PERMISSIONS.DATA_WRITE
+    ]
+};
+
+function isValidRole(role) {
+    return ROLES.includes(role);
+}
+
+// A null permission means the action is open to any caller
+function hasPermission(role, permission) {
+    if (!permission) return true;
+    const granted = ROLE_PERMISSIONS[role];
+    if (!granted) return false;
+    return granted.includes('*') || granted.includes(permission);
+}
+
+function getPermissions(role) {
+    const granted = ROLE_PERMISSIONS[role] || [];
+    return granted.includes('*') ? Object.values(PERMISSIONS) : [...granted];
+}
+
+module.exports = {
+    ROLES,
+    DEFAULT_ROLE,
+    OPEN_ROLE,
+    PERMISSIONS,
+    isValidRole,
+    hasPermission,
+    getPermissions
+};
@@ -0,0 +1,177 @@
+// lib/auth/sessionManager.js
+const crypto = require('crypto');
+const { DEFAULT_ROLE } = require('./permissions');
+
+const HEADER = { alg: 'HS256', typ: 'JWT' };
+
+class SessionManager {
+    constructor(config = {}) {
+        this.config = {
+            secret: null,
+            accessTokenTtl: 15 * 60,            // seconds
+            refreshTokenTtl: 7 * 24 * 60 * 60,  // seconds
+            issuer: 'alprog-monitor',
+            ...config
+        };
+
+        if (!this.config.secret) {
+            // Tokens signed with a random secret stop verifying after a restart, which is
+            // acceptable for a desktop session but not for anything shared between processes
+            console.warn('AUTH_TOKEN_SECRET is not set, using a random per-process secret.');
+            this.config.secret = crypto.randomBytes(32).toString('hex');
+        }
+
+        // sessionId -> { userId, username, role, refreshJti, expiresAt }
+        this.sessions = new Map();
+        this.cleanupTimer = setInterval(() => this._removeExpiredSessions(), 60 * 1000);
+        this.cleanupTimer.unref?.();
+    }
+
+    // Start a session for a user and return its token pair
+    createSession(user) {
+        const sessionId = crypto.randomBytes(16).toString('hex');
+        const session = {
+            userId: user.id,
+            username: user.username,
+            role: user.role || DEFAULT_ROLE,
+            refreshJti: null,
+            expiresAt: this._now() + this.config.refreshTokenTtl
+        };
+        this.sessions.set(sessionId, session);
+        return this._issueTokens(sessionId, session);
+    }
+
+    // Exchange a refresh token for a new token pair (the old refresh token is spent)
+    refreshSession(refreshToken) {
+        const payload = this.verifyToken(refreshToken, 'refresh');
+        const session = this.sessions.get(payload.sid);
+
+        if (!session) {
+            throw new Error('Session has ended');
+        }
+        if (session.refreshJti !== payload.jti) {
+            // A refresh token was replayed: treat the session as compromised
+            this.sessions.delete(payload.sid);
+            throw new Error('Refresh token has already been used');
+        }
+
+        session.expiresAt = this._now() + this.config.refreshTokenTtl;
+        return this._issueTokens(payload.sid, session);
+    }
+
+    // End the session a token belongs to
+    endSession(token) {
+        const payload = this._decode(token);
+        return this.sessions.delete(payload.sid);
+    }
+
+    // Verify an access token and return the authenticated user
+    authenticate(accessToken) {
+        const payload = this.verifyToken(accessToken, 'access');
+        const session = this.sessions.get(payload.sid);
+        if (!session) {
+            throw new Error('Session has ended');
+        }
+        // The role comes from the session so role changes apply without a new login
+        return {
+            id: payload.sub,
+            username: payload.username,
+            role: session.role,
+            sessionId: payload.sid
+        };
+    }
+
+    // Apply a role change to every active session of a user
+    updateUserRole(userId, role) {
+        for (const session of this.sessions.values()) {
+            if (String(session.userId) === String(userId)) {
+                session.role = role;
+            }
+        }
+    }
+
+    verifyToken(token, expectedType) {
+        const payload = this._decode(token);
+        if (expectedType && payload.typ !== expectedType) {
+            throw new Error(`Expected ${expectedType} token`);
+        }
+        if (typeof payload.exp !== 'number' || payload.exp <= this._now()) {
+            throw new Error('Token has expired');
+        }
+        return payload;
+    }
+
+    getActiveSessionCount() {
+        return this.sessions.size;
+    }
+
+    close() {
+        clearInterval(this.cleanupTimer);
+        this.sessions.clear();
+    }
+
+    _issueTokens(sessionId, session) {
+        const now = this._now();
+        const base = { sub: session.userId, username: session.username, role: session.role, sid: sessionId, iss: this.config.issuer, iat: now };
+        const refreshJti = crypto.randomBytes(16).toString('hex');
+        session.refreshJti = refreshJti;
+
+        return {
+            accessToken: this._sign({ ...base, typ: 'access', exp: now + this.config.accessTokenTtl }),
+            refreshToken: this._sign({ ...base, typ: 'refresh', jti: refreshJti, exp: now + this.config.refreshTokenTtl }),
+            tokenType: 'Bearer',
+            expiresIn: this.config.accessTokenTtl
+        };
+    }
+
+    _sign(payload) {
+        const body = `${this._encode(HEADER)}.${this._encode(payload)}`;
+        return `${body}.${this._signature(body)}`;
+    }
+
+    // Check the signature and return the payload (expiry is checked by verifyToken)
+    _decode(token) {
+        if (typeof token !== 'string') {
+            throw new Error('Token is required');
+        }
+        const parts = token.split('.');
+        if (parts.length !== 3) {
+            throw new Error('Malformed token');
+        }
+
+        const expected = Buffer.from(this._signature(`${parts[0]}.${parts[1]}`));
+        const actual = Buffer.from(parts[2]);
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            throw new Error('Invalid token signature');
+        }
+
+        try {
+            return JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+        } catch (error) {
+            throw new Error('Malformed token');
+        }
+    }
+
+    _signature(data) {
+        return crypto.createHmac('sha256', this.config.secret).update(data).digest('base64url');
+    }
+
+    _encode(object) {
+        return Buffer.from(JSON.stringify(object)).toString('base64url');
+    }
+
+    _now() {
+        return Math.floor(Date.now() / 1000);
+    }
+
+    _removeExpiredSessions() {
+        const now = this._now();
+        for (const [sessionId, session] of this.sessions) {
+            if (session.expiresAt <= now) {
+                this.sessions.delete(sessionId);
+            }
+        }
+    }
+}
+
+module.exports = SessionManager;
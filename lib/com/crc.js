@@ -0,0 +1,87 @@
+// lib/com/crc.js
+// Checksums used by the binary serial frame formats (lib/com/parsers) and Modbus RTU.
+// Each entry of CRCS gives the checksum's size in bytes and the byte order it is usually
+// sent in; a frame format may override the byte order.
+
+function crc16Modbus(bytes) {
+    let crc = 0xFFFF;
+    for (const byte of bytes) {
+        crc ^= byte;
+        for (let bit = 0; bit < 8; bit++) {
+            crc = crc & 1 ? (crc >>> 1) ^ 0xA001 : crc >>> 1;
+        }
+    }
+    return crc;
+}
+
+// CRC-16/CCITT-FALSE (poly 0x1021, init 0xFFFF)
+function crc16Ccitt(bytes) {
+    let crc = 0xFFFF;
+    for (const byte of bytes) {
+        crc ^= byte << 8;
+        for (let bit = 0; bit < 8; bit++) {
+            crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xFFFF : (crc << 1) & 0xFFFF;
+        }
+    }
+    return crc;
+}
+
+// CRC-8 (poly 0x07, init 0x00)
+function crc8(bytes) {
+    let crc = 0;
+    for (const byte of bytes) {
+        crc ^= byte;
+        for (let bit = 0; bit < 8; bit++) {
+            crc = crc & 0x80 ? ((crc << 1) ^ 0x07) & 0xFF : (crc << 1) & 0xFF;
+        }
+    }
+    return crc;
+}
+
+const CRCS = {
+    'crc16-modbus': { compute: crc16Modbus, size: 2, endianness: 'little' },
+    'crc16-ccitt': { compute: crc16Ccitt, size: 2, endianness: 'big' },
+    'crc8': { compute: crc8, size: 1, endianness: 'big' }
+};
+
+function getCrc(name) {
+    const crc = CRCS[name];
+    if (!crc) {
+        throw new Error(`Unknown CRC '${name}' (use ${Object.keys(CRCS).join(', ')})`);
+    }
+    return crc;
+}
+
+// Size in bytes of the named CRC, 0 without one
+function crcSize(name) {
+    return name ? getCrc(name).size : 0;
+}
+
+// Whether the last bytes of frame are the CRC of the bytes before them
+function verifyCrc(frame, name, endianness = null) {
+    const crc = getCrc(name);
+    if (frame.length < crc.size) return false;
+    const body = frame.subarray(0, frame.length - crc.size);
+    const order = endianness || crc.endianness;
+    const expected = crc.size === 1
+        ? frame[frame.length - 1]
+        : order === 'little' ? frame.readUInt16LE(body.length) : frame.readUInt16BE(body.length);
+    return crc.compute(body) === expected;
+}
+
+// body followed by its CRC
+function appendCrc(body, name, endianness = null) {
+    const crc = getCrc(name);
+    const value = crc.compute(body);
+    const tail = Buffer.alloc(crc.size);
+    if (crc.size === 1) {
+        tail[0] = value;
+    } else if ((endianness || crc.endianness) === 'little') {
+        tail.writeUInt16LE(value);
+    } else {
+        tail.writeUInt16BE(value);
+    }
+    return Buffer.concat([body, tail]);
+}
+
+module.exports = { CRCS, crc16Modbus, crc16Ccitt, crc8, crcSize, verifyCrc, appendCrc };
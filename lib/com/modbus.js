@@ -0,0 +1,129 @@
+// lib/com/modbus.js
+// Modbus RTU frames: [slave id][function code][data...][CRC-16/Modbus, low byte first].
+const { verifyCrc, appendCrc } = require('./crc');
+
+const READ_FUNCTIONS = [1, 2, 3, 4];   // coils, discrete inputs, holding registers, input registers
+const WRITE_FUNCTIONS = [5, 6, 15, 16]; // their responses echo address and value/count
+
+const EXCEPTIONS = {
+    1: 'illegal function',
+    2: 'illegal data address',
+    3: 'illegal data value',
+    4: 'slave device failure',
+    5: 'acknowledge',
+    6: 'slave device busy',
+    8: 'memory parity error',
+    10: 'gateway path unavailable',
+    11: 'gateway target device failed to respond'
+};
+
+// Register types and the number of 16-bit registers they span
+const REGISTER_TYPES = {
+    uint16: 1,
+    int16: 1,
+    uint32: 2,
+    int32: 2,
+    float32: 2
+};
+
+// Request reading count coils/inputs/registers from address of a slave
+function buildReadRequest(slaveId, functionCode, address, count) {
+    const body = Buffer.alloc(6);
+    body.writeUInt8(slaveId, 0);
+    body.writeUInt8(functionCode, 1);
+    body.writeUInt16BE(address, 2);
+    body.writeUInt16BE(count, 4);
+    return appendCrc(body, 'crc16-modbus');
+}
+
+// Length of the response frame starting at buffer[0]: null until enough bytes are there to
+// tell, -1 for an unknown function code
+function responseLength(buffer) {
+    if (buffer.length < 2) return null;
+    const functionCode = buffer[1];
+    if (functionCode & 0x80) return 5;
+    if (WRITE_FUNCTIONS.includes(functionCode)) return 8;
+    if (READ_FUNCTIONS.includes(functionCode)) {
+        return buffer.length < 3 ? null : 3 + buffer[2] + 2;
+    }
+    return -1;
+}
+
+// { slaveId, functionCode, registers } for register reads, { ..., bits } for coil and input
+// reads, { ..., address, value } for write echoes. Throws on a bad CRC or an exception response.
+function parseResponse(frame) {
+    if (!verifyCrc(frame, 'crc16-modbus')) {
+        throw new Error('Modbus frame CRC mismatch');
+    }
+    const slaveId = frame[0];
+    const functionCode = frame[1];
+
+    if (functionCode & 0x80) {
+        const code = frame[2];
+        const error = new Error(`Modbus exception ${code} (${EXCEPTIONS[code] || 'unknown'}) from slave ${slaveId}, function ${functionCode & 0x7F}`);
+        error.exceptionCode = code;
+        throw error;
+    }
+
+    if (functionCode === 3 || functionCode === 4) {
+        const byteCount = frame[2];
+        const registers = [];
+        for (let i = 0; i < byteCount / 2; i++) {
+            registers.push(frame.readUInt16BE(3 + i * 2));
+        }
+        return { slaveId, functionCode, registers };
+    }
+    if (functionCode === 1 || functionCode === 2) {
+        const byteCount = frame[2];
+        const bits = [];
+        for (let i = 0; i < byteCount * 8; i++) {
+            bits.push((frame[3 + (i >> 3)] >> (i & 7)) & 1);
+        }
+        return { slaveId, functionCode, bits };
+    }
+    return { slaveId, functionCode, address: frame.readUInt16BE(2), value: frame.readUInt16BE(4) };
+}
+
+// Values of a register map: [{ name, offset, type, wordOrder, scale }], offset counted in
+// registers from the first one read. 32-bit values take the high word first unless
+// wordOrder is 'little'.
+function decodeRegisters(registers, map) {
+    const row = {};
+    for (const entry of map) {
+        const type = entry.type || 'uint16';
+        const span = REGISTER_TYPES[type];
+        if (!span) {
+            throw new Error(`Unknown Modbus register type '${type}' for '${entry.name}'`);
+        }
+        const offset = entry.offset || 0;
+        if (offset + span > registers.length) {
+            throw new Error(`Register '${entry.name}' lies outside the ${registers.length} registers read`);
+        }
+        const words = registers.slice(offset, offset + span);
+        if (entry.wordOrder === 'little') words.reverse();
+
+        const bytes = Buffer.alloc(span * 2);
+        words.forEach((word, i) => bytes.writeUInt16BE(word, i * 2));
+        let value;
+        switch (type) {
+            case 'uint16': value = bytes.readUInt16BE(0); break;
+            case 'int16': value = bytes.readInt16BE(0); break;
+            case 'uint32': value = bytes.readUInt32BE(0); break;
+            case 'int32': value = bytes.readInt32BE(0); break;
+            case 'float32': value = bytes.readFloatBE(0); break;
+        }
+        row[entry.name] = entry.scale !== undefined ? value * entry.scale : value;
+    }
+    return row;
+}
+
+module.exports = {
+    READ_FUNCTIONS,
+    WRITE_FUNCTIONS,
+    EXCEPTIONS,
+    REGISTER_TYPES,
+    buildReadRequest,
+    responseLength,
+    parseResponse,
+    decodeRegisters
+};
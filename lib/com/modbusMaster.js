@@ -0,0 +1,211 @@
+// lib/com/modbusMaster.js
+// Polls Modbus RTU slaves over a SerialCommunicator's port (a device with a `modbus` setting and
+// dataType 'modbus-rtu'). Every pollInterval each request is sent in turn, one transaction on the
+// line at a time; a response that does not come within timeout, or comes back damaged, is
+// retried up to retries times. Decoded values are stored through the communicator, like any
+// other reading.
+//
+//     modbus: {
+//         pollInterval: 5000,  // ms from the start of one poll cycle to the next
+//         timeout: 1000,       // ms to wait for a response
+//         retries: 2,          // extra attempts after a timeout or a damaged response
+//         requests: [{
+//             slaveId: 1,
+//             functionCode: 3,  // 1 coils, 2 discrete inputs, 3 holding, 4 input registers
+//             address: 0,       // first register read
+//             count: 4,         // registers read
+//             registers: [{ name, offset, type, wordOrder, scale, unit }],
+//             columns: { device_id: 'flow-1' }, // stored with every row of the request
+//             rowPerRegister: false
+//         }]
+//     }
+//
+// A request gives one row, { ...columns, <name>: value, ... }, or with rowPerRegister one row per
+// register, { ...columns, sensor_type: name, value, unit } (the sensors_data layout). For coils
+// and discrete inputs, offset picks the bit and the value is 0 or 1.
+const modbus = require('./modbus');
+
+const MAX_COUNT = { 1: 2000, 2: 2000, 3: 125, 4: 125 };
+
+class ModbusMaster {
+    constructor(communicator) {
+        this.communicator = communicator;
+        this.settings = ModbusMaster.checkConfig(communicator.config.modbus, communicator.config.dataType);
+        this.pollTimer = null;
+        this.polling = false;
+        this.generation = 0;        // Bumped by start(), so a poll loop of an earlier connection ends
+        this.pending = null;        // { request, resolve, reject, timer } of the transaction on the line
+        this.lastPollAt = null;
+        this.failedTransactions = 0;
+        this.lastError = null;
+    }
+
+    // Settings with defaults applied; throws when the register map is unusable
+    static checkConfig(settings, dataType) {
+        if (dataType !== 'modbus-rtu') {
+            throw new Error(`modbus polling needs dataType 'modbus-rtu', not '${dataType}'`);
+        }
+        if (!settings || !Array.isArray(settings.requests) || settings.requests.length === 0) {
+            throw new Error('modbus.requests must list at least one request');
+        }
+        const requests = settings.requests.map((request, index) => {
+            const label = `modbus.requests[${index}]`;
+            const functionCode = request.functionCode || 3;
+            if (!Number.isInteger(request.slaveId) || request.slaveId < 1 || request.slaveId > 247) {
+                throw new Error(`${label}: slaveId must be 1-247`);
+            }
+            if (!MAX_COUNT[functionCode]) {
+                throw new Error(`${label}: functionCode must be 1, 2, 3 or 4`);
+            }
+            if (!Number.isInteger(request.address) || request.address < 0 || request.address > 0xFFFF) {
+                throw new Error(`${label}: address must be 0-65535`);
+            }
+            if (!Number.isInteger(request.count) || request.count < 1 || request.count > MAX_COUNT[functionCode]) {
+                throw new Error(`${label}: count must be 1-${MAX_COUNT[functionCode]} for function ${functionCode}`);
+            }
+            if (!Array.isArray(request.registers) || request.registers.length === 0) {
+                throw new Error(`${label}: registers must map at least one value`);
+            }
+            for (const entry of request.registers) {
+                const span = functionCode <= 2 ? 1 : modbus.REGISTER_TYPES[entry.type || 'uint16'];
+                if (!entry.name || !span) {
+                    throw new Error(`${label}: register '${entry.name}' needs a name and a type (${Object.keys(modbus.REGISTER_TYPES).join(', ')})`);
+                }
+                if ((entry.offset || 0) + span > request.count) {
+                    throw new Error(`${label}: register '${entry.name}' lies outside the ${request.count} values read`);
+                }
+            }
+            return { ...request, functionCode, columns: request.columns || {} };
+        });
+        return {
+            pollInterval: 5000,
+            timeout: 1000,
+            retries: 2,
+            ...settings,
+            requests
+        };
+    }
+
+    start() {
+        if (this.polling) return;
+        this.polling = true;
+        this._poll(++this.generation);
+    }
+
+    stop() {
+        this.polling = false;
+        clearTimeout(this.pollTimer);
+        this.pollTimer = null;
+        this._settle(new Error('Modbus polling stopped'));
+    }
+
+    getStatus() {
+        return {
+            polling: this.polling,
+            pollInterval: this.settings.pollInterval,
+            lastPollAt: this.lastPollAt,
+            failedTransactions: this.failedTransactions,
+            lastError: this.lastError
+        };
+    }
+
+    // A frame from the port's modbus-rtu framer; only the awaited response is of interest
+    handleFrame(frame) {
+        if (!this.pending) {
+            console.warn('Ignoring unsolicited Modbus frame:', frame.toString('hex'));
+            return;
+        }
+        const { request } = this.pending;
+        if (frame[0] !== request.slaveId || (frame[1] & 0x7F) !== request.functionCode) {
+            console.warn(`Ignoring Modbus frame from slave ${frame[0]}, function ${frame[1]}`);
+            return;
+        }
+        try {
+            this._settle(null, modbus.parseResponse(frame));
+        } catch (error) {
+            this._settle(error);
+        }
+    }
+
+    _active(generation) {
+        return this.polling && generation === this.generation;
+    }
+
+    async _poll(generation) {
+        const startedAt = Date.now();
+        this.lastPollAt = new Date(startedAt).toISOString();
+
+        for (const request of this.settings.requests) {
+            if (!this._active(generation)) return;
+            try {
+                const response = await this._transactionWithRetries(request);
+                this._rows(request, response).forEach(row => this.communicator._storeRow(row));
+            } catch (error) {
+                if (!this._active(generation)) return;
+                this.failedTransactions++;
+                this.lastError = error.message;
+                console.error(`Modbus poll of slave ${request.slaveId} failed:`, error.message);
+                this.communicator._sendToRenderer('serial-port-error', `Modbus: ${error.message}`);
+            }
+        }
+
+        if (this._active(generation)) {
+            const delay = Math.max(0, this.settings.pollInterval - (Date.now() - startedAt));
+            this.pollTimer = setTimeout(() => this._poll(generation), delay);
+        }
+    }
+
+    // Exception responses are the slave's answer and are not retried
+    async _transactionWithRetries(request) {
+        let lastError = null;
+        for (let attempt = 0; attempt <= this.settings.retries; attempt++) {
+            try {
+                return await this._transaction(request);
+            } catch (error) {
+                if (error.exceptionCode !== undefined || !this.polling) throw error;
+                lastError = error;
+                console.warn(`Modbus request to slave ${request.slaveId} failed (attempt ${attempt + 1}):`, error.message);
+            }
+        }
+        throw lastError;
+    }
+
+    _transaction(request) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this._settle(new Error(`No response from slave ${request.slaveId} within ${this.settings.timeout}ms`));
+            }, this.settings.timeout);
+            this.pending = { request, resolve, reject, timer };
+
+            const frame = modbus.buildReadRequest(request.slaveId, request.functionCode, request.address, request.count);
+            this.communicator.writeBytes(frame).catch(error => this._settle(error));
+        });
+    }
+
+    _settle(error, response = null) {
+        const pending = this.pending;
+        if (!pending) return;
+        this.pending = null;
+        clearTimeout(pending.timer);
+        if (error) pending.reject(error);
+        else pending.resolve(response);
+    }
+
+    _rows(request, response) {
+        const values = response.bits
+            ? Object.fromEntries(request.registers.map(entry => [entry.name, response.bits[entry.offset || 0]]))
+            : modbus.decodeRegisters(response.registers, request.registers);
+
+        if (!request.rowPerRegister) {
+            return [{ ...request.columns, ...values }];
+        }
+        return request.registers.map(entry => ({
+            ...request.columns,
+            sensor_type: entry.name,
+            value: values[entry.name],
+            ...(entry.unit !== undefined ? { unit: entry.unit } : {})
+        }));
+    }
+}
+
+module.exports = ModbusMaster;
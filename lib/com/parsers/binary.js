@@ -0,0 +1,266 @@
+// lib/com/parsers/binary.js
+// Binary formats. Their layout is the device's `frame` setting (config/serialDevices.js):
+//     sync:          hex bytes every frame starts with ('AA55'), struct and length-prefixed
+//     length:        bytes per frame, struct (default: sync + fields + CRC)
+//     lengthBytes:   size of the length field after sync, length-prefixed (1, 2 or 4; default 1)
+//     maxLength:     largest payload accepted, length-prefixed (default 1024)
+//     crc:           'crc16-modbus', 'crc16-ccitt' or 'crc8' at the end of the frame, over every
+//                    byte before it (after COBS/SLIP decoding)
+//     crcEndianness: byte order of the CRC (default: the CRC's usual one, see lib/com/crc.js)
+//     endianness:    'little' (default) or 'big', for the length field and the fields
+//     fields:        payload layout [{ name, type, offset, scale }]; offsets are bytes from the
+//                    start of the payload and default to right after the previous field. Without
+//                    fields the payload is stored as hex in `payload`.
+//     slaveId, registers: modbus-rtu only, see below
+const { LengthFramer, DelimiterFramer } = require('./framers');
+const { crcSize, verifyCrc } = require('../crc');
+const modbus = require('../modbus');
+
+const FIELD_TYPES = {
+    int8: { size: 1, read: (buf, at) => buf.readInt8(at) },
+    uint8: { size: 1, read: (buf, at) => buf.readUInt8(at) },
+    int16: { size: 2, read: (buf, at, le) => le ? buf.readInt16LE(at) : buf.readInt16BE(at) },
+    uint16: { size: 2, read: (buf, at, le) => le ? buf.readUInt16LE(at) : buf.readUInt16BE(at) },
+    int32: { size: 4, read: (buf, at, le) => le ? buf.readInt32LE(at) : buf.readInt32BE(at) },
+    uint32: { size: 4, read: (buf, at, le) => le ? buf.readUInt32LE(at) : buf.readUInt32BE(at) },
+    float32: { size: 4, read: (buf, at, le) => le ? buf.readFloatLE(at) : buf.readFloatBE(at) },
+    float64: { size: 8, read: (buf, at, le) => le ? buf.readDoubleLE(at) : buf.readDoubleBE(at) }
+};
+
+const LENGTH_READERS = {
+    1: (buf, at) => buf.readUInt8(at),
+    2: (buf, at, le) => le ? buf.readUInt16LE(at) : buf.readUInt16BE(at),
+    4: (buf, at, le) => le ? buf.readUInt32LE(at) : buf.readUInt32BE(at)
+};
+
+function frameSettings(config) {
+    const frame = config.frame || {};
+    if (frame.crc) crcSize(frame.crc); // throws for unknown CRCs
+    if (frame.sync !== undefined && !/^([0-9a-f]{2})+$/i.test(String(frame.sync))) {
+        throw new Error(`frame.sync must be hex bytes, got '${frame.sync}'`);
+    }
+    return frame;
+}
+
+function syncBytes(frame) {
+    return frame.sync ? Buffer.from(String(frame.sync), 'hex') : Buffer.alloc(0);
+}
+
+function littleEndian(frame) {
+    return (frame.endianness || 'little') === 'little';
+}
+
+// [{ name, type, offset, scale }] with offsets filled in, and the bytes the layout spans
+function fieldLayout(frame) {
+    let next = 0;
+    let size = 0;
+    const fields = (frame.fields || []).map(field => {
+        const type = FIELD_TYPES[field.type];
+        if (!field.name || !type) {
+            throw new Error(`frame.fields: '${field.name}' needs a name and a type (${Object.keys(FIELD_TYPES).join(', ')})`);
+        }
+        const offset = field.offset !== undefined ? field.offset : next;
+        next = offset + type.size;
+        size = Math.max(size, next);
+        return { ...field, offset };
+    });
+    return { fields, size };
+}
+
+function decodePayload(payload, frame) {
+    const { fields, size } = fieldLayout(frame);
+    if (fields.length === 0) {
+        return { payload: payload.toString('hex') };
+    }
+    if (payload.length < size) {
+        throw new Error(`Frame payload has ${payload.length} bytes, the field layout needs ${size}`);
+    }
+    const le = littleEndian(frame);
+    const row = {};
+    for (const field of fields) {
+        const value = FIELD_TYPES[field.type].read(payload, field.offset, le);
+        row[field.name] = field.scale !== undefined ? value * field.scale : value;
+    }
+    return row;
+}
+
+function crcCheck(frame) {
+    return frame.crc ? bytes => verifyCrc(bytes, frame.crc, frame.crcEndianness) : null;
+}
+
+function reportInvalid(events) {
+    return events && events.invalidFrame ? events.invalidFrame : null;
+}
+
+// Fixed-length records, e.g. a packed C struct
+const struct = {
+    binary: true,
+    validate(config) {
+        const frame = frameSettings(config);
+        if (fieldLayout(frame).size === 0 && !frame.length) {
+            throw new Error('struct frames need frame.fields or frame.length');
+        }
+    },
+    _length(frame) {
+        return frame.length || syncBytes(frame).length + fieldLayout(frame).size + crcSize(frame.crc);
+    },
+    createFramer(config, events) {
+        const frame = frameSettings(config);
+        const length = this._length(frame);
+        return new LengthFramer({
+            sync: syncBytes(frame),
+            frameLength: () => length,
+            validate: crcCheck(frame),
+            maxFrameLength: length,
+            onInvalidFrame: reportInvalid(events)
+        });
+    },
+    parse(bytes, config) {
+        const frame = frameSettings(config);
+        return decodePayload(bytes.subarray(syncBytes(frame).length, bytes.length - crcSize(frame.crc)), frame);
+    }
+};
+
+// [sync][payload length][payload][crc]
+const lengthPrefixed = {
+    binary: true,
+    validate(config) {
+        const frame = frameSettings(config);
+        if (!LENGTH_READERS[frame.lengthBytes || 1]) {
+            throw new Error('frame.lengthBytes must be 1, 2 or 4');
+        }
+        fieldLayout(frame);
+    },
+    _header(frame) {
+        return syncBytes(frame).length + (frame.lengthBytes || 1);
+    },
+    _payloadLength(bytes, frame) {
+        return LENGTH_READERS[frame.lengthBytes || 1](bytes, syncBytes(frame).length, littleEndian(frame));
+    },
+    createFramer(config, events) {
+        const frame = frameSettings(config);
+        const header = this._header(frame);
+        const maxLength = frame.maxLength || 1024;
+        return new LengthFramer({
+            sync: syncBytes(frame),
+            frameLength: bytes => {
+                if (bytes.length < header) return null;
+                const length = this._payloadLength(bytes, frame);
+                return length > maxLength ? -1 : header + length + crcSize(frame.crc);
+            },
+            validate: crcCheck(frame),
+            maxFrameLength: header + maxLength + crcSize(frame.crc),
+            onInvalidFrame: reportInvalid(events)
+        });
+    },
+    parse(bytes, config) {
+        const frame = frameSettings(config);
+        const header = this._header(frame);
+        return decodePayload(bytes.subarray(header, header + this._payloadLength(bytes, frame)), frame);
+    }
+};
+
+function cobsDecode(bytes) {
+    const out = [];
+    let i = 0;
+    while (i < bytes.length) {
+        const code = bytes[i];
+        if (code === 0 || i + code > bytes.length) {
+            throw new Error('Malformed COBS frame');
+        }
+        for (let j = 1; j < code; j++) out.push(bytes[i + j]);
+        i += code;
+        if (code < 0xFF && i < bytes.length) out.push(0);
+    }
+    return Buffer.from(out);
+}
+
+const SLIP_END = 0xC0;
+const SLIP_ESC = 0xDB;
+const SLIP_ESC_END = 0xDC;
+const SLIP_ESC_ESC = 0xDD;
+
+function slipDecode(bytes) {
+    const out = [];
+    for (let i = 0; i < bytes.length; i++) {
+        if (bytes[i] !== SLIP_ESC) {
+            out.push(bytes[i]);
+            continue;
+        }
+        const next = bytes[++i];
+        if (next === SLIP_ESC_END) out.push(SLIP_END);
+        else if (next === SLIP_ESC_ESC) out.push(SLIP_ESC);
+        else throw new Error('Malformed SLIP escape sequence');
+    }
+    return Buffer.from(out);
+}
+
+// Frames ended by a delimiter and unescaped by decode, then [payload][crc]
+function delimited(delimiter, decode) {
+    return {
+        binary: true,
+        validate(config) {
+            fieldLayout(frameSettings(config));
+        },
+        createFramer(config, events) {
+            return new DelimiterFramer({ delimiter, onInvalidFrame: reportInvalid(events) });
+        },
+        parse(bytes, config) {
+            const frame = frameSettings(config);
+            const decoded = decode(bytes);
+            if (frame.crc && !verifyCrc(decoded, frame.crc, frame.crcEndianness)) {
+                throw new Error('Frame CRC mismatch');
+            }
+            return decodePayload(decoded.subarray(0, decoded.length - crcSize(frame.crc)), frame);
+        }
+    };
+}
+
+// Modbus RTU responses (e.g. read off a bus another master polls). frame.slaveId keeps the
+// responses of one slave; frame.registers maps register reads to columns as
+// [{ name, offset, type, wordOrder, scale }] (lib/com/modbus.js). Without registers the row
+// holds the raw values.
+const modbusRtu = {
+    binary: true,
+    validate(config) {
+        for (const entry of frameSettings(config).registers || []) {
+            if (!entry.name || !modbus.REGISTER_TYPES[entry.type || 'uint16']) {
+                throw new Error(`frame.registers: '${entry.name}' needs a name and a type (${Object.keys(modbus.REGISTER_TYPES).join(', ')})`);
+            }
+        }
+    },
+    createFramer(config, events) {
+        return new LengthFramer({
+            frameLength: modbus.responseLength,
+            validate: bytes => verifyCrc(bytes, 'crc16-modbus'),
+            maxFrameLength: 256,
+            onInvalidFrame: reportInvalid(events)
+        });
+    },
+    parse(bytes, config) {
+        const frame = frameSettings(config);
+        const response = modbus.parseResponse(bytes);
+        if (frame.slaveId !== undefined && response.slaveId !== frame.slaveId) {
+            return null;
+        }
+        const row = { slave_id: response.slaveId, function_code: response.functionCode };
+        if (response.registers && frame.registers) {
+            return { ...row, ...modbus.decodeRegisters(response.registers, frame.registers) };
+        }
+        if (response.registers || response.bits) {
+            return { ...row, values: JSON.stringify(response.registers || response.bits) };
+        }
+        return null; // write echo
+    }
+};
+
+module.exports = {
+    FIELD_TYPES,
+    struct,
+    'length-prefixed': lengthPrefixed,
+    cobs: delimited(0x00, cobsDecode),
+    slip: delimited(SLIP_END, slipDecode),
+    'modbus-rtu': modbusRtu,
+    cobsDecode,
+    slipDecode
+};
@@ -0,0 +1,87 @@
+// lib/com/parsers/framers.js
+// Streams that cut the bytes of a serial port into frames, one frame per 'data' event.
+const { Transform } = require('stream');
+
+// Frames that start with an optional sync pattern and whose length can be read from their first
+// bytes. frameLength(buffer) returns the length of the frame at buffer[0], null until enough
+// bytes are there to tell, or -1 when they cannot start a frame. A frame failing validate(frame)
+// is reported through onInvalidFrame and the framer moves on one byte, so a corrupted or
+// misaligned stream resynchronizes on the next good frame.
+class LengthFramer extends Transform {
+    constructor({ sync = null, frameLength, validate = null, maxFrameLength = 4096, onInvalidFrame = null }) {
+        super({ readableObjectMode: true });
+        this.sync = sync && sync.length > 0 ? sync : null;
+        this.frameLength = frameLength;
+        this.validate = validate;
+        this.maxFrameLength = maxFrameLength;
+        this.onInvalidFrame = onInvalidFrame;
+        this.buffer = Buffer.alloc(0);
+    }
+
+    _transform(chunk, encoding, callback) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+
+        while (this.buffer.length > 0) {
+            if (this.sync) {
+                const start = this.buffer.indexOf(this.sync);
+                if (start < 0) {
+                    // Keep a possible partial sync pattern at the end
+                    this.buffer = this.buffer.subarray(Math.max(0, this.buffer.length - this.sync.length + 1));
+                    break;
+                }
+                this.buffer = this.buffer.subarray(start);
+            }
+
+            const length = this.frameLength(this.buffer);
+            if (length === null) break;
+            if (length <= 0 || length > this.maxFrameLength) {
+                this._skip('unexpected frame header', this.buffer.subarray(0, 1));
+                continue;
+            }
+            if (this.buffer.length < length) break;
+
+            const frame = Buffer.from(this.buffer.subarray(0, length));
+            if (this.validate && !this.validate(frame)) {
+                this._skip('CRC mismatch', frame);
+                continue;
+            }
+            this.buffer = this.buffer.subarray(length);
+            this.push(frame);
+        }
+        callback();
+    }
+
+    _skip(reason, bytes) {
+        if (this.onInvalidFrame) this.onInvalidFrame(reason, bytes);
+        this.buffer = this.buffer.subarray(1);
+    }
+}
+
+// Frames ended by a delimiter byte (0x00 for COBS, 0xC0 for SLIP); empty frames are dropped.
+// Bytes beyond maxFrameLength without a delimiter are discarded.
+class DelimiterFramer extends Transform {
+    constructor({ delimiter, maxFrameLength = 4096, onInvalidFrame = null }) {
+        super({ readableObjectMode: true });
+        this.delimiter = delimiter;
+        this.maxFrameLength = maxFrameLength;
+        this.onInvalidFrame = onInvalidFrame;
+        this.buffer = Buffer.alloc(0);
+    }
+
+    _transform(chunk, encoding, callback) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+        let end;
+        while ((end = this.buffer.indexOf(this.delimiter)) >= 0) {
+            const frame = Buffer.from(this.buffer.subarray(0, end));
+            this.buffer = this.buffer.subarray(end + 1);
+            if (frame.length > 0) this.push(frame);
+        }
+        if (this.buffer.length > this.maxFrameLength) {
+            if (this.onInvalidFrame) this.onInvalidFrame('frame too long', this.buffer);
+            this.buffer = Buffer.alloc(0);
+        }
+        callback();
+    }
+}
+
+module.exports = { LengthFramer, DelimiterFramer };
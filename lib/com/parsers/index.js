@@ -0,0 +1,43 @@
+// lib/com/parsers/index.js
+// Frame parsers selected by a serial device's dataType (SERIAL_DATA_TYPES). A parser is an
+// object with:
+//     binary:        true when frames are Buffers; text frames are trimmed strings
+//     createFramer:  (config, { invalidFrame(reason, bytes) }) -> stream the port is piped into,
+//                    emitting one frame per 'data' event. Optional: text parsers get a
+//                    ReadlineParser on config.lineDelimiter.
+//     parse:         (frame, config) -> the row to store, an array of rows, or null to skip the
+//                    frame. Throws when the frame cannot be decoded.
+//     validate:      (config) -> throws when the device's settings do not suit the parser. Optional.
+// Register more with registerParser() before SerialManager.initialize().
+const line = require('./line');
+const binary = require('./binary');
+
+const parsers = new Map();
+
+function registerParser(name, parser) {
+    if (!parser || typeof parser.parse !== 'function') {
+        throw new Error(`Serial parser '${name}' needs a parse(frame, config) function`);
+    }
+    parsers.set(name, parser);
+}
+
+// The parser for dataType, checked against the device's config
+function getParser(dataType, config = {}) {
+    const parser = parsers.get(dataType);
+    if (!parser) {
+        throw new Error(`Unsupported dataType: ${dataType} (use ${Array.from(parsers.keys()).join(', ')})`);
+    }
+    if (parser.validate) {
+        parser.validate(config);
+    }
+    return parser;
+}
+
+for (const name of ['json-object', 'json-array', 'csv', 'raw']) {
+    registerParser(name, line[name]);
+}
+for (const name of ['struct', 'length-prefixed', 'cobs', 'slip', 'modbus-rtu']) {
+    registerParser(name, binary[name]);
+}
+
+module.exports = { registerParser, getParser };
@@ -0,0 +1,45 @@
+// lib/com/parsers/line.js
+// Text formats, one reading per line (the port is split by ReadlineParser on lineDelimiter).
+
+const jsonObject = {
+    parse(line) {
+        return JSON.parse(line);
+    }
+};
+
+const jsonArray = {
+    parse(line, config) {
+        const values = JSON.parse(line);
+        if (!Array.isArray(values) || values.length !== config.fieldMapping.length) {
+            throw new Error(`Array data mismatch. Expected ${config.fieldMapping.length} items, got ${values.length}`);
+        }
+        const row = {};
+        config.fieldMapping.forEach((field, i) => {
+            row[field] = values[i];
+        });
+        return row;
+    }
+};
+
+const csv = {
+    parse(line, config) {
+        const values = line.split(config.csvDelimiter);
+        if (values.length !== config.fieldMapping.length) {
+            throw new Error(`CSV data mismatch. Expected ${config.fieldMapping.length} items, got ${values.length}`);
+        }
+        const row = {};
+        config.fieldMapping.forEach((field, i) => {
+            const val = values[i].trim();
+            row[field] = !isNaN(parseFloat(val)) && isFinite(val) && val !== '' ? Number(val) : val;
+        });
+        return row;
+    }
+};
+
+const raw = {
+    parse(line) {
+        return { raw_data: line, timestamp: new Date().toISOString() };
+    }
+};
+
+module.exports = { 'json-object': jsonObject, 'json-array': jsonArray, csv, raw };
@@ -0,0 +1,227 @@
+// lib/com/serialCommands.js
+// Commands to a serial device that the device acknowledges. Each command gets an id and the
+// device answers with that id once it has executed it (or refused to). Commands wait in a queue
+// per device and go out one at a time; a command not acknowledged within timeout is sent again,
+// with the same id, up to retries times. Devices should therefore treat a repeated id as the
+// command they already executed.
+//
+// Line formats (the device's `commands.format`):
+//     json: sent     {"id":17,"cmd":"SET_LED","args":{"on":true}}
+//           answered {"ack":17,"ok":true,"result":...} or {"ack":17,"ok":false,"error":"..."}
+//     text: sent     @17 SET_LED on=1          (args: object as key=value, array as values)
+//           answered ACK 17 <result>           or NAK 17 <reason>
+//
+// Acknowledgement lines are consumed here and never reach the data parser or the database.
+
+const COMMAND_PATTERN = /^[A-Za-z0-9_.:-]{1,64}$/;
+const TEXT_ARG_PATTERN = /^\S+$/;
+const TEXT_REPLY = /^(ACK|NAK)\s+(\d+)(?:\s+(.*))?$/;
+const MAX_ID = 65535;
+const MAX_TIMEOUT = 60000; // caps on per-command options, so one caller cannot stall the queue
+const MAX_RETRIES = 10;
+
+class SerialCommandQueue {
+    // settings: { format, timeout, retries, maxQueue } (config `commands` of the device)
+    constructor(communicator, settings = {}) {
+        this.communicator = communicator;
+        this.settings = {
+            format: 'json',
+            timeout: 2000,
+            retries: 2,
+            maxQueue: 20,
+            ...settings
+        };
+        if (!['json', 'text'].includes(this.settings.format)) {
+            throw new Error(`commands.format must be 'json' or 'text', not '${this.settings.format}'`);
+        }
+        this.queue = [];       // commands waiting for the line
+        this.inFlight = null;  // { id, command, args, attempts, timer, ... } awaiting its ack
+        this.nextId = 1;
+    }
+
+    // Resolves with { id, command, result, attempts, durationMs } once the device acknowledges
+    // the command; rejects with an error whose code is INVALID, QUEUE_FULL, TIMEOUT, REJECTED
+    // or DISCONNECTED
+    send(command, args = null, options = {}) {
+        try {
+            this._encode(0, command, args);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+        if (!this.communicator.isConnected()) {
+            return Promise.reject(SerialCommandQueue._error('Port not connected', 'DISCONNECTED'));
+        }
+        if (this.queue.length >= this.settings.maxQueue) {
+            return Promise.reject(SerialCommandQueue._error(`Command queue is full (${this.settings.maxQueue})`, 'QUEUE_FULL'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const entry = {
+                id: this._takeId(),
+                command,
+                args,
+                timeout: Math.min(Number(options.timeout) || this.settings.timeout, MAX_TIMEOUT),
+                retries: Math.min(Math.max(0, Number.isInteger(options.retries) ? options.retries : this.settings.retries), MAX_RETRIES),
+                attempts: 0,
+                queuedAt: Date.now(),
+                timer: null,
+                resolve,
+                reject
+            };
+            entry.line = this._encode(entry.id, command, args);
+            this.queue.push(entry);
+            this._status(entry, 'queued');
+            this._next();
+        });
+    }
+
+    // Consumes acknowledgement lines; false for any other line
+    handleLine(line) {
+        const reply = this._decode(line);
+        if (!reply) return false;
+
+        const entry = this.inFlight;
+        if (!entry || entry.id !== reply.id) {
+            console.warn(`Ignoring acknowledgement for command ${reply.id}, which is not awaited`);
+            return true;
+        }
+
+        clearTimeout(entry.timer);
+        this.inFlight = null;
+        if (reply.ok) {
+            this._status(entry, 'acknowledged', { result: reply.result });
+            entry.resolve({
+                id: entry.id,
+                command: entry.command,
+                result: reply.result,
+                attempts: entry.attempts,
+                durationMs: Date.now() - entry.queuedAt
+            });
+        } else {
+            const message = `Device refused ${entry.command}: ${reply.error || 'no reason given'}`;
+            this._status(entry, 'failed', { error: message });
+            entry.reject(SerialCommandQueue._error(message, 'REJECTED'));
+        }
+        this._next();
+        return true;
+    }
+
+    // Fails the command in flight and every queued one, e.g. when the port closes
+    failAll(reason) {
+        const entries = this.inFlight ? [this.inFlight, ...this.queue] : [...this.queue];
+        if (this.inFlight) clearTimeout(this.inFlight.timer);
+        this.inFlight = null;
+        this.queue = [];
+        for (const entry of entries) {
+            this._status(entry, 'failed', { error: reason });
+            entry.reject(SerialCommandQueue._error(reason, 'DISCONNECTED'));
+        }
+    }
+
+    getStatus() {
+        return {
+            format: this.settings.format,
+            queued: this.queue.length,
+            inFlight: this.inFlight ? { id: this.inFlight.id, command: this.inFlight.command, attempts: this.inFlight.attempts } : null
+        };
+    }
+
+    _next() {
+        if (this.inFlight || this.queue.length === 0) return;
+        this.inFlight = this.queue.shift();
+        this._transmit(this.inFlight);
+    }
+
+    _transmit(entry) {
+        entry.attempts++;
+        entry.timer = setTimeout(() => this._timedOut(entry), entry.timeout);
+        this._status(entry, 'sent');
+        this.communicator.writeBytes(entry.line + '\n').catch(error => {
+            if (this.inFlight !== entry) return;
+            clearTimeout(entry.timer);
+            this.inFlight = null;
+            this._status(entry, 'failed', { error: error.message });
+            entry.reject(SerialCommandQueue._error(`Could not send ${entry.command}: ${error.message}`, 'DISCONNECTED'));
+            this._next();
+        });
+    }
+
+    _timedOut(entry) {
+        if (this.inFlight !== entry) return;
+        if (entry.attempts <= entry.retries) {
+            console.warn(`No acknowledgement for command ${entry.id} (${entry.command}), sending it again`);
+            this._transmit(entry);
+            return;
+        }
+        this.inFlight = null;
+        const message = `No acknowledgement for ${entry.command} after ${entry.attempts} attempt(s)`;
+        this._status(entry, 'failed', { error: message });
+        entry.reject(SerialCommandQueue._error(message, 'TIMEOUT'));
+        this._next();
+    }
+
+    _takeId() {
+        const id = this.nextId;
+        this.nextId = id >= MAX_ID ? 1 : id + 1;
+        return id;
+    }
+
+    _encode(id, command, args) {
+        if (typeof command !== 'string' || !COMMAND_PATTERN.test(command)) {
+            throw SerialCommandQueue._error('Command must be 1-64 letters, digits or _ . : -', 'INVALID');
+        }
+        if (this.settings.format === 'json') {
+            return JSON.stringify(args === null || args === undefined ? { id, cmd: command } : { id, cmd: command, args });
+        }
+
+        const values = args === null || args === undefined ? []
+            : Array.isArray(args) ? args.map(String)
+                : typeof args === 'object' ? Object.entries(args).map(([key, value]) => `${key}=${value}`)
+                    : [String(args)];
+        for (const value of values) {
+            if (!TEXT_ARG_PATTERN.test(value)) {
+                throw SerialCommandQueue._error(`Argument '${value}' cannot be sent as text`, 'INVALID');
+            }
+        }
+        return [`@${id}`, command, ...values].join(' ');
+    }
+
+    // { id, ok, result, error } for acknowledgement lines, null for other lines
+    _decode(line) {
+        if (this.settings.format === 'text') {
+            const match = TEXT_REPLY.exec(line);
+            if (!match) return null;
+            const ok = match[1] === 'ACK';
+            return { id: Number(match[2]), ok, result: ok ? match[3] || null : null, error: ok ? null : match[3] || null };
+        }
+
+        if (!line.startsWith('{') || !line.includes('"ack"')) return null;
+        let reply;
+        try {
+            reply = JSON.parse(line);
+        } catch (error) {
+            return null;
+        }
+        if (!reply || !Number.isInteger(reply.ack)) return null;
+        return { id: reply.ack, ok: reply.ok !== false, result: reply.result === undefined ? null : reply.result, error: reply.error || null };
+    }
+
+    _status(entry, state, extra = {}) {
+        this.communicator._sendToRenderer('serial-command-status', {
+            id: entry.id,
+            command: entry.command,
+            state,
+            attempt: entry.attempts,
+            ...extra,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    static _error(message, code) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+}
+
+module.exports = SerialCommandQueue;
@@ -1,20 +1,33 @@
 // SerialCommunicator.js
 const { SerialPort, ReadlineParser } = require('serialport');
+const SerialProfiles = require('./serialProfiles');
+const { getParser } = require('./parsers');
+const ModbusMaster = require('./modbusMaster');
+const SerialCommandQueue = require('./serialCommands');
 
 class SerialCommunicator {
-    constructor(config, dbInstance, windowInstance) {
+    // portFilter(path): false for ports this communicator must not open (SerialManager uses it
+    // so that several devices do not take each other's ports)
+    // portStore: remembers the last good port per profile (lib/com/serialPortStore.js)
+    constructor(config, dbInstance, windowInstance, writeJournal = null, portFilter = null, portStore = null) {
         console.log('=== SerialCommunicator Constructor Debug ===');
         console.log('Received config:', JSON.stringify(config, null, 2));
         console.log('DB instance type:', dbInstance ? dbInstance.constructor.name : 'null');
         console.log('Window instance:', windowInstance ? 'provided' : 'null');
 
         this.config = {
+            deviceId: 'default',
             portPath: null,
+            match: null,            // { vendorId, productId, serialNumber, pnpId } of the port to use
+            profiles: [],           // port profiles with priorities (lib/com/serialProfiles.js)
             baudRate: 9600,
-            dataType: 'json-object',
+            dataType: 'json-object', // frame parser, see lib/com/parsers
             lineDelimiter: '\r\n',
             csvDelimiter: ',',
             fieldMapping: [],
+            frame: null,            // binary frame layout (lib/com/parsers/binary.js)
+            modbus: null,           // Modbus RTU polling (lib/com/modbusMaster.js)
+            commands: {},           // acknowledged commands (lib/com/serialCommands.js)
             dbTableName: null,
             requiredFields: [],
             fieldsToEncrypt: [],
@@ -31,7 +44,19 @@ class SerialCommunicator {
         console.log('=== End Constructor Debug ===');
 
         this.db = dbInstance;
+        // fieldsToEncrypt joins the database encryption policy, which encrypts them on write
+        if (this.db && this.db.registerEncryptedFields) {
+            this.db.registerEncryptedFields(this.config.dbTableName, this.config.fieldsToEncrypt);
+        }
         this.mainWindow = windowInstance;
+        this.writeJournal = writeJournal; // Offline queue for inserts (lib/db/writeJournal.js)
+        this.portFilter = portFilter;
+        this.portStore = portStore;
+        this.profiles = SerialProfiles.fromConfig(this.config);
+        this.frameParser = getParser(this.config.dataType, this.config);
+        this.modbusMaster = this.config.modbus ? new ModbusMaster(this) : null;
+        // Acknowledgements are lines, so binary devices take no commands
+        this.commands = this.frameParser.binary ? null : new SerialCommandQueue(this, this.config.commands);
         this.arduinoPort = null;
         this.parser = null;
         this.isConnecting = false;
@@ -43,6 +68,9 @@ class SerialCommunicator {
         this.lastDataReceived = Date.now();
         this.currentPortPath = null;            // Track current connected port
         this.isConnectedToPotentialPort = false; // Track if connected to ideal port
+        this.currentProfile = null;             // Profile the current port was picked by
+        this.currentPortInfo = null;            // SerialPort.list() entry of the current port
+        this.goodPortRecorded = false;          // Current port saved as last known good
 
         // Connection states
         this.connectionStates = {
@@ -63,6 +91,9 @@ class SerialCommunicator {
     // Get current connection status
     getStatus() {
         return {
+            deviceId: this.config.deviceId,
+            configuredPort: this.config.portPath,
+            match: this.config.match,
             state: this.currentState,
             isConnected: this.isConnected(),
             port: this.getPortInfo(),
@@ -71,7 +102,10 @@ class SerialCommunicator {
             autoReconnect: this.config.autoReconnect,
             lastDataReceived: this.lastDataReceived,
             isConnectedToPotentialPort: this.isConnectedToPotentialPort,
-            currentPortPath: this.currentPortPath
+            currentPortPath: this.currentPortPath,
+            profile: this.currentProfile ? this.currentProfile.name : null,
+            modbus: this.modbusMaster ? this.modbusMaster.getStatus() : null,
+            commands: this.commands ? this.commands.getStatus() : null
         };
     }
 
@@ -149,37 +183,22 @@ class SerialCommunicator {
         }
     }
 
-    // Scan for better ports and switch if found
+    // Scan for better ports and switch if found. Only a port matching a profile of higher
+    // priority than the current port's is better; a configured portPath is never left.
     async _scanForBetterPort() {
-        // Don't scan if we're already connected to a potential port or if we're in the middle of connecting
-        if (this.isConnectedToPotentialPort || this.isConnecting || !this.isConnected()) {
+        if (this.config.portPath || this.isConnecting || !this.isConnected()) {
             return;
         }
 
         try {
             console.log('Scanning for better Arduino/ESP32 ports...');
             const ports = await SerialPort.list();
-
-            // Look for potential ports
-            const potentialPorts = ports.filter(p => {
-                const manufacturer = (p.manufacturer || '').toLowerCase();
-                const vendorId = p.vendorId;
-
-                return manufacturer.includes('arduino') ||
-                    manufacturer.includes('esp32') ||
-                    manufacturer.includes('silicon labs') ||
-                    manufacturer.includes('ch340') ||
-                    manufacturer.includes('ftdi') ||
-                    manufacturer.includes('prolific') ||
-                    vendorId === '10C4' || // Silicon Labs
-                    vendorId === '1A86' || // CH340
-                    vendorId === '0403' || // FTDI
-                    vendorId === '2341';   // Arduino
-            });
+            const potentialPorts = this._candidatePorts(ports);
+            const current = potentialPorts.find(candidate => candidate.port.path === this.currentPortPath);
 
             // Check if we found a potential port that's different from current
-            if (potentialPorts.length > 0) {
-                const bestPotentialPort = potentialPorts[0].path;
+            if (potentialPorts.length > 0 && (!current || potentialPorts[0].profile.priority > current.profile.priority)) {
+                const bestPotentialPort = potentialPorts[0].port.path;
 
                 if (bestPotentialPort !== this.currentPortPath) {
                     console.log(`Better port detected: ${bestPotentialPort} (current: ${this.currentPortPath})`);
@@ -192,7 +211,7 @@ class SerialCommunicator {
                         timestamp: new Date().toISOString()
                     });
 
-                    await this._switchToPort(bestPotentialPort);
+                    await this._switchToPort(bestPotentialPort, potentialPorts[0]);
                 }
             }
         } catch (error) {
@@ -201,7 +220,7 @@ class SerialCommunicator {
     }
 
     // Switch to a new port
-    async _switchToPort(newPortPath) {
+    async _switchToPort(newPortPath, candidate = null) {
         try {
             console.log(`Switching from ${this.currentPortPath} to ${newPortPath}`);
             this._setState(this.connectionStates.SWITCHING_PORTS, `Switching to better port: ${newPortPath}`);
@@ -210,7 +229,7 @@ class SerialCommunicator {
             await this._closeConnection();
 
             // Connect to new port
-            await this._connectToPort(newPortPath);
+            await this._connectToPort(newPortPath, candidate);
 
             this._sendToRenderer('serial-port-switched', {
                 oldPort: this.currentPortPath,
@@ -275,31 +294,21 @@ class SerialCommunicator {
                 productId: p.productId
             })));
 
-            // Look for common Arduino/ESP32 identifiers
-            const potentialPorts = ports.filter(p => {
-                const manufacturer = (p.manufacturer || '').toLowerCase();
-                const vendorId = p.vendorId;
-
-                return manufacturer.includes('arduino') ||
-                    manufacturer.includes('esp32') ||
-                    manufacturer.includes('silicon labs') ||
-                    manufacturer.includes('ch340') ||
-                    manufacturer.includes('ftdi') ||
-                    manufacturer.includes('prolific') ||
-                    vendorId === '10C4' || // Silicon Labs
-                    vendorId === '1A86' || // CH340
-                    vendorId === '0403' || // FTDI
-                    vendorId === '2341';   // Arduino
-            });
+            // Ranked by profile priority, then the last known good port (common Arduino/ESP32
+            // identifiers when the device has no profiles)
+            const potentialPorts = this._candidatePorts(ports);
+            const freePorts = ports.filter(p => this._mayUsePort(p.path));
 
             if (potentialPorts.length > 0) {
-                console.log('Found potential Arduino/ESP32 ports:', potentialPorts);
-                this.isConnectedToPotentialPort = true;
-                await this._connectToPort(potentialPorts[0].path);
-            } else if (ports.length > 0) {
+                const best = potentialPorts[0];
+                console.log('Found potential Arduino/ESP32 ports:', potentialPorts.map(candidate => candidate.port.path));
+                console.log(`Using ${best.port.path} (profile ${best.profile.name}${best.remembered ? ', last known good port' : ''})`);
+                await this._connectToPort(best.port.path, best);
+            } else if (!this.profiles.isDefault) {
+                throw new Error(`No free serial port matches the profiles of device '${this.config.deviceId}'`);
+            } else if (freePorts.length > 0) {
                 console.log('No obvious Arduino/ESP32 ports found, trying first available port...');
-                this.isConnectedToPotentialPort = false;
-                await this._connectToPort(ports[0].path);
+                await this._connectToPort(freePorts[0].path);
             } else {
                 throw new Error('No serial ports available');
             }
@@ -309,7 +318,28 @@ class SerialCommunicator {
         }
     }
 
-    async _connectToPort(portPath) {
+    // Ports matching the device's profiles (lib/com/serialProfiles.js) as [{ port, profile }],
+    // best first; ports of other devices are left out
+    _candidatePorts(ports) {
+        return this.profiles.rank(
+            ports.filter(p => this._mayUsePort(p.path)),
+            profileName => this.portStore ? this.portStore.get(this.config.deviceId, profileName) : null
+        );
+    }
+
+    _mayUsePort(portPath) {
+        return !this.portFilter || this.portFilter(portPath);
+    }
+
+    // The first data on a port picked by a profile makes it that profile's last known good port
+    _rememberGoodPort() {
+        if (this.goodPortRecorded || !this.portStore || !this.currentProfile) return;
+        this.goodPortRecorded = true;
+        this.portStore.remember(this.config.deviceId, this.currentProfile.name, this.currentPortInfo);
+    }
+
+    // candidate: the { port, profile } entry of _candidatePorts() the port was picked from
+    async _connectToPort(portPath, candidate = null) {
         return new Promise((resolve, reject) => {
             console.log(`Attempting to connect: ${portPath} @ ${this.config.baudRate} baud.`);
             this._setState(this.connectionStates.CONNECTING, `Connecting to ${portPath}...`);
@@ -338,19 +368,25 @@ class SerialCommunicator {
                 clearTimeout(connectionTimeout);
                 console.log(`Port ${portPath} opened successfully.`);
                 this.currentPortPath = portPath;
+                this.currentProfile = candidate ? candidate.profile : null;
+                this.currentPortInfo = candidate ? candidate.port : { path: portPath };
+                this.isConnectedToPotentialPort = !!candidate;
+                this.goodPortRecorded = false;
                 this._setState(this.connectionStates.CONNECTED, `Connected to ${portPath}`);
                 this.reconnectAttempts = 0;
                 this.lastDataReceived = Date.now();
 
                 // Set up parser after successful connection
-                this.parser = this.arduinoPort.pipe(new ReadlineParser({
-                    delimiter: this.config.lineDelimiter
-                }));
+                this.parser = this.arduinoPort.pipe(this._createFramer());
                 this.parser.on('data', data => this._handleData(data));
 
                 // Start connection monitoring
                 this._startConnectionMonitoring();
 
+                if (this.modbusMaster) {
+                    this.modbusMaster.start();
+                }
+
                 resolve();
             });
 
@@ -381,8 +417,15 @@ class SerialCommunicator {
                 this.parser = null;
                 this.currentPortPath = null;
                 this.isConnectedToPotentialPort = false;
+                this.currentProfile = null;
                 this._stopConnectionMonitoring();
                 this._stopPortScanning();
+                if (this.modbusMaster) {
+                    this.modbusMaster.stop();
+                }
+                if (this.commands) {
+                    this.commands.failAll(`Connection lost: ${portPath}`);
+                }
 
                 // Attempt reconnection if not intentionally closed and auto-reconnect is enabled
                 if (this.config.autoReconnect && !this.isIntentionallyDisconnected) {
@@ -445,6 +488,9 @@ class SerialCommunicator {
     }
 
     _startConnectionMonitoring() {
+        // A port switch opens the new port without a disconnect in between
+        this._stopConnectionMonitoring();
+
         // Monitor connection health by checking for regular data
         this.connectionCheckInterval = setInterval(() => {
             const timeSinceLastData = Date.now() - this.lastDataReceived;
@@ -465,8 +511,17 @@ class SerialCommunicator {
     }
 
     async _closeConnection() {
+        if (this.modbusMaster) {
+            this.modbusMaster.stop();
+        }
+        if (this.commands) {
+            this.commands.failAll('Port closed');
+        }
         return new Promise((resolve) => {
             if (this.arduinoPort && this.arduinoPort.isOpen) {
+                // A deliberate close (switch, reconnect, disconnect) is not a lost connection;
+                // the 'close' handler would otherwise schedule a reconnect
+                this.arduinoPort.removeAllListeners('close');
                 this.arduinoPort.close(err => {
                     if (err) {
                         console.error('Error closing serial port:', err.message);
@@ -476,24 +531,41 @@ class SerialCommunicator {
                     this.arduinoPort = null;
                     this.parser = null;
                     this.currentPortPath = null;
+                    this.currentProfile = null;
                     resolve();
                 });
             } else {
                 this.arduinoPort = null;
                 this.parser = null;
                 this.currentPortPath = null;
+                this.currentProfile = null;
                 resolve();
             }
         });
     }
 
-    _handleData(rawString) {
-        const trimmedData = rawString.trim();
+    // Stream that splits the port's bytes into frames for the parser
+    _createFramer() {
+        if (this.frameParser.createFramer) {
+            return this.frameParser.createFramer(this.config, {
+                invalidFrame: (reason, bytes) => {
+                    console.warn(`Dropping invalid frame byte(s) (${reason}):`, bytes.toString('hex'));
+                    this._sendToRenderer('serial-port-error', `Frame Error: ${reason}`);
+                }
+            });
+        }
+        return new ReadlineParser({ delimiter: this.config.lineDelimiter });
+    }
+
+    _handleData(frame) {
+        const binary = !!this.frameParser.binary;
+        const trimmedData = binary ? frame.toString('hex') : frame.trim();
         this.lastDataReceived = Date.now();
+        this._rememberGoodPort();
 
         console.log('=== SERIAL DATA RECEIVED ===');
-        console.log('Raw data length:', rawString.length);
-        console.log('Raw data (with escapes):', JSON.stringify(rawString));
+        console.log('Raw data length:', frame.length);
+        console.log(binary ? 'Raw frame (hex):' : 'Raw data (with escapes):', binary ? trimmedData : JSON.stringify(frame));
         console.log('Trimmed data:', JSON.stringify(trimmedData));
         console.log('Data type config:', this.config.dataType);
         console.log('Line delimiter config:', JSON.stringify(this.config.lineDelimiter));
@@ -512,88 +584,24 @@ class SerialCommunicator {
             return;
         }
 
-        let parsedData, dataForDb = {};
-
-        try {
-            switch (this.config.dataType) {
-                case 'json-object':
-                    console.log('Attempting to parse as JSON object...');
-                    dataForDb = JSON.parse(trimmedData);
-                    console.log('Successfully parsed JSON object:', dataForDb);
-                    break;
-
-                case 'json-array':
-                    console.log('Attempting to parse as JSON array...');
-                    parsedData = JSON.parse(trimmedData);
-                    if (!Array.isArray(parsedData) || parsedData.length !== this.config.fieldMapping.length) {
-                        throw new Error(`Array data mismatch. Expected ${this.config.fieldMapping.length} items, got ${parsedData.length}`);
-                    }
-                    this.config.fieldMapping.forEach((field, i) => {
-                        dataForDb[field] = parsedData[i];
-                    });
-                    console.log('Successfully parsed JSON array:', dataForDb);
-                    break;
-
-                case 'csv':
-                    console.log('Attempting to parse as CSV...');
-                    parsedData = trimmedData.split(this.config.csvDelimiter);
-                    if (parsedData.length !== this.config.fieldMapping.length) {
-                        throw new Error(`CSV data mismatch. Expected ${this.config.fieldMapping.length} items, got ${parsedData.length}`);
-                    }
-                    this.config.fieldMapping.forEach((field, i) => {
-                        const val = parsedData[i].trim();
-                        dataForDb[field] = !isNaN(parseFloat(val)) && isFinite(val) && val !== '' ? Number(val) : val;
-                    });
-                    console.log('Successfully parsed CSV:', dataForDb);
-                    break;
-
-                case 'raw':
-                    console.log('Storing as raw data...');
-                    dataForDb = { raw_data: trimmedData, timestamp: new Date().toISOString() };
-                    console.log('Raw data stored:', dataForDb);
-                    break;
-
-                default:
-                    throw new Error(`Unsupported dataType: ${this.config.dataType}`);
-            }
+        // Acknowledgements of commands sent with sendCommand()
+        if (this.commands && this.commands.handleLine(trimmedData)) {
+            return;
+        }
 
-            console.log('=== DATA PROCESSING ===');
-            console.log('Processed Data (before validation):', dataForDb);
-            console.log('Required fields:', this.config.requiredFields);
-            console.log('DB table name:', this.config.dbTableName);
-            console.log('DB instance exists:', !!this.db);
-            console.log('=======================');
-
-            // Validate required fields
-            if (this.config.requiredFields.length > 0) {
-                console.log('Validating required fields...');
-                for (const field of this.config.requiredFields) {
-                    const fieldValue = dataForDb[field];
-                    const isEmpty = fieldValue === undefined || fieldValue === null || String(fieldValue).trim() === '';
-                    console.log(`Field '${field}': value=${fieldValue}, isEmpty=${isEmpty}`);
-
-                    if (isEmpty) {
-                        console.warn(`Data missing required field '${field}', skipping database insert`);
-                        return;
-                    }
-                }
-                console.log('All required fields validated successfully');
-            } else {
-                console.log('No required fields to validate');
-            }
+        // In Modbus master mode frames are responses to our own polls
+        if (this.modbusMaster) {
+            this.modbusMaster.handleFrame(frame);
+            return;
+        }
 
-            // Save to Database
-            if (this.config.dbTableName && this.db) {
-                console.log('Proceeding to save to database...');
-                this._saveToDatabase(dataForDb);
-            } else {
-                console.log('Database save skipped:', {
-                    hasTableName: !!this.config.dbTableName,
-                    hasDB: !!this.db,
-                    tableName: this.config.dbTableName
-                });
-            }
+        try {
+            const parsed = this.frameParser.parse(binary ? frame : trimmedData, this.config);
+            console.log(`Successfully parsed ${this.config.dataType}:`, parsed);
 
+            // A parser may return several rows for one frame, or none
+            const rows = parsed === null || parsed === undefined ? [] : Array.isArray(parsed) ? parsed : [parsed];
+            rows.forEach(row => this._storeRow(row));
         } catch (err) {
             console.error('=== DATA HANDLING ERROR ===');
             console.error('Error message:', err.message);
@@ -607,29 +615,72 @@ class SerialCommunicator {
         }
     }
 
-    _saveToDatabase(dataForDb) {
-        let dataToInsert = { ...dataForDb };
-
-        // Handle encryption if configured
-        if (this.db.encrypt && this.config.fieldsToEncrypt && this.config.fieldsToEncrypt.length > 0) {
-            console.log('Encrypting fields:', this.config.fieldsToEncrypt);
-            for (const field of this.config.fieldsToEncrypt) {
-                if (dataToInsert.hasOwnProperty(field) && dataToInsert[field] !== null && dataToInsert[field] !== undefined) {
-                    try {
-                        dataToInsert[field] = this.db.encrypt(String(dataToInsert[field]));
-                        console.log(`Field '${field}' encrypted.`);
-                    } catch (encError) {
-                        console.error(`Error encrypting field '${field}':`, encError);
-                        this._sendToRenderer('serial-port-error', `Encryption Error for ${field}: ${encError.message}`);
-                    }
+    // Validate a parsed row and save it
+    _storeRow(dataForDb) {
+        console.log('=== DATA PROCESSING ===');
+        console.log('Processed Data (before validation):', dataForDb);
+        console.log('Required fields:', this.config.requiredFields);
+        console.log('DB table name:', this.config.dbTableName);
+        console.log('DB instance exists:', !!this.db);
+        console.log('=======================');
+
+        // Validate required fields
+        if (this.config.requiredFields.length > 0) {
+            console.log('Validating required fields...');
+            for (const field of this.config.requiredFields) {
+                const fieldValue = dataForDb[field];
+                const isEmpty = fieldValue === undefined || fieldValue === null || String(fieldValue).trim() === '';
+                console.log(`Field '${field}': value=${fieldValue}, isEmpty=${isEmpty}`);
+
+                if (isEmpty) {
+                    console.warn(`Data missing required field '${field}', skipping database insert`);
+                    return;
                 }
             }
+            console.log('All required fields validated successfully');
+        } else {
+            console.log('No required fields to validate');
+        }
+
+        // Save to Database
+        if (this.config.dbTableName && this.db) {
+            console.log('Proceeding to save to database...');
+            this._saveToDatabase(dataForDb);
+        } else {
+            console.log('Database save skipped:', {
+                hasTableName: !!this.config.dbTableName,
+                hasDB: !!this.db,
+                tableName: this.config.dbTableName
+            });
         }
+    }
+
+    _saveToDatabase(dataForDb) {
+        // Encryption is applied by the database driver's encryption policy
+        const dataToInsert = { ...dataForDb };
 
         console.log('Data for DB (final):', dataToInsert);
 
-        this.db.postData(this.config.dbTableName, dataToInsert)
+        // Recorded in the audit log as serial ingest from this port
+        const options = { source: 'serial', clientId: this.currentPortPath };
+
+        // The write journal queues the reading when the database is unreachable
+        const insert = this.writeJournal
+            ? this.writeJournal.write(this.config.dbTableName, dataToInsert, options)
+            : this.db.postData(this.config.dbTableName, dataToInsert, options);
+
+        insert
             .then(res => {
+                if (res.queued) {
+                    console.warn(`DB unavailable, reading queued for ${this.config.dbTableName}: ${res.journalId}`);
+                    this._sendToRenderer('database-insert-queued', {
+                        table: this.config.dbTableName,
+                        journalId: res.journalId,
+                        data: dataForDb,
+                        port: this.currentPortPath
+                    });
+                    return;
+                }
                 console.log(`DB Insert successful (${this.config.dbTableName}): ID ${res.insertId}`);
                 this._sendToRenderer('database-insert-success', {
                     table: this.config.dbTableName,
@@ -666,6 +717,26 @@ class SerialCommunicator {
         }
     }
 
+    // Send a command and wait for the device to acknowledge it (lib/com/serialCommands.js).
+    // Resolves with { id, command, result, attempts, durationMs }.
+    sendCommand(command, args = null, options = {}) {
+        if (!this.commands) {
+            return Promise.reject(new Error(`Commands need a text dataType, not '${this.config.dataType}'`));
+        }
+        return this.commands.send(command, args, options);
+    }
+
+    // Write bytes as they are (no line delimiter); resolves once the port has taken them
+    writeBytes(bytes) {
+        return new Promise((resolve, reject) => {
+            if (!this.isConnected()) {
+                reject(new Error('Port not connected'));
+                return;
+            }
+            this.arduinoPort.write(bytes, err => err ? reject(err) : resolve());
+        });
+    }
+
     // Get connection status
     isConnected() {
         return this.arduinoPort && this.arduinoPort.isOpen;
@@ -707,8 +778,9 @@ class SerialCommunicator {
     }
 
     _sendToRenderer(channel, data) {
+        // The device id follows the payload, so listeners can tell devices apart
         if (this.mainWindow && this.mainWindow.webContents) {
-            this.mainWindow.webContents.send(channel, data);
+            this.mainWindow.webContents.send(channel, data, this.config.deviceId);
         }
     }
 
@@ -0,0 +1,59 @@
+// lib/com/serialPortStore.js
+// Last known good port per device and profile (lib/com/serialProfiles.js), kept in a JSON file
+// (SERIAL_PORT_STATE_PATH) so that a restart picks the same board again when several match.
+// A port is recorded once it has delivered data, with the identifiers that survive renumbering.
+const fs = require('fs');
+const path = require('path');
+
+class SerialPortStore {
+    constructor(filename) {
+        this.filename = path.resolve(filename);
+        this.ports = {}; // 'deviceId/profile' -> { path, serialNumber, pnpId, vendorId, productId, lastSeen }
+        this._load();
+    }
+
+    static fromEnv() {
+        return new SerialPortStore(process.env.SERIAL_PORT_STATE_PATH || path.join(process.cwd(), 'data', 'serial-ports.json'));
+    }
+
+    get(deviceId, profileName) {
+        return this.ports[`${deviceId}/${profileName}`] || null;
+    }
+
+    remember(deviceId, profileName, port) {
+        this.ports[`${deviceId}/${profileName}`] = {
+            path: port.path,
+            serialNumber: port.serialNumber || null,
+            pnpId: port.pnpId || null,
+            vendorId: port.vendorId || null,
+            productId: port.productId || null,
+            lastSeen: new Date().toISOString()
+        };
+        this._save();
+    }
+
+    _load() {
+        try {
+            if (fs.existsSync(this.filename)) {
+                this.ports = JSON.parse(fs.readFileSync(this.filename, 'utf8')) || {};
+            }
+        } catch (error) {
+            console.error(`Ignoring unreadable serial port state ${this.filename}:`, error.message);
+            this.ports = {};
+        }
+    }
+
+    // Written to a temporary file first, so a crash never leaves a half-written file
+    _save() {
+        try {
+            fs.mkdirSync(path.dirname(this.filename), { recursive: true });
+            const tempFile = `${this.filename}.tmp`;
+            fs.writeFileSync(tempFile, JSON.stringify(this.ports, null, 2));
+            fs.renameSync(tempFile, this.filename);
+        } catch (error) {
+            console.error(`Could not save serial port state ${this.filename}:`, error.message);
+        }
+    }
+}
+
+module.exports = SerialPortStore;
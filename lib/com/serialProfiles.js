@@ -0,0 +1,94 @@
+// lib/com/serialProfiles.js
+// Port profiles of a serial device: which ports it may use and which it prefers.
+//
+// A profile lists vendorId, productId, serialNumber, pnpId and/or manufacturer; a port matches
+// when every listed identifier equals the port's (case-insensitively; manufacturer is a
+// substring). Ports are ranked by the priority of the best profile they match (higher first),
+// then the last port that delivered data for that profile (lib/com/serialPortStore.js), then
+// path, so the choice does not depend on the order the OS lists ports in.
+//
+// Devices without profiles use DEFAULT_PROFILES, the common Arduino/ESP32 USB-serial chips.
+
+const IDENTIFIERS = ['vendorId', 'productId', 'serialNumber', 'pnpId'];
+
+const DEFAULT_PROFILES = [
+    { name: 'arduino', vendorId: '2341' },
+    { name: 'arduino', manufacturer: 'arduino' },
+    { name: 'esp32', manufacturer: 'esp32' },
+    { name: 'silicon-labs', vendorId: '10C4' },
+    { name: 'silicon-labs', manufacturer: 'silicon labs' },
+    { name: 'ch340', vendorId: '1A86' },
+    { name: 'ch340', manufacturer: 'ch340' },
+    { name: 'ftdi', vendorId: '0403' },
+    { name: 'ftdi', manufacturer: 'ftdi' },
+    { name: 'prolific', manufacturer: 'prolific' }
+];
+
+class SerialProfiles {
+    // profiles: [{ name, priority, vendorId, productId, serialNumber, pnpId, manufacturer }]
+    constructor(profiles, { isDefault = false } = {}) {
+        this.isDefault = isDefault;
+        this.profiles = profiles.map((profile, index) => {
+            if (![...IDENTIFIERS, 'manufacturer'].some(key => profile[key])) {
+                throw new Error(`Serial profile '${profile.name || index}' needs ${IDENTIFIERS.join(', ')} or manufacturer`);
+            }
+            return { ...profile, name: profile.name || `profile-${index + 1}`, priority: Number(profile.priority) || 0 };
+        });
+    }
+
+    // The device's `profiles`, its `match` (shorthand for a single profile), or the defaults
+    static fromConfig(config) {
+        if (Array.isArray(config.profiles) && config.profiles.length > 0) {
+            return new SerialProfiles(config.profiles);
+        }
+        if (config.match) {
+            return new SerialProfiles([{ name: 'match', ...config.match }]);
+        }
+        return new SerialProfiles(DEFAULT_PROFILES, { isDefault: true });
+    }
+
+    // The highest-priority profile port matches, or null
+    match(port) {
+        let best = null;
+        for (const profile of this.profiles) {
+            if (SerialProfiles.matches(port, profile) && (!best || profile.priority > best.priority)) {
+                best = profile;
+            }
+        }
+        return best;
+    }
+
+    // [{ port, profile }] for the ports matching a profile, best first. lastGood(profileName)
+    // returns the port remembered for a profile, or null.
+    rank(ports, lastGood = () => null) {
+        return ports
+            .map(port => ({ port, profile: this.match(port) }))
+            .filter(candidate => candidate.profile)
+            .map(candidate => ({ ...candidate, remembered: SerialProfiles.samePort(candidate.port, lastGood(candidate.profile.name)) }))
+            .sort((a, b) => (b.profile.priority - a.profile.priority) ||
+                (Number(b.remembered) - Number(a.remembered)) ||
+                String(a.port.path).localeCompare(String(b.port.path)));
+    }
+
+    static matches(port, profile) {
+        const same = key => String(port[key] || '').toLowerCase() === String(profile[key]).toLowerCase();
+        return IDENTIFIERS.every(key => !profile[key] || same(key)) &&
+            (!profile.manufacturer || String(port.manufacturer || '').toLowerCase().includes(String(profile.manufacturer).toLowerCase()));
+    }
+
+    // A remembered port is recognized by its serial number or pnpId first, since paths change
+    // when ports are renumbered
+    static samePort(port, remembered) {
+        if (!remembered) return false;
+        for (const key of ['serialNumber', 'pnpId']) {
+            if (remembered[key] && port[key]) {
+                return String(remembered[key]).toLowerCase() === String(port[key]).toLowerCase();
+            }
+        }
+        return remembered.path === port.path;
+    }
+}
+
+SerialProfiles.DEFAULT_PROFILES = DEFAULT_PROFILES;
+
+module.exports = SerialProfiles;
@@ -2,9 +2,11 @@
 const WebSocket = require('ws');
 const crypto = require('crypto');
 const EventEmitter = require('events');
+const { hasPermission, PERMISSIONS, OPEN_ROLE } = require('../auth/permissions');
+const { validate } = require('../validation/validator');
 
 class WebSocketHandler extends EventEmitter {
-    constructor(config, dbInstance, windowInstance) {
+    constructor(config, dbInstance, windowInstance, sessionManager = null, writeJournal = null) {
         super();
         
         this.config = {
@@ -12,6 +14,8 @@ class WebSocketHandler extends EventEmitter {
             host: '0.0.0.0',
             enableAuthentication: false,
             authToken: null,
+            defaultRole: OPEN_ROLE, // Role of every client while authentication is disabled
+            authTokenRole: 'device', // Role granted by the shared authToken
             dbTableName: 'sensors_data',
             requiredFields: [],
             fieldsToEncrypt: [],
@@ -19,6 +23,7 @@ class WebSocketHandler extends EventEmitter {
             heartbeatInterval: 30000, // 30 seconds
             maxConnections: 100, // Increased for general apps
             enableDataValidation: true,
+            validationSchemas: {}, // dataType -> schema, overrides the built-in schemas
             logLevel: 'info',
             
             // New general-purpose features
@@ -36,7 +41,13 @@ class WebSocketHandler extends EventEmitter {
         };
 
         this.db = dbInstance;
+        // fieldsToEncrypt joins the database encryption policy, which encrypts them on write
+        if (this.db && this.db.registerEncryptedFields) {
+            this.db.registerEncryptedFields(this.config.dbTableName, this.config.fieldsToEncrypt);
+        }
         this.mainWindow = windowInstance;
+        this.sessionManager = sessionManager; // Verifies user session tokens from the REST API
+        this.writeJournal = writeJournal; // Offline queue for inserts (lib/db/writeJournal.js)
         this.server = null;
         this.clients = new Map();
         this.isRunning = false;
@@ -46,6 +57,7 @@ class WebSocketHandler extends EventEmitter {
         this.pendingRequests = new Map(); // For request-response pattern
         this.subscriptions = new Map(); // For pub-sub pattern
         this.rpcMethods = new Map(); // For RPC methods
+        this.rpcPermissions = new Map(); // RPC method -> required permission
         this.streams = new Map(); // For streaming data
         
         // Generate auth token if authentication is enabled but no token provided
@@ -216,6 +228,9 @@ class WebSocketHandler extends EventEmitter {
             connectedAt: new Date(),
             lastHeartbeat: new Date(),
             isAuthenticated: !this.config.enableAuthentication,
+            role: this.config.enableAuthentication ? null : this.config.defaultRole,
+            user: null,
+            sessionToken: null, // user session token, checked again on every gated message
             dataReceived: 0,
             lastDataTime: null,
             clientType: 'unknown', // Will be set during handshake
@@ -432,24 +447,31 @@ class WebSocketHandler extends EventEmitter {
             return;
         }
 
-        if (message.token === this.config.authToken) {
+        const identity = this._resolveIdentity(message.token);
+
+        if (identity) {
             clientData.isAuthenticated = true;
-            this._log('info', `Client ${clientData.id} authenticated successfully`);
+            clientData.role = identity.role;
+            clientData.user = identity.user;
+            clientData.sessionToken = identity.user ? message.token : null;
+            this._log('info', `Client ${clientData.id} authenticated successfully as ${identity.role}`);
             
             this._sendToClient(ws, {
                 type: 'auth_response',
                 success: true,
                 message: 'Authentication successful',
+                role: identity.role,
                 timestamp: new Date().toISOString()
             });
 
             this._sendToRenderer('websocket-client-authenticated', {
                 clientId: clientData.id,
                 ip: clientData.ip,
+                role: identity.role,
                 timestamp: new Date().toISOString()
             });
 
-            this.emit('client-authenticated', { clientId: clientData.id });
+            this.emit('client-authenticated', { clientId: clientData.id, role: identity.role });
         } else {
             this._log('warn', `Authentication failed for client ${clientData.id}`);
             
@@ -468,6 +490,62 @@ class WebSocketHandler extends EventEmitter {
         }
     }
 
+    // Map an auth token to a role: the shared device token, or a user session token
+    _resolveIdentity(token) {
+        if (!token) return null;
+
+        if (this.config.authToken && token === this.config.authToken) {
+            return { role: this.config.authTokenRole, user: null };
+        }
+
+        if (this.sessionManager) {
+            try {
+                const user = this.sessionManager.authenticate(token);
+                return { role: user.role, user };
+            } catch (error) {
+                this._log('debug', `Session token rejected: ${error.message}`);
+            }
+        }
+        return null;
+    }
+
+    // The client's role now: a user session that has ended or expired since the client
+    // authenticated leaves it unauthenticated, and a role change to the session applies
+    _currentRole(clientData) {
+        if (!clientData.sessionToken) {
+            return clientData.role;
+        }
+        try {
+            const user = this.sessionManager.authenticate(clientData.sessionToken);
+            clientData.role = user.role;
+            clientData.user = user;
+        } catch (error) {
+            this._log('info', `Session of client ${clientData.id} is no longer valid: ${error.message}`);
+            clientData.isAuthenticated = false;
+            clientData.role = null;
+            clientData.user = null;
+            clientData.sessionToken = null;
+        }
+        return clientData.role;
+    }
+
+    // Check a client's role against a permission and report a refusal to the client
+    _isAllowed(ws, clientData, permission, replyType, requestId = null) {
+        if (hasPermission(this._currentRole(clientData), permission)) {
+            return true;
+        }
+
+        this._log('warn', `Client ${clientData.id} (${clientData.role || 'unauthenticated'}) denied '${permission}'`);
+        this._sendToClient(ws, {
+            type: replyType,
+            requestId,
+            success: false,
+            error: `Permission denied: ${permission}`,
+            timestamp: new Date().toISOString()
+        });
+        return false;
+    }
+
     // Handle sensor data (legacy support for microcontrollers)
     _handleSensorData(ws, clientData, message) {
         // This maintains backward compatibility
@@ -489,16 +567,22 @@ class WebSocketHandler extends EventEmitter {
             return;
         }
 
+        if (!this._isAllowed(ws, clientData, PERMISSIONS.DATA_WRITE, 'data_response', message.requestId)) {
+            return;
+        }
+
         try {
             const data = message.data || message.payload || message;
             const dataType = message.dataType || 'general';
             
             // Validate data if enabled
-            if (this.config.enableDataValidation && !this._validateData(data, dataType)) {
+            const validation = this.config.enableDataValidation ? this._validateData(data, dataType) : { valid: true };
+            if (!validation.valid) {
                 this._sendToClient(ws, {
                     type: 'data_response',
                     success: false,
                     message: 'Data validation failed',
+                    errors: validation.errors,
                     requestId: message.requestId,
                     timestamp: new Date().toISOString()
                 });
@@ -581,6 +665,8 @@ class WebSocketHandler extends EventEmitter {
             requestId,
             endpoint,
             data,
+            role: this._currentRole(clientData),
+            user: clientData.user,
             respond: (responseData, error = null) => {
                 this._sendToClient(ws, {
                     type: 'response',
@@ -704,6 +790,10 @@ class WebSocketHandler extends EventEmitter {
         
         if (this.rpcMethods.has(method)) {
             const rpcMethod = this.rpcMethods.get(method);
+
+            if (!this._isAllowed(ws, clientData, this.rpcPermissions.get(method), 'rpc_response', requestId)) {
+                return;
+            }
             
             try {
                 const result = rpcMethod(params, clientData);
@@ -895,15 +985,17 @@ class WebSocketHandler extends EventEmitter {
         return publishCount;
     }
 
-    // Register RPC method
-    registerRPCMethod(methodName, handler) {
+    // Register RPC method (permission: required role permission, null = open to all clients)
+    registerRPCMethod(methodName, handler, permission = null) {
         this.rpcMethods.set(methodName, handler);
+        this.rpcPermissions.set(methodName, permission);
         this._log('info', `RPC method registered: ${methodName}`);
     }
 
     // Unregister RPC method
     unregisterRPCMethod(methodName) {
         this.rpcMethods.delete(methodName);
+        this.rpcPermissions.delete(methodName);
         this._log('info', `RPC method unregistered: ${methodName}`);
     }
 
@@ -1003,90 +1095,85 @@ class WebSocketHandler extends EventEmitter {
         return null;
     }
 
-    // Validate data based on type
+    // Validate data based on type, returns { valid, errors }
     _validateData(data, dataType) {
         if (!data || typeof data !== 'object') {
-            return false;
+            return { valid: false, errors: { data: ['data must be an object'] } };
         }
 
-        // Type-specific validation
-        switch (dataType) {
-            case 'sensor':
-                // Legacy sensor data validation
-                return this._validateSensorData(data);
-            
-            case 'application':
-                // Application data validation
-                return this._validateApplicationData(data);
-            
-            case 'service':
-                // Service data validation
-                return this._validateServiceData(data);
-            
-            default:
-                // General validation - check required fields
-                return this._validateSensorData(data); // Fallback to sensor validation
+        const result = validate(data, this._getValidationSchema(dataType));
+        if (!result.valid) {
+            this._log('warn', `Validation failed for ${dataType} data:`, result.errors);
         }
+        return result;
     }
 
-    // Validate sensor data (existing method)
-    _validateSensorData(data) {
-        if (!data || typeof data !== 'object') {
-            return false;
-        }
-
-        // Check required fields
-        for (const field of this.config.requiredFields) {
-            if (data[field] === undefined || data[field] === null || String(data[field]).trim() === '') {
-                this._log('warn', `Missing required field: ${field}`);
-                return false;
-            }
+    // Schema for a data type: configured schemas first, then the built-in ones
+    _getValidationSchema(dataType) {
+        if (this.config.validationSchemas[dataType]) {
+            return this.config.validationSchemas[dataType];
         }
 
-        return true;
-    }
+        switch (dataType) {
+            case 'application':
+                return {
+                    payload: { requiredWithout: 'data', message: 'Application data must have payload or data field' }
+                };
 
-    // Validate application data
-    _validateApplicationData(data) {
-        // Application-specific validation logic
-        if (!data.hasOwnProperty('payload') && !data.hasOwnProperty('data')) {
-            this._log('warn', 'Application data must have payload or data field');
-            return false;
-        }
-        return true;
-    }
+            case 'service':
+                return {
+                    service: { required: true },
+                    operation: { required: true }
+                };
 
-    // Validate service data
-    _validateServiceData(data) {
-        // Service-specific validation logic
-        if (!data.hasOwnProperty('service') || !data.hasOwnProperty('operation')) {
-            this._log('warn', 'Service data must have service and operation fields');
-            return false;
+            default:
+                // Sensor and general data only need the configured required fields
+                return Object.fromEntries(this.config.requiredFields.map(field => [field, { required: true }]));
         }
-        return true;
     }
 
     // Save data to database (enhanced)
     async _saveToDatabase(data, ws, clientData, requestId = null) {
         try {
-            let dataToInsert = { ...data };
-
-            // Handle encryption if configured
-            if (this.db.encrypt && this.config.fieldsToEncrypt && this.config.fieldsToEncrypt.length > 0) {
-                for (const field of this.config.fieldsToEncrypt) {
-                    if (dataToInsert.hasOwnProperty(field) && dataToInsert[field] !== null && dataToInsert[field] !== undefined) {
-                        try {
-                            dataToInsert[field] = this.db.encrypt(String(dataToInsert[field]));
-                            this._log('debug', `Field '${field}' encrypted`);
-                        } catch (encError) {
-                            this._log('error', `Error encrypting field '${field}': ${encError.message}`);
-                        }
-                    }
-                }
+            // Encryption is applied by the database driver's encryption policy
+            const dataToInsert = { ...data };
+
+            // Written for the client's user when it authenticated, else for the client id
+            const options = { actor: clientData.user || clientData.id, source: 'websocket', clientId: clientData.id };
+
+            // The write journal queues the data when the database is unreachable
+            const result = this.writeJournal
+                ? await this.writeJournal.write(this.config.dbTableName, dataToInsert, options)
+                : await this.db.postData(this.config.dbTableName, dataToInsert, options);
+
+            if (result.queued) {
+                this._log('warn', `Database unavailable, data queued for ${this.config.dbTableName}: ${result.journalId}`);
+
+                this._sendToClient(ws, {
+                    type: 'data_response',
+                    success: true,
+                    queued: true,
+                    journalId: result.journalId,
+                    requestId: requestId,
+                    timestamp: new Date().toISOString()
+                });
+
+                this._sendToRenderer('websocket-database-queued', {
+                    clientId: clientData.id,
+                    table: this.config.dbTableName,
+                    journalId: result.journalId,
+                    data: data,
+                    timestamp: new Date().toISOString()
+                });
+
+                this.emit('database-queued', {
+                    clientId: clientData.id,
+                    journalId: result.journalId,
+                    data: data
+                });
+                return;
             }
 
-            const result = await this.db.postData(this.config.dbTableName, dataToInsert);
-            
             this._log('info', `Data saved to database (${this.config.dbTableName}): ID ${result.insertId}`);
 
             // Send success response to client
@@ -1225,7 +1312,7 @@ class WebSocketHandler extends EventEmitter {
             },
             uptime: this.isRunning ? Date.now() - (this.startTime || Date.now()) : 0,
             connections: this.connectionCount
-        }));
+        }), PERMISSIONS.DASHBOARD_READ);
 
         // Get server stats
         this.registerRPCMethod('server.stats', () => ({
@@ -1233,11 +1320,12 @@ class WebSocketHandler extends EventEmitter {
             activeStreams: this.streams.size,
             activeSubscriptions: this.subscriptions.size,
             pendingRequests: this.pendingRequests.size,
+            queuedWrites: this.writeJournal ? this.writeJournal.getStatus().pending : 0,
             uptime: this.isRunning ? Date.now() - (this.startTime || Date.now()) : 0
-        }));
+        }), PERMISSIONS.DASHBOARD_READ);
 
         // List topics
-        this.registerRPCMethod('pubsub.topics', () => Array.from(this.subscriptions.keys()));
+        this.registerRPCMethod('pubsub.topics', () => Array.from(this.subscriptions.keys()), PERMISSIONS.DASHBOARD_READ);
 
         // List active streams
         this.registerRPCMethod('streams.list', () => {
@@ -1251,7 +1339,7 @@ class WebSocketHandler extends EventEmitter {
                 });
             }
             return streamList;
-        });
+        }, PERMISSIONS.DASHBOARD_READ);
 
         // Echo method for testing
         this.registerRPCMethod('echo', (params) => params);
@@ -1265,6 +1353,7 @@ class WebSocketHandler extends EventEmitter {
             clientType: client.clientType,
             connectedAt: client.connectedAt,
             isAuthenticated: client.isAuthenticated,
+            role: client.role,
             dataReceived: client.dataReceived,
             lastDataTime: client.lastDataTime,
             subscriptions: Array.from(client.subscriptions),
@@ -1303,6 +1392,7 @@ class WebSocketHandler extends EventEmitter {
             topics: topicsInfo,
             streams: streamsInfo,
             pendingRequests: this.pendingRequests.size,
+            databaseQueue: this.writeJournal ? this.writeJournal.getStatus() : null,
             rpcMethods: Array.from(this.rpcMethods.keys()),
             uptime: this.isRunning ? Date.now() - (this.startTime || Date.now()) : 0
         };
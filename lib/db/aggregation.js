@@ -0,0 +1,215 @@
+// lib/db/aggregation.js
+// Time-bucket aggregation shared by the drivers: option parsing, and the in-memory
+// aggregation used by Firebase and by SQL tables whose columns are encrypted.
+//
+// Options:
+//     bucket:    'minute', 'hour', 'day' or a multiple such as '15m', '6h', '7d' (optional)
+//     timeField: column the buckets are taken from (default created_at)
+//     metrics:   { ph_reading: ['avg', 'max'] }, ['avg(ph_reading)', ...] or 'avg(ph_reading),...'
+//     groupBy:   column or columns, e.g. 'device_id'
+// Result rows: { bucket, device_id, count, ph_reading_avg, ph_reading_max, ... } ordered by
+// bucket, then group. bucket is the ISO start of the bucket (UTC); empty buckets are omitted.
+const FUNCTIONS = ['avg', 'min', 'max', 'sum', 'count'];
+const UNITS = { m: 60, minute: 60, h: 3600, hour: 3600, d: 86400, day: 86400 };
+const IDENTIFIER = /^\w+$/;
+
+function parseBucket(bucket) {
+    if (bucket === null || bucket === undefined || bucket === '') return null;
+    const match = String(bucket).trim().match(/^(\d*)\s*(m|minute|h|hour|d|day)s?$/i);
+    const size = match ? parseInt(match[1] || '1', 10) : 0;
+    if (!match || size <= 0) {
+        throw new Error(`Invalid bucket '${bucket}'. Use minute, hour, day or a multiple such as 15m, 6h, 7d`);
+    }
+    return size * UNITS[match[2].toLowerCase()];
+}
+
+// -> [{ column, fn, alias }]
+function parseMetrics(metrics) {
+    const pairs = [];
+    if (typeof metrics === 'string') {
+        metrics = metrics.split(',').map(metric => metric.trim()).filter(Boolean);
+    }
+    if (Array.isArray(metrics)) {
+        for (const metric of metrics) {
+            const match = String(metric).match(/^(\w+)\((\w+)\)$/);
+            if (!match) {
+                throw new Error(`Invalid metric '${metric}'. Use function(column), e.g. avg(ph_reading)`);
+            }
+            pairs.push([match[2], match[1]]);
+        }
+    } else if (metrics && typeof metrics === 'object') {
+        for (const [column, fns] of Object.entries(metrics)) {
+            for (const fn of Array.isArray(fns) ? fns : [fns]) {
+                pairs.push([column, fn]);
+            }
+        }
+    }
+
+    return pairs.map(([column, fn]) => {
+        fn = String(fn).toLowerCase();
+        if (!FUNCTIONS.includes(fn)) {
+            throw new Error(`Unknown aggregate function '${fn}'. Use one of: ${FUNCTIONS.join(', ')}`);
+        }
+        assertIdentifier(column);
+        return { column, fn, alias: `${column}_${fn}` };
+    });
+}
+
+// Validate and normalize aggregate options; column names end up in SQL, so only \w+ is accepted
+function normalizeAggregateOptions(options = {}) {
+    const timeField = options.timeField || 'created_at';
+    const groupBy = typeof options.groupBy === 'string'
+        ? options.groupBy.split(',').map(column => column.trim()).filter(Boolean)
+        : (options.groupBy || []);
+    assertIdentifier(timeField);
+    groupBy.forEach(assertIdentifier);
+
+    const bucketSeconds = parseBucket(options.bucket);
+    const metrics = parseMetrics(options.metrics);
+    if (bucketSeconds === null && groupBy.length === 0 && metrics.length === 0) {
+        throw new Error('Specify a bucket, groupBy columns or metrics to aggregate');
+    }
+    return { bucketSeconds, timeField, groupBy, metrics };
+}
+
+function assertIdentifier(column) {
+    if (typeof column !== 'string' || !IDENTIFIER.test(column)) {
+        throw new Error(`Invalid column name '${column}'`);
+    }
+}
+
+// Start of the bucket holding value (a Date, ISO string or ms timestamp), in ms; null if no date
+function bucketStart(value, bucketSeconds) {
+    const time = value instanceof Date ? value.getTime() : (typeof value === 'number' ? value : Date.parse(value));
+    if (!Number.isFinite(time)) return null;
+    const size = bucketSeconds * 1000;
+    return Math.floor(time / size) * size;
+}
+
+function toNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+// Builder for db.aggregate(tableName, options): options.where holds equality filters
+// ({ device_id: 'probe-1' }), options.from / options.to bound the time field
+function buildAggregateQuery(db, tableName, options = {}) {
+    assertIdentifier(tableName);
+    const query = db.table(tableName);
+    const timeField = options.timeField || 'created_at';
+    if (options.where && Object.keys(options.where).length > 0) {
+        Object.keys(options.where).forEach(assertIdentifier);
+        query.where(options.where);
+    }
+    if (options.from && options.to) {
+        query.whereBetween(timeField, options.from, options.to);
+    } else if (options.from) {
+        query.where(timeField, '>=', options.from);
+    } else if (options.to) {
+        query.where(timeField, '<=', options.to);
+    }
+    return query;
+}
+
+// In-memory aggregation over rows fed with add(); non-numeric values are ignored by the metrics
+class Aggregator {
+    constructor(options) {
+        this.options = options;
+        this.groups = new Map();
+    }
+
+    add(row) {
+        const { bucketSeconds, timeField, groupBy, metrics } = this.options;
+        let bucket = null;
+        if (bucketSeconds !== null) {
+            bucket = bucketStart(row[timeField], bucketSeconds);
+            if (bucket === null) return;
+        }
+
+        const keyValues = groupBy.map(column => row[column] === undefined ? null : row[column]);
+        const key = JSON.stringify([bucket, ...keyValues]);
+        let group = this.groups.get(key);
+        if (!group) {
+            group = { bucket, keyValues, count: 0, metrics: metrics.map(() => ({ count: 0, sum: 0, min: null, max: null })) };
+            this.groups.set(key, group);
+        }
+
+        group.count++;
+        metrics.forEach((metric, index) => {
+            const value = toNumber(row[metric.column]);
+            if (value === null) return;
+            const state = group.metrics[index];
+            state.count++;
+            state.sum += value;
+            state.min = state.min === null ? value : Math.min(state.min, value);
+            state.max = state.max === null ? value : Math.max(state.max, value);
+        });
+    }
+
+    addAll(rows) {
+        rows.forEach(row => this.add(row));
+        return this;
+    }
+
+    results() {
+        const { bucketSeconds, groupBy, metrics } = this.options;
+        const rows = Array.from(this.groups.values()).map(group => {
+            const row = {};
+            if (bucketSeconds !== null) {
+                row.bucket = new Date(group.bucket).toISOString();
+            }
+            groupBy.forEach((column, index) => { row[column] = group.keyValues[index]; });
+            row.count = group.count;
+            metrics.forEach((metric, index) => {
+                const state = group.metrics[index];
+                if (metric.fn === 'count') {
+                    row[metric.alias] = state.count;
+                } else if (state.count === 0) {
+                    row[metric.alias] = null;
+                } else {
+                    row[metric.alias] = metric.fn === 'avg' ? state.sum / state.count : state[metric.fn];
+                }
+            });
+            return row;
+        });
+        return sortResults(rows, this.options);
+    }
+}
+
+// Rows from a SQL aggregate query: numbers back from DECIMAL strings, bucket as ISO string
+function formatSqlResults(rows, options) {
+    const formatted = rows.map(row => {
+        const result = {};
+        if (options.bucketSeconds !== null) {
+            result.bucket = new Date(Number(row.bucket) * 1000).toISOString();
+        }
+        options.groupBy.forEach(column => { result[column] = row[column]; });
+        result.count = Number(row.count);
+        options.metrics.forEach(metric => { result[metric.alias] = toNumber(row[metric.alias]); });
+        return result;
+    });
+    return sortResults(formatted, options);
+}
+
+function sortResults(rows, options) {
+    const columns = [...(options.bucketSeconds !== null ? ['bucket'] : []), ...options.groupBy];
+    return rows.sort((a, b) => {
+        for (const column of columns) {
+            if (a[column] === b[column]) continue;
+            if (a[column] === null || a[column] === undefined) return -1;
+            if (b[column] === null || b[column] === undefined) return 1;
+            return a[column] < b[column] ? -1 : 1;
+        }
+        return 0;
+    });
+}
+
+module.exports = {
+    FUNCTIONS,
+    Aggregator,
+    bucketStart,
+    buildAggregateQuery,
+    normalizeAggregateOptions,
+    formatSqlResults
+};
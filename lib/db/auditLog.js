@@ -0,0 +1,265 @@
+// lib/db/auditLog.js
+// The audit_log table: one row per changed record, written by AuditedDB (lib/db/auditedDB.js)
+// in the same transaction as the change itself.
+//
+// A row holds created_at, source (rest, ipc, websocket, serial, retention or system), actor_id /
+// actor_name (the user, or a WebSocket client id), client_id (WebSocket client, serial port or
+// REST caller address), table_name, operation (insert, update, delete, restore, retention),
+// record_id and the record as JSON before and after the change (null for the side that does not
+// exist). Tables are audited unless their config/tables.js entry has `audit: false`;
+// `audit: { redact: ['password'] }` stores those columns as '[redacted]'.
+const ModelPolicy = require('./modelPolicy');
+
+const AUDIT_TABLE = 'audit_log';
+const REDACTED = '[redacted]';
+const CSV_COLUMNS = ['id', 'created_at', 'source', 'actor_id', 'actor_name', 'client_id',
+    'table_name', 'operation', 'record_id', 'before_data', 'after_data'];
+const FILTER_COLUMNS = {
+    table: 'table_name',
+    operation: 'operation',
+    source: 'source',
+    actor: 'actor_id',
+    client: 'client_id',
+    record: 'record_id'
+};
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+const SCAN_BATCH = 1000;
+
+class AuditLog {
+    // db: the driver the entries are read and written with (not the AuditedDB around it)
+    // tables: config/tables.js entries; `audit` decides whether and how a table is audited
+    // options.type: the database type; Firebase entries are read by key (see query)
+    constructor(db, tables = {}, options = {}) {
+        this.db = db;
+        this.tableName = options.table || AUDIT_TABLE;
+        this.scanByKey = options.type === 'firebase';
+        this.tables = new Map(); // tableName -> { enabled, redact }
+        for (const [tableName, settings] of Object.entries(tables)) {
+            const audit = settings ? settings.audit : undefined;
+            if (audit === undefined) continue;
+            this.tables.set(tableName, {
+                enabled: audit !== false,
+                redact: audit && Array.isArray(audit.redact) ? audit.redact : []
+            });
+        }
+    }
+
+    // Build the log from config/tables.js
+    static fromConfig(db, options = {}) {
+        return new AuditLog(db, require('../../config/tables'), options);
+    }
+
+    // The audit table itself is never audited
+    isAudited(tableName) {
+        if (tableName === this.tableName) return false;
+        const settings = this.tables.get(tableName);
+        return !settings || settings.enabled;
+    }
+
+    // An audit_log row for one record. options: the write options of the change
+    // (actor, source, clientId); before / after: the record, or null
+    entry(tableName, operation, { recordId = null, before = null, after = null, options = {}, now } = {}) {
+        const actor = options.actor;
+        const actorId = ModelPolicy.actorId(actor);
+        return {
+            created_at: now,
+            source: options.source || 'system',
+            actor_id: actorId !== null ? String(actorId) : null,
+            actor_name: actor && typeof actor === 'object' ? (actor.username || null) : null,
+            client_id: options.clientId !== undefined && options.clientId !== null ? String(options.clientId) : null,
+            table_name: tableName,
+            operation,
+            record_id: recordId !== undefined && recordId !== null ? String(recordId) : null,
+            before_data: before ? JSON.stringify(this._redact(tableName, before)) : null,
+            after_data: after ? JSON.stringify(this._redact(tableName, after)) : null
+        };
+    }
+
+    // Insert entries with db, which is the transaction of the change when there is one
+    record(db, entries) {
+        if (entries.length === 0) {
+            return Promise.resolve({ affectedRows: 0, insertIds: [] });
+        }
+        return db.postMany(this.tableName, entries);
+    }
+
+    // One entry per table a retention run deleted rows from; after_data holds the run's counts
+    recordRetention(summary) {
+        if (summary.dryRun) {
+            return Promise.resolve({ affectedRows: 0, insertIds: [] });
+        }
+        const now = this.db._now();
+        const entries = summary.tables
+            .filter(result => result.deleted > 0 && result.table !== this.tableName)
+            .map(result => this.entry(result.table, 'retention', {
+                after: { cutoff: result.cutoff, windows: result.windows, deleted: result.deleted, rolledUp: result.rolledUp },
+                options: { source: 'retention' },
+                now
+            }));
+        return this.record(this.db, entries);
+    }
+
+    // Newest entries first. filters: table, operation, source, actor (actor_id), client
+    // (client_id), record (record_id), from / to (created_at, ISO strings), limit and cursor
+    // (the nextCursor of the previous page). before_data / after_data are returned parsed.
+    async query(filters = {}) {
+        const options = AuditLog.normalizeFilters(filters);
+        const rows = this.scanByKey ? await this._scan(options) : await this._select(options);
+        const page = rows.slice(0, options.limit).map(row => this._parseRow(row));
+        return {
+            rows: page,
+            nextCursor: rows.length > options.limit ? String(page[page.length - 1].id) : null
+        };
+    }
+
+    // Up to limit + 1 matching entries below the cursor, filtered and ordered by the database
+    _select(options) {
+        const query = this.db.table(this.tableName);
+        for (const [filter, column] of Object.entries(FILTER_COLUMNS)) {
+            if (options[filter] !== null) {
+                query.where(column, options[filter]);
+            }
+        }
+        // Bound in the form the database writes created_at (MySQL rejects ISO strings ending in 'Z')
+        if (options.from) {
+            query.where('created_at', '>=', this.db._timestamp(new Date(options.from)));
+        }
+        if (options.to) {
+            query.where('created_at', '<=', this.db._timestamp(new Date(options.to)));
+        }
+        if (options.cursor !== null) {
+            query.where('id', '<', options.cursor);
+        }
+
+        return query.orderBy('id', 'desc').limit(options.limit + 1).get();
+    }
+
+    // Firebase filters on one field and then sorts and limits on the client, so every page
+    // would download all matching entries. Entries are read newest first by key instead, in
+    // batches from the cursor, and filtered here until limit + 1 of them match.
+    async _scan(options) {
+        const matches = [];
+        let after = options.cursor;
+        for (;;) {
+            const batch = await this.db.getPage(this.tableName, { after, limit: SCAN_BATCH, descending: true });
+            for (const row of batch) {
+                if (this._matches(row, options)) {
+                    matches.push(row);
+                    if (matches.length > options.limit) return matches;
+                }
+            }
+            if (batch.length < SCAN_BATCH) return matches;
+            after = batch[batch.length - 1].id;
+        }
+    }
+
+    _matches(row, options) {
+        for (const [filter, column] of Object.entries(FILTER_COLUMNS)) {
+            if (options[filter] !== null && (row[column] === null || row[column] === undefined
+                || String(row[column]) !== options[filter])) {
+                return false;
+            }
+        }
+        const createdAt = new Date(row.created_at).getTime();
+        if (options.from && !(createdAt >= new Date(options.from).getTime())) return false;
+        if (options.to && !(createdAt <= new Date(options.to).getTime())) return false;
+        return true;
+    }
+
+    // Write every entry matching filters (limit and cursor aside) as CSV, page by page; each
+    // page continues from the previous one's cursor, so the log is read once
+    async exportCsv(filters = {}, write) {
+        write(CSV_COLUMNS.join(',') + '\r\n');
+        let cursor = null;
+        let count = 0;
+        do {
+            const page = await this.query({ ...filters, limit: MAX_LIMIT, cursor });
+            if (page.rows.length > 0) {
+                write(page.rows.map(row => AuditLog.toCsvLine(row)).join(''));
+            }
+            count += page.rows.length;
+            cursor = page.nextCursor;
+        } while (cursor !== null);
+        return count;
+    }
+
+    // Validated query options; throws on a bad date or limit
+    static normalizeFilters(filters = {}) {
+        const options = { limit: DEFAULT_LIMIT, cursor: null, from: null, to: null };
+        for (const filter of Object.keys(FILTER_COLUMNS)) {
+            const value = filters[filter];
+            options[filter] = value !== undefined && value !== null && value !== '' ? String(value) : null;
+        }
+        for (const bound of ['from', 'to']) {
+            if (filters[bound]) {
+                const date = new Date(filters[bound]);
+                if (isNaN(date.getTime())) {
+                    throw new Error(`'${bound}' must be a valid date or timestamp`);
+                }
+                options[bound] = date.toISOString();
+            }
+        }
+        if (filters.limit !== undefined && filters.limit !== null && filters.limit !== '') {
+            const limit = parseInt(filters.limit, 10);
+            if (!Number.isInteger(limit) || limit <= 0) {
+                throw new Error("'limit' must be a positive integer");
+            }
+            options.limit = Math.min(limit, MAX_LIMIT);
+        }
+        if (filters.cursor !== undefined && filters.cursor !== null && filters.cursor !== '') {
+            // SQL ids are numbers, Firebase keys strings
+            options.cursor = /^\d+$/.test(String(filters.cursor)) ? Number(filters.cursor) : String(filters.cursor);
+        }
+        return options;
+    }
+
+    static toCsvLine(row) {
+        return CSV_COLUMNS.map(column => AuditLog._csvValue(row[column])).join(',') + '\r\n';
+    }
+
+    // Quoted when needed; values starting with = + - @ get a leading ' so spreadsheets do not
+    // run them as formulas
+    static _csvValue(value) {
+        if (value === null || value === undefined) return '';
+        let text = value instanceof Date ? value.toISOString()
+            : typeof value === 'object' ? JSON.stringify(value) : String(value);
+        if (/^[=+\-@]/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    _parseRow(row) {
+        return {
+            ...row,
+            before_data: this._parseJson(row.before_data),
+            after_data: this._parseJson(row.after_data)
+        };
+    }
+
+    _parseJson(value) {
+        if (value === null || value === undefined || typeof value !== 'string') return value ?? null;
+        try {
+            return JSON.parse(value);
+        } catch (err) {
+            return value;
+        }
+    }
+
+    _redact(tableName, record) {
+        const settings = this.tables.get(tableName);
+        if (!settings || settings.redact.length === 0) return record;
+        const redacted = { ...record };
+        for (const column of settings.redact) {
+            if (redacted[column] !== undefined && redacted[column] !== null) {
+                redacted[column] = REDACTED;
+            }
+        }
+        return redacted;
+    }
+}
+
+AuditLog.TABLE = AUDIT_TABLE;
+
+module.exports = AuditLog;
@@ -0,0 +1,399 @@
+// lib/db/auditedDB.js
+// Driver wrapper that writes an audit_log entry (lib/db/auditLog.js) for every record it inserts,
+// updates or deletes, in the same transaction as the change: a change that cannot be audited is
+// not made.
+//
+// Who made the change comes from the write options: { actor, source, clientId } on postData,
+// postMany, postDataOnce, updateData and deleteData, and actingAs(actor, { source, clientId })
+// on the query builder. Updates and deletes read the matching rows first and then change
+// exactly those rows by id, so the entries hold each record as it was before and after.
+// The builder's limit() therefore applies to update() and delete() on every backend.
+//
+// Reads pass straight through. Statements sent with query()/raw() and Firebase node writes
+// (setNode) are not audited.
+
+// Builder methods that only describe the query; recorded and applied to the wrapped database
+const CHAIN_METHODS = [
+    'select', 'withEncryptedValues', 'where', 'whereIn', 'whereNotIn', 'whereBetween', 'whereNull',
+    'whereNotNull', 'whereLike', 'whereFilter', 'orWhere', 'orderBy', 'orderByDesc', 'orderByAsc', 'limit',
+    'take', 'skip', 'join', 'leftJoin', 'rightJoin', 'groupBy', 'having', 'withTrashed', 'onlyTrashed',
+    'actingAs'
+];
+// Left out when reading the rows a change applies to: the entries need whole, decrypted rows
+const READ_SKIPPED_METHODS = new Set(['select', 'withEncryptedValues']);
+// Rows changed per statement when updating or deleting by id
+const ID_CHUNK_SIZE = 500;
+
+class AuditQueryBuilder {
+    constructor(audited, tableName) {
+        this.audited = audited;
+        this.tableName = tableName;
+        this.calls = [];
+    }
+
+    get() {
+        return this._build(this.audited.db).get();
+    }
+
+    first() {
+        return this._build(this.audited.db).first();
+    }
+
+    count(field = '*') {
+        return this._build(this.audited.db).count(field);
+    }
+
+    exists() {
+        return this._build(this.audited.db).exists();
+    }
+
+    pluck(field) {
+        return this._build(this.audited.db).pluck(field);
+    }
+
+    aggregate(options = {}) {
+        return this._build(this.audited.db).aggregate(options);
+    }
+
+    update(data) {
+        if (!this.audited.auditLog.isAudited(this.tableName)) {
+            return this._build(this.audited.db).update(data);
+        }
+        return this.audited._changeRows(this.tableName, 'update', db => this._build(db, true).get(), data, this._options());
+    }
+
+    delete() {
+        if (!this.audited.auditLog.isAudited(this.tableName)) {
+            return this._build(this.audited.db).delete();
+        }
+        return this.audited._deleteRows(this.tableName, db => this._build(db, true).get(), this._options());
+    }
+
+    forceDelete() {
+        if (!this.audited.auditLog.isAudited(this.tableName)) {
+            return this._build(this.audited.db).forceDelete();
+        }
+        return this.audited._removeRows(this.tableName, db => this._build(db, true).get(), this._options());
+    }
+
+    restore() {
+        if (!this.audited.auditLog.isAudited(this.tableName)) {
+            return this._build(this.audited.db).restore();
+        }
+        const column = this.audited.modelPolicy.softDeleteColumn(this.tableName);
+        if (!column) {
+            return Promise.reject(new Error(`Table '${this.tableName}' does not use soft deletes`));
+        }
+        return this.audited._changeRows(this.tableName, 'restore', db => this._build(db, true).onlyTrashed().get(),
+            { [column]: null }, this._options());
+    }
+
+    // Write options from the last actingAs(actor, { source, clientId })
+    _options() {
+        const call = this.calls.filter(([method]) => method === 'actingAs').pop();
+        if (!call) return {};
+        const [actor = null, context = {}] = call[1];
+        return { ...context, actor };
+    }
+
+    // The same query on the wrapped database's builder
+    _build(db, forRead = false) {
+        let builder = db.table(this.tableName);
+        for (const [method, args] of this.calls) {
+            if (forRead && READ_SKIPPED_METHODS.has(method)) continue;
+            if (typeof builder[method] !== 'function') {
+                throw new Error(`${method}() is not supported by the ${this.tableName} query on this database`);
+            }
+            builder = builder[method](...args);
+        }
+        return builder;
+    }
+}
+
+for (const method of CHAIN_METHODS) {
+    AuditQueryBuilder.prototype[method] = function (...args) {
+        this.calls.push([method, args]);
+        return this;
+    };
+}
+
+class AuditedDB {
+    // db: driver or MirrorDB the changes are made on
+    // auditLog: AuditLog the entries are written to (with the same db)
+    constructor(db, auditLog) {
+        this.db = db;
+        this.auditLog = auditLog;
+        this.inTransaction = false;
+    }
+
+    get encryptionPolicy() {
+        return this.db.encryptionPolicy;
+    }
+
+    get cipher() {
+        return this.db.cipher;
+    }
+
+    get modelPolicy() {
+        return this.db.modelPolicy;
+    }
+
+    connect() {
+        return this.db.connect();
+    }
+
+    table(tableName) {
+        return new AuditQueryBuilder(this, tableName);
+    }
+
+    from(tableName) {
+        return this.table(tableName);
+    }
+
+    query(sql, params = []) {
+        return this.db.query(sql, params);
+    }
+
+    raw(sql, params = []) {
+        return this.db.raw(sql, params);
+    }
+
+    validate(data, rules) {
+        return this.db.validate(data, rules);
+    }
+
+    encrypt(text) {
+        return this.db.encrypt(text);
+    }
+
+    decrypt(encryptedText) {
+        return this.db.decrypt(encryptedText);
+    }
+
+    registerEncryptedFields(tableName, fields = []) {
+        this.db.registerEncryptedFields(tableName, fields);
+    }
+
+    // options: actor, source, clientId (see the top of this file)
+    postData(tableName, data = {}, options = {}) {
+        if (!this.auditLog.isAudited(tableName)) {
+            return this.db.postData(tableName, data, options);
+        }
+        return this.transaction(async trx => {
+            const now = trx.db._now();
+            const row = trx.modelPolicy.stampInsert(tableName, data, { now, actor: options.actor });
+            const result = await trx.db.postData(tableName, row, options);
+            await this._recordInserts(trx.db, tableName, [row], [result.insertId], options, now);
+            return result;
+        });
+    }
+
+    createWriteId(tableName) {
+        return this.db.createWriteId(tableName);
+    }
+
+    // A duplicate was audited when it was first stored
+    postDataOnce(tableName, data, writeId, options = {}) {
+        if (!this.auditLog.isAudited(tableName)) {
+            return this.db.postDataOnce(tableName, data, writeId, options);
+        }
+        return this.transaction(async trx => {
+            const now = trx.db._now();
+            const row = trx.modelPolicy.stampInsert(tableName, data, { now, actor: options.actor });
+            const result = await trx.db.postDataOnce(tableName, row, writeId, options);
+            if (!result.duplicate) {
+                await this._recordInserts(trx.db, tableName, [row], [result.insertId], options, now);
+            }
+            return result;
+        });
+    }
+
+    pruneWriteReceipts(olderThan) {
+        return typeof this.db.pruneWriteReceipts === 'function'
+            ? this.db.pruneWriteReceipts(olderThan)
+            : Promise.resolve();
+    }
+
+    isUnavailableError(err) {
+        return typeof this.db.isUnavailableError === 'function' && this.db.isUnavailableError(err);
+    }
+
+    postMany(tableName, rows = [], options = {}) {
+        if (!this.auditLog.isAudited(tableName) || rows.length === 0) {
+            return this.db.postMany(tableName, rows, options);
+        }
+        return this.transaction(async trx => {
+            const now = trx.db._now();
+            const stamped = rows.map(row => trx.modelPolicy.stampInsert(tableName, row, { now, actor: options.actor }));
+            const result = await trx.db.postMany(tableName, stamped, options);
+            await this._recordInserts(trx.db, tableName, stamped, result.insertIds, options, now);
+            return result;
+        });
+    }
+
+    // options.actor / source / clientId as for postData; options.withTrashed as on the drivers
+    updateData(tableName, data = {}, whereClause = '', whereParams = [], options = {}) {
+        if (!this.auditLog.isAudited(tableName)) {
+            return this.db.updateData(tableName, data, whereClause, whereParams, options);
+        }
+        return this._changeRows(tableName, 'update',
+            db => db.getDataWhere(tableName, whereClause, whereParams, options), data, options);
+    }
+
+    // Soft-delete tables get deleted_at set; options.force removes the rows instead
+    deleteData(tableName, whereClause = '', whereParams = [], options = {}) {
+        if (!this.auditLog.isAudited(tableName) || !whereClause) {
+            return this.db.deleteData(tableName, whereClause, whereParams, options);
+        }
+        const readRows = db => db.getDataWhere(tableName, whereClause, whereParams, options);
+        return options.force
+            ? this._removeRows(tableName, readRows, options)
+            : this._deleteRows(tableName, readRows, options);
+    }
+
+    getDataWhere(tableName, whereClause = '', whereParams = [], options = {}) {
+        return this.db.getDataWhere(tableName, whereClause, whereParams, options);
+    }
+
+    getDataByFilters(tableName, filters = {}, options = {}) {
+        return this.db.getDataByFilters(tableName, filters, options);
+    }
+
+    getAllUsers() {
+        return this.db.getAllUsers();
+    }
+
+    getPage(tableName, options = {}) {
+        return this.db.getPage(tableName, options);
+    }
+
+    findMany(tableName, ids = []) {
+        return this.db.findMany(tableName, ids);
+    }
+
+    aggregate(tableName, options = {}) {
+        return this.db.aggregate(tableName, options);
+    }
+
+    getNode(path) {
+        return this.db.getNode(path);
+    }
+
+    setNode(path, value) {
+        return this.db.setNode(path, value);
+    }
+
+    insertUser(name, email, options = {}) {
+        return this.postData('users', { name, email }, options);
+    }
+
+    // The wrapped database's transaction; the entries of the changes made inside are part of it
+    async transaction(callback) {
+        if (this.inTransaction) {
+            return callback(this);
+        }
+        return this.db.transaction(dbTrx => {
+            const trx = Object.create(this);
+            trx.db = dbTrx;
+            trx.inTransaction = true;
+            return callback(trx);
+        });
+    }
+
+    getMirrorStatus() {
+        return typeof this.db.getMirrorStatus === 'function' ? this.db.getMirrorStatus() : [];
+    }
+
+    async getConnectionInfo() {
+        return this.db.getConnectionInfo ? this.db.getConnectionInfo() : {};
+    }
+
+    close() {
+        return this.db.close();
+    }
+
+    _now() {
+        return this.db._now();
+    }
+
+    _timestamp(date) {
+        return this.db._timestamp(date);
+    }
+
+    // Update the rows readRows(db) returns, by id, and audit each as operation
+    _changeRows(tableName, operation, readRows, data, options = {}, now = null) {
+        if (Object.keys(data).length === 0) {
+            return Promise.reject(new Error('No data provided for update'));
+        }
+        return this.transaction(async trx => {
+            const before = await readRows(trx.db);
+            if (before.length === 0) {
+                return { affectedRows: 0 };
+            }
+            const stampedAt = now || trx.db._now();
+            const changes = trx.modelPolicy.stampUpdate(tableName, data, { now: stampedAt, actor: options.actor });
+            const affectedRows = await this._forIds(before, ids => trx.db.table(tableName)
+                .withTrashed()
+                .whereIn('id', ids)
+                .actingAs(options.actor || null)
+                .update(changes));
+            await this.auditLog.record(trx.db, before.map(row => this.auditLog.entry(tableName, operation, {
+                recordId: row.id, before: row, after: { ...row, ...changes }, options, now: stampedAt
+            })));
+            return { affectedRows };
+        });
+    }
+
+    // delete(): marks the rows deleted on a soft-delete table, removes them otherwise
+    _deleteRows(tableName, readRows, options = {}) {
+        const column = this.modelPolicy.softDeleteColumn(tableName);
+        if (!column) {
+            return this._removeRows(tableName, readRows, options);
+        }
+        const now = this._now();
+        return this._changeRows(tableName, 'delete', readRows, { [column]: now }, options, now);
+    }
+
+    _removeRows(tableName, readRows, options = {}) {
+        return this.transaction(async trx => {
+            const before = await readRows(trx.db);
+            if (before.length === 0) {
+                return { affectedRows: 0 };
+            }
+            const affectedRows = await this._forIds(before, ids => trx.db.table(tableName)
+                .withTrashed()
+                .whereIn('id', ids)
+                .forceDelete());
+            const now = trx.db._now();
+            await this.auditLog.record(trx.db, before.map(row => this.auditLog.entry(tableName, 'delete', {
+                recordId: row.id, before: row, options, now
+            })));
+            return { affectedRows };
+        });
+    }
+
+    // Run write(ids) for the ids of rows in chunks; returns the summed affectedRows
+    async _forIds(rows, write) {
+        const ids = rows.map(row => row.id);
+        let affectedRows = 0;
+        for (let index = 0; index < ids.length; index += ID_CHUNK_SIZE) {
+            const result = await write(ids.slice(index, index + ID_CHUNK_SIZE));
+            affectedRows += result.affectedRows || 0;
+        }
+        return affectedRows;
+    }
+
+    _recordInserts(db, tableName, rows, insertIds = [], options, now) {
+        return this.auditLog.record(db, rows.map((row, index) => {
+            const id = insertIds[index] !== undefined ? insertIds[index] : null;
+            return this.auditLog.entry(tableName, 'insert', {
+                recordId: id,
+                after: id !== null ? { ...row, id } : row,
+                options,
+                now
+            });
+        }));
+    }
+}
+
+module.exports = AuditedDB;
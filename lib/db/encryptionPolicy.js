@@ -0,0 +1,84 @@
+// lib/db/encryptionPolicy.js
+// Decides which columns of which tables are stored encrypted.
+
+class EncryptionPolicy {
+    constructor(tables = {}) {
+        this.tables = new Map(); // tableName -> Set of field names
+        for (const [tableName, settings] of Object.entries(tables)) {
+            this.addFields(tableName, (settings && settings.encrypt) || []);
+        }
+    }
+
+    // Build a policy from config/tables.js
+    static fromConfig() {
+        return new EncryptionPolicy(require('../../config/tables'));
+    }
+
+    addFields(tableName, fields = []) {
+        if (!tableName) return this;
+        if (!this.tables.has(tableName)) {
+            this.tables.set(tableName, new Set());
+        }
+        fields.filter(Boolean).forEach(field => this.tables.get(tableName).add(field));
+        return this;
+    }
+
+    getFields(tableName) {
+        return Array.from(this.tables.get(tableName) || []);
+    }
+
+    // Tables with at least one encrypted field
+    getTableNames() {
+        return Array.from(this.tables.keys()).filter(tableName => this.tables.get(tableName).size > 0);
+    }
+
+    isEncrypted(tableName, field) {
+        const fields = this.tables.get(tableName);
+        return !!fields && fields.has(field);
+    }
+
+    hasEncryptedFields() {
+        for (const fields of this.tables.values()) {
+            if (fields.size > 0) return true;
+        }
+        return false;
+    }
+
+    // Return a copy of row with the policy fields of tableName encrypted
+    encryptRow(tableName, row, encrypt) {
+        const fields = this.tables.get(tableName);
+        if (!fields || fields.size === 0 || !row) return { ...row };
+
+        const encryptedRow = { ...row };
+        for (const field of fields) {
+            if (encryptedRow[field] !== null && encryptedRow[field] !== undefined) {
+                encryptedRow[field] = encrypt(String(encryptedRow[field]));
+            }
+        }
+        return encryptedRow;
+    }
+
+    // Return a copy of row with the policy fields of tableName decrypted
+    decryptRow(tableName, row, decrypt) {
+        const fields = this.tables.get(tableName);
+        if (!fields || fields.size === 0 || !row || typeof row !== 'object') return row;
+
+        const decryptedRow = { ...row };
+        for (const field of fields) {
+            if (typeof decryptedRow[field] === 'string') {
+                decryptedRow[field] = this._restoreNumber(decrypt(decryptedRow[field]));
+            }
+        }
+        return decryptedRow;
+    }
+
+    // Values are encrypted as strings; give numbers back their type, but only when the
+    // round trip is exact so values like phone numbers keep their leading zeros
+    _restoreNumber(value) {
+        if (typeof value !== 'string' || value.trim() === '') return value;
+        const number = Number(value);
+        return Number.isFinite(number) && String(number) === value ? number : value;
+    }
+}
+
+module.exports = EncryptionPolicy;
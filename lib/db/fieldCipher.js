@@ -0,0 +1,167 @@
+// lib/db/fieldCipher.js
+// AES-256-GCM encryption of column values, shared by the MySQL and Firebase drivers.
+//
+// Stored format: gcm1:<keyId>:<iv hex>:<auth tag hex>:<ciphertext hex>
+// The key id lets several keys be active at once: new values are written with the active key,
+// older values stay readable with any configured key until scripts/reencrypt.js rewrites them.
+// Values in the previous AES-256-CBC format (<iv hex>:<ciphertext hex>) are still decrypted,
+// with the one key they were written with (legacyKeyId): CBC cannot tell a wrong key apart.
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const LEGACY_ALGORITHM = 'aes-256-cbc';
+const FORMAT_PREFIX = 'gcm1';
+const IV_LENGTH = 12;
+const KEY_ID_PATTERN = /^[\w-]+$/;
+const GCM_PATTERN = /^gcm1:([\w-]+):([0-9a-f]{24}):([0-9a-f]{32}):([0-9a-f]*)$/;
+const LEGACY_PATTERN = /^([0-9a-f]{32}):([0-9a-f]+)$/;
+const UTF8 = new TextDecoder('utf-8', { fatal: true });
+
+class EncryptionError extends Error {
+    constructor(message, keyId = null) {
+        super(message);
+        this.name = 'EncryptionError';
+        this.keyId = keyId;
+    }
+}
+
+class FieldCipher {
+    // keys: { keyId: secret }; activeKeyId: the key new values are encrypted with;
+    // legacyKeyId: the key of values in the old CBC format (default: the only key)
+    constructor({ keys = {}, activeKeyId = null, legacyKeyId = null } = {}) {
+        this.keys = new Map();
+        for (const [keyId, secret] of Object.entries(keys)) {
+            this.addKey(keyId, secret);
+        }
+        this.activeKeyId = activeKeyId || this.keys.keys().next().value || null;
+        this.legacyKeyId = legacyKeyId || (this.keys.size === 1 ? this.activeKeyId : null);
+
+        for (const keyId of [this.activeKeyId, legacyKeyId]) {
+            if (keyId && !this.keys.has(keyId)) {
+                throw new EncryptionError(`Encryption key '${keyId}' is not configured`, keyId);
+            }
+        }
+    }
+
+    // DB_ENCRYPTION_KEYS=id:secret,id:secret holds every key that may still be in use;
+    // DB_ENCRYPTION_KEY (with DB_ENCRYPTION_KEY_ID) is a single-key shorthand.
+    // DB_ENCRYPTION_ACTIVE_KEY picks the key for new values (default: the first one listed).
+    // DB_ENCRYPTION_LEGACY_KEY names the key of old CBC values (default: the DB_ENCRYPTION_KEY
+    // key, which is the one earlier versions used).
+    static fromEnv(env = process.env) {
+        const keys = {};
+        if (env.DB_ENCRYPTION_KEYS) {
+            for (const entry of env.DB_ENCRYPTION_KEYS.split(',').map(e => e.trim()).filter(Boolean)) {
+                const separator = entry.indexOf(':');
+                if (separator <= 0) {
+                    throw new EncryptionError(`DB_ENCRYPTION_KEYS entry '${entry}' must be written as keyId:secret`);
+                }
+                keys[entry.slice(0, separator)] = entry.slice(separator + 1);
+            }
+        }
+        if (env.DB_ENCRYPTION_KEY) {
+            keys[env.DB_ENCRYPTION_KEY_ID || 'default'] = env.DB_ENCRYPTION_KEY;
+        }
+        return new FieldCipher({
+            keys,
+            activeKeyId: env.DB_ENCRYPTION_ACTIVE_KEY || null,
+            legacyKeyId: env.DB_ENCRYPTION_LEGACY_KEY || (env.DB_ENCRYPTION_KEY ? env.DB_ENCRYPTION_KEY_ID || 'default' : null)
+        });
+    }
+
+    addKey(keyId, secret) {
+        if (!KEY_ID_PATTERN.test(keyId)) {
+            throw new EncryptionError(`Invalid encryption key id '${keyId}'`, keyId);
+        }
+        if (!secret) {
+            throw new EncryptionError(`Encryption key '${keyId}' is empty`, keyId);
+        }
+        this.keys.set(keyId, crypto.createHash('sha256').update(String(secret)).digest());
+    }
+
+    hasKeys() {
+        return this.keys.size > 0;
+    }
+
+    getActiveKeyId() {
+        return this.activeKeyId;
+    }
+
+    getKeyIds() {
+        return Array.from(this.keys.keys());
+    }
+
+    encrypt(text) {
+        if (text === null || typeof text === 'undefined') return text;
+        if (!this.activeKeyId) {
+            throw new EncryptionError('No encryption key is configured (set DB_ENCRYPTION_KEY or DB_ENCRYPTION_KEYS)');
+        }
+
+        const iv = crypto.randomBytes(IV_LENGTH);
+        const cipher = crypto.createCipheriv(ALGORITHM, this.keys.get(this.activeKeyId), iv);
+        const encrypted = Buffer.concat([cipher.update(String(text), 'utf8'), cipher.final()]);
+        return [FORMAT_PREFIX, this.activeKeyId, iv.toString('hex'), cipher.getAuthTag().toString('hex'), encrypted.toString('hex')].join(':');
+    }
+
+    // Values that are not in an encrypted format (e.g. written before the column was added to
+    // the policy) are returned unchanged; encrypted values that fail to decrypt throw.
+    decrypt(value) {
+        if (typeof value !== 'string') return value;
+
+        const match = value.match(GCM_PATTERN);
+        if (match) {
+            const [, keyId, iv, tag, data] = match;
+            const key = this.keys.get(keyId);
+            if (!key) {
+                throw new EncryptionError(`Value was encrypted with unknown key '${keyId}'`, keyId);
+            }
+            try {
+                const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'hex'));
+                decipher.setAuthTag(Buffer.from(tag, 'hex'));
+                return Buffer.concat([decipher.update(Buffer.from(data, 'hex')), decipher.final()]).toString('utf8');
+            } catch (error) {
+                throw new EncryptionError(`Value encrypted with key '${keyId}' failed authentication`, keyId);
+            }
+        }
+
+        if (LEGACY_PATTERN.test(value)) {
+            return this._decryptLegacy(value);
+        }
+        return value;
+    }
+
+    isEncrypted(value) {
+        return this.getKeyId(value) !== null;
+    }
+
+    // Key id of an encrypted value, 'legacy' for the old CBC format, null for plain values
+    getKeyId(value) {
+        if (typeof value !== 'string') return null;
+        const match = value.match(GCM_PATTERN);
+        if (match) return match[1];
+        return LEGACY_PATTERN.test(value) ? 'legacy' : null;
+    }
+
+    // True when a stored value is not yet encrypted with the active key
+    needsReencryption(value) {
+        if (value === null || typeof value === 'undefined') return false;
+        return this.getKeyId(value) !== this.activeKeyId;
+    }
+
+    // CBC has no key id or auth tag, and a wrong key unpads cleanly about once in 256 tries,
+    // so only the designated legacy key is used and the result must be valid UTF-8 text
+    _decryptLegacy(value) {
+        if (!this.legacyKeyId) {
+            throw new EncryptionError('Legacy encrypted value found, but no legacy key is set (DB_ENCRYPTION_LEGACY_KEY)', 'legacy');
+        }
+        const [iv, data] = value.split(':');
+        try {
+            const decipher = crypto.createDecipheriv(LEGACY_ALGORITHM, this.keys.get(this.legacyKeyId), Buffer.from(iv, 'hex'));
+            return UTF8.decode(Buffer.concat([decipher.update(Buffer.from(data, 'hex')), decipher.final()]));
+        } catch (error) {
+            throw new EncryptionError(`Legacy encrypted value could not be decrypted with key '${this.legacyKeyId}'`, 'legacy');
+        }
+    }
+}
+
+module.exports = { FieldCipher, EncryptionError };
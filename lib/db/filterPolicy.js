@@ -0,0 +1,84 @@
+// lib/db/filterPolicy.js
+// Which tables and columns callers outside the main process (the renderer over IPC) may read,
+// update and delete through structured filters (lib/db/filters.js). A table is reachable only
+// when its config/tables.js entry lists `filterable` columns; filters and orderBy may use those
+// columns and no others. Encrypted columns cannot be listed: each write uses a fresh IV, so SQL
+// could never match them.
+const { normalizeFilter, filterFields } = require('./filters');
+
+class FilterPolicy {
+    constructor(tables = {}) {
+        this.tables = new Map(); // tableName -> Set of filterable columns
+        for (const [tableName, settings] of Object.entries(tables)) {
+            if (!settings || !Array.isArray(settings.filterable)) continue;
+            const encrypted = settings.encrypt || [];
+            const columns = settings.filterable.filter(column => encrypted.includes(column));
+            if (columns.length > 0) {
+                throw new Error(`config/tables.js: ${tableName}.filterable lists encrypted columns (${columns.join(', ')})`);
+            }
+            this.tables.set(tableName, new Set(settings.filterable));
+        }
+    }
+
+    // Build a policy from config/tables.js
+    static fromConfig() {
+        return new FilterPolicy(require('../../config/tables'));
+    }
+
+    isAllowed(tableName) {
+        return this.tables.has(tableName);
+    }
+
+    // Filterable columns of tableName (empty for tables without the list)
+    columns(tableName) {
+        return Array.from(this.tables.get(tableName) || []);
+    }
+
+    // The normalized filter; throws when it is malformed or the table or a column is not allowed
+    check(tableName, filter) {
+        const columns = this._columns(tableName);
+        const normalized = normalizeFilter(filter);
+        for (const field of filterFields(normalized)) {
+            if (!columns.has(field)) {
+                throw new Error(`Column '${field}' of '${tableName}' cannot be used in filters`);
+            }
+        }
+        return normalized;
+    }
+
+    // Throws unless every column may be used to select or group rows of tableName
+    checkColumns(tableName, columns) {
+        const allowed = this._columns(tableName);
+        for (const column of columns) {
+            if (!allowed.has(column)) {
+                throw new Error(`Column '${column}' of '${tableName}' cannot be used in filters`);
+            }
+        }
+    }
+
+    // orderBy as 'column [asc|desc]' or { column, direction } -> { column, direction }
+    checkOrder(tableName, orderBy) {
+        const columns = this._columns(tableName);
+        let column;
+        let direction;
+        if (typeof orderBy === 'string') {
+            [column, direction] = orderBy.trim().split(/\s+/);
+        } else if (orderBy && typeof orderBy === 'object') {
+            ({ column, direction } = orderBy);
+        }
+        if (!columns.has(column)) {
+            throw new Error(`Cannot order '${tableName}' by '${column}'`);
+        }
+        return { column, direction: String(direction || 'desc').toLowerCase() === 'asc' ? 'asc' : 'desc' };
+    }
+
+    _columns(tableName) {
+        const columns = this.tables.get(tableName);
+        if (!columns) {
+            throw new Error(`Table '${tableName}' cannot be queried with filters`);
+        }
+        return columns;
+    }
+}
+
+module.exports = FilterPolicy;
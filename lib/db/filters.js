@@ -0,0 +1,147 @@
+// lib/db/filters.js
+// Structured filters, the form conditions take when they come from outside the main process
+// (the renderer over IPC). The query builders translate them with whereFilter(), so the same
+// filter runs on MySQL, SQLite and Firebase and no caller-supplied text reaches the SQL.
+//
+//   condition:  { field: 'device_id', operator: '=', value: 'esp32-1' }
+//   groups:     { and: [filter, ...] }, { or: [filter, ...] }; an array is an AND group
+//   shorthand:  { device_id: 'esp32-1', unit: 'C' } is an AND of equalities
+//
+// Operators: = != < <= > >= like in not-in between null not-null. `in` / `not-in` take a
+// non-empty array, `between` a [min, max] pair, `null` / `not-null` no value. Values are
+// strings, numbers, booleans, null (= and != only) or Dates (sent as ISO strings).
+// normalizeFilter returns the filter as { and | or: [...] } groups and { field, operator, value }
+// conditions, or throws when it is malformed.
+
+const OPERATORS = ['=', '!=', '<', '<=', '>', '>=', 'like', 'in', 'not-in', 'between', 'null', 'not-null'];
+const FIELD_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const MAX_DEPTH = 5;
+const MAX_CONDITIONS = 50;
+const MAX_LIST_VALUES = 500;
+
+function normalizeFilter(filter) {
+    const state = { conditions: 0 };
+    if (filter === null || filter === undefined) {
+        return { and: [] };
+    }
+    const normalized = normalizeNode(filter, 0, state);
+    return normalized.field !== undefined ? { and: [normalized] } : normalized;
+}
+
+function normalizeNode(node, depth, state) {
+    if (depth > MAX_DEPTH) {
+        throw new Error(`Filters may be nested at most ${MAX_DEPTH} levels deep`);
+    }
+    if (Array.isArray(node)) {
+        return { and: node.map(child => normalizeNode(child, depth + 1, state)) };
+    }
+    if (!isPlainObject(node)) {
+        throw new Error('A filter must be an object or an array of filters');
+    }
+
+    const keys = Object.keys(node);
+    if (keys.length === 1 && (keys[0] === 'and' || keys[0] === 'or')) {
+        const children = node[keys[0]];
+        if (!Array.isArray(children)) {
+            throw new Error(`'${keys[0]}' must be an array of filters`);
+        }
+        return { [keys[0]]: children.map(child => normalizeNode(child, depth + 1, state)) };
+    }
+    if ('field' in node && 'operator' in node) {
+        return normalizeCondition(node, state);
+    }
+    // Shorthand: every key is a column compared with '='
+    return {
+        and: keys.map(field => normalizeCondition({ field, operator: '=', value: node[field] }, state))
+    };
+}
+
+function normalizeCondition({ field, operator, value }, state) {
+    state.conditions += 1;
+    if (state.conditions > MAX_CONDITIONS) {
+        throw new Error(`A filter may have at most ${MAX_CONDITIONS} conditions`);
+    }
+    if (typeof field !== 'string' || !FIELD_PATTERN.test(field)) {
+        throw new Error(`Invalid filter field '${field}'`);
+    }
+    operator = typeof operator === 'string' ? operator.toLowerCase() : operator;
+    if (operator === '==') operator = '=';
+    if (operator === '<>') operator = '!=';
+    if (!OPERATORS.includes(operator)) {
+        throw new Error(`Unsupported filter operator '${operator}' on '${field}'`);
+    }
+
+    switch (operator) {
+        case 'null':
+        case 'not-null':
+            return { field, operator };
+        case 'in':
+        case 'not-in':
+            if (!Array.isArray(value) || value.length === 0 || value.length > MAX_LIST_VALUES) {
+                throw new Error(`'${operator}' on '${field}' needs an array of 1 to ${MAX_LIST_VALUES} values`);
+            }
+            return { field, operator, value: value.map(item => normalizeValue(field, item)) };
+        case 'between':
+            if (!Array.isArray(value) || value.length !== 2) {
+                throw new Error(`'between' on '${field}' needs a [min, max] pair`);
+            }
+            return { field, operator, value: value.map(item => normalizeValue(field, item)) };
+        case 'like':
+            if (typeof value !== 'string') {
+                throw new Error(`'like' on '${field}' needs a string pattern`);
+            }
+            return { field, operator, value };
+        case '=':
+        case '!=':
+            // = null / != null read as null / not-null, which SQL would otherwise never match
+            if (value === null || value === undefined) {
+                return { field, operator: operator === '=' ? 'null' : 'not-null' };
+            }
+            return { field, operator, value: normalizeValue(field, value) };
+        default:
+            if (value === null || value === undefined) {
+                throw new Error(`'${operator}' on '${field}' needs a value`);
+            }
+            return { field, operator, value: normalizeValue(field, value) };
+    }
+}
+
+function normalizeValue(field, value) {
+    if (value instanceof Date) {
+        if (isNaN(value.getTime())) {
+            throw new Error(`Invalid date in the filter on '${field}'`);
+        }
+        return value.toISOString();
+    }
+    if (typeof value === 'string' || typeof value === 'boolean' ||
+        (typeof value === 'number' && Number.isFinite(value))) {
+        return value;
+    }
+    throw new Error(`Filter values on '${field}' must be strings, numbers, booleans or dates`);
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+// Fields a normalized filter refers to
+function filterFields(filter, fields = new Set()) {
+    if (filter.field !== undefined) {
+        fields.add(filter.field);
+    } else {
+        (filter.and || filter.or).forEach(child => filterFields(child, fields));
+    }
+    return fields;
+}
+
+// True when a normalized filter has no conditions at all (update-data / delete-data refuse those)
+function isEmptyFilter(filter) {
+    return filterFields(filter).size === 0;
+}
+
+module.exports = {
+    OPERATORS,
+    normalizeFilter,
+    filterFields,
+    isEmptyFilter
+};
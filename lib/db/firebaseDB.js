@@ -1,21 +1,28 @@
 // lib/firebase.js
 const { initializeApp } = require("firebase/app");
-const { getDatabase, ref, push, set, get, update, remove, query, orderByChild, orderByKey, limitToFirst, limitToLast, equalTo, startAt, endAt } = require("firebase/database");
-const crypto = require('crypto');
-
-const ALGORITHM = 'aes-256-cbc';
-const SECRET_KEY = crypto.createHash('sha256').update(process.env.DB_ENCRYPTION_KEY || '').digest();
-const IV_LENGTH = 16;
+const { getDatabase, ref, push, get, update, onValue, query, orderByChild, orderByKey, limitToFirst, limitToLast, equalTo, startAt, startAfter, endAt, endBefore } = require("firebase/database");
+const { assertValid } = require('../validation/validator');
+const EncryptionPolicy = require('./encryptionPolicy');
+const ModelPolicy = require('./modelPolicy');
+const { FieldCipher } = require('./fieldCipher');
+const { Aggregator, buildAggregateQuery, normalizeAggregateOptions } = require('./aggregation');
+const { normalizeFilter } = require('./filters');
 
 class FirebaseQueryBuilder {
     constructor(database, tableName) {
         this.database = database;
         this.tableName = tableName;
-        this.filters = {};
+        this.filters = [];
+        this.filterGroups = []; // OR groups of whereFilter(), checked on the client
+        this.sorts = [];
         this.orderField = null;
         this.orderDirection = 'asc';
         this.limitCount = null;
         this.selectFields = null;
+        this.decryptRows = true;
+        this.trashed = 'exclude'; // soft-deleted rows: exclude | with | only
+        this.scopeApplied = false;
+        this.actor = null;
     }
 
     // SELECT methods
@@ -28,62 +35,124 @@ class FirebaseQueryBuilder {
         return this;
     }
 
+    // Return policy columns exactly as stored (used by scripts/reencrypt.js)
+    withEncryptedValues() {
+        this.decryptRows = false;
+        return this;
+    }
+
+    // Soft-deleted rows (tables with softDeletes in config/tables.js) are left out by default
+    withTrashed() {
+        this.trashed = 'with';
+        return this;
+    }
+
+    onlyTrashed() {
+        this.trashed = 'only';
+        return this;
+    }
+
+    // Caller written to created_by / updated_by (a user, or an id such as a WebSocket client id).
+    // A second argument ({ source, clientId }) is only read by the audit log (lib/db/auditedDB.js).
+    actingAs(actor) {
+        this.actor = actor;
+        return this;
+    }
+
     // WHERE methods
     where(field, operator = '=', value = null) {
         if (typeof field === 'object' && field !== null) {
             // Handle object syntax: where({name: 'John', age: 25})
-            Object.assign(this.filters, field);
+            for (const [key, val] of Object.entries(field)) {
+                this._addFilter(key, this._toCondition(val));
+            }
         } else if (arguments.length === 2) {
             // Handle where(field, value) syntax
-            this.filters[field] = { operator: '=', value: operator };
+            this._addFilter(field, { operator: '=', value: operator });
         } else {
             // Handle where(field, operator, value) syntax
-            this.filters[field] = { operator, value };
+            this._addFilter(field, { operator, value });
         }
         return this;
     }
 
     whereIn(field, values) {
         if (Array.isArray(values) && values.length > 0) {
-            this.filters[field] = { operator: 'in', value: values };
+            this._addFilter(field, { operator: 'in', value: values });
         }
         return this;
     }
 
     whereNotIn(field, values) {
         if (Array.isArray(values) && values.length > 0) {
-            this.filters[field] = { operator: 'not-in', value: values };
+            this._addFilter(field, { operator: 'not-in', value: values });
         }
         return this;
     }
 
     whereBetween(field, min, max) {
-        this.filters[field] = { operator: 'between', value: [min, max] };
+        this._addFilter(field, { operator: 'between', value: [min, max] });
         return this;
     }
 
     whereNull(field) {
-        this.filters[field] = { operator: 'null' };
+        this._addFilter(field, { operator: 'null' });
         return this;
     }
 
     whereNotNull(field) {
-        this.filters[field] = { operator: 'not-null' };
+        this._addFilter(field, { operator: 'not-null' });
         return this;
     }
 
     whereLike(field, pattern) {
-        this.filters[field] = { operator: 'like', value: pattern };
+        this._addFilter(field, { operator: 'like', value: pattern });
         return this;
     }
 
+    // Several conditions may target the same field (e.g. a range built from two where() calls)
+    _addFilter(field, condition) {
+        this.filters.push({ field, condition });
+    }
+
+    // A structured filter (lib/db/filters.js), ANDed with the other where conditions
+    whereFilter(filter) {
+        this._addFilterTree(normalizeFilter(filter));
+        return this;
+    }
+
+    // AND groups are flattened into plain filters, which the server query can use; OR groups
+    // are kept whole
+    _addFilterTree(filter) {
+        if (filter.field !== undefined) {
+            const { field, ...condition } = filter;
+            this._addFilter(field, condition);
+        } else if (filter.and) {
+            filter.and.forEach(child => this._addFilterTree(child));
+        } else {
+            this.filterGroups.push(filter);
+        }
+    }
+
+    // Plain values in object syntax compare like '=' (loosely, as MySQL does for '5' = 5)
+    _toCondition(value) {
+        if (value !== null && typeof value === 'object' && !Array.isArray(value) && 'operator' in value) {
+            return value;
+        }
+        return { operator: '=', value };
+    }
+
     orWhere(field, operator = '=', value = null) {
         // Firebase doesn't support OR queries directly, but we can simulate some cases
         // For now, we'll store OR conditions separately and handle them in filtering
         if (!this.orConditions) this.orConditions = [];
         
         if (typeof field === 'object' && field !== null) {
-            this.orConditions.push(field);
+            const orCondition = {};
+            for (const [key, val] of Object.entries(field)) {
+                orCondition[key] = this._toCondition(val);
+            }
+            this.orConditions.push(orCondition);
         } else if (arguments.length === 2) {
             this.orConditions.push({ [field]: { operator: '=', value: operator } });
         } else {
@@ -94,8 +163,13 @@ class FirebaseQueryBuilder {
 
     // ORDER BY methods
     orderBy(field, direction = 'ASC') {
-        this.orderField = field;
-        this.orderDirection = direction.toLowerCase() === 'desc' ? 'desc' : 'asc';
+        direction = direction.toLowerCase() === 'desc' ? 'desc' : 'asc';
+        // The first orderBy drives the Firebase query, later ones only break ties client-side
+        if (!this.orderField) {
+            this.orderField = field;
+            this.orderDirection = direction;
+        }
+        this.sorts.push({ field, direction });
         return this;
     }
 
@@ -126,41 +200,31 @@ class FirebaseQueryBuilder {
     // Execution methods
     async get() {
         try {
-            const dataRef = ref(this.database.db, this.tableName);
-            let firebaseQuery = dataRef;
-
-            // Apply ordering if specified
-            if (this.orderField) {
-                if (this.orderField === 'key' || this.orderField === '$key') {
-                    firebaseQuery = query(firebaseQuery, orderByKey());
-                } else {
-                    firebaseQuery = query(firebaseQuery, orderByChild(this.orderField));
-                }
+            this._applySoftDeleteScope();
+            const plan = this._planServerQuery();
+            const useServerLimit = this.limitCount && plan.exact && plan.sorted;
+            const snapshot = await get(this._buildServerQuery(plan, useServerLimit));
+            let data = this._readRows(snapshot);
+
+            // Conditions are checked again on the client; the server part only narrows the rows
+            if (!plan.exact) {
+                data = this._applyClientFilters(data);
             }
 
-            // Apply limit
-            if (this.limitCount) {
+            // Rows arrive in ascending order of the server field
+            if (plan.sorted) {
                 if (this.orderDirection === 'desc') {
-                    firebaseQuery = query(firebaseQuery, limitToLast(this.limitCount));
-                } else {
-                    firebaseQuery = query(firebaseQuery, limitToFirst(this.limitCount));
+                    data.reverse();
                 }
+            } else {
+                data.sort((a, b) => this._compareRows(a, b));
             }
-
-            const snapshot = await get(firebaseQuery);
-            
-            if (!snapshot.exists()) {
-                return [];
+            if (this.offsetCount && this.offsetCount > 0) {
+                data = data.slice(this.offsetCount);
+            }
+            if (this.limitCount) {
+                data = data.slice(0, this.limitCount);
             }
-
-            let data = [];
-            snapshot.forEach(childSnapshot => {
-                const item = this.database._decryptRow(childSnapshot.val());
-                data.push({ id: childSnapshot.key, ...item });
-            });
-
-            // Apply client-side filtering for complex conditions
-            data = this._applyClientFilters(data);
 
             // Apply field selection
             if (this.selectFields && Array.isArray(this.selectFields)) {
@@ -175,11 +239,6 @@ class FirebaseQueryBuilder {
                 });
             }
 
-            // Handle offset manually since Firebase doesn't support it directly
-            if (this.offsetCount && this.offsetCount > 0) {
-                data = data.slice(this.offsetCount);
-            }
-
             return data;
         } catch (error) {
             console.error("Firebase get error:", error);
@@ -193,9 +252,16 @@ class FirebaseQueryBuilder {
         return results.length > 0 ? results[0] : null;
     }
 
+    // The Realtime Database cannot count on the server, but the rows are narrowed there and
+    // only decrypted when some condition still has to be checked on the client
     async count(field = '*') {
-        const results = await this.get();
-        return results.length;
+        this._applySoftDeleteScope();
+        const plan = this._planServerQuery();
+        const snapshot = await get(this._buildServerQuery(plan, false));
+        if (plan.exact) {
+            return snapshot.size;
+        }
+        return this._applyClientFilters(this._readRows(snapshot)).length;
     }
 
     async exists() {
@@ -209,6 +275,14 @@ class FirebaseQueryBuilder {
         return results.map(row => row[field]);
     }
 
+    // Firebase cannot aggregate on the server: the matching rows are read as in get() (narrowed
+    // on the server) and aggregated in memory. Options: lib/db/aggregation.js
+    async aggregate(options = {}) {
+        const spec = normalizeAggregateOptions(options);
+        const rows = await this.get();
+        return new Aggregator(spec).addAll(rows).results();
+    }
+
     // UPDATE method
     async update(data) {
         if (Object.keys(data).length === 0) {
@@ -223,13 +297,17 @@ class FirebaseQueryBuilder {
                 return { affectedRows: 0 };
             }
 
-            const updatePromises = records.map(record => {
-                const recordRef = ref(this.database.db, `${this.tableName}/${record.id}`);
-                const encryptedData = this.database._encryptData(data);
-                return update(recordRef, encryptedData);
+            // One multi-path update, so every matching record changes or none does
+            const stamped = this.database._stampUpdate(this.tableName, data, this.actor);
+            const encryptedData = this.database._encryptRow(this.tableName, stamped);
+            const updates = {};
+            records.forEach(record => {
+                for (const [field, value] of Object.entries(encryptedData)) {
+                    updates[`${this.tableName}/${record.id}/${field}`] = value;
+                }
             });
 
-            await Promise.all(updatePromises);
+            await this.database._writePaths(updates);
             return { affectedRows: records.length };
         } catch (error) {
             console.error("Firebase update error:", error);
@@ -237,8 +315,18 @@ class FirebaseQueryBuilder {
         }
     }
 
-    // DELETE method
+    // DELETE method; on a soft-delete table the rows are marked deleted instead
     async delete() {
+        const column = this.database.modelPolicy.softDeleteColumn(this.tableName);
+        if (column) {
+            return this.update({ [column]: this.database._now() });
+        }
+        return this.forceDelete();
+    }
+
+    // Remove the rows even from a soft-delete table (only the ones in scope: add withTrashed()
+    // to include rows that are already soft-deleted)
+    async forceDelete() {
         try {
             // Get all matching records first
             const records = await this.get();
@@ -247,12 +335,12 @@ class FirebaseQueryBuilder {
                 return { affectedRows: 0 };
             }
 
-            const deletePromises = records.map(record => {
-                const recordRef = ref(this.database.db, `${this.tableName}/${record.id}`);
-                return remove(recordRef);
+            const updates = {};
+            records.forEach(record => {
+                updates[`${this.tableName}/${record.id}`] = null;
             });
 
-            await Promise.all(deletePromises);
+            await this.database._writePaths(updates);
             return { affectedRows: records.length };
         } catch (error) {
             console.error("Firebase delete error:", error);
@@ -260,22 +348,44 @@ class FirebaseQueryBuilder {
         }
     }
 
+    // Bring soft-deleted rows matching the where clauses back
+    async restore() {
+        const column = this.database.modelPolicy.softDeleteColumn(this.tableName);
+        if (!column) {
+            throw new Error(`Table '${this.tableName}' does not use soft deletes`);
+        }
+        return this.onlyTrashed().update({ [column]: null });
+    }
+
     // Raw query method (limited functionality in Firebase)
     raw(path, params = []) {
         console.warn("Raw queries are not supported in Firebase. Use Firebase-specific methods instead.");
         return Promise.resolve([]);
     }
 
+    // Add the soft-delete condition once, after the caller's filters so that one of theirs
+    // is preferred for the server query
+    _applySoftDeleteScope() {
+        const column = this.database.modelPolicy.softDeleteColumn(this.tableName);
+        if (!column || this.trashed === 'with' || this.scopeApplied) return;
+        this.scopeApplied = true;
+        this._addFilter(column, { operator: this.trashed === 'only' ? 'not-null' : 'null' });
+    }
+
     // Apply client-side filters
     _applyClientFilters(data) {
         return data.filter(item => {
             // Apply main filters
-            for (const [field, condition] of Object.entries(this.filters)) {
+            for (const { field, condition } of this.filters) {
                 if (!this._matchesCondition(item, field, condition)) {
                     return false;
                 }
             }
 
+            if (!this.filterGroups.every(group => this._matchesFilter(item, group))) {
+                return false;
+            }
+
             // Apply OR conditions if any
             if (this.orConditions && this.orConditions.length > 0) {
                 const orMatch = this.orConditions.some(orCondition => {
@@ -290,6 +400,203 @@ class FirebaseQueryBuilder {
         });
     }
 
+    // A normalized structured filter against one row
+    _matchesFilter(item, filter) {
+        if (filter.field !== undefined) {
+            return this._matchesCondition(item, filter.field, filter);
+        }
+        return filter.and
+            ? filter.and.every(child => this._matchesFilter(item, child))
+            : filter.or.some(child => this._matchesFilter(item, child));
+    }
+
+    // Server-side querying. Firebase orders a query by one field and can only filter on that
+    // field (equalTo / startAt / endAt), so one field is chosen: the orderBy field when it has a
+    // condition, otherwise a field with an equality, otherwise one with a range. Other fields,
+    // OR groups, LIKE, != and encrypted columns are filtered on the client.
+    //
+    // plan.exact: the server returns exactly the matching rows, so no client filtering is needed
+    // plan.sorted: the server order is the requested order, so limit/offset can be pushed down
+    _planServerQuery() {
+        const candidates = this.filters.filter(({ field, condition }) => this._toBound(field, condition) !== null);
+        const orderCandidate = this.orderField &&
+            candidates.find(({ field }) => this._sameField(field, this.orderField));
+        const chosen = orderCandidate ||
+            candidates.find(({ field, condition }) => this._toBound(field, condition).equal !== undefined) ||
+            candidates[0];
+
+        const field = chosen ? chosen.field : this.orderField;
+        const pushed = chosen ? candidates.filter(filter => this._sameField(filter.field, field)) : [];
+        const range = this._mergeBounds(field, pushed);
+        const hasOr = (this.orConditions && this.orConditions.length > 0) || this.filterGroups.length > 0;
+
+        return {
+            field,
+            range,
+            exact: !hasOr && pushed.length === this.filters.length && (!range || range.exact),
+            sorted: this.sorts.length === 0 ||
+                (this.sorts.length === 1 && field !== null && this._sameField(this.sorts[0].field, field))
+        };
+    }
+
+    // A condition as a server range: { equal } or { start, startExclusive, end, endExclusive },
+    // or null when Firebase cannot evaluate it
+    _toBound(field, condition) {
+        if (this.database.encryptionPolicy.isEncrypted(this.tableName, field)) return null;
+        let { operator, value } = condition;
+        // A numeric string (query strings always arrive as strings) compares loosely with
+        // numbers, as in MySQL, but Firebase compares by type, so it is filtered on the client
+        const values = operator === 'between' && Array.isArray(value) ? value : [value];
+        if (operator !== 'in' && !this._isKeyField(field) &&
+            values.some(v => typeof v === 'string' && !isNaN(Number(v)))) {
+            return null;
+        }
+        if (operator === 'in' && Array.isArray(value) && value.length === 1) {
+            operator = '=';
+            value = value[0];
+        }
+
+        if (this._isKeyField(field)) {
+            // Keys are strings; a number id is looked up as its string key
+            if ((operator === '=' || operator === '==') && ['string', 'number'].includes(typeof value)) {
+                return { equal: String(value) };
+            }
+            if (operator !== 'between' && typeof value !== 'string') return null;
+        } else if (operator === 'null') {
+            return { equal: null };
+        }
+
+        const isScalar = v => typeof v === 'number' || typeof v === 'string';
+        switch (operator) {
+            case '=':
+            case '==':
+                return isScalar(value) || typeof value === 'boolean' ? { equal: value } : null;
+            case '>':
+                return isScalar(value) ? { start: value, startExclusive: true } : null;
+            case '>=':
+                return isScalar(value) ? { start: value } : null;
+            case '<':
+                return isScalar(value) ? { end: value, endExclusive: true } : null;
+            case '<=':
+                return isScalar(value) ? { end: value } : null;
+            case 'between':
+                return Array.isArray(value) && isScalar(value[0]) && typeof value[0] === typeof value[1] &&
+                    (!this._isKeyField(field) || typeof value[0] === 'string')
+                    ? { start: value[0], end: value[1] }
+                    : null;
+            default:
+                return null;
+        }
+    }
+
+    // Combine the conditions on the server field into one range. Equality wins; bounds of
+    // different types cannot be combined, so only the first condition is used then.
+    _mergeBounds(field, filters) {
+        if (filters.length === 0) return null;
+        const bounds = filters.map(({ condition }) => this._toBound(field, condition));
+
+        const equal = bounds.find(bound => bound.equal !== undefined);
+        if (equal) {
+            return { equal: equal.equal, exact: bounds.length === 1 };
+        }
+
+        const typeOf = bound => typeof (bound.start !== undefined ? bound.start : bound.end);
+        const type = typeOf(bounds[0]);
+        const usable = bounds.every(bound => typeOf(bound) === type &&
+            (bound.start === undefined || bound.end === undefined || typeof bound.end === type));
+        const range = { exact: usable };
+        for (const bound of usable ? bounds : bounds.slice(0, 1)) {
+            if (bound.start !== undefined && (range.start === undefined || bound.start > range.start ||
+                (bound.start === range.start && bound.startExclusive))) {
+                range.start = bound.start;
+                range.startExclusive = !!bound.startExclusive;
+            }
+            if (bound.end !== undefined && (range.end === undefined || bound.end < range.end ||
+                (bound.end === range.end && bound.endExclusive))) {
+                range.end = bound.end;
+                range.endExclusive = !!bound.endExclusive;
+            }
+        }
+
+        // Firebase orders null < booleans < numbers < strings < objects, so an open range is
+        // closed at the edges of its type to leave out values of other types
+        if (!this._isKeyField(field)) {
+            if (range.start === undefined) {
+                range.start = type === 'number' ? -Number.MAX_VALUE : '';
+            }
+            if (range.end === undefined) {
+                range.end = type === 'number' ? Number.MAX_VALUE : '\uf8ff';
+            }
+        }
+        return range;
+    }
+
+    _buildServerQuery(plan, useServerLimit) {
+        const constraints = [];
+        if (plan.field !== null) {
+            constraints.push(this._isKeyField(plan.field) ? orderByKey() : orderByChild(plan.field));
+        }
+
+        const range = plan.range;
+        if (range && range.equal !== undefined) {
+            constraints.push(equalTo(range.equal));
+        } else if (range) {
+            if (range.start !== undefined) {
+                constraints.push(range.startExclusive ? startAfter(range.start) : startAt(range.start));
+            }
+            if (range.end !== undefined) {
+                constraints.push(range.endExclusive ? endBefore(range.end) : endAt(range.end));
+            }
+        }
+
+        if (useServerLimit) {
+            const serverLimit = this.limitCount + (this.offsetCount || 0);
+            constraints.push(this.orderDirection === 'desc' ? limitToLast(serverLimit) : limitToFirst(serverLimit));
+        }
+
+        const dataRef = ref(this.database.db, this.tableName);
+        return constraints.length > 0 ? query(dataRef, ...constraints) : dataRef;
+    }
+
+    _readRows(snapshot) {
+        const data = [];
+        snapshot.forEach(childSnapshot => {
+            const item = this.decryptRows
+                ? this.database._decryptRow(childSnapshot.val(), this.tableName)
+                : childSnapshot.val();
+            data.push({ id: childSnapshot.key, ...item });
+        });
+        return data;
+    }
+
+    _sameField(a, b) {
+        return a === b || (this._isKeyField(a) && this._isKeyField(b));
+    }
+
+    _isKeyField(field) {
+        return field === 'key' || field === '$key' || field === 'id';
+    }
+
+    _compareRows(a, b) {
+        for (const { field, direction } of this.sorts) {
+            const key = this._isKeyField(field) ? 'id' : field;
+            const result = this._compareValues(a[key], b[key]);
+            if (result !== 0) {
+                return direction === 'desc' ? -result : result;
+            }
+        }
+        return 0;
+    }
+
+    // Mirrors Firebase ordering: missing values first, then numbers, then strings
+    _compareValues(a, b) {
+        if (a === b) return 0;
+        if (a === null || a === undefined) return -1;
+        if (b === null || b === undefined) return 1;
+        if (typeof a !== typeof b) return typeof a === 'number' ? -1 : 1;
+        return a < b ? -1 : 1;
+    }
+
     _matchesCondition(item, field, condition) {
         const fieldValue = item[field];
         
@@ -321,8 +628,9 @@ class FirebaseQueryBuilder {
             case 'between':
                 return Array.isArray(value) && fieldValue >= value[0] && fieldValue <= value[1];
             case 'like':
-                const pattern = value.replace(/%/g, '.*').replace(/_/g, '.');
-                return new RegExp(pattern, 'i').test(String(fieldValue));
+                // Other characters match themselves, as in SQL
+                const pattern = value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*').replace(/_/g, '.');
+                return new RegExp(`^${pattern}$`, 'is').test(String(fieldValue));
             case 'null':
                 return fieldValue === null || fieldValue === undefined;
             case 'not-null':
@@ -334,10 +642,22 @@ class FirebaseQueryBuilder {
 }
 
 class FirebaseDB {
-    constructor(config) {
+    // options.encryptionPolicy: which table columns are stored encrypted (defaults to config/tables.js)
+    // options.modelPolicy: timestamp, soft-delete and userstamp columns (defaults to config/tables.js)
+    constructor(config, options = {}) {
         this.firebaseApp = initializeApp(config);
         this.db = getDatabase(this.firebaseApp);
         this.config = config;
+        this.encryptionPolicy = options.encryptionPolicy || EncryptionPolicy.fromConfig();
+        this.modelPolicy = options.modelPolicy || ModelPolicy.fromConfig();
+        this.cipher = options.cipher || FieldCipher.fromEnv();
+        this._assertEncryptionKey();
+
+        // The SDK queues writes while offline instead of failing them, so track the connection
+        this.connected = false;
+        this.stopConnectionListener = onValue(ref(this.db, '.info/connected'), snapshot => {
+            this.connected = snapshot.val() === true;
+        });
     }
 
     // Connection method (for compatibility)
@@ -361,102 +681,190 @@ class FirebaseDB {
         return Promise.resolve([]);
     }
 
-    // Validation method (same as MySQL version)
+    // Throws a ValidationError listing every failed field (see lib/validation/validator.js)
     validate(data, rules) {
-        for (const [field, rule] of Object.entries(rules)) {
-            if (rule.includes('required') && (data[field] === undefined || data[field] === null || data[field] === '')) {
-                throw new Error(`${field} is required`);
-            }
-            if (rule.includes('email') && data[field] && !/^\S+@\S+\.\S+$/.test(data[field])) {
-                throw new Error(`${field} must be a valid email`);
-            }
-        }
+        return assertValid(data, rules);
     }
 
     // Encryption methods (same as MySQL version)
+    // AES-256-GCM with a key-id prefix (see lib/db/fieldCipher.js)
     encrypt(text) {
-        if (text === null || typeof text === 'undefined') return text;
-        const iv = crypto.randomBytes(IV_LENGTH);
-        const cipher = crypto.createCipheriv(ALGORITHM, Buffer.from(SECRET_KEY), iv);
-        let encrypted = cipher.update(String(text), 'utf8', 'hex');
-        encrypted += cipher.final('hex');
-        return iv.toString('hex') + ':' + encrypted;
+        return this.cipher.encrypt(text);
     }
 
+    // Throws an EncryptionError when an encrypted value cannot be authenticated
     decrypt(encryptedText) {
-        if (typeof encryptedText !== 'string' || !encryptedText.includes(':')) {
-            return encryptedText;
+        return this.cipher.decrypt(encryptedText);
+    }
+
+    // Add columns of a table to the encryption policy (used by the serial and WebSocket ingest)
+    registerEncryptedFields(tableName, fields = []) {
+        this.encryptionPolicy.addFields(tableName, fields);
+        this._assertEncryptionKey();
+    }
+
+    // Refuse to run with encrypted columns declared but no key to encrypt them with
+    _assertEncryptionKey() {
+        if (this.encryptionPolicy.hasEncryptedFields() && !this.cipher.hasKeys()) {
+            throw new Error('Encrypted fields are declared but no encryption key is configured. ' +
+                'Set DB_ENCRYPTION_KEY or DB_ENCRYPTION_KEYS.');
         }
+    }
+
+    // Encrypt the columns the encryption policy lists for tableName
+    _encryptRow(tableName, row) {
+        return this.encryptionPolicy.encryptRow(tableName, row, value => this.encrypt(value));
+    }
+
+    // Decrypt only the policy columns, so plain values containing ':' are left alone
+    _decryptRow(row, tableName) {
+        return this.encryptionPolicy.decryptRow(tableName, row, value => this.decrypt(value));
+    }
+
+    // Timestamp written by the model policy
+    _now() {
+        return this._timestamp(new Date());
+    }
+
+    // A date as timestamps are written and compared: ISO strings
+    _timestamp(date) {
+        return date.toISOString();
+    }
+
+    _stampInsert(tableName, row, actor = null, now = this._now()) {
+        return this.modelPolicy.stampInsert(tableName, row, { now, actor });
+    }
+
+    _stampUpdate(tableName, data, actor = null) {
+        return this.modelPolicy.stampUpdate(tableName, data, { now: this._now(), actor });
+    }
+
+    // Legacy methods for backward compatibility
+    // options.actor: caller written to created_by / updated_by (tables with userstamps)
+    async postData(tableName, data = {}, options = {}) {
         try {
-            const textParts = encryptedText.split(':');
-            const iv = Buffer.from(textParts.shift(), 'hex');
-            const encryptedData = textParts.join(':');
-            const decipher = crypto.createDecipheriv(ALGORITHM, Buffer.from(SECRET_KEY), iv);
-            let decrypted = decipher.update(encryptedData, 'hex', 'utf8');
-            decrypted += decipher.final('utf8');
-            return decrypted;
+            // push() without a value only generates the key locally
+            const newDataRef = push(ref(this.db, tableName));
+            const encryptedData = this._encryptRow(tableName, this._stampInsert(tableName, data, options.actor));
+            await this._writePaths({ [`${tableName}/${newDataRef.key}`]: encryptedData });
+            return { insertId: newDataRef.key, affectedRows: 1 };
         } catch (error) {
-            return encryptedText;
+            console.error("Firebase postData error:", error);
+            throw error;
         }
     }
 
-    _encryptData(data) {
-        const encryptedData = {};
-        for (const [key, value] of Object.entries(data)) {
-            // You can specify which fields to encrypt based on your needs
-            // For now, let's assume sensitive fields contain 'password', 'email', 'phone', etc.
-            const sensitiveFields = ['password', 'email', 'phone', 'address', 'name'];
-            if (sensitiveFields.some(field => key.toLowerCase().includes(field))) {
-                encryptedData[key] = this.encrypt(value);
-            } else {
-                encryptedData[key] = value;
+    // Id for postDataOnce(): a push key, so rows keep their chronological key order
+    createWriteId(tableName) {
+        return push(ref(this.db, tableName)).key;
+    }
+
+    // Write the row under writeId as its key. Writing the same id again (a replay from the
+    // offline write journal, or the SDK sending its own offline queue) overwrites that row
+    // instead of adding a second one, so no receipts are needed.
+    async postDataOnce(tableName, data, writeId, options = {}) {
+        const row = this._encryptRow(tableName, this._stampInsert(tableName, data, options.actor));
+        await this._writePaths({ [`${tableName}/${writeId}`]: row });
+        return { insertId: writeId, affectedRows: 1, duplicate: false };
+    }
+
+    isUnavailableError(err) {
+        return !this.connected || /network|unavailable|disconnect/i.test(String(err.code || err.message));
+    }
+
+    // Insert many rows with a single multi-path update(), so either all rows are written or
+    // none are. options.chunkSize is accepted for API parity with MySQL and ignored here.
+    async postMany(tableName, rows = [], options = {}) {
+        try {
+            const now = this._now();
+            const updates = {};
+            const insertIds = rows.map(row => {
+                const key = push(ref(this.db, tableName)).key;
+                const stamped = this._stampInsert(tableName, row, options.actor, now);
+                updates[`${tableName}/${key}`] = this._encryptRow(tableName, stamped);
+                return key;
+            });
+
+            if (insertIds.length > 0) {
+                await this._writePaths(updates);
             }
+            return { affectedRows: insertIds.length, insertIds };
+        } catch (error) {
+            console.error("Firebase postMany error:", error);
+            throw error;
         }
-        return encryptedData;
     }
 
-    _decryptRow(row) {
-        if (!row || typeof row !== 'object') return row;
-        
-        const decryptedRow = { ...row };
-        for (const key in decryptedRow) {
-            if (typeof decryptedRow[key] === 'string' && decryptedRow[key].includes(':')) {
-                const originalValue = decryptedRow[key];
-                decryptedRow[key] = this.decrypt(originalValue);
-                if (decryptedRow[key] !== originalValue && !isNaN(Number(decryptedRow[key]))) {
-                    decryptedRow[key] = Number(decryptedRow[key]);
+    // Run callback(trx) with every write staged and sent as one multi-path update() when the
+    // callback resolves; if it throws, nothing is written. Reads inside the callback see
+    // committed data only. Calling transaction() on a trx joins the outer transaction.
+    async transaction(callback) {
+        if (this.pendingWrites) {
+            return callback(this);
+        }
+
+        const trx = Object.create(this);
+        trx.pendingWrites = {};
+        const result = await callback(trx);
+
+        const updates = trx.pendingWrites;
+        trx.pendingWrites = null;
+        if (Object.keys(updates).length > 0) {
+            await update(ref(this.db), updates);
+        }
+        return result;
+    }
+
+    // Every write goes through here: applied immediately, or staged inside a transaction
+    _writePaths(updates) {
+        if (!this.pendingWrites) {
+            return update(ref(this.db), updates);
+        }
+        for (const [path, value] of Object.entries(updates)) {
+            this._stageWrite(path, value);
+        }
+        return Promise.resolve();
+    }
+
+    // Firebase rejects an update whose paths overlap, so merge a write into a staged
+    // ancestor path, or let it replace staged writes below it
+    _stageWrite(path, value) {
+        const ancestor = Object.keys(this.pendingWrites).find(staged => path.startsWith(`${staged}/`));
+        if (ancestor) {
+            if (this.pendingWrites[ancestor] === null) {
+                this.pendingWrites[ancestor] = {};
+            }
+            let node = this.pendingWrites[ancestor];
+            const segments = path.slice(ancestor.length + 1).split('/');
+            const last = segments.pop();
+            for (const segment of segments) {
+                if (!node[segment] || typeof node[segment] !== 'object') {
+                    node[segment] = {};
                 }
+                node = node[segment];
             }
+            node[last] = value;
+            return;
         }
-        return decryptedRow;
-    }
 
-    // Legacy methods for backward compatibility
-    async postData(tableName, data = {}) {
-        try {
-            const dataRef = ref(this.db, tableName);
-            const newDataRef = push(dataRef);
-            const encryptedData = this._encryptData(data);
-            
-            // Add timestamp
-            encryptedData.created_at = new Date().toISOString();
-            
-            await set(newDataRef, encryptedData);
-            return { insertId: newDataRef.key, affectedRows: 1 };
-        } catch (error) {
-            console.error("Firebase postData error:", error);
-            throw error;
+        for (const staged of Object.keys(this.pendingWrites)) {
+            if (staged.startsWith(`${path}/`)) {
+                delete this.pendingWrites[staged];
+            }
         }
+        this.pendingWrites[path] = value;
     }
 
-    async updateData(tableName, data = {}, whereClause = '', whereParams = []) {
+    // options.actor: caller written to updated_by; options.withTrashed: update soft-deleted rows too
+    async updateData(tableName, data = {}, whereClause = '', whereParams = [], options = {}) {
         try {
             // For Firebase, we need to parse the whereClause and whereParams
             // This is a simplified implementation
             const filters = this._parseWhereClause(whereClause, whereParams);
             
-            return await this.table(tableName)
+            return await this._scopedTable(tableName, options)
                 .where(filters)
+                .actingAs(options.actor || null)
                 .update(data);
         } catch (error) {
             console.error("Firebase updateData error:", error);
@@ -464,22 +872,33 @@ class FirebaseDB {
         }
     }
 
-    async deleteData(tableName, whereClause = '', whereParams = []) {
+    // Soft-delete tables get deleted_at set; options.force removes the rows instead
+    async deleteData(tableName, whereClause = '', whereParams = [], options = {}) {
         try {
             const filters = this._parseWhereClause(whereClause, whereParams);
-            
-            return await this.table(tableName)
+            const query = this._scopedTable(tableName, options)
                 .where(filters)
-                .delete();
+                .actingAs(options.actor || null);
+            
+            return await (options.force ? query.forceDelete() : query.delete());
         } catch (error) {
             console.error("Firebase deleteData error:", error);
             throw error;
         }
     }
 
+    // Rows matching a MySQL-style where clause (see _parseWhereClause); the soft-delete scope
+    // as for updateData
+    async getDataWhere(tableName, whereClause = '', whereParams = [], options = {}) {
+        const filters = this._parseWhereClause(whereClause, whereParams);
+        const query = this._scopedTable(tableName, options);
+        return Object.keys(filters).length > 0 ? query.where(filters).get() : query.get();
+    }
+
+    // options.withTrashed / onlyTrashed: include or only return soft-deleted rows
     async getDataByFilters(tableName, filters = {}, options = {}) {
         try {
-            let query = this.table(tableName);
+            let query = this._scopedTable(tableName, options);
 
             // Apply filters
             if (Object.keys(filters).length > 0) {
@@ -512,6 +931,59 @@ class FirebaseDB {
         }
     }
 
+    // Builder with the soft-delete scope of options.withTrashed / options.onlyTrashed
+    _scopedTable(tableName, options = {}) {
+        const query = this.table(tableName);
+        if (options.withTrashed) {
+            query.withTrashed();
+        } else if (options.onlyTrashed) {
+            query.onlyTrashed();
+        }
+        return query;
+    }
+
+    // One page of rows in key order after the key `after`, read on the server with
+    // orderByKey/startAfter/limitToFirst (keyset paging for bulk reads and copies), soft-deleted
+    // rows included; `descending` reads newest first, below `after` (endBefore/limitToLast)
+    async getPage(tableName, { after = null, limit = 500, decrypt = true, descending = false } = {}) {
+        const constraints = [orderByKey()];
+        if (after !== null) {
+            constraints.push(descending ? endBefore(String(after)) : startAfter(String(after)));
+        }
+        constraints.push(descending ? limitToLast(limit) : limitToFirst(limit));
+
+        const snapshot = await get(query(ref(this.db, tableName), ...constraints));
+        const rows = [];
+        snapshot.forEach(childSnapshot => {
+            const item = decrypt ? this._decryptRow(childSnapshot.val(), tableName) : childSnapshot.val();
+            rows.push({ ...item, id: childSnapshot.key });
+        });
+        return descending ? rows.reverse() : rows;
+    }
+
+    // Trend data for charts; same options as the SQL drivers (see lib/db/aggregation.js)
+    aggregate(tableName, options = {}) {
+        return buildAggregateQuery(this, tableName, options).aggregate(options);
+    }
+
+    // Rows with the given keys (decrypted, soft-deleted ones included), one read per key
+    async findMany(tableName, ids = []) {
+        const snapshots = await Promise.all(ids.map(id => get(ref(this.db, `${tableName}/${id}`))));
+        return snapshots
+            .filter(snapshot => snapshot.exists())
+            .map(snapshot => ({ ...this._decryptRow(snapshot.val(), tableName), id: snapshot.key }));
+    }
+
+    // Read or write a node by path, outside any table (used by migrations for seed data)
+    async getNode(path) {
+        const snapshot = await get(ref(this.db, path));
+        return snapshot.exists() ? snapshot.val() : null;
+    }
+
+    setNode(path, value) {
+        return this._writePaths({ [path]: value });
+    }
+
     async getAllUsers() {
         try {
             const results = await this.table('users').get();
@@ -522,9 +994,9 @@ class FirebaseDB {
         }
     }
 
-    async insertUser(name, email) {
+    async insertUser(name, email, options = {}) {
         try {
-            const result = await this.postData('users', { name, email });
+            const result = await this.postData('users', { name, email }, options);
             return result;
         } catch (error) {
             console.error("Firebase insertUser error:", error);
@@ -556,8 +1028,21 @@ class FirebaseDB {
         return filters;
     }
 
+    async getConnectionInfo() {
+        return {
+            type: 'firebase',
+            connected: this.connected,
+            projectId: this.config.projectId,
+            databaseURL: this.config.databaseURL
+        };
+    }
+
     async close() {
         // Firebase connections are managed automatically
+        if (this.stopConnectionListener) {
+            this.stopConnectionListener();
+            this.stopConnectionListener = null;
+        }
         console.log('Firebase connection closed.');
         return Promise.resolve();
     }
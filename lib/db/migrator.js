@@ -0,0 +1,212 @@
+// lib/db/migrator.js
+// Applies and rolls back the versioned migrations in database/migrations.
+//
+// A migration file is named <version>_<name>.js (e.g. 001_create_users_table.js) and exports
+// one section per driver:
+//     mysql:    { up(db), down(db) }
+//     sqlite:   { up(db), down(db) }
+//     firebase: { up(db), down(db), indexes: { tableName: ['field', ...] } }
+// A missing section is a no-op for that driver, but the version is still recorded.
+// Migrations applied by one `migrate` run share a batch number; rollback undoes whole batches.
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+const SQL_TABLE = 'migrations';
+const FIREBASE_NODE = '_migrations';
+
+class Migrator {
+    // options.type: 'mysql', 'sqlite' or 'firebase'
+    // options.directory: where migration files live (default database/migrations)
+    // options.rulesFile: Firebase rules file that receives .indexOn entries (default database.rules.json)
+    constructor(db, options = {}) {
+        this.db = db;
+        this.type = options.type || 'mysql';
+        this.directory = options.directory || path.join(__dirname, '..', '..', 'database', 'migrations');
+        this.rulesFile = options.rulesFile || path.join(__dirname, '..', '..', 'database.rules.json');
+
+        if (!['mysql', 'sqlite', 'firebase'].includes(this.type)) {
+            throw new Error(`Migrations are not supported for database type '${this.type}'`);
+        }
+    }
+
+    // Every migration file with whether (and when) it has been applied
+    async status() {
+        const applied = await this._getApplied();
+        return this._loadMigrations().map(migration => {
+            const record = applied.get(migration.version);
+            return {
+                version: migration.version,
+                applied: !!record,
+                batch: record ? record.batch : null,
+                appliedAt: record ? record.applied_at : null
+            };
+        });
+    }
+
+    // Apply every pending migration in version order; returns the applied versions
+    async migrate() {
+        const applied = await this._getApplied();
+        const pending = this._loadMigrations().filter(migration => !applied.has(migration.version));
+        if (pending.length === 0) {
+            return [];
+        }
+
+        const batch = Math.max(0, ...Array.from(applied.values()).map(record => record.batch)) + 1;
+        const done = [];
+        for (const migration of pending) {
+            const section = migration.module[this.type];
+            try {
+                if (section && section.up) {
+                    await section.up(this.db);
+                }
+            } catch (error) {
+                error.message = `Migration ${migration.version} failed: ${error.message}`;
+                throw error;
+            }
+            await this._record(migration.version, batch);
+            done.push(migration.version);
+            console.log(`Migrated: ${migration.version}`);
+        }
+
+        await this._syncIndexes();
+        return done;
+    }
+
+    // Undo the last `steps` batches in reverse version order; returns the rolled back versions
+    async rollback(steps = 1) {
+        const applied = await this._getApplied();
+        const batches = Array.from(new Set(Array.from(applied.values()).map(record => record.batch)))
+            .sort((a, b) => b - a)
+            .slice(0, steps);
+        const migrations = new Map(this._loadMigrations().map(migration => [migration.version, migration]));
+        const targets = Array.from(applied.entries())
+            .filter(([, record]) => batches.includes(record.batch))
+            .map(([version]) => version)
+            .sort()
+            .reverse();
+
+        const done = [];
+        for (const version of targets) {
+            const migration = migrations.get(version);
+            if (!migration) {
+                throw new Error(`Cannot roll back ${version}: its migration file is missing`);
+            }
+            const section = migration.module[this.type];
+            try {
+                if (section && section.down) {
+                    await section.down(this.db);
+                }
+            } catch (error) {
+                error.message = `Rollback of ${version} failed: ${error.message}`;
+                throw error;
+            }
+            await this._forget(version);
+            done.push(version);
+            console.log(`Rolled back: ${version}`);
+        }
+
+        await this._syncIndexes();
+        return done;
+    }
+
+    _loadMigrations() {
+        if (!fs.existsSync(this.directory)) {
+            return [];
+        }
+        return fs.readdirSync(this.directory)
+            .filter(file => MIGRATION_FILE.test(file))
+            .sort()
+            .map(file => ({
+                version: file.replace(/\.js$/, ''),
+                module: require(path.join(this.directory, file))
+            }));
+    }
+
+    // version -> { batch, applied_at }
+    async _getApplied() {
+        if (this.type === 'firebase') {
+            const records = await this.db.getNode(FIREBASE_NODE) || {};
+            return new Map(Object.entries(records));
+        }
+
+        await this.db.query(this.type === 'sqlite'
+            ? `CREATE TABLE IF NOT EXISTS \`${SQL_TABLE}\` (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                version TEXT NOT NULL UNIQUE,
+                batch INTEGER NOT NULL,
+                applied_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+            )`
+            : `CREATE TABLE IF NOT EXISTS \`${SQL_TABLE}\` (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                version VARCHAR(255) NOT NULL UNIQUE,
+                batch INT NOT NULL,
+                applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+            )`);
+        const rows = await this.db.query(`SELECT version, batch, applied_at FROM \`${SQL_TABLE}\` ORDER BY version`);
+        return new Map(rows.map(row => [row.version, { batch: row.batch, applied_at: row.applied_at }]));
+    }
+
+    _record(version, batch) {
+        if (this.type === 'firebase') {
+            return this.db.setNode(`${FIREBASE_NODE}/${version}`, { batch, applied_at: new Date().toISOString() });
+        }
+        return this.db.query(`INSERT INTO \`${SQL_TABLE}\` (version, batch) VALUES (?, ?)`, [version, batch]);
+    }
+
+    _forget(version) {
+        if (this.type === 'firebase') {
+            return this.db.setNode(`${FIREBASE_NODE}/${version}`, null);
+        }
+        return this.db.query(`DELETE FROM \`${SQL_TABLE}\` WHERE version = ?`, [version]);
+    }
+
+    // Rewrite the .indexOn entries of the Firebase rules file from the applied migrations.
+    // Indexes no migration declares (added by hand) are kept.
+    async _syncIndexes() {
+        if (this.type !== 'firebase') return;
+
+        const applied = await this._getApplied();
+        const declared = {};
+        const wanted = {};
+        for (const migration of this._loadMigrations()) {
+            const indexes = (migration.module.firebase && migration.module.firebase.indexes) || {};
+            for (const [table, fields] of Object.entries(indexes)) {
+                declared[table] = new Set([...(declared[table] || []), ...fields]);
+                if (applied.has(migration.version)) {
+                    wanted[table] = new Set([...(wanted[table] || []), ...fields]);
+                }
+            }
+        }
+        if (Object.keys(declared).length === 0) return;
+
+        const exists = fs.existsSync(this.rulesFile);
+        const rules = exists ? JSON.parse(fs.readFileSync(this.rulesFile, 'utf8')) : { rules: {} };
+        rules.rules = rules.rules || {};
+
+        for (const table of Object.keys(declared)) {
+            const node = rules.rules[table] || {};
+            const manual = (node['.indexOn'] || []).filter(field => !declared[table].has(field));
+            const indexOn = [...manual, ...(wanted[table] || [])];
+            if (indexOn.length > 0) {
+                node['.indexOn'] = indexOn;
+                rules.rules[table] = node;
+            } else {
+                delete node['.indexOn'];
+                if (Object.keys(node).length > 0) {
+                    rules.rules[table] = node;
+                } else {
+                    delete rules.rules[table];
+                }
+            }
+        }
+
+        fs.writeFileSync(this.rulesFile, JSON.stringify(rules, null, 2) + '\n');
+        console.log(`Updated Firebase index rules in ${this.rulesFile}. Deploy them with: firebase deploy --only database`);
+        if (!exists) {
+            console.warn('The rules file was created without .read/.write rules; add them before deploying.');
+        }
+    }
+}
+
+module.exports = Migrator;
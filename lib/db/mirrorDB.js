@@ -0,0 +1,521 @@
+// lib/db/mirrorDB.js
+// Composite driver: the primary database is the system of record, secondaries are mirrors.
+//
+// Reads go to the primary only. Writes are applied to the primary and, once it succeeded,
+// queued for every secondary; each secondary applies its queue in order in the background, so a
+// slow or offline mirror never blocks or fails the caller. A write that failed because the
+// mirror was unreachable is retried with exponential backoff; one the mirror refuses is set aside
+// (getMirrorStatus() lists it, retryRejected() queues it again) so it does not hold back the rest.
+// Mirrored rows keep the primary's id (Firebase uses it as the key), so later updates and
+// deletes by id match the same rows everywhere; a Firebase primary therefore cannot have SQL
+// mirrors, whose integer ids cannot hold its push keys. Inserted rows are read back from the primary
+// before they are queued, so mirrors get the primary's created_at and column defaults rather
+// than setting their own.
+//
+// The queues are held in memory only: writes still queued when the process exits or crashes
+// never reach the mirrors (close() logs how many). Compare a mirror with its primary
+// afterwards, e.g. with scripts/copy-data.js.
+//
+// Statements sent with query()/raw() run on the primary only and are not mirrored.
+
+// Builder methods that only describe the query; recorded and replayed on each database
+const CHAIN_METHODS = [
+    'select', 'withEncryptedValues', 'where', 'whereIn', 'whereNotIn', 'whereBetween', 'whereNull',
+    'whereNotNull', 'whereLike', 'whereFilter', 'orWhere', 'orderBy', 'orderByDesc', 'orderByAsc', 'limit',
+    'take', 'skip', 'join', 'leftJoin', 'rightJoin', 'groupBy', 'having', 'withTrashed', 'onlyTrashed',
+    'actingAs'
+];
+// A SQL secondary that already has the row (retry of a write that did succeed)
+const DUPLICATE_KEY_ERRORS = new Set(['ER_DUP_ENTRY', 'SQLITE_CONSTRAINT_PRIMARYKEY', 'SQLITE_CONSTRAINT_UNIQUE']);
+// Timestamp columns of rows read back from the primary, converted to each mirror's format
+const TIMESTAMP_COLUMNS = ['created_at', 'updated_at', 'deleted_at'];
+// SQLite's CURRENT_TIMESTAMP: UTC without a zone
+const ZONELESS_TIMESTAMP = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}(\.\d+)?$/;
+// Refused writes kept per secondary; older ones are only counted
+const MAX_REJECTED = 100;
+
+class MirrorQueryBuilder {
+    constructor(mirror, tableName) {
+        this.mirror = mirror;
+        this.tableName = tableName;
+        this.calls = [];
+    }
+
+    get() {
+        return this._build(this.mirror.primary).get();
+    }
+
+    first() {
+        return this._build(this.mirror.primary).first();
+    }
+
+    count(field = '*') {
+        return this._build(this.mirror.primary).count(field);
+    }
+
+    exists() {
+        return this._build(this.mirror.primary).exists();
+    }
+
+    pluck(field) {
+        return this._build(this.mirror.primary).pluck(field);
+    }
+
+    aggregate(options = {}) {
+        return this._build(this.mirror.primary).aggregate(options);
+    }
+
+    async update(data) {
+        const result = await this._build(this.mirror.primary).update(data);
+        if (result.affectedRows > 0) {
+            this.mirror._mirror({ type: 'builder', table: this.tableName, calls: this.calls, method: 'update', args: [data] });
+        }
+        return result;
+    }
+
+    delete() {
+        return this._write('delete');
+    }
+
+    forceDelete() {
+        return this._write('forceDelete');
+    }
+
+    restore() {
+        return this._write('restore');
+    }
+
+    async _write(method) {
+        const result = await this._build(this.mirror.primary)[method]();
+        if (result.affectedRows > 0) {
+            this.mirror._mirror({ type: 'builder', table: this.tableName, calls: this.calls, method, args: [] });
+        }
+        return result;
+    }
+
+    // The same query on one database's own builder
+    _build(db) {
+        let builder = db.table(this.tableName);
+        for (const [method, args] of this.calls) {
+            if (typeof builder[method] !== 'function') {
+                throw new Error(`${method}() is not supported by the ${this.tableName} query on this database`);
+            }
+            builder = builder[method](...args);
+        }
+        return builder;
+    }
+}
+
+for (const method of CHAIN_METHODS) {
+    MirrorQueryBuilder.prototype[method] = function (...args) {
+        this.calls.push([method, args]);
+        return this;
+    };
+}
+
+class MirrorDB {
+    // primary: driver instance (MySQL, SQLite or Firebase)
+    // secondaries: [{ name, type: 'mysql'|'sqlite'|'firebase', db }]
+    // options.retryDelay / maxRetryDelay: backoff for failed mirror writes, doubled per attempt
+    // options.maxPending: mirror writes held per secondary before new ones are dropped
+    constructor(primary, secondaries = [], options = {}) {
+        this.primary = primary;
+        this.options = {
+            retryDelay: 2000,
+            maxRetryDelay: 60000,
+            maxPending: 10000,
+            ...options
+        };
+        this.secondaries = secondaries.map(secondary => ({
+            name: secondary.name || secondary.type,
+            type: secondary.type,
+            db: secondary.db,
+            queue: [],
+            running: false,
+            retryTimer: null,
+            attempts: 0,
+            rejectedWrites: [], // { op, error, rejectedAt } the mirror refused, oldest first
+            stats: { mirrored: 0, failures: 0, rejected: 0, dropped: 0, lastError: null, lastSyncedAt: null }
+        }));
+        this.closed = false;
+        this.pendingMirrors = null; // ops collected inside transaction(), queued after commit
+    }
+
+    // The primary decides encryption; secondaries load the same policy and keys
+    get encryptionPolicy() {
+        return this.primary.encryptionPolicy;
+    }
+
+    get cipher() {
+        return this.primary.cipher;
+    }
+
+    get modelPolicy() {
+        return this.primary.modelPolicy;
+    }
+
+    // Timestamps follow the primary (a Date for MySQL, an ISO string otherwise)
+    _now() {
+        return this.primary._now();
+    }
+
+    _timestamp(date) {
+        return this.primary._timestamp(date);
+    }
+
+    async connect() {
+        await this.primary.connect();
+        for (const secondary of this.secondaries) {
+            try {
+                await secondary.db.connect();
+            } catch (err) {
+                // A mirror that is down at startup catches up from its queue later
+                secondary.stats.lastError = err.message;
+                console.warn(`Mirror ${secondary.name} is not reachable: ${err.message}`);
+            }
+        }
+    }
+
+    table(tableName) {
+        return new MirrorQueryBuilder(this, tableName);
+    }
+
+    from(tableName) {
+        return this.table(tableName);
+    }
+
+    query(sql, params = []) {
+        return this.primary.query(sql, params);
+    }
+
+    raw(sql, params = []) {
+        return this.primary.raw(sql, params);
+    }
+
+    validate(data, rules) {
+        return this.primary.validate(data, rules);
+    }
+
+    encrypt(text) {
+        return this.primary.encrypt(text);
+    }
+
+    decrypt(encryptedText) {
+        return this.primary.decrypt(encryptedText);
+    }
+
+    registerEncryptedFields(tableName, fields = []) {
+        this.primary.registerEncryptedFields(tableName, fields);
+        for (const secondary of this.secondaries) {
+            secondary.db.registerEncryptedFields(tableName, fields);
+        }
+    }
+
+    // options (actor) go with the mirrored rows, so created_by matches on every database
+    async postData(tableName, data = {}, options = {}) {
+        const result = await this.primary.postData(tableName, data, options);
+        const rows = await this._storedRows(tableName, [data], [result.insertId]);
+        this._mirror({ type: 'insert', table: tableName, rows, options });
+        return result;
+    }
+
+    createWriteId(tableName) {
+        return this.primary.createWriteId(tableName);
+    }
+
+    // A duplicate was mirrored when it was first stored
+    async postDataOnce(tableName, data, writeId, options = {}) {
+        const result = await this.primary.postDataOnce(tableName, data, writeId, options);
+        if (!result.duplicate) {
+            const rows = await this._storedRows(tableName, [data], [result.insertId]);
+            this._mirror({ type: 'insert', table: tableName, rows, options });
+        }
+        return result;
+    }
+
+    pruneWriteReceipts(olderThan) {
+        return typeof this.primary.pruneWriteReceipts === 'function'
+            ? this.primary.pruneWriteReceipts(olderThan)
+            : Promise.resolve();
+    }
+
+    isUnavailableError(err) {
+        return typeof this.primary.isUnavailableError === 'function' && this.primary.isUnavailableError(err);
+    }
+
+    async postMany(tableName, rows = [], options = {}) {
+        const result = await this.primary.postMany(tableName, rows, options);
+        if (result.insertIds.length === rows.length && rows.length > 0) {
+            this._mirror({
+                type: 'insert',
+                table: tableName,
+                rows: await this._storedRows(tableName, rows, result.insertIds),
+                options: { actor: options.actor }
+            });
+        } else if (rows.length > 0) {
+            console.warn(`Mirror: ${tableName} postMany did not report every insert id, rows not mirrored`);
+        }
+        return result;
+    }
+
+    async updateData(tableName, data = {}, whereClause = '', whereParams = [], options = {}) {
+        const result = await this.primary.updateData(tableName, data, whereClause, whereParams, options);
+        this._mirror({ type: 'call', method: 'updateData', args: [tableName, data, whereClause, whereParams, options] });
+        return result;
+    }
+
+    async deleteData(tableName, whereClause = '', whereParams = [], options = {}) {
+        const result = await this.primary.deleteData(tableName, whereClause, whereParams, options);
+        this._mirror({ type: 'call', method: 'deleteData', args: [tableName, whereClause, whereParams, options] });
+        return result;
+    }
+
+    getDataWhere(tableName, whereClause = '', whereParams = [], options = {}) {
+        return this.primary.getDataWhere(tableName, whereClause, whereParams, options);
+    }
+
+    getDataByFilters(tableName, filters = {}, options = {}) {
+        return this.primary.getDataByFilters(tableName, filters, options);
+    }
+
+    getAllUsers() {
+        return this.primary.getAllUsers();
+    }
+
+    getPage(tableName, options = {}) {
+        return this.primary.getPage(tableName, options);
+    }
+
+    findMany(tableName, ids = []) {
+        return this.primary.findMany(tableName, ids);
+    }
+
+    aggregate(tableName, options = {}) {
+        return this.primary.aggregate(tableName, options);
+    }
+
+    // Firebase node access (migrations) on a Firebase primary; not mirrored
+    getNode(path) {
+        return this.primary.getNode(path);
+    }
+
+    setNode(path, value) {
+        return this.primary.setNode(path, value);
+    }
+
+    insertUser(name, email, options = {}) {
+        return this.postData('users', { name, email }, options);
+    }
+
+    // Runs on the primary; the writes made inside are mirrored only after it commits
+    async transaction(callback) {
+        if (this.pendingMirrors) {
+            return callback(this);
+        }
+
+        const ops = [];
+        const result = await this.primary.transaction(primaryTrx => {
+            const trx = Object.create(this);
+            trx.primary = primaryTrx;
+            trx.pendingMirrors = ops;
+            return callback(trx);
+        });
+        ops.forEach(op => this._mirror(op));
+        return result;
+    }
+
+    // Per-secondary replication state; lagMs is the age of the oldest write not yet mirrored.
+    // rejectedWrites describes the refused writes still kept, without their row data.
+    getMirrorStatus() {
+        const now = Date.now();
+        return this.secondaries.map(secondary => ({
+            name: secondary.name,
+            type: secondary.type,
+            pending: secondary.queue.length,
+            lagMs: secondary.queue.length > 0 ? now - secondary.queue[0].queuedAt : 0,
+            retrying: !!secondary.retryTimer,
+            attempts: secondary.attempts,
+            ...secondary.stats,
+            rejectedWrites: secondary.rejectedWrites.map(({ op, error, rejectedAt }) => ({
+                table: op.table || op.args[0],
+                operation: op.type === 'insert' ? 'insert' : op.method,
+                rows: op.rows ? op.rows.length : undefined,
+                error,
+                rejectedAt
+            }))
+        }));
+    }
+
+    // Queue the writes a secondary refused again (after fixing the cause, e.g. a missing
+    // column); returns how many were queued
+    retryRejected(name) {
+        const secondary = this.secondaries.find(candidate => candidate.name === name);
+        if (!secondary) {
+            throw new Error(`Unknown mirror '${name}'`);
+        }
+        const ops = secondary.rejectedWrites.map(entry => entry.op);
+        secondary.rejectedWrites = [];
+        secondary.queue.push(...ops);
+        this._drain(secondary);
+        return ops.length;
+    }
+
+    async getConnectionInfo() {
+        const primaryInfo = this.primary.getConnectionInfo ? await this.primary.getConnectionInfo() : {};
+        return {
+            ...primaryInfo,
+            type: 'mirror',
+            primary: primaryInfo,
+            secondaries: this.getMirrorStatus()
+        };
+    }
+
+    async close() {
+        this.closed = true;
+        for (const secondary of this.secondaries) {
+            clearTimeout(secondary.retryTimer);
+            secondary.retryTimer = null;
+            if (secondary.queue.length > 0) {
+                console.warn(`Mirror ${secondary.name}: ${secondary.queue.length} write(s) not mirrored before close`);
+            }
+            if (secondary.rejectedWrites.length > 0) {
+                console.warn(`Mirror ${secondary.name}: ${secondary.rejectedWrites.length} refused write(s) never mirrored`);
+            }
+        }
+        const closing = [this.primary, ...this.secondaries.map(secondary => secondary.db)].map(db => db.close());
+        await Promise.all(closing);
+    }
+
+    // The inserted rows as the primary stored them; a row it cannot return yet (a Firebase
+    // primary only sees committed rows inside transaction()) is mirrored as written
+    async _storedRows(tableName, rows, ids) {
+        if (this.secondaries.length === 0) return [];
+        let stored = [];
+        try {
+            stored = await this.primary.findMany(tableName, ids);
+        } catch (err) {
+            console.warn(`Mirror: ${tableName} rows could not be read back, mirroring them as written: ${err.message}`);
+        }
+        const byId = new Map(stored.map(row => [String(row.id), row]));
+        return rows.map((row, index) => byId.get(String(ids[index])) || { ...row, id: ids[index] });
+    }
+
+    // Timestamps in the form the secondary stores them (MySQL rejects ISO strings ending in 'Z')
+    _forSecondary(secondary, row) {
+        const copy = { ...row };
+        for (const column of TIMESTAMP_COLUMNS) {
+            const value = copy[column];
+            if (value === null || value === undefined) continue;
+            const date = value instanceof Date ? value
+                : new Date(ZONELESS_TIMESTAMP.test(value) ? `${value.replace(' ', 'T')}Z` : value);
+            if (Number.isNaN(date.getTime())) continue;
+            copy[column] = secondary.db._timestamp(date);
+        }
+        return copy;
+    }
+
+    _mirror(op) {
+        if (this.pendingMirrors) {
+            this.pendingMirrors.push(op);
+            return;
+        }
+
+        for (const secondary of this.secondaries) {
+            if (secondary.queue.length >= this.options.maxPending) {
+                secondary.stats.dropped++;
+                console.warn(`Mirror ${secondary.name}: queue full, ${op.table || op.args[0]} write dropped`);
+                continue;
+            }
+            secondary.queue.push({ ...op, queuedAt: Date.now() });
+            this._drain(secondary);
+        }
+    }
+
+    // Apply queued writes in order; stop at the first failure and retry it later
+    async _drain(secondary) {
+        if (secondary.running || secondary.retryTimer || this.closed) return;
+        secondary.running = true;
+        try {
+            while (secondary.queue.length > 0 && !this.closed) {
+                const op = secondary.queue[0];
+                try {
+                    await this._apply(secondary, op);
+                    secondary.stats.mirrored++;
+                    secondary.stats.lastSyncedAt = new Date().toISOString();
+                } catch (err) {
+                    secondary.stats.failures++;
+                    secondary.stats.lastError = err.message;
+                    if (this._isUnavailable(secondary, err)) {
+                        secondary.attempts++;
+                        this._scheduleRetry(secondary);
+                        return;
+                    }
+                    // Retrying a write the mirror refuses (missing column, permissions) would
+                    // hold back every write queued behind it, so it is set aside
+                    secondary.stats.rejected++;
+                    secondary.rejectedWrites.push({ op, error: err.message, rejectedAt: new Date().toISOString() });
+                    if (secondary.rejectedWrites.length > MAX_REJECTED) {
+                        secondary.rejectedWrites.shift();
+                    }
+                    console.error(`Mirror ${secondary.name} refused ${op.table || op.args[0]} write: ${err.message}`);
+                }
+                secondary.queue.shift();
+                secondary.attempts = 0;
+            }
+        } finally {
+            secondary.running = false;
+        }
+    }
+
+    async _apply(secondary, op) {
+        const db = secondary.db;
+        if (op.type === 'insert') {
+            return this._insert(secondary, op.table, op.rows, op.options);
+        }
+        if (op.type === 'builder') {
+            const builder = new MirrorQueryBuilder(this, op.table);
+            builder.calls = op.calls;
+            return builder._build(db)[op.method](...op.args);
+        }
+        return db[op.method](...op.args);
+    }
+
+    // Firebase writes the row under the primary id as its key, which is idempotent. SQL
+    // secondaries insert the id explicitly; a duplicate key means an earlier attempt landed.
+    async _insert(secondary, tableName, rows, options = {}) {
+        const db = secondary.db;
+        rows = rows.map(row => this._forSecondary(secondary, row));
+        if (secondary.type === 'firebase') {
+            return db.transaction(trx => Promise.all(rows.map(row => trx.postDataOnce(tableName, row, String(row.id), options))));
+        }
+        try {
+            return rows.length === 1
+                ? await db.postData(tableName, rows[0], options)
+                : await db.postMany(tableName, rows, options);
+        } catch (err) {
+            if (DUPLICATE_KEY_ERRORS.has(err.code)) {
+                return { affectedRows: 0, duplicate: true };
+            }
+            throw err;
+        }
+    }
+
+    _isUnavailable(secondary, err) {
+        return typeof secondary.db.isUnavailableError !== 'function' || secondary.db.isUnavailableError(err);
+    }
+
+    _scheduleRetry(secondary) {
+        const delay = Math.min(
+            this.options.retryDelay * Math.pow(2, secondary.attempts - 1),
+            this.options.maxRetryDelay
+        );
+        console.warn(`Mirror ${secondary.name} write failed (${secondary.stats.lastError}), retrying in ${delay}ms`);
+        secondary.retryTimer = setTimeout(() => {
+            secondary.retryTimer = null;
+            this._drain(secondary);
+        }, delay);
+        secondary.retryTimer.unref?.();
+    }
+}
+
+module.exports = MirrorDB;
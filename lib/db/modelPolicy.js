@@ -0,0 +1,104 @@
+// lib/db/modelPolicy.js
+// Columns the drivers maintain on their own, per table (config/tables.js):
+//     timestamps:  created_at on insert, updated_at on insert and update; 'created' for
+//                  created_at only (rows that are not updated, like readings)
+//     softDeletes: delete() sets deleted_at instead of removing the row; reads leave those rows
+//                  out unless the query asks for withTrashed() / onlyTrashed()
+//     userstamps:  created_by / updated_by hold the id of the caller the write is made for
+// Values the caller sets explicitly are kept, except the userstamps of a write made for a caller.
+
+const COLUMNS = {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    deletedAt: 'deleted_at',
+    createdBy: 'created_by',
+    updatedBy: 'updated_by'
+};
+
+class ModelPolicy {
+    constructor(tables = {}) {
+        this.tables = new Map(); // tableName -> { timestamps, softDeletes, userstamps }
+        for (const [tableName, settings] of Object.entries(tables)) {
+            if (!settings) continue;
+            const options = {
+                timestamps: settings.timestamps === 'created' ? 'created' : !!settings.timestamps,
+                softDeletes: !!settings.softDeletes,
+                userstamps: !!settings.userstamps
+            };
+            if (options.timestamps || options.softDeletes || options.userstamps) {
+                this.tables.set(tableName, options);
+            }
+        }
+    }
+
+    // Build a policy from config/tables.js
+    static fromConfig() {
+        return new ModelPolicy(require('../../config/tables'));
+    }
+
+    // What is stored in created_by / updated_by: a user's id, or the value itself
+    // (e.g. a WebSocket client id)
+    static actorId(actor) {
+        if (actor === null || actor === undefined) return null;
+        if (typeof actor === 'object') {
+            return actor.id !== undefined && actor.id !== null ? actor.id : (actor.username || null);
+        }
+        return actor;
+    }
+
+    getOptions(tableName) {
+        return this.tables.get(tableName) || { timestamps: false, softDeletes: false, userstamps: false };
+    }
+
+    // Column that marks soft-deleted rows of tableName, or null when rows are really deleted
+    softDeleteColumn(tableName) {
+        return this.getOptions(tableName).softDeletes ? COLUMNS.deletedAt : null;
+    }
+
+    // Return a copy of row with the insert columns of tableName filled in
+    stampInsert(tableName, row, { now, actor = null } = {}) {
+        const options = this.getOptions(tableName);
+        const stamped = { ...row };
+        if (options.timestamps) {
+            this._fill(stamped, COLUMNS.createdAt, now);
+        }
+        if (options.timestamps === true) {
+            this._fill(stamped, COLUMNS.updatedAt, now);
+        }
+        if (options.userstamps) {
+            this._setActor(stamped, COLUMNS.createdBy, actor);
+            this._setActor(stamped, COLUMNS.updatedBy, actor);
+        }
+        return stamped;
+    }
+
+    // Return a copy of data with the update columns of tableName filled in
+    stampUpdate(tableName, data, { now, actor = null } = {}) {
+        const options = this.getOptions(tableName);
+        const stamped = { ...data };
+        if (options.timestamps === true) {
+            this._fill(stamped, COLUMNS.updatedAt, now);
+        }
+        if (options.userstamps) {
+            this._setActor(stamped, COLUMNS.updatedBy, actor);
+        }
+        return stamped;
+    }
+
+    _fill(row, column, value) {
+        if (row[column] === undefined || row[column] === null) {
+            row[column] = value;
+        }
+    }
+
+    _setActor(row, column, actor) {
+        const id = ModelPolicy.actorId(actor);
+        if (id !== null) {
+            row[column] = String(id);
+        }
+    }
+}
+
+ModelPolicy.COLUMNS = COLUMNS;
+
+module.exports = ModelPolicy;
@@ -1,342 +1,170 @@
 // /lib/db/mysqlDB.js
 const mysql = require('mysql2');
-const crypto = require('crypto');
-
-const ALGORITHM = 'aes-256-cbc';
-const SECRET_KEY = crypto.createHash('sha256').update(process.env.DB_ENCRYPTION_KEY || '').digest();
-const IV_LENGTH = 16;
-
-class QueryBuilder {
-    constructor(database, tableName) {
-        this.database = database;
-        this.tableName = tableName;
-        this.whereConditions = [];
-        this.whereParams = [];
-        this.orderByClause = null;
-        this.limitClause = null;
-        this.selectFields = '*';
-        this.joinClauses = [];
-        this.groupByClause = null;
-        this.havingConditions = [];
-        this.havingParams = [];
-    }
-
-    // SELECT methods
-    select(fields = '*') {
-        if (Array.isArray(fields)) {
-            this.selectFields = fields.map(field => `\`${field}\``).join(', ');
-        } else if (typeof fields === 'string') {
-            this.selectFields = fields === '*' ? '*' : fields.split(',').map(field => `\`${field.trim()}\``).join(', ');
-        }
-        return this;
-    }
-
-    // WHERE methods
-    where(field, operator = '=', value = null) {
-        if (typeof field === 'object' && field !== null) {
-            // Handle object syntax: where({name: 'John', age: 25})
-            for (const [key, val] of Object.entries(field)) {
-                this.whereConditions.push(`\`${key}\` = ?`);
-                this.whereParams.push(val);
-            }
-        } else if (arguments.length === 2) {
-            // Handle where(field, value) syntax
-            this.whereConditions.push(`\`${field}\` = ?`);
-            this.whereParams.push(operator);
-        } else {
-            // Handle where(field, operator, value) syntax
-            this.whereConditions.push(`\`${field}\` ${operator} ?`);
-            this.whereParams.push(value);
+const { SqlDatabase } = require('./sqlDatabase');
+
+// Errors that mean the server or the connection is gone, as opposed to a bad query
+const CONNECTION_ERRORS = new Set([
+    'PROTOCOL_CONNECTION_LOST', 'ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'EPIPE',
+    'ENOTFOUND', 'EHOSTUNREACH', 'ER_SERVER_SHUTDOWN', 'ER_CON_COUNT_ERROR'
+]);
+// Connection errors raised before the query reached the server, so writes can be retried safely
+const NOT_SENT_ERRORS = new Set(['ECONNREFUSED', 'ENOTFOUND', 'EHOSTUNREACH', 'ER_CON_COUNT_ERROR']);
+
+class Database extends SqlDatabase {
+    // options.pool: pool size, health check and reconnect settings (see the defaults below);
+    // encryption options are described in SqlDatabase
+    constructor(config, options = {}) {
+        super(config, options);
+        this.poolConfig = {
+            connectionLimit: 10,
+            idleTimeout: 60000,          // release idle connections before the server's wait_timeout
+            healthCheckInterval: 30000,  // 0 disables the periodic ping
+            reconnectBaseDelay: 1000,
+            reconnectMaxDelay: 30000,
+            maxQueuedQueries: 1000,      // queries held while reconnecting
+            queuedQueryTimeout: 30000,
+            ...options.pool
+        };
+        this.pool = mysql.createPool({
+            ...config,
+            connectionLimit: this.poolConfig.connectionLimit,
+            maxIdle: this.poolConfig.connectionLimit,
+            idleTimeout: this.poolConfig.idleTimeout,
+            waitForConnections: true,
+            enableKeepAlive: true
+        });
+        this.state = 'disconnected'; // disconnected | connected | reconnecting | closed
+        this.pendingQueries = [];
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+        this.healthCheckTimer = null;
+        this.stats = {
+            queries: 0,
+            failedQueries: 0,
+            retriedQueries: 0,
+            reconnects: 0,
+            lastError: null,
+            lastHealthCheck: null
+        };
+    }
+
+    async connect() {
+        try {
+            await this._ping();
+        } catch (err) {
+            console.error(`MySQL connection failed to ${this.config.host}/${this.config.database}:`, err.message);
+            throw err;
         }
-        return this;
+        this.state = 'connected';
+        this._startHealthCheck();
+        console.log(`Connected to MySQL: ${this.config.user}@${this.config.host}/${this.config.database} (pool size ${this.poolConfig.connectionLimit})`);
     }
 
-    whereIn(field, values) {
-        if (Array.isArray(values) && values.length > 0) {
-            const placeholders = values.map(() => '?').join(', ');
-            this.whereConditions.push(`\`${field}\` IN (${placeholders})`);
-            this.whereParams.push(...values);
+    // Queries issued while the pool is reconnecting are queued and run once it is back.
+    // A read that fails on a lost connection is retried after reconnecting; a write is
+    // only retried when it never reached the server, so it cannot be applied twice.
+    query(sql, params = []) {
+        if (this.state === 'closed') {
+            return Promise.reject(new Error('MySQL connection pool is closed'));
         }
-        return this;
-    }
-
-    whereNotIn(field, values) {
-        if (Array.isArray(values) && values.length > 0) {
-            const placeholders = values.map(() => '?').join(', ');
-            this.whereConditions.push(`\`${field}\` NOT IN (${placeholders})`);
-            this.whereParams.push(...values);
+        if (this.state === 'reconnecting') {
+            return this._enqueue(sql, params);
         }
-        return this;
-    }
-
-    whereBetween(field, min, max) {
-        this.whereConditions.push(`\`${field}\` BETWEEN ? AND ?`);
-        this.whereParams.push(min, max);
-        return this;
-    }
 
-    whereNull(field) {
-        this.whereConditions.push(`\`${field}\` IS NULL`);
-        return this;
-    }
-
-    whereNotNull(field) {
-        this.whereConditions.push(`\`${field}\` IS NOT NULL`);
-        return this;
-    }
-
-    whereLike(field, pattern) {
-        this.whereConditions.push(`\`${field}\` LIKE ?`);
-        this.whereParams.push(pattern);
-        return this;
-    }
-
-    orWhere(field, operator = '=', value = null) {
-        if (this.whereConditions.length === 0) {
-            return this.where(field, operator, value);
-        }
-        
-        if (typeof field === 'object' && field !== null) {
-            const orConditions = [];
-            for (const [key, val] of Object.entries(field)) {
-                orConditions.push(`\`${key}\` = ?`);
-                this.whereParams.push(val);
+        return this._execute(sql, params).catch(err => {
+            if (!this._isConnectionError(err)) {
+                throw err;
             }
-            this.whereConditions[this.whereConditions.length - 1] += ` OR (${orConditions.join(' AND ')})`;
-        } else if (arguments.length === 2) {
-            this.whereConditions[this.whereConditions.length - 1] += ` OR \`${field}\` = ?`;
-            this.whereParams.push(operator);
-        } else {
-            this.whereConditions[this.whereConditions.length - 1] += ` OR \`${field}\` ${operator} ?`;
-            this.whereParams.push(value);
-        }
-        return this;
-    }
-
-    // ORDER BY methods
-    orderBy(field, direction = 'ASC') {
-        direction = direction.toUpperCase() === 'DESC' ? 'DESC' : 'ASC';
-        if (this.orderByClause) {
-            this.orderByClause += `, \`${field}\` ${direction}`;
-        } else {
-            this.orderByClause = `\`${field}\` ${direction}`;
-        }
-        return this;
-    }
-
-    orderByDesc(field) {
-        return this.orderBy(field, 'DESC');
-    }
-
-    orderByAsc(field) {
-        return this.orderBy(field, 'ASC');
-    }
-
-    // LIMIT methods
-    limit(count, offset = null) {
-        if (offset !== null) {
-            this.limitClause = `${offset}, ${count}`;
-        } else {
-            this.limitClause = count.toString();
-        }
-        return this;
-    }
-
-    take(count) {
-        return this.limit(count);
-    }
-
-    skip(offset) {
-        this.limitClause = this.limitClause ? `${offset}, ${this.limitClause}` : `${offset}, 18446744073709551615`;
-        return this;
-    }
-
-    // JOIN methods
-    join(table, firstField, operator = '=', secondField = null) {
-        if (arguments.length === 3) {
-            // join('users', 'posts.user_id', 'users.id')
-            this.joinClauses.push(`INNER JOIN \`${table}\` ON \`${firstField}\` = \`${operator}\``);
-        } else {
-            // join('users', 'posts.user_id', '=', 'users.id')
-            this.joinClauses.push(`INNER JOIN \`${table}\` ON \`${firstField}\` ${operator} \`${secondField}\``);
-        }
-        return this;
-    }
-
-    leftJoin(table, firstField, operator = '=', secondField = null) {
-        if (arguments.length === 3) {
-            this.joinClauses.push(`LEFT JOIN \`${table}\` ON \`${firstField}\` = \`${operator}\``);
-        } else {
-            this.joinClauses.push(`LEFT JOIN \`${table}\` ON \`${firstField}\` ${operator} \`${secondField}\``);
-        }
-        return this;
-    }
-
-    rightJoin(table, firstField, operator = '=', secondField = null) {
-        if (arguments.length === 3) {
-            this.joinClauses.push(`RIGHT JOIN \`${table}\` ON \`${firstField}\` = \`${operator}\``);
-        } else {
-            this.joinClauses.push(`RIGHT JOIN \`${table}\` ON \`${firstField}\` ${operator} \`${secondField}\``);
-        }
-        return this;
-    }
-
-    // GROUP BY and HAVING
-    groupBy(field) {
-        if (Array.isArray(field)) {
-            this.groupByClause = field.map(f => `\`${f}\``).join(', ');
-        } else {
-            this.groupByClause = this.groupByClause ? `${this.groupByClause}, \`${field}\`` : `\`${field}\``;
-        }
-        return this;
-    }
-
-    having(field, operator = '=', value = null) {
-        if (arguments.length === 2) {
-            this.havingConditions.push(`\`${field}\` = ?`);
-            this.havingParams.push(operator);
-        } else {
-            this.havingConditions.push(`\`${field}\` ${operator} ?`);
-            this.havingParams.push(value);
-        }
-        return this;
-    }
-
-    // Execution methods
-    async get() {
-        const sql = this._buildSelectQuery();
-        const params = [...this.whereParams, ...this.havingParams];
-        
-        if (this.limitClause) {
-            const limitParts = this.limitClause.split(', ');
-            params.push(...limitParts.map(p => parseInt(p)));
-        }
-
-        const rows = await this.database.query(sql, params);
-        return rows.map(row => this.database._decryptRow(row));
-    }
-
-    async first() {
-        this.limit(1);
-        const results = await this.get();
-        return results.length > 0 ? results[0] : null;
-    }
-
-    async count(field = '*') {
-        const originalSelect = this.selectFields;
-        this.selectFields = field === '*' ? 'COUNT(*) as count' : `COUNT(\`${field}\`) as count`;
-        
-        const sql = this._buildSelectQuery();
-        const params = [...this.whereParams, ...this.havingParams];
-        
-        const result = await this.database.query(sql, params);
-        this.selectFields = originalSelect; // Restore original select
-        
-        return result[0] ? result[0].count : 0;
-    }
-
-    async exists() {
-        const count = await this.count();
-        return count > 0;
-    }
-
-    async pluck(field) {
-        this.select(field);
-        const results = await this.get();
-        return results.map(row => row[field]);
+            this._startReconnect(err);
+            if (this._isRead(sql) || NOT_SENT_ERRORS.has(err.code)) {
+                this.stats.retriedQueries++;
+                return this._enqueue(sql, params);
+            }
+            throw err;
+        });
     }
 
-    // UPDATE method
-    async update(data) {
-        if (Object.keys(data).length === 0) {
-            throw new Error('No data provided for update');
+    // Run callback(trx) inside a transaction: it commits when the callback resolves and
+    // rolls back when it throws. trx has the same API as the Database (table, query, postData,
+    // postMany, ...) but every statement runs on the transaction's connection. Calling
+    // transaction() on a trx joins the outer transaction.
+    async transaction(callback) {
+        if (this.transactionConnection) {
+            return callback(this);
         }
 
-        const columns = Object.keys(data);
-        const values = Object.values(data);
-        const setClause = columns.map(col => `\`${col}\` = ?`).join(', ');
-        
-        let sql = `UPDATE \`${this.tableName}\` SET ${setClause}`;
-        
-        if (this.whereConditions.length > 0) {
-            sql += ` WHERE ${this.whereConditions.join(' AND ')}`;
-        }
-        
-        const params = [...values, ...this.whereParams];
-        return await this.database.query(sql, params);
-    }
+        const connection = await this._getConnection();
+        const trx = Object.create(this);
+        trx.transactionConnection = connection;
+        trx.query = (sql, params = []) => {
+            if (trx.transactionConnection !== connection) {
+                return Promise.reject(new Error('Transaction has already finished'));
+            }
+            return this._execute(sql, params, connection);
+        };
 
-    // DELETE method
-    async delete() {
-        let sql = `DELETE FROM \`${this.tableName}\``;
-        
-        if (this.whereConditions.length > 0) {
-            sql += ` WHERE ${this.whereConditions.join(' AND ')}`;
+        try {
+            await this._connectionCall(connection, 'beginTransaction');
+            const result = await callback(trx);
+            await this._connectionCall(connection, 'commit');
+            return result;
+        } catch (err) {
+            await this._connectionCall(connection, 'rollback')
+                .catch(rollbackError => console.error('Transaction rollback failed:', rollbackError.message));
+            throw err;
+        } finally {
+            trx.transactionConnection = null;
+            connection.release();
         }
-        
-        return await this.database.query(sql, this.whereParams);
     }
 
-    // Build SELECT query
-    _buildSelectQuery() {
-        let sql = `SELECT ${this.selectFields} FROM \`${this.tableName}\``;
-        
-        if (this.joinClauses.length > 0) {
-            sql += ` ${this.joinClauses.join(' ')}`;
-        }
-        
-        if (this.whereConditions.length > 0) {
-            sql += ` WHERE ${this.whereConditions.join(' AND ')}`;
+    _getConnection() {
+        if (this.state === 'closed') {
+            return Promise.reject(new Error('MySQL connection pool is closed'));
         }
-        
-        if (this.groupByClause) {
-            sql += ` GROUP BY ${this.groupByClause}`;
-        }
-        
-        if (this.havingConditions.length > 0) {
-            sql += ` HAVING ${this.havingConditions.join(' AND ')}`;
-        }
-        
-        if (this.orderByClause) {
-            sql += ` ORDER BY ${this.orderByClause}`;
-        }
-        
-        if (this.limitClause) {
-            sql += ` LIMIT ${this.limitClause}`;
-        }
-        
-        return sql;
-    }
-
-    // Raw query method for complex queries
-    raw(sql, params = []) {
-        return this.database.query(sql, params);
-    }
-}
-
-class Database {
-    constructor(config) {
-        this.connection = mysql.createConnection(config);
-        this.config = config;
+        return new Promise((resolve, reject) => {
+            this.pool.getConnection((err, connection) => (err ? reject(err) : resolve(connection)));
+        });
     }
 
-    connect() {
+    _connectionCall(connection, method) {
         return new Promise((resolve, reject) => {
-            this.connection.connect(err => {
-                if (err) {
-                    console.error(`MySQL connection failed to ${this.config.host}/${this.config.database}:`, err.message);
-                    return reject(err);
-                }
-                console.log(`Connected to MySQL: ${this.config.user}@${this.config.host}/${this.config.database}`);
-                resolve();
-            });
+            connection[method](err => (err ? reject(err) : resolve()));
         });
     }
 
-    query(sql, params = []) {
+    // Pool statistics for status reporting (the database.info RPC)
+    getPoolStats() {
+        return {
+            state: this.state,
+            connectionLimit: this.poolConfig.connectionLimit,
+            totalConnections: this.pool._allConnections?.length ?? null,
+            freeConnections: this.pool._freeConnections?.length ?? null,
+            waitingForConnection: this.pool._connectionQueue?.length ?? null,
+            queuedQueries: this.pendingQueries.length,
+            reconnectAttempts: this.reconnectAttempts,
+            ...this.stats
+        };
+    }
+
+    async getConnectionInfo() {
+        return {
+            type: 'mysql',
+            connected: this.state === 'connected',
+            host: this.config.host,
+            database: this.config.database,
+            pool: this.getPoolStats()
+        };
+    }
+
+    // runner is the pool, or the connection a transaction holds
+    _execute(sql, params, runner = this.pool) {
+        this.stats.queries++;
         return new Promise((resolve, reject) => {
-            this.connection.query(sql, params, (err, results) => {
+            runner.query(sql, params, (err, results) => {
                 if (err) {
+                    this.stats.failedQueries++;
+                    this.stats.lastError = err.message;
                     console.error("Database query error:", err.sqlMessage || err.message);
                     console.error("SQL:", sql);
                     console.error("Params:", params);
@@ -347,158 +175,147 @@ class Database {
         });
     }
 
-    // Chainable query builder - NEW
-    table(tableName) {
-        return new QueryBuilder(this, tableName);
-    }
-
-    // Convenience methods for common operations
-    from(tableName) {
-        return this.table(tableName);
+    _enqueue(sql, params) {
+        if (this.pendingQueries.length >= this.poolConfig.maxQueuedQueries) {
+            return Promise.reject(new Error('MySQL is reconnecting and the query queue is full'));
+        }
+        return new Promise((resolve, reject) => {
+            const entry = { sql, params, resolve, reject };
+            entry.timer = setTimeout(() => {
+                this.pendingQueries = this.pendingQueries.filter(pending => pending !== entry);
+                reject(new Error(`MySQL did not reconnect within ${this.poolConfig.queuedQueryTimeout}ms`));
+            }, this.poolConfig.queuedQueryTimeout);
+            this.pendingQueries.push(entry);
+        });
     }
 
-    // Raw query method
-    raw(sql, params = []) {
-        return this.query(sql, params);
+    _flushQueue() {
+        const queued = this.pendingQueries;
+        this.pendingQueries = [];
+        for (const entry of queued) {
+            clearTimeout(entry.timer);
+            this.query(entry.sql, entry.params).then(entry.resolve, entry.reject);
+        }
     }
 
-    validate(data, rules) {
-        for (const [field, rule] of Object.entries(rules)) {
-            if (rule.includes('required') && (data[field] === undefined || data[field] === null || data[field] === '')) {
-                throw new Error(`${field} is required`);
-            }
-            if (rule.includes('email') && data[field] && !/^\S+@\S+\.\S+$/.test(data[field])) {
-                throw new Error(`${field} must be a valid email`);
-            }
+    _rejectQueue(error) {
+        const queued = this.pendingQueries;
+        this.pendingQueries = [];
+        for (const entry of queued) {
+            clearTimeout(entry.timer);
+            entry.reject(error);
         }
     }
 
-    encrypt(text) {
-        if (text === null || typeof text === 'undefined') return text;
-        const iv = crypto.randomBytes(IV_LENGTH);
-        const cipher = crypto.createCipheriv(ALGORITHM, Buffer.from(SECRET_KEY), iv);
-        let encrypted = cipher.update(String(text), 'utf8', 'hex');
-        encrypted += cipher.final('hex');
-        return iv.toString('hex') + ':' + encrypted;
+    _startReconnect(error) {
+        if (this.state === 'reconnecting' || this.state === 'closed') return;
+        console.warn(`MySQL connection lost (${error.code || error.message}), reconnecting...`);
+        this.state = 'reconnecting';
+        this.stats.lastError = error.message;
+        this.reconnectAttempts = 0;
+        this._scheduleReconnect();
+    }
+
+    // Exponential backoff: base, 2x base, 4x base ... capped at reconnectMaxDelay
+    _scheduleReconnect() {
+        const delay = Math.min(
+            this.poolConfig.reconnectBaseDelay * Math.pow(2, this.reconnectAttempts),
+            this.poolConfig.reconnectMaxDelay
+        );
+        this.reconnectTimer = setTimeout(async () => {
+            this.reconnectTimer = null;
+            this.reconnectAttempts++;
+            try {
+                await this._ping();
+            } catch (err) {
+                if (this.state !== 'reconnecting') return;
+                this.stats.lastError = err.message;
+                console.warn(`MySQL reconnect attempt ${this.reconnectAttempts} failed: ${err.message}`);
+                this._scheduleReconnect();
+                return;
+            }
+            if (this.state !== 'reconnecting') return;
+            console.log(`MySQL reconnected after ${this.reconnectAttempts} attempt(s)`);
+            this.state = 'connected';
+            this.reconnectAttempts = 0;
+            this.stats.reconnects++;
+            this._flushQueue();
+        }, delay);
+        this.reconnectTimer.unref?.();
+    }
+
+    _startHealthCheck() {
+        if (!this.poolConfig.healthCheckInterval || this.healthCheckTimer) return;
+        this.healthCheckTimer = setInterval(() => {
+            if (this.state !== 'connected') return;
+            this._ping()
+                .then(() => { this.stats.lastHealthCheck = new Date().toISOString(); })
+                .catch(err => {
+                    if (this._isConnectionError(err)) {
+                        this._startReconnect(err);
+                    }
+                });
+        }, this.poolConfig.healthCheckInterval);
+        this.healthCheckTimer.unref?.();
     }
 
-    decrypt(encryptedText) {
-        if (typeof encryptedText !== 'string' || !encryptedText.includes(':')) {
-            return encryptedText;
-        }
-        try {
-            const textParts = encryptedText.split(':');
-            const iv = Buffer.from(textParts.shift(), 'hex');
-            const encryptedData = textParts.join(':');
-            const decipher = crypto.createDecipheriv(ALGORITHM, Buffer.from(SECRET_KEY), iv);
-            let decrypted = decipher.update(encryptedData, 'hex', 'utf8');
-            decrypted += decipher.final('utf8');
-            return decrypted;
-        } catch (error) {
-            return encryptedText;
-        }
+    _ping() {
+        return new Promise((resolve, reject) => {
+            this.pool.query('SELECT 1', err => (err ? reject(err) : resolve()));
+        });
     }
 
-    // EXISTING METHODS (unchanged for backward compatibility)
-    postData(tableName, data = {}) {
-        const dataToInsert = { ...data };
-        const columns = Object.keys(dataToInsert);
-        const values = Object.values(dataToInsert);
-        const placeholders = columns.map(() => '?').join(', ');
-        const sql = `INSERT INTO \`${tableName}\` (\`${columns.join('`, `')}\`) VALUES (${placeholders})`;
-        return this.query(sql, values);
+    // While the pool is reconnecting or closed every failure counts as unreachable
+    isUnavailableError(err) {
+        return this.state !== 'connected' || this._isConnectionError(err);
     }
 
-    updateData(tableName, data = {}, whereClause = '', whereParams = []) {
-        const dataToUpdate = { ...data };
-        const columns = Object.keys(dataToUpdate);
-        const values = Object.values(dataToUpdate);
-        const setClause = columns.map(col => `\`${col}\` = ?`).join(', ');
-        const sql = `UPDATE \`${tableName}\` SET ${setClause} WHERE ${whereClause}`;
-        return this.query(sql, [...values, ...whereParams]);
+    _isConnectionError(err) {
+        return !!err && (err.fatal === true || CONNECTION_ERRORS.has(err.code));
     }
 
-    _decryptRow(row) {
-        const decryptedRow = { ...row };
-        for (const key in decryptedRow) {
-            if (typeof decryptedRow[key] === 'string' && decryptedRow[key].includes(':')) {
-                const originalValue = decryptedRow[key];
-                decryptedRow[key] = this.decrypt(originalValue);
-                if (decryptedRow[key] !== originalValue && !isNaN(Number(decryptedRow[key]))) {
-                    decryptedRow[key] = Number(decryptedRow[key]);
-                }
-            }
-        }
-        return decryptedRow;
+    _isRead(sql) {
+        return /^\s*(SELECT|SHOW|DESCRIBE|EXPLAIN)\b/i.test(sql);
     }
 
-    async getDataByFilters(tableName, filters = {}, options = {}) {
-        const keys = Object.keys(filters);
-        let sql = `SELECT * FROM \`${tableName}\``;
-        const values = [];
-
-        if (keys.length > 0) {
-            const conditions = keys.map(key => {
-                values.push(filters[key]);
-                return `\`${key}\` = ?`;
-            }).join(' AND ');
-            sql += ` WHERE ${conditions}`;
-        }
-
-        if (options.orderBy) {
-            if (typeof options.orderBy === 'string') {
-                const parts = options.orderBy.trim().split(/\s+/);
-                const column = parts[0];
-                const direction = parts[1] ? parts[1].toUpperCase() : 'DESC';
-                sql += ` ORDER BY \`${column}\` ${direction === 'DESC' ? 'DESC' : 'ASC'}`;
-            } else if (options.orderBy.column) {
-                const direction = options.orderBy.direction?.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
-                sql += ` ORDER BY \`${options.orderBy.column}\` ${direction}`;
-            }
-        }
-
-        if (options.limit && Number.isInteger(options.limit) && options.limit > 0) {
-            sql += ` LIMIT ?`;
-            values.push(options.limit);
-        }
-
-        const rows = await this.query(sql, values);
-        return rows.map(row => this._decryptRow(row));
+    // Start of the time bucket as epoch seconds (used by QueryBuilder.aggregate)
+    _bucketExpression(column, seconds) {
+        return `UNIX_TIMESTAMP(${column}) DIV ${seconds} * ${seconds}`;
     }
 
-    async getAllUsers() {
-        const rows = await this.query('SELECT * FROM users');
-        return rows.map(row => this._decryptRow(row));
+    // CREATE TABLE commits an open transaction, so a trx creates the receipts table through
+    // the pool
+    _ensureWriteReceipts() {
+        return this.transactionConnection
+            ? Object.getPrototypeOf(this)._ensureWriteReceipts()
+            : super._ensureWriteReceipts();
     }
 
-    async insertUser(name, email) {
-        const encryptedName = this.encrypt(name);
-        const encryptedEmail = this.encrypt(email);
-        return this.query('INSERT INTO users (name, email) VALUES (?, ?)', [encryptedName, encryptedEmail]);
+    // TIMESTAMP columns reject ISO strings ending in 'Z'; mysql2 writes a Date in the
+    // connection's time zone, as CURRENT_TIMESTAMP does
+    _timestamp(date) {
+        return date;
     }
 
     close() {
+        this.state = 'closed';
+        clearTimeout(this.reconnectTimer);
+        clearInterval(this.healthCheckTimer);
+        this.reconnectTimer = null;
+        this.healthCheckTimer = null;
+        this._rejectQueue(new Error('MySQL connection pool is closed'));
+
         return new Promise((resolve, reject) => {
-            if (this.connection) {
-                this.connection.end(err => {
-                    if (err) {
-                        console.error('Error closing MySQL connection:', err.message);
-                        return reject(err);
-                    }
-                    console.log('MySQL connection closed.');
-                    resolve();
-                });
-            } else {
+            this.pool.end(err => {
+                if (err) {
+                    console.error('Error closing MySQL connection pool:', err.message);
+                    return reject(err);
+                }
+                console.log('MySQL connection pool closed.');
                 resolve();
-            }
+            });
         });
     }
-
-    check_up(data) {
-        if (!data) {
-            return res.status(500).json({ success: false, error: "Database not initialized for controller." });
-        }
-    }
 }
 
-module.exports = Database;
\ No newline at end of file
+module.exports = Database;
@@ -0,0 +1,314 @@
+// lib/db/retention.js
+// Retention and downsampling of the ingest tables, run on a schedule in the main process.
+//
+// Policies come from the `retention` entry of a table in config/tables.js:
+//     retention: {
+//         keepDays: 30,               // raw rows older than this are deleted
+//         timeField: 'created_at',
+//         rollups: [{ table: 'sensors_data_hourly', bucket: 'hour', groupBy: ['device_id'], metrics: ['value'] }]
+//     }
+// Expired rows are handled one window at a time, oldest first. A window is as long as the
+// largest rollup bucket (a day when there are no rollups). Each window is one transaction:
+// the rollups are written and the raw rows deleted together, so an interrupted run leaves a
+// window either done or untouched.
+//
+// A summary row holds bucket_start (ISO string), the groupBy columns, sample_count and, for each
+// metric column, <column>_avg, _min, _max, _sum and _count. When a bucket already has a row
+// (rows that arrived late), the new values are merged into it.
+const EventEmitter = require('events');
+const { bucketStart, normalizeAggregateOptions } = require('./aggregation');
+
+const DAY = 24 * 60 * 60 * 1000;
+const METRIC_FUNCTIONS = ['avg', 'min', 'max', 'sum', 'count'];
+
+class RetentionScheduler extends EventEmitter {
+    // options.interval: ms between scheduled runs
+    // options.startDelay: ms before the first scheduled run after start()
+    // options.dryRun: default for run(); count what would be rolled up and deleted, change nothing
+    constructor(db, policies, options = {}) {
+        super();
+        this.db = db;
+        this.policies = policies;
+        this.options = {
+            interval: 60 * 60 * 1000,
+            startDelay: 60 * 1000,
+            dryRun: false,
+            ...options
+        };
+        this.timer = null;
+        this.nextRunAt = null;
+        this.running = null;
+        this.progress = null;
+        this.lastRun = null;
+        this.stopping = false;
+    }
+
+    // Policies of every table in config/tables.js that has a `retention` entry
+    static policiesFromConfig(tables = require('../../config/tables')) {
+        return Object.entries(tables)
+            .filter(([, settings]) => settings && settings.retention)
+            .map(([tableName, settings]) => RetentionScheduler.normalizePolicy(tableName, settings.retention));
+    }
+
+    static normalizePolicy(tableName, retention) {
+        const keepDays = Number(retention.keepDays);
+        if (!Number.isFinite(keepDays) || keepDays <= 0) {
+            throw new Error(`Retention policy of ${tableName}: keepDays must be a positive number`);
+        }
+        const timeField = retention.timeField || 'created_at';
+        const rollups = (retention.rollups || []).map(rollup => {
+            if (!rollup.table || !rollup.bucket) {
+                throw new Error(`Retention policy of ${tableName}: every rollup needs a table and a bucket`);
+            }
+            const metrics = rollup.metrics || [];
+            // Options for aggregate(), validated here so a bad policy fails at startup
+            const aggregate = {
+                bucket: rollup.bucket,
+                timeField,
+                groupBy: rollup.groupBy || [],
+                metrics: Object.fromEntries(metrics.map(column => [column, METRIC_FUNCTIONS]))
+            };
+            const spec = normalizeAggregateOptions(aggregate);
+            return {
+                table: rollup.table, bucket: rollup.bucket, groupBy: spec.groupBy, metrics,
+                bucketSeconds: spec.bucketSeconds, aggregate
+            };
+        });
+
+        const windowSeconds = Math.max(DAY / 1000, ...rollups.map(rollup => rollup.bucketSeconds));
+        for (const rollup of rollups) {
+            if (windowSeconds % rollup.bucketSeconds !== 0) {
+                throw new Error(`Retention policy of ${tableName}: bucket '${rollup.bucket}' of ${rollup.table} ` +
+                    `must divide the largest bucket evenly`);
+            }
+        }
+        return { table: tableName, keepDays, timeField, rollups, windowMs: windowSeconds * 1000 };
+    }
+
+    start() {
+        this.stopping = false;
+        this._schedule(this.options.startDelay);
+        return this;
+    }
+
+    // Apply the policies now; options.tables limits the run to some tables. A run already in
+    // progress is returned instead of starting a second one.
+    run({ dryRun = this.options.dryRun, tables = null } = {}) {
+        if (!this.running) {
+            this.running = this._run(dryRun, tables).finally(() => {
+                this.running = null;
+                this.progress = null;
+            });
+        }
+        return this.running;
+    }
+
+    getStatus() {
+        return {
+            scheduled: this.timer !== null,
+            running: !!this.running,
+            dryRun: this.options.dryRun,
+            interval: this.options.interval,
+            nextRunAt: this.nextRunAt,
+            progress: this.progress,
+            lastRun: this.lastRun,
+            policies: this.policies.map(policy => ({
+                table: policy.table,
+                keepDays: policy.keepDays,
+                timeField: policy.timeField,
+                rollups: policy.rollups.map(rollup => ({ table: rollup.table, bucket: rollup.bucket }))
+            }))
+        };
+    }
+
+    // Stop scheduling; a running job stops after its current window
+    async close() {
+        this.stopping = true;
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.nextRunAt = null;
+        if (this.running) {
+            await this.running.catch(() => {});
+        }
+    }
+
+    _schedule(delay) {
+        if (this.stopping) return;
+        clearTimeout(this.timer);
+        this.nextRunAt = new Date(Date.now() + delay).toISOString();
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.nextRunAt = null;
+            this.run()
+                .catch(err => console.error('Retention run failed:', err.message))
+                .finally(() => this._schedule(this.options.interval));
+        }, delay);
+        this.timer.unref?.();
+    }
+
+    async _run(dryRun, tables) {
+        const summary = { startedAt: new Date().toISOString(), finishedAt: null, dryRun, tables: [] };
+        const policies = tables ? this.policies.filter(policy => tables.includes(policy.table)) : this.policies;
+        this.emit('started', { dryRun, tables: policies.map(policy => policy.table) });
+
+        for (const policy of policies) {
+            if (this.stopping) break;
+            const result = { table: policy.table, cutoff: null, windows: 0, deleted: 0, rolledUp: 0, error: null };
+            summary.tables.push(result);
+            try {
+                await this._applyPolicy(policy, dryRun, result);
+            } catch (err) {
+                console.error(`Retention of ${policy.table} failed:`, err.message);
+                result.error = err.message;
+            }
+        }
+
+        summary.finishedAt = new Date().toISOString();
+        this.lastRun = summary;
+        const total = summary.tables.reduce((sum, table) => sum + table.deleted, 0);
+        console.log(dryRun
+            ? `Retention dry run finished: ${total} row(s) would be deleted`
+            : `Retention run finished: ${total} row(s) deleted`);
+        this.emit('completed', summary);
+        return summary;
+    }
+
+    async _applyPolicy(policy, dryRun, result) {
+        const { table, timeField, windowMs } = policy;
+        // Only whole windows are processed, so the cutoff is rounded down to a window boundary
+        const cutoff = Math.floor((Date.now() - policy.keepDays * DAY) / windowMs) * windowMs;
+        const cutoffIso = new Date(cutoff).toISOString();
+        result.cutoff = cutoffIso;
+
+        const first = await this._firstExpired(policy, null, cutoffIso);
+        if (!first) return;
+        const firstStart = bucketStart(first[timeField], windowMs / 1000);
+        let start = firstStart;
+
+        while (start !== null && start < cutoff && !this.stopping) {
+            const from = new Date(start).toISOString();
+            const to = new Date(start + windowMs).toISOString();
+            const window = dryRun
+                ? await this._countWindow(policy, from, to)
+                : await this.db.transaction(trx => this._processWindow(trx, policy, from, to));
+
+            result.windows++;
+            result.deleted += window.deleted;
+            result.rolledUp += window.rolledUp;
+            this.progress = {
+                table,
+                dryRun,
+                windowStart: from,
+                windowEnd: to,
+                percent: Math.round((start + windowMs - firstStart) / (cutoff - firstStart) * 100),
+                deleted: result.deleted,
+                rolledUp: result.rolledUp
+            };
+            this.emit('progress', this.progress);
+
+            // Skip empty windows: continue at the next expired row
+            const next = await this._firstExpired(policy, to, cutoffIso);
+            start = next ? bucketStart(next[timeField], windowMs / 1000) : null;
+        }
+    }
+
+    // Oldest row with from <= time < cutoff (any time before cutoff when from is null).
+    // Soft-deleted rows expire too, but are left out of the rollups.
+    _firstExpired(policy, from, cutoffIso) {
+        const query = this.db.table(policy.table).withTrashed();
+        if (from) {
+            query.where(policy.timeField, '>=', from);
+        }
+        return query.where(policy.timeField, '<', cutoffIso)
+            .orderBy(policy.timeField, 'asc')
+            .first();
+    }
+
+    _windowQuery(db, policy, from, to, withTrashed = false) {
+        const query = db.table(policy.table);
+        if (withTrashed) {
+            query.withTrashed();
+        }
+        return query
+            .where(policy.timeField, '>=', from)
+            .where(policy.timeField, '<', to);
+    }
+
+    async _countWindow(policy, from, to) {
+        let rolledUp = 0;
+        for (const rollup of policy.rollups) {
+            rolledUp += (await this._windowQuery(this.db, policy, from, to).aggregate(rollup.aggregate)).length;
+        }
+        return { deleted: await this._windowQuery(this.db, policy, from, to, true).count(), rolledUp };
+    }
+
+    async _processWindow(trx, policy, from, to) {
+        let rolledUp = 0;
+        for (const rollup of policy.rollups) {
+            const buckets = await this._windowQuery(trx, policy, from, to).aggregate(rollup.aggregate);
+            rolledUp += await this._writeRollup(trx, rollup, buckets, from, to);
+        }
+        const result = await this._windowQuery(trx, policy, from, to, true).forceDelete();
+        return { deleted: result.affectedRows || 0, rolledUp };
+    }
+
+    // Insert the summary rows of a window, merging buckets that already have a row
+    async _writeRollup(trx, rollup, buckets, from, to) {
+        if (buckets.length === 0) return 0;
+
+        const keyOf = row => JSON.stringify([row.bucket_start,
+            ...rollup.groupBy.map(column => row[column] === undefined ? null : row[column])]);
+        const existing = new Map();
+        const stored = await trx.table(rollup.table)
+            .where('bucket_start', '>=', from)
+            .where('bucket_start', '<', to)
+            .get();
+        stored.forEach(row => existing.set(keyOf(row), row));
+
+        const inserts = [];
+        for (const bucket of buckets) {
+            const summary = this._toSummaryRow(rollup, bucket);
+            const current = existing.get(keyOf(summary));
+            if (current) {
+                await trx.table(rollup.table).where('id', current.id).update(this._mergeSummaryRows(rollup, current, summary));
+            } else {
+                inserts.push(summary);
+            }
+        }
+        if (inserts.length > 0) {
+            await trx.postMany(rollup.table, inserts);
+        }
+        return buckets.length;
+    }
+
+    _toSummaryRow(rollup, bucket) {
+        const row = { bucket_start: bucket.bucket };
+        rollup.groupBy.forEach(column => { row[column] = bucket[column]; });
+        row.sample_count = bucket.count;
+        for (const column of rollup.metrics) {
+            for (const fn of METRIC_FUNCTIONS) {
+                row[`${column}_${fn}`] = bucket[`${column}_${fn}`];
+            }
+        }
+        return row;
+    }
+
+    // Combine two summaries of the same bucket; the averages are recomputed from sum and count
+    _mergeSummaryRows(rollup, current, fresh) {
+        const number = value => (value === null || value === undefined || value === '' ? null : Number(value));
+        const pick = (a, b, choose) => (a === null ? b : (b === null ? a : choose(a, b)));
+        const merged = { sample_count: (number(current.sample_count) || 0) + fresh.sample_count };
+        for (const column of rollup.metrics) {
+            const count = (number(current[`${column}_count`]) || 0) + (fresh[`${column}_count`] || 0);
+            const sum = (number(current[`${column}_sum`]) || 0) + (fresh[`${column}_sum`] || 0);
+            merged[`${column}_count`] = count;
+            merged[`${column}_sum`] = count > 0 ? sum : null;
+            merged[`${column}_avg`] = count > 0 ? sum / count : null;
+            merged[`${column}_min`] = pick(number(current[`${column}_min`]), fresh[`${column}_min`], Math.min);
+            merged[`${column}_max`] = pick(number(current[`${column}_max`]), fresh[`${column}_max`], Math.max);
+        }
+        return merged;
+    }
+}
+
+module.exports = RetentionScheduler;
@@ -0,0 +1,851 @@
+// lib/db/sqlDatabase.js
+// Query builder and dialect-neutral methods shared by the SQL drivers (MySQL and SQLite).
+// Identifiers are quoted with backticks, which SQLite accepts as well.
+const crypto = require('crypto');
+const { assertValid } = require('../validation/validator');
+const EncryptionPolicy = require('./encryptionPolicy');
+const ModelPolicy = require('./modelPolicy');
+const { FieldCipher } = require('./fieldCipher');
+const { Aggregator, buildAggregateQuery, normalizeAggregateOptions, formatSqlResults } = require('./aggregation');
+const { normalizeFilter } = require('./filters');
+
+// Write ids already inserted by postDataOnce(), so retried writes are not inserted twice
+const WRITE_RECEIPTS_TABLE = 'write_receipts';
+
+// Table and column names may come from callers (the keys of a row or a where object), so they
+// are checked rather than trusted: letters, digits and _, as name or table.name
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const COMPARISON_OPERATORS = ['=', '!=', '<>', '<', '<=', '>', '>=', 'LIKE', 'NOT LIKE'];
+
+function quoteIdentifier(name) {
+    const parts = typeof name === 'string' ? name.split('.') : [];
+    if (parts.length === 0 || parts.length > 2 || !parts.every(part => IDENTIFIER.test(part))) {
+        throw new Error(`Invalid identifier '${name}'`);
+    }
+    return parts.map(part => `\`${part}\``).join('.');
+}
+
+function comparisonOperator(operator) {
+    const normalized = String(operator).trim().replace(/\s+/g, ' ').toUpperCase();
+    if (!COMPARISON_OPERATORS.includes(normalized)) {
+        throw new Error(`Unsupported operator '${operator}'`);
+    }
+    return normalized;
+}
+
+class QueryBuilder {
+    constructor(database, tableName) {
+        this.database = database;
+        this.tableName = tableName;
+        this.quotedTable = quoteIdentifier(tableName);
+        this.whereConditions = [];
+        this.whereParams = [];
+        this.orderByClause = null;
+        this.limitClause = null;
+        this.selectFields = '*';
+        this.joinClauses = [];
+        this.groupByClause = null;
+        this.havingConditions = [];
+        this.havingParams = [];
+        this.decryptRows = true;
+        this.trashed = 'exclude'; // soft-deleted rows: exclude | with | only
+        this.actor = null;
+    }
+
+    // SELECT methods
+    select(fields = '*') {
+        if (Array.isArray(fields)) {
+            this.selectFields = fields.map(quoteIdentifier).join(', ');
+        } else if (typeof fields === 'string') {
+            this.selectFields = fields === '*' ? '*' : fields.split(',').map(field => quoteIdentifier(field.trim())).join(', ');
+        }
+        return this;
+    }
+
+    // Return policy columns exactly as stored (used by scripts/reencrypt.js)
+    withEncryptedValues() {
+        this.decryptRows = false;
+        return this;
+    }
+
+    // Soft-deleted rows (tables with softDeletes in config/tables.js) are left out by default
+    withTrashed() {
+        this.trashed = 'with';
+        return this;
+    }
+
+    onlyTrashed() {
+        this.trashed = 'only';
+        return this;
+    }
+
+    // Caller written to created_by / updated_by (a user, or an id such as a WebSocket client id).
+    // A second argument ({ source, clientId }) is only read by the audit log (lib/db/auditedDB.js).
+    actingAs(actor) {
+        this.actor = actor;
+        return this;
+    }
+
+    // WHERE methods
+    where(field, operator = '=', value = null) {
+        if (typeof field === 'object' && field !== null) {
+            // Handle object syntax: where({name: 'John', age: 25})
+            for (const [key, val] of Object.entries(field)) {
+                this.whereConditions.push(`${quoteIdentifier(key)} = ?`);
+                this.whereParams.push(val);
+            }
+        } else if (arguments.length === 2) {
+            // Handle where(field, value) syntax
+            this.whereConditions.push(`${quoteIdentifier(field)} = ?`);
+            this.whereParams.push(operator);
+        } else {
+            // Handle where(field, operator, value) syntax
+            this.whereConditions.push(`${quoteIdentifier(field)} ${comparisonOperator(operator)} ?`);
+            this.whereParams.push(value);
+        }
+        return this;
+    }
+
+    whereIn(field, values) {
+        if (Array.isArray(values) && values.length > 0) {
+            const placeholders = values.map(() => '?').join(', ');
+            this.whereConditions.push(`${quoteIdentifier(field)} IN (${placeholders})`);
+            this.whereParams.push(...values);
+        }
+        return this;
+    }
+
+    whereNotIn(field, values) {
+        if (Array.isArray(values) && values.length > 0) {
+            const placeholders = values.map(() => '?').join(', ');
+            this.whereConditions.push(`${quoteIdentifier(field)} NOT IN (${placeholders})`);
+            this.whereParams.push(...values);
+        }
+        return this;
+    }
+
+    whereBetween(field, min, max) {
+        this.whereConditions.push(`${quoteIdentifier(field)} BETWEEN ? AND ?`);
+        this.whereParams.push(min, max);
+        return this;
+    }
+
+    whereNull(field) {
+        this.whereConditions.push(`${quoteIdentifier(field)} IS NULL`);
+        return this;
+    }
+
+    whereNotNull(field) {
+        this.whereConditions.push(`${quoteIdentifier(field)} IS NOT NULL`);
+        return this;
+    }
+
+    whereLike(field, pattern) {
+        this.whereConditions.push(`${quoteIdentifier(field)} LIKE ?`);
+        this.whereParams.push(pattern);
+        return this;
+    }
+
+    // A structured filter (lib/db/filters.js), ANDed with the other where conditions. Fields
+    // are checked identifiers and every value is bound, so the filter may come from the renderer.
+    whereFilter(filter) {
+        const { sql, params } = this._compileFilter(normalizeFilter(filter));
+        if (sql !== null) {
+            this.whereConditions.push(`(${sql})`);
+            this.whereParams.push(...params);
+        }
+        return this;
+    }
+
+    // Normalized filter -> { sql, params }; sql is null for an empty AND group
+    _compileFilter(filter) {
+        if (filter.field !== undefined) {
+            return this._compileCondition(filter);
+        }
+        const isOr = filter.or !== undefined;
+        const parts = (isOr ? filter.or : filter.and).map(child => this._compileFilter(child))
+            .filter(part => part.sql !== null);
+        if (parts.length === 0) {
+            return { sql: isOr ? '1 = 0' : null, params: [] };
+        }
+        return {
+            sql: parts.map(part => `(${part.sql})`).join(isOr ? ' OR ' : ' AND '),
+            params: parts.flatMap(part => part.params)
+        };
+    }
+
+    _compileCondition({ field, operator, value }) {
+        const column = quoteIdentifier(field);
+        switch (operator) {
+            case 'null':
+                return { sql: `${column} IS NULL`, params: [] };
+            case 'not-null':
+                return { sql: `${column} IS NOT NULL`, params: [] };
+            case 'in':
+            case 'not-in':
+                return {
+                    sql: `${column} ${operator === 'in' ? 'IN' : 'NOT IN'} (${value.map(() => '?').join(', ')})`,
+                    params: value
+                };
+            case 'between':
+                return { sql: `${column} BETWEEN ? AND ?`, params: value };
+            case 'like':
+                return { sql: `${column} LIKE ?`, params: [value] };
+            default:
+                return { sql: `${column} ${operator} ?`, params: [value] };
+        }
+    }
+
+    orWhere(field, operator = '=', value = null) {
+        if (this.whereConditions.length === 0) {
+            return this.where(field, operator, value);
+        }
+        
+        if (typeof field === 'object' && field !== null) {
+            const orConditions = [];
+            for (const [key, val] of Object.entries(field)) {
+                orConditions.push(`${quoteIdentifier(key)} = ?`);
+                this.whereParams.push(val);
+            }
+            this.whereConditions[this.whereConditions.length - 1] += ` OR (${orConditions.join(' AND ')})`;
+        } else if (arguments.length === 2) {
+            this.whereConditions[this.whereConditions.length - 1] += ` OR ${quoteIdentifier(field)} = ?`;
+            this.whereParams.push(operator);
+        } else {
+            this.whereConditions[this.whereConditions.length - 1] += ` OR ${quoteIdentifier(field)} ${comparisonOperator(operator)} ?`;
+            this.whereParams.push(value);
+        }
+        return this;
+    }
+
+    // ORDER BY methods
+    orderBy(field, direction = 'ASC') {
+        direction = direction.toUpperCase() === 'DESC' ? 'DESC' : 'ASC';
+        if (this.orderByClause) {
+            this.orderByClause += `, ${quoteIdentifier(field)} ${direction}`;
+        } else {
+            this.orderByClause = `${quoteIdentifier(field)} ${direction}`;
+        }
+        return this;
+    }
+
+    orderByDesc(field) {
+        return this.orderBy(field, 'DESC');
+    }
+
+    orderByAsc(field) {
+        return this.orderBy(field, 'ASC');
+    }
+
+    // LIMIT methods
+    limit(count, offset = null) {
+        count = this._toLimitInteger(count, 'limit');
+        if (offset !== null) {
+            this.limitClause = `${this._toLimitInteger(offset, 'offset')}, ${count}`;
+        } else {
+            this.limitClause = count.toString();
+        }
+        return this;
+    }
+
+    take(count) {
+        return this.limit(count);
+    }
+
+    skip(offset) {
+        offset = this._toLimitInteger(offset, 'offset');
+        this.limitClause = this.limitClause ? `${offset}, ${this.limitClause}` : `${offset}, ${this.database.unboundedLimit}`;
+        return this;
+    }
+
+    _toLimitInteger(value, name) {
+        const number = parseInt(value, 10);
+        if (!Number.isInteger(number) || number < 0) {
+            throw new Error(`Invalid ${name} '${value}'`);
+        }
+        return number;
+    }
+
+    // JOIN methods
+    join(table, firstField, operator = '=', secondField = null) {
+        if (arguments.length === 3) {
+            // join('users', 'posts.user_id', 'users.id')
+            this.joinClauses.push(`INNER JOIN ${quoteIdentifier(table)} ON ${quoteIdentifier(firstField)} = ${quoteIdentifier(operator)}`);
+        } else {
+            // join('users', 'posts.user_id', '=', 'users.id')
+            this.joinClauses.push(`INNER JOIN ${quoteIdentifier(table)} ON ${quoteIdentifier(firstField)} ${comparisonOperator(operator)} ${quoteIdentifier(secondField)}`);
+        }
+        return this;
+    }
+
+    leftJoin(table, firstField, operator = '=', secondField = null) {
+        if (arguments.length === 3) {
+            this.joinClauses.push(`LEFT JOIN ${quoteIdentifier(table)} ON ${quoteIdentifier(firstField)} = ${quoteIdentifier(operator)}`);
+        } else {
+            this.joinClauses.push(`LEFT JOIN ${quoteIdentifier(table)} ON ${quoteIdentifier(firstField)} ${comparisonOperator(operator)} ${quoteIdentifier(secondField)}`);
+        }
+        return this;
+    }
+
+    rightJoin(table, firstField, operator = '=', secondField = null) {
+        if (arguments.length === 3) {
+            this.joinClauses.push(`RIGHT JOIN ${quoteIdentifier(table)} ON ${quoteIdentifier(firstField)} = ${quoteIdentifier(operator)}`);
+        } else {
+            this.joinClauses.push(`RIGHT JOIN ${quoteIdentifier(table)} ON ${quoteIdentifier(firstField)} ${comparisonOperator(operator)} ${quoteIdentifier(secondField)}`);
+        }
+        return this;
+    }
+
+    // GROUP BY and HAVING
+    groupBy(field) {
+        if (Array.isArray(field)) {
+            this.groupByClause = field.map(quoteIdentifier).join(', ');
+        } else {
+            this.groupByClause = this.groupByClause ? `${this.groupByClause}, ${quoteIdentifier(field)}` : quoteIdentifier(field);
+        }
+        return this;
+    }
+
+    having(field, operator = '=', value = null) {
+        if (arguments.length === 2) {
+            this.havingConditions.push(`${quoteIdentifier(field)} = ?`);
+            this.havingParams.push(operator);
+        } else {
+            this.havingConditions.push(`${quoteIdentifier(field)} ${comparisonOperator(operator)} ?`);
+            this.havingParams.push(value);
+        }
+        return this;
+    }
+
+    // Execution methods
+    async get() {
+        // LIMIT values are written into the SQL by limit()/skip() as integers, not bound
+        const sql = this._buildSelectQuery();
+        const params = [...this.whereParams, ...this.havingParams];
+
+        const rows = await this.database.query(sql, params);
+        return this.decryptRows ? rows.map(row => this.database._decryptRow(row, this.tableName)) : rows;
+    }
+
+    async first() {
+        this.limit(1);
+        const results = await this.get();
+        return results.length > 0 ? results[0] : null;
+    }
+
+    async count(field = '*') {
+        const originalSelect = this.selectFields;
+        this.selectFields = field === '*' ? 'COUNT(*) as count' : `COUNT(${quoteIdentifier(field)}) as count`;
+        
+        const sql = this._buildSelectQuery();
+        const params = [...this.whereParams, ...this.havingParams];
+        
+        const result = await this.database.query(sql, params);
+        this.selectFields = originalSelect; // Restore original select
+        
+        return result[0] ? result[0].count : 0;
+    }
+
+    async exists() {
+        const count = await this.count();
+        return count > 0;
+    }
+
+    async pluck(field) {
+        this.select(field);
+        const results = await this.get();
+        return results.map(row => row[field]);
+    }
+
+    // Aggregate the matching rows per time bucket and/or group (options: lib/db/aggregation.js).
+    // Runs as one GROUP BY query; encrypted columns cannot be aggregated by the server, so
+    // when one is involved the rows are decrypted and aggregated in memory instead.
+    async aggregate(options = {}) {
+        const spec = normalizeAggregateOptions(options);
+        const columns = [...spec.groupBy, ...spec.metrics.map(metric => metric.column)];
+        if (spec.bucketSeconds !== null) {
+            columns.push(spec.timeField);
+        }
+        if (columns.some(column => this.database.encryptionPolicy.isEncrypted(this.tableName, column))) {
+            this.select(Array.from(new Set([spec.timeField, ...columns])));
+            this.orderByClause = null;
+            this.limitClause = null;
+            return new Aggregator(spec).addAll(await this.get()).results();
+        }
+
+        const select = [];
+        const groups = [];
+        const conditions = this._conditions();
+        if (spec.bucketSeconds !== null) {
+            select.push(`${this.database._bucketExpression(`\`${spec.timeField}\``, spec.bucketSeconds)} AS \`bucket\``);
+            groups.push('`bucket`');
+            conditions.push(`\`${spec.timeField}\` IS NOT NULL`);
+        }
+        spec.groupBy.forEach(column => {
+            select.push(quoteIdentifier(column));
+            groups.push(quoteIdentifier(column));
+        });
+        select.push('COUNT(*) AS `count`');
+        spec.metrics.forEach(metric => {
+            select.push(`${metric.fn.toUpperCase()}(\`${metric.column}\`) AS \`${metric.alias}\``);
+        });
+
+        let sql = `SELECT ${select.join(', ')} FROM ${this.quotedTable}`;
+        if (this.joinClauses.length > 0) {
+            sql += ` ${this.joinClauses.join(' ')}`;
+        }
+        if (conditions.length > 0) {
+            sql += ` WHERE ${conditions.join(' AND ')}`;
+        }
+        if (groups.length > 0) {
+            sql += ` GROUP BY ${groups.join(', ')} ORDER BY ${groups.join(', ')}`;
+        }
+
+        const rows = await this.database.query(sql, this.whereParams);
+        return formatSqlResults(rows, spec);
+    }
+
+    // UPDATE method
+    async update(data) {
+        if (Object.keys(data).length === 0) {
+            throw new Error('No data provided for update');
+        }
+
+        const stamped = this.database._stampUpdate(this.tableName, data, this.actor);
+        const dataToUpdate = this.database._encryptRow(this.tableName, stamped);
+        const columns = Object.keys(dataToUpdate);
+        const values = Object.values(dataToUpdate);
+        const setClause = columns.map(col => `${quoteIdentifier(col)} = ?`).join(', ');
+        
+        let sql = `UPDATE ${this.quotedTable} SET ${setClause}`;
+        
+        const conditions = this._conditions();
+        if (conditions.length > 0) {
+            sql += ` WHERE ${conditions.join(' AND ')}`;
+        }
+        
+        const params = [...values, ...this.whereParams];
+        return await this.database.query(sql, params);
+    }
+
+    // DELETE method; on a soft-delete table the rows are marked deleted instead
+    async delete() {
+        const column = this.database.modelPolicy.softDeleteColumn(this.tableName);
+        if (column) {
+            return this.update({ [column]: this.database._now() });
+        }
+        return this.forceDelete();
+    }
+
+    // Remove the rows even from a soft-delete table (only the ones in scope: add withTrashed()
+    // to include rows that are already soft-deleted)
+    async forceDelete() {
+        let sql = `DELETE FROM ${this.quotedTable}`;
+        
+        const conditions = this._conditions();
+        if (conditions.length > 0) {
+            sql += ` WHERE ${conditions.join(' AND ')}`;
+        }
+        
+        return await this.database.query(sql, this.whereParams);
+    }
+
+    // Bring soft-deleted rows matching the where clauses back
+    async restore() {
+        const column = this.database.modelPolicy.softDeleteColumn(this.tableName);
+        if (!column) {
+            throw new Error(`Table '${this.tableName}' does not use soft deletes`);
+        }
+        return this.onlyTrashed().update({ [column]: null });
+    }
+
+    // The where conditions plus the soft-delete scope. The scope is ANDed with the conditions
+    // as a whole, since orWhere() extends the last condition with OR.
+    _conditions() {
+        const column = this.database.modelPolicy.softDeleteColumn(this.tableName);
+        if (!column || this.trashed === 'with') {
+            return [...this.whereConditions];
+        }
+        const scope = `${this.quotedTable}.${quoteIdentifier(column)} IS ${this.trashed === 'only' ? 'NOT NULL' : 'NULL'}`;
+        return this.whereConditions.length > 0
+            ? [`(${this.whereConditions.join(' AND ')})`, scope]
+            : [scope];
+    }
+
+    // Build SELECT query
+    _buildSelectQuery() {
+        let sql = `SELECT ${this.selectFields} FROM ${this.quotedTable}`;
+        
+        if (this.joinClauses.length > 0) {
+            sql += ` ${this.joinClauses.join(' ')}`;
+        }
+        
+        const conditions = this._conditions();
+        if (conditions.length > 0) {
+            sql += ` WHERE ${conditions.join(' AND ')}`;
+        }
+        
+        if (this.groupByClause) {
+            sql += ` GROUP BY ${this.groupByClause}`;
+        }
+        
+        if (this.havingConditions.length > 0) {
+            sql += ` HAVING ${this.havingConditions.join(' AND ')}`;
+        }
+        
+        if (this.orderByClause) {
+            sql += ` ORDER BY ${this.orderByClause}`;
+        }
+        
+        if (this.limitClause) {
+            sql += ` LIMIT ${this.limitClause}`;
+        }
+        
+        return sql;
+    }
+
+    // Raw query method for complex queries
+    raw(sql, params = []) {
+        return this.database.query(sql, params);
+    }
+}
+
+class SqlDatabase {
+    // options.encryptionPolicy: which table columns are stored encrypted (defaults to config/tables.js)
+    // options.cipher: field cipher (defaults to the DB_ENCRYPTION_* keys)
+    // options.modelPolicy: timestamp, soft-delete and userstamp columns (defaults to config/tables.js)
+    constructor(config, options = {}) {
+        this.config = config;
+        // LIMIT value meaning "no limit", used by QueryBuilder.skip() without a limit
+        this.unboundedLimit = '18446744073709551615';
+        this.encryptionPolicy = options.encryptionPolicy || EncryptionPolicy.fromConfig();
+        this.modelPolicy = options.modelPolicy || ModelPolicy.fromConfig();
+        this.cipher = options.cipher || FieldCipher.fromEnv();
+        this._assertEncryptionKey();
+    }
+
+    // Subclasses implement query(sql, params) -> rows for reads, { affectedRows, insertId } for
+    // writes, plus connect(), transaction(callback) and close().
+
+    // Chainable query builder - NEW
+    table(tableName) {
+        return new QueryBuilder(this, tableName);
+    }
+
+    // Convenience methods for common operations
+    from(tableName) {
+        return this.table(tableName);
+    }
+
+    // Raw query method
+    raw(sql, params = []) {
+        return this.query(sql, params);
+    }
+
+    // Throws a ValidationError listing every failed field (see lib/validation/validator.js)
+    validate(data, rules) {
+        return assertValid(data, rules);
+    }
+
+    // AES-256-GCM with a key-id prefix (see lib/db/fieldCipher.js)
+    encrypt(text) {
+        return this.cipher.encrypt(text);
+    }
+
+    // Throws an EncryptionError when an encrypted value cannot be authenticated
+    decrypt(encryptedText) {
+        return this.cipher.decrypt(encryptedText);
+    }
+
+    // Add columns of a table to the encryption policy (used by the serial and WebSocket ingest)
+    registerEncryptedFields(tableName, fields = []) {
+        this.encryptionPolicy.addFields(tableName, fields);
+        this._assertEncryptionKey();
+    }
+
+    // Refuse to run with encrypted columns declared but no key to encrypt them with
+    _assertEncryptionKey() {
+        if (this.encryptionPolicy.hasEncryptedFields() && !this.cipher.hasKeys()) {
+            throw new Error('Encrypted fields are declared but no encryption key is configured. ' +
+                'Set DB_ENCRYPTION_KEY or DB_ENCRYPTION_KEYS.');
+        }
+    }
+
+    // EXISTING METHODS (unchanged for backward compatibility)
+    // options.actor: caller written to created_by / updated_by (tables with userstamps)
+    postData(tableName, data = {}, options = {}) {
+        const dataToInsert = this._encryptRow(tableName, this._stampInsert(tableName, data, options.actor));
+        const columns = Object.keys(dataToInsert);
+        const values = Object.values(dataToInsert);
+        const placeholders = columns.map(() => '?').join(', ');
+        const sql = `INSERT INTO ${quoteIdentifier(tableName)} (${columns.map(quoteIdentifier).join(', ')}) VALUES (${placeholders})`;
+        return this.query(sql, values);
+    }
+
+    // Insert many rows with multi-row INSERT statements of at most chunkSize rows each.
+    // All chunks run in one transaction (or the caller's), so either every row is inserted
+    // or none is. Consecutive rows with the same columns share a statement.
+    async postMany(tableName, rows = [], options = {}) {
+        const chunkSize = options.chunkSize || 500;
+        if (rows.length === 0) {
+            return { affectedRows: 0, insertIds: [] };
+        }
+
+        const now = this._now();
+        const encryptedRows = rows.map(row => this._encryptRow(tableName, this._stampInsert(tableName, row, options.actor, now)));
+
+        return this.transaction(async trx => {
+            const summary = { affectedRows: 0, insertIds: [] };
+            for (const chunk of this._insertChunks(encryptedRows, chunkSize)) {
+                const columns = Object.keys(chunk[0]);
+                const explicitIds = chunk.map(row => row.id).filter(id => id !== undefined && id !== null);
+                // Ids cannot be derived when only some rows of a statement set theirs: such
+                // rows are inserted one by one
+                if (explicitIds.length > 0 && explicitIds.length < chunk.length) {
+                    for (const row of chunk) {
+                        const result = await trx.query(this._insertSql(tableName, columns, 1), columns.map(column => row[column]));
+                        summary.affectedRows += result.affectedRows;
+                        summary.insertIds.push(row.id !== undefined && row.id !== null ? row.id : result.insertId);
+                    }
+                    continue;
+                }
+
+                const values = chunk.flatMap(row => columns.map(column => row[column]));
+                const result = await trx.query(this._insertSql(tableName, columns, chunk.length), values);
+                summary.affectedRows += result.affectedRows;
+                summary.insertIds.push(...(explicitIds.length > 0 ? explicitIds : this._insertIds(result, chunk.length)));
+            }
+            return summary;
+        });
+    }
+
+    // Id for postDataOnce(); the offline write journal stores it with the queued row
+    createWriteId() {
+        return crypto.randomUUID();
+    }
+
+    // Insert a row at most once per writeId. The receipt is written in the same transaction
+    // as the row, so retrying a write whose outcome was unknown (connection lost after it was
+    // sent) returns the first insertId with duplicate: true instead of inserting again.
+    async postDataOnce(tableName, data, writeId, options = {}) {
+        await this._ensureWriteReceipts();
+        return this.transaction(async trx => {
+            const [receipt] = await trx.query(`SELECT insert_id FROM \`${WRITE_RECEIPTS_TABLE}\` WHERE id = ?`, [writeId]);
+            if (receipt) {
+                return { insertId: receipt.insert_id, affectedRows: 0, duplicate: true };
+            }
+            const result = await trx.postData(tableName, data, options);
+            await trx.query(
+                `INSERT INTO \`${WRITE_RECEIPTS_TABLE}\` (id, table_name, insert_id, created_at) VALUES (?, ?, ?, ?)`,
+                [writeId, tableName, result.insertId || null, Date.now()]
+            );
+            return { insertId: result.insertId, affectedRows: result.affectedRows, duplicate: false };
+        });
+    }
+
+    // Delete receipts created before olderThan (ms timestamp); a write is only retried for so long
+    async pruneWriteReceipts(olderThan) {
+        await this._ensureWriteReceipts();
+        return this.query(`DELETE FROM \`${WRITE_RECEIPTS_TABLE}\` WHERE created_at < ?`, [olderThan]);
+    }
+
+    // Created on first use, like the migrations table; this DDL is valid in MySQL and SQLite
+    _ensureWriteReceipts() {
+        if (!this.writeReceiptsReady) {
+            this.writeReceiptsReady = this.query(`CREATE TABLE IF NOT EXISTS \`${WRITE_RECEIPTS_TABLE}\` (
+                id VARCHAR(64) NOT NULL PRIMARY KEY,
+                table_name VARCHAR(64) NOT NULL,
+                insert_id BIGINT NULL,
+                created_at BIGINT NOT NULL
+            )`).catch(err => {
+                this.writeReceiptsReady = null;
+                throw err;
+            });
+        }
+        return this.writeReceiptsReady;
+    }
+
+    // True when err means the database could not be reached rather than that the statement
+    // was refused, so the same write may succeed later. Drivers override this.
+    isUnavailableError(err) {
+        return false;
+    }
+
+    _insertChunks(rows, chunkSize) {
+        const chunks = [];
+        let signature = null;
+        for (const row of rows) {
+            const rowSignature = Object.keys(row).sort().join(',');
+            const current = chunks[chunks.length - 1];
+            if (!current || rowSignature !== signature || current.length >= chunkSize) {
+                chunks.push([row]);
+                signature = rowSignature;
+            } else {
+                current.push(row);
+            }
+        }
+        return chunks;
+    }
+
+    _insertSql(tableName, columns, rowCount) {
+        const tuple = `(${columns.map(() => '?').join(', ')})`;
+        return `INSERT INTO ${quoteIdentifier(tableName)} (${columns.map(quoteIdentifier).join(', ')}) VALUES ${Array(rowCount).fill(tuple).join(', ')}`;
+    }
+
+    // Ids of the rows a multi-row INSERT created when the database assigned every one of them
+    // (postMany handles explicit ids). MySQL reports the first id; InnoDB gives the rows of
+    // such a statement consecutive ids in every innodb_autoinc_lock_mode, which holds as long
+    // as auto_increment_increment is 1 (not on multi-primary replication setups).
+    _insertIds(result, count) {
+        if (!result.insertId) return [];
+        return Array.from({ length: count }, (_, index) => result.insertId + index);
+    }
+
+    // options.actor: caller written to updated_by; options.withTrashed: update soft-deleted rows too
+    updateData(tableName, data = {}, whereClause = '', whereParams = [], options = {}) {
+        const dataToUpdate = this._encryptRow(tableName, this._stampUpdate(tableName, data, options.actor));
+        const columns = Object.keys(dataToUpdate);
+        const values = Object.values(dataToUpdate);
+        const setClause = columns.map(col => `${quoteIdentifier(col)} = ?`).join(', ');
+        const sql = `UPDATE ${quoteIdentifier(tableName)} SET ${setClause} WHERE ${this._scopeWhere(tableName, whereClause, options)}`;
+        return this.query(sql, [...values, ...whereParams]);
+    }
+
+    // Soft-delete tables get deleted_at set; options.force removes the rows instead
+    deleteData(tableName, whereClause = '', whereParams = [], options = {}) {
+        if (!whereClause) {
+            return Promise.reject(new Error('deleteData requires a where clause'));
+        }
+        const column = this.modelPolicy.softDeleteColumn(tableName);
+        if (column && !options.force) {
+            return this.updateData(tableName, { [column]: this._now() }, whereClause, whereParams, { actor: options.actor });
+        }
+        return this.query(`DELETE FROM ${quoteIdentifier(tableName)} WHERE ${this._scopeWhere(tableName, whereClause, options)}`, whereParams);
+    }
+
+    // A raw where clause limited to the rows in the soft-delete scope (options.withTrashed /
+    // onlyTrashed as on the query builder)
+    _scopeWhere(tableName, whereClause, options = {}) {
+        const column = this.modelPolicy.softDeleteColumn(tableName);
+        if (!column || options.withTrashed) {
+            return whereClause;
+        }
+        const scope = `${quoteIdentifier(column)} IS ${options.onlyTrashed ? 'NOT NULL' : 'NULL'}`;
+        return whereClause ? `(${whereClause}) AND ${scope}` : scope;
+    }
+
+    // Timestamp written by the model policy
+    _now() {
+        return this._timestamp(new Date());
+    }
+
+    // A date as timestamps are written and compared on this database; MySQL overrides it with
+    // the Date itself, which mysql2 formats for the connection
+    _timestamp(date) {
+        return date.toISOString();
+    }
+
+    _stampInsert(tableName, row, actor = null, now = this._now()) {
+        return this.modelPolicy.stampInsert(tableName, row, { now, actor });
+    }
+
+    _stampUpdate(tableName, data, actor = null) {
+        return this.modelPolicy.stampUpdate(tableName, data, { now: this._now(), actor });
+    }
+
+    // Encrypt the columns the encryption policy lists for tableName
+    _encryptRow(tableName, row) {
+        return this.encryptionPolicy.encryptRow(tableName, row, value => this.encrypt(value));
+    }
+
+    // Decrypt only the policy columns, so plain values containing ':' are left alone
+    _decryptRow(row, tableName) {
+        return this.encryptionPolicy.decryptRow(tableName, row, value => this.decrypt(value));
+    }
+
+    // Rows matching a raw where clause, decrypted; the soft-delete scope as for updateData
+    async getDataWhere(tableName, whereClause = '', whereParams = [], options = {}) {
+        const where = this._scopeWhere(tableName, whereClause, options);
+        const sql = `SELECT * FROM ${quoteIdentifier(tableName)}` + (where ? ` WHERE ${where}` : '');
+        const rows = await this.query(sql, whereParams);
+        return rows.map(row => this._decryptRow(row, tableName));
+    }
+
+    // options.withTrashed / onlyTrashed: include or only return soft-deleted rows
+    async getDataByFilters(tableName, filters = {}, options = {}) {
+        const keys = Object.keys(filters);
+        let sql = `SELECT * FROM ${quoteIdentifier(tableName)}`;
+        const values = [];
+
+        const conditions = keys.map(key => {
+            values.push(filters[key]);
+            return `${quoteIdentifier(key)} = ?`;
+        }).join(' AND ');
+        const where = this._scopeWhere(tableName, conditions, options);
+        if (where) {
+            sql += ` WHERE ${where}`;
+        }
+
+        if (options.orderBy) {
+            if (typeof options.orderBy === 'string') {
+                const parts = options.orderBy.trim().split(/\s+/);
+                const column = parts[0];
+                const direction = parts[1] ? parts[1].toUpperCase() : 'DESC';
+                sql += ` ORDER BY ${quoteIdentifier(column)} ${direction === 'DESC' ? 'DESC' : 'ASC'}`;
+            } else if (options.orderBy.column) {
+                const direction = options.orderBy.direction?.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+                sql += ` ORDER BY ${quoteIdentifier(options.orderBy.column)} ${direction}`;
+            }
+        }
+
+        if (options.limit && Number.isInteger(options.limit) && options.limit > 0) {
+            sql += ` LIMIT ?`;
+            values.push(options.limit);
+        }
+
+        const rows = await this.query(sql, values);
+        return rows.map(row => this._decryptRow(row, tableName));
+    }
+
+    // One page of rows in id order after the id `after` (keyset paging for bulk reads and copies),
+    // soft-deleted rows included; `descending` reads newest first, below `after`
+    getPage(tableName, { after = null, limit = 500, decrypt = true, descending = false } = {}) {
+        const query = this.table(tableName).withTrashed().orderBy('id', descending ? 'desc' : 'asc').limit(limit);
+        if (after !== null) {
+            query.where('id', descending ? '<' : '>', after);
+        }
+        if (!decrypt) {
+            query.withEncryptedValues();
+        }
+        return query.get();
+    }
+
+    // Trend data for charts, e.g. aggregate('sensor_data', { bucket: 'hour', groupBy: 'device_id',
+    // metrics: { ph_reading: ['avg', 'min', 'max'] }, where: { device_id }, from, to })
+    aggregate(tableName, options = {}) {
+        return buildAggregateQuery(this, tableName, options).aggregate(options);
+    }
+
+    // Rows with the given ids (decrypted, soft-deleted ones included), in no particular order
+    findMany(tableName, ids = []) {
+        if (ids.length === 0) return Promise.resolve([]);
+        return this.table(tableName).withTrashed().whereIn('id', ids).get();
+    }
+
+    getAllUsers() {
+        return this.table('users').get();
+    }
+
+    async insertUser(name, email, options = {}) {
+        return this.postData('users', { name, email }, options);
+    }
+
+
+    check_up(data) {
+        if (!data) {
+            return { success: false, error: "Database not initialized for controller." };
+        }
+    }
+}
+
+module.exports = { SqlDatabase, QueryBuilder };
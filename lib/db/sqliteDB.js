@@ -0,0 +1,151 @@
+// lib/db/sqliteDB.js
+// Embedded SQLite backend for machines without a MySQL server or network access.
+// Same surface as the MySQL driver (see lib/db/sqlDatabase.js); statements run through
+// better-sqlite3, which is synchronous, wrapped in promises.
+const fs = require('fs');
+const path = require('path');
+const { SqlDatabase } = require('./sqlDatabase');
+
+// Lock contention and disk errors (including extended codes such as SQLITE_BUSY_SNAPSHOT)
+const UNAVAILABLE_ERROR = /^SQLITE_(BUSY|LOCKED|FULL|IOERR)/;
+
+class SqliteDB extends SqlDatabase {
+    // config.filename: database file path (created if missing)
+    // config.busyTimeout: ms to wait for a lock held by another process
+    constructor(config = {}, options = {}) {
+        super({ busyTimeout: 5000, ...config }, options);
+        if (!this.config.filename) {
+            throw new Error('SQLite database requires a filename');
+        }
+        this.unboundedLimit = '-1';
+        this.connection = null;
+        // Settles when the running transaction ends; queries outside it wait for it
+        this.activeTransaction = Promise.resolve();
+        this.isTransaction = false;
+    }
+
+    async connect() {
+        let BetterSqlite3;
+        try {
+            BetterSqlite3 = require('better-sqlite3');
+        } catch (error) {
+            throw new Error("The SQLite backend needs the 'better-sqlite3' package: npm install better-sqlite3");
+        }
+
+        fs.mkdirSync(path.dirname(path.resolve(this.config.filename)), { recursive: true });
+        this.connection = new BetterSqlite3(this.config.filename, { timeout: this.config.busyTimeout });
+        this.connection.pragma('journal_mode = WAL');
+        this.connection.pragma('foreign_keys = ON');
+        console.log(`Connected to SQLite: ${path.resolve(this.config.filename)}`);
+    }
+
+    query(sql, params = []) {
+        return this.activeTransaction.then(() => this._run(sql, params));
+    }
+
+    // Run callback(trx) inside a transaction: it commits when the callback resolves and rolls
+    // back when it throws. There is one connection, so other queries wait until it finishes;
+    // inside the callback use trx, not the outer db, or the query waits on itself.
+    transaction(callback) {
+        if (this.isTransaction) {
+            return callback(this);
+        }
+
+        const run = async () => {
+            const trx = Object.create(this);
+            let finished = false;
+            trx.isTransaction = true;
+            trx.query = (sql, params = []) => {
+                if (finished) {
+                    return Promise.reject(new Error('Transaction has already finished'));
+                }
+                return Promise.resolve().then(() => this._run(sql, params));
+            };
+
+            this._run('BEGIN');
+            try {
+                const result = await callback(trx);
+                this._run('COMMIT');
+                return result;
+            } catch (err) {
+                if (this.connection.inTransaction) {
+                    this._run('ROLLBACK');
+                }
+                throw err;
+            } finally {
+                finished = true;
+            }
+        };
+
+        const result = this.activeTransaction.then(run);
+        this.activeTransaction = result.catch(() => {});
+        return result;
+    }
+
+    async getConnectionInfo() {
+        return {
+            type: 'sqlite',
+            connected: !!this.connection && this.connection.open,
+            filename: path.resolve(this.config.filename),
+            inTransaction: !!this.connection && this.connection.inTransaction
+        };
+    }
+
+    isUnavailableError(err) {
+        return !this.connection || UNAVAILABLE_ERROR.test(err.code || '');
+    }
+
+    // Start of the time bucket as epoch seconds (used by QueryBuilder.aggregate); strftime
+    // reads both CURRENT_TIMESTAMP values and ISO strings
+    _bucketExpression(column, seconds) {
+        return `CAST(strftime('%s', ${column}) AS INTEGER) / ${seconds} * ${seconds}`;
+    }
+
+    close() {
+        if (this.connection) {
+            this.connection.close();
+            this.connection = null;
+            console.log('SQLite database closed.');
+        }
+        return Promise.resolve();
+    }
+
+    // Reads return rows; writes return { affectedRows, insertId } like mysql2
+    _run(sql, params = []) {
+        if (!this.connection) {
+            throw new Error('SQLite database is not connected');
+        }
+        try {
+            const statement = this.connection.prepare(sql);
+            const values = params.map(value => this._toSqliteValue(value));
+            if (statement.reader) {
+                return statement.all(values);
+            }
+            const info = statement.run(values);
+            return { affectedRows: info.changes, insertId: Number(info.lastInsertRowid) };
+        } catch (err) {
+            console.error("Database query error:", err.message);
+            console.error("SQL:", sql);
+            console.error("Params:", params);
+            throw err;
+        }
+    }
+
+    // better-sqlite3 only binds numbers, strings, bigints, buffers and null
+    _toSqliteValue(value) {
+        if (value === undefined) return null;
+        if (typeof value === 'boolean') return value ? 1 : 0;
+        if (value instanceof Date) return value.toISOString();
+        return value;
+    }
+
+    // SQLite reports the id of the last row of a multi-row INSERT; rowids assigned within one
+    // statement are consecutive
+    _insertIds(result, count) {
+        if (!result.insertId) return [];
+        const first = result.insertId - count + 1;
+        return Array.from({ length: count }, (_, index) => first + index);
+    }
+}
+
+module.exports = SqliteDB;
@@ -0,0 +1,346 @@
+// lib/db/writeJournal.js
+// Store-and-forward queue for ingest writes (serial and WebSocket readings).
+//
+// A write that fails because the database is unreachable is appended to a journal file on disk
+// and replayed in order once the database is back, so readings survive an outage and an app
+// restart. Every write carries a write id; drivers insert it at most once (postDataOnce), so a
+// write that did reach the database before failing is not inserted twice when replayed.
+//
+// The journal is a JSON-lines file: { type: 'write', id, table, queuedAt, data | payload, options }
+// records (options: the write options, e.g. source and clientId for the audit log, with the actor
+// reduced to its id and username so session ids and roles never reach the file)
+// and { type: 'ack', id } records for writes that have since been stored. It is truncated when
+// the queue drains and rewritten after compactAfter acks. When an encryption key is configured
+// the row is stored encrypted in `payload`. Writes the database refuses (bad column, validation)
+// are moved to <filename>.rejected so they do not block the queue.
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+
+const RECEIPT_PRUNE_INTERVAL = 60 * 60 * 1000;
+const STATUS_THROTTLE = 250;
+
+class WriteJournal extends EventEmitter {
+    // options.filename: journal file (created with its directory if missing)
+    // options.retryDelay / maxRetryDelay: replay backoff, doubled per failed attempt
+    // options.writeTimeout: ms before a write is treated as unreachable (Firebase waits offline)
+    // options.maxEntries: queued writes kept before new ones are refused
+    // options.receiptTtl: ms the drivers keep write receipts for deduplication
+    constructor(db, options = {}) {
+        super();
+        this.db = db;
+        this.options = {
+            filename: path.join(process.cwd(), 'data', 'write-journal.jsonl'),
+            retryDelay: 5000,
+            maxRetryDelay: 60000,
+            writeTimeout: 10000,
+            maxEntries: 100000,
+            compactAfter: 1000,
+            receiptTtl: 7 * 24 * 60 * 60 * 1000,
+            fsync: true,
+            ...options
+        };
+        this.filename = path.resolve(this.options.filename);
+        this.rejectedFilename = `${this.filename}.rejected`;
+
+        this.pending = new Map(); // write id -> journal record, in queue order
+        this.fd = null;
+        this.ackedLines = 0;
+        this.rejectedCount = 0;
+        this.replaying = null;
+        this.retryTimer = null;
+        this.retryAttempts = 0;
+        this.nextRetryAt = null;
+        this.lastError = null;
+        this.lastReplayAt = null;
+        this.lastReceiptPrune = 0;
+        this.statusTimer = null;
+        this.closed = false;
+    }
+
+    // Load writes left over from a previous run and start replaying them
+    open() {
+        fs.mkdirSync(path.dirname(this.filename), { recursive: true });
+        this._load();
+        this.fd = fs.openSync(this.filename, 'a');
+
+        if (this.pending.size > 0) {
+            console.log(`Write journal: ${this.pending.size} queued write(s) from a previous run`);
+            this._scheduleRetry(0);
+        }
+        return this;
+    }
+
+    // Insert data into tableName, or queue it when the database cannot be reached. options are
+    // passed to postDataOnce (actor, source, clientId) and kept with a queued write.
+    // Resolves with the driver result ({ insertId, ... , queued: false }) or
+    // { queued: true, journalId }; rejects when the database refuses the row.
+    async write(tableName, data, options = {}) {
+        if (this.closed) {
+            throw new Error('Write journal is closed');
+        }
+
+        const id = this.db.createWriteId(tableName);
+        // Queued writes go first, so new rows wait behind them to keep their order
+        if (this.pending.size > 0 || this.replaying) {
+            this._enqueue(id, tableName, data, options);
+            return { queued: true, journalId: id };
+        }
+
+        try {
+            const result = await this._postOnce(tableName, data, id, options);
+            this._pruneReceipts();
+            return { ...result, queued: false };
+        } catch (err) {
+            if (!this._isUnavailable(err)) {
+                throw err;
+            }
+            this.lastError = err.message;
+            this._enqueue(id, tableName, data, options);
+            return { queued: true, journalId: id };
+        }
+    }
+
+    // Replay queued writes in order until the queue is empty or the database is unreachable
+    flush() {
+        if (!this.replaying) {
+            this.replaying = this._replay().finally(() => {
+                this.replaying = null;
+                this._emitStatus();
+            });
+            this._emitStatus();
+        }
+        return this.replaying;
+    }
+
+    getStatus() {
+        const oldest = this.pending.values().next().value;
+        return {
+            pending: this.pending.size,
+            oldestQueuedAt: oldest ? oldest.queuedAt : null,
+            replaying: !!this.replaying,
+            retryAttempts: this.retryAttempts,
+            nextRetryAt: this.nextRetryAt,
+            lastError: this.lastError,
+            lastReplayAt: this.lastReplayAt,
+            rejected: this.rejectedCount,
+            filename: this.filename
+        };
+    }
+
+    async close() {
+        this.closed = true;
+        clearTimeout(this.retryTimer);
+        clearTimeout(this.statusTimer);
+        this.retryTimer = null;
+        this.statusTimer = null;
+        if (this.replaying) {
+            await this.replaying.catch(() => {});
+        }
+        if (this.fd !== null) {
+            fs.closeSync(this.fd);
+            this.fd = null;
+        }
+    }
+
+    async _replay() {
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+        this.nextRetryAt = null;
+        const summary = { replayed: 0, duplicates: 0, rejected: 0 };
+
+        while (this.pending.size > 0 && !this.closed) {
+            const entry = this.pending.values().next().value;
+            try {
+                const result = await this._postOnce(entry.table, this._readData(entry), entry.id, entry.options);
+                this._ack(entry.id);
+                summary[result.duplicate ? 'duplicates' : 'replayed']++;
+                this.emit('replayed', { id: entry.id, table: entry.table, insertId: result.insertId, duplicate: !!result.duplicate });
+            } catch (err) {
+                if (this._isUnavailable(err)) {
+                    this.lastError = err.message;
+                    this.retryAttempts++;
+                    this._scheduleRetry();
+                    return summary;
+                }
+                this._reject(entry, err);
+                summary.rejected++;
+            }
+        }
+
+        this.retryAttempts = 0;
+        this.lastError = null;
+        this.lastReplayAt = new Date().toISOString();
+        if (summary.replayed + summary.duplicates + summary.rejected > 0) {
+            console.log(`Write journal replayed: ${summary.replayed} stored, ${summary.duplicates} already stored, ${summary.rejected} rejected`);
+            this._pruneReceipts(true);
+        }
+        return summary;
+    }
+
+    _postOnce(tableName, data, id, options = {}) {
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                const error = new Error(`Database write did not complete within ${this.options.writeTimeout}ms`);
+                error.code = 'WRITE_TIMEOUT';
+                reject(error);
+            }, this.options.writeTimeout);
+        });
+        return Promise.race([this.db.postDataOnce(tableName, data, id, options), timeout])
+            .finally(() => clearTimeout(timer));
+    }
+
+    _isUnavailable(err) {
+        return err.code === 'WRITE_TIMEOUT' || (typeof this.db.isUnavailableError === 'function' && this.db.isUnavailableError(err));
+    }
+
+    _enqueue(id, tableName, data, options = {}) {
+        if (this.pending.has(id)) return;
+        if (this.pending.size >= this.options.maxEntries) {
+            throw new Error(`Write journal is full (${this.options.maxEntries} queued writes)`);
+        }
+
+        const record = { type: 'write', id, table: tableName, queuedAt: new Date().toISOString() };
+        if (this.db.cipher && this.db.cipher.hasKeys()) {
+            record.payload = this.db.encrypt(JSON.stringify(data));
+        } else {
+            record.data = data;
+        }
+        const stored = WriteJournal._storedOptions(options);
+        if (Object.keys(stored).length > 0) {
+            record.options = stored;
+        }
+        this._writeLine(record, this.options.fsync);
+        this.pending.set(id, record);
+
+        this.emit('queued', { id, table: tableName });
+        this._emitStatus();
+        if (!this.retryTimer && !this.replaying) {
+            this._scheduleRetry();
+        }
+    }
+
+    // The write options as journalled: userstamps and the audit log only need the actor's id
+    // and username
+    static _storedOptions(options) {
+        const { actor, ...stored } = options;
+        if (actor && typeof actor === 'object') {
+            stored.actor = { id: actor.id ?? null, username: actor.username ?? null };
+        } else if (actor !== undefined && actor !== null) {
+            stored.actor = actor;
+        }
+        return stored;
+    }
+
+    _ack(id) {
+        this.pending.delete(id);
+        // A lost ack only costs a deduplicated replay, so it is not synced to disk
+        this._writeLine({ type: 'ack', id }, false);
+        this.ackedLines++;
+        this._compact();
+        this._emitStatus();
+    }
+
+    _reject(entry, err) {
+        console.error(`Write journal: ${entry.table} write ${entry.id} rejected by the database: ${err.message}`);
+        fs.appendFileSync(this.rejectedFilename, JSON.stringify({ ...entry, error: err.message, rejectedAt: new Date().toISOString() }) + '\n');
+        this.rejectedCount++;
+        this.emit('rejected', { id: entry.id, table: entry.table, error: err.message });
+        this._ack(entry.id);
+    }
+
+    _readData(entry) {
+        return entry.payload ? JSON.parse(this.db.decrypt(entry.payload)) : entry.data;
+    }
+
+    _load() {
+        if (fs.existsSync(this.rejectedFilename)) {
+            this.rejectedCount = fs.readFileSync(this.rejectedFilename, 'utf8').split('\n').filter(line => line.trim()).length;
+        }
+        if (!fs.existsSync(this.filename)) return;
+
+        const lines = fs.readFileSync(this.filename, 'utf8').split('\n');
+        lines.forEach((line, index) => {
+            if (!line.trim()) return;
+            let record;
+            try {
+                record = JSON.parse(line);
+            } catch (error) {
+                // A crash in the middle of an append leaves a partial last line
+                console.warn(`Write journal: skipping unreadable line ${index + 1} of ${this.filename}`);
+                return;
+            }
+            if (record.type === 'write') {
+                this.pending.set(record.id, record);
+            } else if (record.type === 'ack') {
+                this.pending.delete(record.id);
+                this.ackedLines++;
+            }
+        });
+    }
+
+    _writeLine(record, sync) {
+        fs.writeSync(this.fd, JSON.stringify(record) + '\n');
+        if (sync) {
+            fs.fdatasyncSync(this.fd);
+        }
+    }
+
+    // Drop acknowledged records: truncate once the queue is empty, otherwise rewrite the file
+    // with the pending records after compactAfter acks
+    _compact() {
+        if (this.pending.size === 0) {
+            fs.ftruncateSync(this.fd, 0);
+            this.ackedLines = 0;
+            return;
+        }
+        if (this.ackedLines < this.options.compactAfter) return;
+
+        const tempFile = `${this.filename}.tmp`;
+        const lines = Array.from(this.pending.values()).map(record => JSON.stringify(record) + '\n');
+        fs.writeFileSync(tempFile, lines.join(''));
+        fs.closeSync(this.fd);
+        fs.renameSync(tempFile, this.filename);
+        this.fd = fs.openSync(this.filename, 'a');
+        this.ackedLines = 0;
+    }
+
+    // Exponential backoff: retryDelay, 2x retryDelay ... capped at maxRetryDelay
+    _scheduleRetry(delay = null) {
+        if (this.closed) return;
+        clearTimeout(this.retryTimer);
+        const wait = delay !== null ? delay : Math.min(
+            this.options.retryDelay * Math.pow(2, this.retryAttempts),
+            this.options.maxRetryDelay
+        );
+        this.nextRetryAt = new Date(Date.now() + wait).toISOString();
+        this.retryTimer = setTimeout(() => {
+            this.retryTimer = null;
+            this.flush().catch(err => console.error('Write journal replay failed:', err.message));
+        }, wait);
+        this.retryTimer.unref?.();
+        this._emitStatus();
+    }
+
+    // Receipts are kept for receiptTtl; pruned at most hourly unless forced after a replay
+    _pruneReceipts(force = false) {
+        if (typeof this.db.pruneWriteReceipts !== 'function') return;
+        if (!force && Date.now() - this.lastReceiptPrune < RECEIPT_PRUNE_INTERVAL) return;
+        this.lastReceiptPrune = Date.now();
+        this.db.pruneWriteReceipts(Date.now() - this.options.receiptTtl)
+            .catch(err => console.warn('Write journal: pruning write receipts failed:', err.message));
+    }
+
+    // 'status' events are throttled, a replay of thousands of rows would flood the renderer
+    _emitStatus() {
+        if (this.statusTimer || this.closed) return;
+        this.statusTimer = setTimeout(() => {
+            this.statusTimer = null;
+            this.emit('status', this.getStatus());
+        }, STATUS_THROTTLE);
+        this.statusTimer.unref?.();
+    }
+}
+
+module.exports = WriteJournal;
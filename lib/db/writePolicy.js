@@ -0,0 +1,114 @@
+// lib/db/writePolicy.js
+// Which tables the generic write endpoints (POST /api/maui-data, the WebSocket 'insert' and
+// 'update' requests, the IPC post-data / insert-data / update-data handlers) may write to, and
+// what they may write. A table is writable there only when its config/tables.js entry has a
+// `write` policy:
+//     columns:    the columns a record may set; records with other columns are refused
+//     required:   columns every record must set (not null or '')
+//     maxRecords: records per request (default 100)
+//     roles:      roles allowed to write the table (default: every role with data:write)
+// Columns the table lists under `encrypt` are encrypted by the driver, as for any other write.
+const { ValidationError } = require('../validation/validator');
+const { isValidRole } = require('../auth/permissions');
+
+const DEFAULT_MAX_RECORDS = 100;
+
+class WritePolicy {
+    constructor(tables = {}) {
+        this.tables = new Map(); // tableName -> { columns, required, maxRecords, roles }
+        for (const [tableName, settings] of Object.entries(tables)) {
+            if (!settings || !settings.write) continue;
+            const write = settings.write;
+            const policy = {
+                columns: new Set(write.columns || []),
+                required: write.required || [],
+                maxRecords: write.maxRecords || DEFAULT_MAX_RECORDS,
+                roles: write.roles || null
+            };
+            const unknown = policy.required.filter(column => !policy.columns.has(column));
+            if (unknown.length > 0) {
+                throw new Error(`config/tables.js: ${tableName}.write.required lists columns missing from columns (${unknown.join(', ')})`);
+            }
+            if (policy.roles && !policy.roles.every(isValidRole)) {
+                throw new Error(`config/tables.js: ${tableName}.write.roles lists an unknown role`);
+            }
+            this.tables.set(tableName, policy);
+        }
+    }
+
+    // Build a policy from config/tables.js
+    static fromConfig() {
+        return new WritePolicy(require('../../config/tables'));
+    }
+
+    isWritable(tableName) {
+        return this.tables.has(tableName);
+    }
+
+    // Columns of tableName records may set (empty for tables without a write policy)
+    columns(tableName) {
+        const policy = this.tables.get(tableName);
+        return policy ? Array.from(policy.columns) : [];
+    }
+
+    // Throws unless role may insert records into tableName: an error with status 403 for the
+    // table or role, 413 for too many records, a ValidationError (status 400) for the records
+    check(tableName, records, role) {
+        const policy = this._policyFor(tableName, role);
+        if (records.length > policy.maxRecords) {
+            throw WritePolicy._error(`At most ${policy.maxRecords} records may be written to '${tableName}' per request`, 413);
+        }
+
+        const errors = {};
+        records.forEach((record, index) => {
+            const prefix = records.length > 1 ? `records.${index}.` : '';
+            for (const column of Object.keys(record)) {
+                if (!policy.columns.has(column)) {
+                    errors[`${prefix}${column}`] = [`'${column}' cannot be written to '${tableName}'`];
+                }
+            }
+            for (const column of policy.required) {
+                if (record[column] === undefined || record[column] === null || record[column] === '') {
+                    errors[`${prefix}${column}`] = [`'${column}' is required`];
+                }
+            }
+        });
+        if (Object.keys(errors).length > 0) {
+            throw new ValidationError(errors);
+        }
+    }
+
+    // Throws unless role may set the columns of data on rows of tableName; as check(), except
+    // that an update need not set the required columns
+    checkUpdate(tableName, data, role) {
+        const policy = this._policyFor(tableName, role);
+        const errors = {};
+        for (const column of Object.keys(data || {})) {
+            if (!policy.columns.has(column)) {
+                errors[column] = [`'${column}' cannot be written to '${tableName}'`];
+            }
+        }
+        if (Object.keys(errors).length > 0) {
+            throw new ValidationError(errors);
+        }
+    }
+
+    _policyFor(tableName, role) {
+        const policy = this.tables.get(tableName);
+        if (!policy) {
+            throw WritePolicy._error(`Table '${tableName}' does not accept writes through this endpoint`, 403);
+        }
+        if (policy.roles && !policy.roles.includes(role)) {
+            throw WritePolicy._error(`Role '${role || 'unauthenticated'}' may not write to '${tableName}'`, 403);
+        }
+        return policy;
+    }
+
+    static _error(message, status) {
+        const error = new Error(message);
+        error.status = status;
+        return error;
+    }
+}
+
+module.exports = WritePolicy;
@@ -0,0 +1,230 @@
+// lib/validation/validator.js
+// Declarative schema validation shared by the database drivers, controllers and the WebSocket server.
+//
+// A schema maps field names to rules. Rules can be written as an object:
+//     { type: 'number', required: true, min: 0, max: 14 }
+// or in the legacy list form used by Database.validate:
+//     ['required', 'email', 'min:3', 'in:low,high']
+//
+// Supported rule keys: required, requiredWithout (required unless the named sibling field
+// is present), nullable, type, min, max, enum, pattern, properties (nested object schema),
+// items (rules for each array element), custom (function or list of functions) and
+// message (overrides every message of the field).
+
+class ValidationError extends Error {
+    constructor(errors) {
+        const summary = Object.entries(errors)
+            .map(([field, messages]) => messages.join(', '))
+            .join('; ');
+        super(summary || 'Validation failed');
+        this.name = 'ValidationError';
+        this.status = 400;
+        this.errors = errors; // { 'field.path': ['message', ...] }
+    }
+}
+
+const TYPE_CHECKS = {
+    string: value => typeof value === 'string',
+    number: value => typeof value === 'number' && Number.isFinite(value),
+    numeric: value => (typeof value === 'number' || (typeof value === 'string' && value.trim() !== '')) &&
+        Number.isFinite(Number(value)),
+    integer: value => Number.isInteger(value),
+    boolean: value => typeof value === 'boolean',
+    array: value => Array.isArray(value),
+    object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+    email: value => typeof value === 'string' && /^\S+@\S+\.\S+$/.test(value),
+    date: value => (typeof value === 'string' || typeof value === 'number' || value instanceof Date) &&
+        !isNaN(new Date(value).getTime())
+};
+
+const TYPE_NAMES = {
+    integer: 'an integer',
+    numeric: 'a number',
+    array: 'an array',
+    object: 'an object',
+    email: 'a valid email',
+    date: 'a valid date'
+};
+
+class Validator {
+    constructor() {
+        // Named rules usable as { custom: 'name' } or in list form as 'name' / 'name:arg'
+        this.customRules = new Map();
+    }
+
+    // Register a reusable rule: fn(value, arg, data) returns true, or an error message
+    // (data is the object that holds the field)
+    registerRule(name, fn) {
+        this.customRules.set(name, fn);
+        return this;
+    }
+
+    // Returns { valid, errors } without throwing
+    validate(data, schema) {
+        const errors = {};
+        this._validateObject(data || {}, schema || {}, '', errors);
+        return { valid: Object.keys(errors).length === 0, errors };
+    }
+
+    // Throws a ValidationError carrying every failed field
+    assert(data, schema) {
+        const { valid, errors } = this.validate(data, schema);
+        if (!valid) {
+            throw new ValidationError(errors);
+        }
+        return data;
+    }
+
+    _validateObject(object, schema, prefix, errors) {
+        for (const [field, rawRules] of Object.entries(schema)) {
+            const path = prefix ? `${prefix}.${field}` : field;
+            this._validateValue(object[field], this.normalizeRules(rawRules), path, field, object, errors);
+        }
+    }
+
+    // parent is the object holding the value; it is what custom rules receive as data
+    _validateValue(value, rules, path, label, parent, errors) {
+        const fail = message => {
+            (errors[path] = errors[path] || []).push(rules.message || message);
+        };
+
+        if (value === null && rules.nullable) {
+            return;
+        }
+        if (this._isEmpty(value)) {
+            if (rules.required) {
+                fail(`${label} is required`);
+            } else if (rules.requiredWithout && this._isEmpty(parent[rules.requiredWithout])) {
+                fail(`${label} is required when ${rules.requiredWithout} is missing`);
+            }
+            return;
+        }
+
+        if (rules.type) {
+            const check = TYPE_CHECKS[rules.type];
+            if (!check) {
+                throw new Error(`Unknown validation type '${rules.type}' for ${path}`);
+            }
+            if (!check(value)) {
+                fail(`${label} must be ${TYPE_NAMES[rules.type] || `a ${rules.type}`}`);
+                return;
+            }
+        }
+
+        const size = rules.type === 'numeric' ? Number(value) : this._sizeOf(value);
+        const unit = typeof value === 'string' && rules.type !== 'numeric' ? ' characters' : (Array.isArray(value) ? ' items' : '');
+        if (rules.min !== undefined && size !== null && size < rules.min) {
+            fail(`${label} must be at least ${rules.min}${unit}`);
+        }
+        if (rules.max !== undefined && size !== null && size > rules.max) {
+            fail(`${label} must be at most ${rules.max}${unit}`);
+        }
+
+        if (rules.enum && !rules.enum.some(option => option == value)) {
+            fail(`${label} must be one of: ${rules.enum.join(', ')}`);
+        }
+
+        if (rules.pattern) {
+            const regex = rules.pattern instanceof RegExp ? rules.pattern : new RegExp(rules.pattern);
+            if (!regex.test(String(value))) {
+                fail(`${label} has an invalid format`);
+            }
+        }
+
+        if (rules.properties && TYPE_CHECKS.object(value)) {
+            this._validateObject(value, rules.properties, path, errors);
+        }
+
+        if (rules.items && Array.isArray(value)) {
+            const itemRules = this.normalizeRules(rules.items);
+            value.forEach((item, index) => {
+                this._validateValue(item, itemRules, `${path}[${index}]`, `${label}[${index}]`, parent, errors);
+            });
+        }
+
+        for (const custom of this._customChecks(rules.custom)) {
+            const result = custom.fn(value, custom.arg, parent);
+            if (result !== true && result !== undefined) {
+                fail(typeof result === 'string' ? result : `${label} is invalid`);
+            }
+        }
+    }
+
+    // Convert list-form rules (['required', 'min:3']) to the object form
+    normalizeRules(rules) {
+        if (!Array.isArray(rules) && typeof rules !== 'string') {
+            return rules || {};
+        }
+
+        const normalized = { custom: [] };
+        const list = Array.isArray(rules) ? rules : rules.split('|');
+        for (const entry of list) {
+            if (typeof entry === 'function') {
+                normalized.custom.push(entry);
+                continue;
+            }
+            const [name, arg] = String(entry).split(/:(.*)/s);
+            switch (name) {
+                case 'required':
+                case 'nullable':
+                    normalized[name] = true;
+                    break;
+                case 'min':
+                case 'max':
+                    normalized[name] = Number(arg);
+                    break;
+                case 'in':
+                    normalized.enum = arg.split(',');
+                    break;
+                case 'regex':
+                    normalized.pattern = arg;
+                    break;
+                case 'required_without':
+                    normalized.requiredWithout = arg;
+                    break;
+                default:
+                    if (TYPE_CHECKS[name]) {
+                        normalized.type = name;
+                    } else {
+                        normalized.custom.push(arg === undefined ? name : { name, arg });
+                    }
+            }
+        }
+        return normalized;
+    }
+
+    _customChecks(custom) {
+        if (!custom) return [];
+        return (Array.isArray(custom) ? custom : [custom]).map(rule => {
+            if (typeof rule === 'function') {
+                return { fn: (value, arg, data) => rule(value, data) };
+            }
+            const name = typeof rule === 'string' ? rule : rule.name;
+            const fn = this.customRules.get(name);
+            if (!fn) {
+                throw new Error(`Unknown validation rule '${name}'`);
+            }
+            return { fn, arg: typeof rule === 'string' ? undefined : rule.arg };
+        });
+    }
+
+    _isEmpty(value) {
+        return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+    }
+
+    _sizeOf(value) {
+        if (typeof value === 'number') return value;
+        if (typeof value === 'string' || Array.isArray(value)) return value.length;
+        return null;
+    }
+}
+
+const defaultValidator = new Validator();
+
+module.exports = {
+    Validator,
+    ValidationError,
+    validator: defaultValidator,
+    validate: (data, schema) => defaultValidator.validate(data, schema),
+    assertValid: (data, schema) => defaultValidator.assert(data, schema)
+};
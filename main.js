@@ -38,6 +38,9 @@ class Application {
     async _initializeDatabase() {
         this.managers.database = new DatabaseManager();
         await this.managers.database.initialize();
+        this.managers.database.openAuditLog();
+        this.managers.database.openWriteJournal();
+        this.managers.database.openRetention();
         console.log('✅ Database ready');
     }
 
@@ -50,15 +53,24 @@ class Application {
     async _initializeServices() {
         const db = this.managers.database.getDatabase();
         const mainWindow = this.managers.window.getMainWindow();
+        const writeJournal = this.managers.database.getWriteJournal();
+        const retention = this.managers.database.getRetention();
+        this._forwardQueueStatus(writeJournal, mainWindow);
+        this._forwardRetentionProgress(retention, mainWindow);
 
         // Initialize services concurrently
         const servicePromises = [
             this._initializeAPI(db),
-            // this._initializeSerial(db, mainWindow),
-            this._initializeWebSocket(db, mainWindow)
+            // this._initializeSerial(db, mainWindow, writeJournal),
+            this._initializeWebSocket(db, mainWindow, writeJournal, retention)
         ];
 
         await Promise.all(servicePromises);
+
+        // Remote clients command serial devices through the 'serial.command' RPC method
+        if (this.managers.serial && this.managers.websocket) {
+            this.managers.websocket.setSerialManager(this.managers.serial);
+        }
         console.log('✅ All services ready');
     }
 
@@ -67,26 +79,56 @@ class Application {
         this.managers.api.start();
     }
 
-    // async _initializeSerial(db, mainWindow) {
-    //     this.managers.serial = new SerialManager(db, mainWindow);
+    // async _initializeSerial(db, mainWindow, writeJournal) {
+    //     this.managers.serial = new SerialManager(db, mainWindow, writeJournal);
     //     await this.managers.serial.initialize();
     // }
 
-    async _initializeWebSocket(db, mainWindow) {
-        this.managers.websocket = new WebsocketManager(db, mainWindow);
+    async _initializeWebSocket(db, mainWindow, writeJournal, retention) {
+        this.managers.websocket = new WebsocketManager(db, mainWindow, this._getSessionManager(), writeJournal, retention);
         await this.managers.websocket.initialize();
     }
 
+    // Push the offline write queue depth to the renderer whenever it changes
+    _forwardQueueStatus(writeJournal, mainWindow) {
+        if (!writeJournal) return;
+        writeJournal.on('status', status => {
+            if (mainWindow && !mainWindow.isDestroyed()) {
+                mainWindow.webContents.send('database-queue-status', status);
+            }
+        });
+    }
+
+    // Retention runs report each processed window and their summary to the renderer
+    _forwardRetentionProgress(retention, mainWindow) {
+        if (!retention) return;
+        const send = (channel, data) => {
+            if (mainWindow && !mainWindow.isDestroyed()) {
+                mainWindow.webContents.send(channel, data);
+            }
+        };
+        retention.on('progress', progress => send('database-retention-progress', progress));
+        retention.on('completed', summary => send('database-retention-completed', summary));
+    }
+
     _setupIPC() {
         this.managers.ipc = new IPCManager(
             this.managers.database.getDatabase(),
             this.managers.serial,
-            this.managers.websocket // Pass websocket manager to IPC
+            this.managers.websocket, // Pass websocket manager to IPC
+            this._getSessionManager(),
+            this.managers.database.getWriteJournal(),
+            this.managers.database.getRetention()
         );
         this.managers.ipc.setupHandlers();
         console.log('✅ IPC handlers ready');
     }
 
+    // Sessions are issued by the API server and shared with WebSocket and IPC
+    _getSessionManager() {
+        return this.managers.api ? this.managers.api.getSessionManager() : null;
+    }
+
     async cleanup() {
         if (!this.isInitialized) return;
         
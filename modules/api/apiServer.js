@@ -2,11 +2,15 @@
 const express = require('express');
 const bodyParser = require('body-parser');
 const cors = require('cors');
+const SessionManager = require('../../lib/auth/sessionManager');
+const authMiddleware = require('../../App/Http/Middleware/authMiddleware');
+const { PERMISSIONS, OPEN_ROLE } = require('../../lib/auth/permissions');
 
 // Controllers
 const dbController = require('../../App/Http/Controllers/databaseController');
 const authController = require('../../App/Http/Controllers/authController');
 const mauiController = require('../../App/Http/Controllers/mauiController');
+const auditController = require('../../App/Http/Controllers/auditController');
 
 class APIServer {
     constructor(database) {
@@ -14,6 +18,12 @@ class APIServer {
         this.database = database;
         this.server = null;
         this.port = process.env.API_PORT || 3001;
+        this.authRequired = process.env.API_AUTH_REQUIRED === 'true';
+        this.sessionManager = new SessionManager({
+            secret: process.env.AUTH_TOKEN_SECRET || null,
+            accessTokenTtl: parseInt(process.env.AUTH_ACCESS_TOKEN_TTL || '900', 10),
+            refreshTokenTtl: parseInt(process.env.AUTH_REFRESH_TOKEN_TTL || '604800', 10)
+        });
         
         this.setupMiddleware();
         this.setupRoutes();
@@ -26,18 +36,38 @@ class APIServer {
     }
 
     initializeControllers() {
+        authMiddleware.initializeMiddleware(this.sessionManager, {
+            required: this.authRequired,
+            anonymousRole: process.env.API_ANONYMOUS_ROLE || OPEN_ROLE
+        });
         dbController.initializeController(this.database);
-        authController.initializeController(this.database);
+        authController.initializeController(this.database, this.sessionManager);
+        mauiController.initializeController(this.database);
+        // Set when the database is wrapped by the audit log (DatabaseManager.openAuditLog)
+        auditController.initializeController(this.database.auditLog || null);
     }
 
     setupRoutes() {
         // Authentication Routes
         this.app.post('/api/auth/register', authController.register);
         this.app.post('/api/auth/login', authController.login);
+        this.app.post('/api/auth/refresh', authController.refresh);
+        this.app.post('/api/auth/logout', authController.logout);
+        this.app.get('/api/profile', authMiddleware.authenticateToken, authController.profile);
+        this.app.put('/api/users/:id/role', authMiddleware.authenticateToken,
+            authMiddleware.authorize(PERMISSIONS.USERS_MANAGE), authController.updateRole);
 
-        // Data Routes
-        this.app.post('/api/sensor-data', dbController.insertSensorData);
-        this.app.post('/api/maui-data', mauiController.genericDataHandler);
+        // Data Routes (token required when API_AUTH_REQUIRED=true)
+        const { authenticateIfRequired, authorize } = authMiddleware;
+        this.app.post('/api/sensor-data', authenticateIfRequired, authorize(PERMISSIONS.DATA_WRITE), dbController.insertSensorData);
+        this.app.post('/api/maui-data', authenticateIfRequired, authorize(PERMISSIONS.DATA_WRITE), mauiController.genericDataHandler);
+        this.app.get('/api/sensor-data', authenticateIfRequired, authorize(PERMISSIONS.DATA_READ), dbController.getSensorData);
+        this.app.get('/api/data/:table', authenticateIfRequired, authorize(PERMISSIONS.DATA_READ), dbController.getTableData);
+        this.app.get('/api/data/:table/aggregate', authenticateIfRequired, authorize(PERMISSIONS.DATA_READ), dbController.getAggregates);
+
+        // Audit log
+        this.app.get('/api/audit', authenticateIfRequired, authorize(PERMISSIONS.AUDIT_READ), auditController.getEntries);
+        this.app.get('/api/audit/export', authenticateIfRequired, authorize(PERMISSIONS.AUDIT_READ), auditController.exportCsv);
 
         // Health check
         this.app.get('/api/health', (req, res) => {
@@ -47,18 +77,6 @@ class APIServer {
                 timestamp: new Date().toISOString()
             });
         });
-
-        /*
-        this.app.get('/api/profile', authenticateToken, async (req, res) => {
-            try {
-                const userProfile = await this.database.findUserByEmail(req.user.email);
-                const { password, ...profileData } = userProfile;
-                res.json({ success: true, data: profileData });
-            } catch (error) {
-                res.status(500).json({ success: false, message: 'Internal server error' });
-            }
-        });
-        */
     }
 
     start() {
@@ -68,6 +86,7 @@ class APIServer {
     }
 
     async stop() {
+        this.sessionManager.close();
         if (this.server) {
             return new Promise((resolve) => {
                 this.server.close(() => {
@@ -85,6 +104,10 @@ class APIServer {
     getPort() {
         return this.port;
     }
+
+    getSessionManager() {
+        return this.sessionManager;
+    }
 }
 
 module.exports = APIServer;
\ No newline at end of file
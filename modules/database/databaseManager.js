@@ -1,49 +1,206 @@
 // modules/database/databaseManager.js
 const FirebaseDB = require('../../lib/db/firebaseDB');
 const Database = require('../../lib/db/mysqlDB');
+const WriteJournal = require('../../lib/db/writeJournal');
+const MirrorDB = require('../../lib/db/mirrorDB');
+const RetentionScheduler = require('../../lib/db/retention');
+const AuditLog = require('../../lib/db/auditLog');
+const AuditedDB = require('../../lib/db/auditedDB');
+const path = require('path');
 const { apiKey } = require('../../firebaseConfig');
 
+const DRIVER_NAMES = { mysql: 'MySQL', firebase: 'Firebase', sqlite: 'SQLite' };
+
 class DatabaseManager {
     constructor() {
         this.db = null;
-        this.useFirebase = process.env.USE_FIREBASE === 'true';
+        this.writeJournal = null;
+        this.retention = null;
+        this.auditLog = null;
+        // DB_TYPE selects mysql, firebase or sqlite; older .env files only set USE_FIREBASE
+        this.type = (process.env.DB_TYPE || (process.env.USE_FIREBASE === 'true' ? 'firebase' : 'mysql')).toLowerCase();
+        this.useFirebase = this.type === 'firebase';
+
+        if (!DRIVER_NAMES[this.type]) {
+            throw new Error(`Unknown DB_TYPE '${this.type}'. Use "mysql", "firebase" or "sqlite".`);
+        }
     }
 
     async initialize() {
         try {
-            if (this.useFirebase) {
-                this.db = new FirebaseDB({
-                    apiKey: process.env.FIREBASE_API_KEY || apiKey,
-                    authDomain: process.env.FIREBASE_AUTH_DOMAIN || 'your-auth-domain',
-                    databaseURL: process.env.FIREBASE_DATABASE_URL || 'https://your-database-url.firebaseio.com',
-                    projectId: process.env.FIREBASE_PROJECT_ID || 'yocmdur-project-id',
-                    storageBucket: process.env.FIREBASE_STORAGE_BUCKET || 'your-storage-bucket',
-                    messagingSenderId: process.env.FIREBASE_MESSAGING_SENDER_ID || 'your-messaging-sender-id',
-                    appId: process.env.FIREBASE_APP_ID || 'your-app-id',
-                    measurementId: process.env.FIREBASE_MEASUREMENT_ID || 'your-measurement-id'
-                });
-            } else {
-                this.db = new Database({
-                    host: process.env.MYSQL_HOST || 'your-db-host',
-                    user: process.env.MYSQL_USER || 'your-db-user',
-                    password: process.env.MYSQL_PASSWORD || '',
-                    database: process.env.MYSQL_DATABASE || ''
-                });
-                await this.db.connect();
-            }
-
-            console.log(`Database initialized: ${this.useFirebase ? 'Firebase' : 'MySQL'}`);
+            const primary = this.createDriver(this.type);
+            const mirrorTypes = this._getMirrorTypes();
+
+            this.db = mirrorTypes.length > 0
+                ? new MirrorDB(primary, mirrorTypes.map(type => ({ type, db: this.createDriver(type) })), {
+                    retryDelay: parseInt(process.env.DB_MIRROR_RETRY_DELAY) || 2000,
+                    maxRetryDelay: parseInt(process.env.DB_MIRROR_MAX_RETRY_DELAY) || 60000,
+                    maxPending: parseInt(process.env.DB_MIRROR_MAX_PENDING) || 10000
+                })
+                : primary;
+            await this.db.connect();
+
+            console.log(`Database initialized: ${DRIVER_NAMES[this.type]}` +
+                (mirrorTypes.length > 0 ? ` (mirrored to ${mirrorTypes.map(type => DRIVER_NAMES[type]).join(', ')})` : ''));
         } catch (error) {
             console.error('Database initialization failed:', error);
             throw error;
         }
     }
 
+    // DB_MIRRORS lists the backends that mirror the primary (DB_TYPE), e.g. DB_MIRRORS=firebase
+    _getMirrorTypes() {
+        const types = (process.env.DB_MIRRORS || '').split(',').map(type => type.trim().toLowerCase()).filter(Boolean);
+        for (const type of types) {
+            if (!DRIVER_NAMES[type]) {
+                throw new Error(`Unknown DB_MIRRORS entry '${type}'. Use "mysql", "firebase" or "sqlite".`);
+            }
+            if (type === this.type) {
+                throw new Error(`DB_MIRRORS cannot include the primary database type '${type}'`);
+            }
+            // Mirrored rows keep the primary's id, and push keys do not fit integer id columns
+            if (this.type === 'firebase' && type !== 'firebase') {
+                throw new Error(`A Firebase primary cannot be mirrored to ${type}; copy its tables with scripts/copy-data.js instead`);
+            }
+        }
+        return Array.from(new Set(types));
+    }
+
+    // A driver for one backend, built from the .env settings; the caller connects it
+    // (also used by scripts/copy-data.js to open a backend other than DB_TYPE)
+    createDriver(type) {
+        if (!DRIVER_NAMES[type]) {
+            throw new Error(`Unknown database type '${type}'. Use "mysql", "firebase" or "sqlite".`);
+        }
+        if (type === 'firebase') {
+            return new FirebaseDB({
+                apiKey: process.env.FIREBASE_API_KEY || apiKey,
+                authDomain: process.env.FIREBASE_AUTH_DOMAIN || 'your-auth-domain',
+                databaseURL: process.env.FIREBASE_DATABASE_URL || 'https://your-database-url.firebaseio.com',
+                projectId: process.env.FIREBASE_PROJECT_ID || 'yocmdur-project-id',
+                storageBucket: process.env.FIREBASE_STORAGE_BUCKET || 'your-storage-bucket',
+                messagingSenderId: process.env.FIREBASE_MESSAGING_SENDER_ID || 'your-messaging-sender-id',
+                appId: process.env.FIREBASE_APP_ID || 'your-app-id',
+                measurementId: process.env.FIREBASE_MEASUREMENT_ID || 'your-measurement-id'
+            });
+        }
+        if (type === 'sqlite') {
+            // Loaded on demand so better-sqlite3 is only needed when SQLite is selected
+            const SqliteDB = require('../../lib/db/sqliteDB');
+            return new SqliteDB({
+                filename: process.env.SQLITE_PATH || path.join(process.cwd(), 'data', 'monitor.sqlite')
+            });
+        }
+        return new Database({
+            host: process.env.MYSQL_HOST || 'your-db-host',
+            port: parseInt(process.env.MYSQL_PORT) || 3306,
+            user: process.env.MYSQL_USER || 'your-db-user',
+            password: process.env.MYSQL_PASSWORD || '',
+            database: process.env.MYSQL_DATABASE || ''
+        }, {
+            pool: {
+                connectionLimit: parseInt(process.env.MYSQL_POOL_SIZE) || 10,
+                healthCheckInterval: this._parseInt(process.env.MYSQL_HEALTH_CHECK_INTERVAL, 30000),
+                reconnectBaseDelay: parseInt(process.env.MYSQL_RECONNECT_DELAY) || 1000,
+                reconnectMaxDelay: parseInt(process.env.MYSQL_RECONNECT_MAX_DELAY) || 30000,
+                maxQueuedQueries: parseInt(process.env.MYSQL_QUEUE_LIMIT) || 1000,
+                queuedQueryTimeout: parseInt(process.env.MYSQL_QUEUE_TIMEOUT) || 30000
+            }
+        });
+    }
+
+    // Record every insert, update and delete made through getDatabase() in audit_log (see
+    // lib/db/auditedDB.js). Opened by the app only, before the write journal and retention:
+    // scripts such as migrate write to tables the audit log may not have yet.
+    openAuditLog() {
+        if (process.env.AUDIT_ENABLED === 'false' || !this.db) {
+            return null;
+        }
+        if (!this.auditLog) {
+            this.auditLog = AuditLog.fromConfig(this.db, { type: this.type });
+            this.db = new AuditedDB(this.db, this.auditLog);
+        }
+        return this.auditLog;
+    }
+
+    getAuditLog() {
+        return this.auditLog;
+    }
+
+    // Offline queue for the serial and WebSocket ingest (see lib/db/writeJournal.js). Opened by
+    // the app only: scripts such as migrate must not replay queued rows into a half-built schema.
+    openWriteJournal() {
+        if (process.env.WRITE_JOURNAL_ENABLED === 'false' || !this.db) {
+            return null;
+        }
+        if (!this.writeJournal) {
+            this.writeJournal = new WriteJournal(this.db, {
+                filename: process.env.WRITE_JOURNAL_PATH || path.join(process.cwd(), 'data', 'write-journal.jsonl'),
+                retryDelay: parseInt(process.env.WRITE_JOURNAL_RETRY_DELAY) || 5000,
+                maxRetryDelay: parseInt(process.env.WRITE_JOURNAL_MAX_RETRY_DELAY) || 60000,
+                writeTimeout: parseInt(process.env.WRITE_JOURNAL_WRITE_TIMEOUT) || 10000,
+                maxEntries: parseInt(process.env.WRITE_JOURNAL_MAX_ENTRIES) || 100000
+            }).open();
+        }
+        return this.writeJournal;
+    }
+
+    getWriteJournal() {
+        return this.writeJournal;
+    }
+
+    // Retention job for the tables with a retention policy in config/tables.js. Runs on a
+    // schedule only with RETENTION_ENABLED=true; manual runs (IPC) work either way.
+    openRetention() {
+        if (!this.db) {
+            return null;
+        }
+        if (!this.retention) {
+            const policies = RetentionScheduler.policiesFromConfig();
+            if (policies.length === 0) {
+                return null;
+            }
+            // Retention deletes expired rows in bulk; the audit log gets one entry per table and
+            // run instead of one per row
+            this.retention = new RetentionScheduler(this.auditLog ? this.auditLog.db : this.db, policies, {
+                interval: this._parseInt(process.env.RETENTION_INTERVAL, 60 * 60 * 1000),
+                startDelay: this._parseInt(process.env.RETENTION_START_DELAY, 60 * 1000),
+                dryRun: process.env.RETENTION_DRY_RUN === 'true'
+            });
+            if (this.auditLog) {
+                this.retention.on('completed', summary => this.auditLog.recordRetention(summary)
+                    .catch(err => console.error('Audit log: recording the retention run failed:', err.message)));
+            }
+            if (process.env.RETENTION_ENABLED === 'true') {
+                this.retention.start();
+            }
+        }
+        return this.retention;
+    }
+
+    getRetention() {
+        return this.retention;
+    }
+
+    // Like parseInt(value) || fallback, but keeps an explicit 0
+    _parseInt(value, fallback) {
+        const parsed = parseInt(value, 10);
+        return Number.isNaN(parsed) ? fallback : parsed;
+    }
+
     getDatabase() {
         return this.db;
     }
 
     async close() {
+        if (this.retention) {
+            await this.retention.close();
+            this.retention = null;
+        }
+        if (this.writeJournal) {
+            await this.writeJournal.close();
+            this.writeJournal = null;
+        }
         if (this.db) {
             try {
                 await this.db.close();
@@ -58,6 +215,10 @@ class DatabaseManager {
     isFirebase() {
         return this.useFirebase;
     }
+
+    getType() {
+        return this.type;
+    }
 }
 
 module.exports = DatabaseManager;
\ No newline at end of file
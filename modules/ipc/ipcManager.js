@@ -1,21 +1,122 @@
 // modules/ipc/ipcManager.js
 const { ipcMain } = require('electron');
+const { hasPermission, PERMISSIONS, DEFAULT_ROLE, OPEN_ROLE } = require('../../lib/auth/permissions');
+const FilterPolicy = require('../../lib/db/filterPolicy');
+const WritePolicy = require('../../lib/db/writePolicy');
+const { isEmptyFilter } = require('../../lib/db/filters');
 
 class IPCManager {
-    constructor(database, serialManager) {
+    constructor(database, serialManager, websocketManager = null, sessionManager = null, writeJournal = null, retention = null) {
         this.database = database;
         this.serialManager = serialManager;
+        this.websocketManager = websocketManager;
+        this.sessionManager = sessionManager;
+        this.writeJournal = writeJournal;
+        this.retention = retention;
+        this.filterPolicy = FilterPolicy.fromConfig();
+        this.writePolicy = WritePolicy.fromConfig(); // tables and columns post-data / update-data may write
+
+        // The renderer acts with defaultRole until it hands over a session token: as before
+        // while accounts are optional, viewer once API_AUTH_REQUIRED asks for them
+        this.defaultRole = process.env.IPC_DEFAULT_ROLE
+            || (process.env.API_AUTH_REQUIRED === 'true' ? DEFAULT_ROLE : OPEN_ROLE);
+        this.accessToken = null;
+        this.user = null;
     }
 
     setupHandlers() {
+        this.setupAuthHandlers();
         this.setupDatabaseHandlers();
         this.setupSerialHandlers();
         console.log('IPC handlers setup complete');
     }
 
+    getRole() {
+        const user = this.getActor();
+        return user ? user.role : this.defaultRole;
+    }
+
+    // Written to created_by / updated_by; null while the renderer acts with defaultRole. The
+    // token is checked on every call, so logout, expiry and role changes apply at once.
+    getActor() {
+        if (!this.accessToken) return null;
+        try {
+            this.user = this.sessionManager.authenticate(this.accessToken);
+        } catch (err) {
+            console.warn(`IPC session dropped: ${err.message}`);
+            this.accessToken = null;
+            this.user = null;
+        }
+        return this.user;
+    }
+
+    // Options of a write made from the renderer: the actor plus what the audit log records
+    getWriteOptions() {
+        return { actor: this.getActor(), source: 'ipc' };
+    }
+
+    // Query builder on table narrowed by a renderer filter; throws when the table or a column is
+    // not filterable, or (required) when the filter has no conditions, so an update or delete
+    // cannot reach every row
+    _filteredTable(table, filter, required) {
+        if (typeof filter === 'string') {
+            throw new Error('Raw where clauses are not accepted; pass a filter object');
+        }
+        const normalized = this.filterPolicy.check(table, filter);
+        if (required && isEmptyFilter(normalized)) {
+            throw new Error('A filter with at least one condition is required');
+        }
+        return this.database.table(table).whereFilter(normalized);
+    }
+
+    // Register an ipcMain handler that is refused unless the current role has the permission
+    _handle(channel, permission, handler) {
+        ipcMain.handle(channel, async (event, ...args) => {
+            const role = this.getRole();
+            if (!hasPermission(role, permission)) {
+                console.warn(`IPC ${channel} denied for role ${role}`);
+                return { success: false, error: `Permission denied: ${permission}` };
+            }
+            return handler(event, ...args);
+        });
+    }
+
+    setupAuthHandlers() {
+        // Adopt the user of a REST API session token for subsequent IPC calls
+        ipcMain.handle('auth-set-session', async (event, accessToken) => {
+            try {
+                if (!this.sessionManager) {
+                    return { success: false, error: 'Session manager not initialized' };
+                }
+                this.user = this.sessionManager.authenticate(accessToken);
+                this.accessToken = accessToken;
+                return { success: true, data: { username: this.user.username, role: this.user.role } };
+            } catch (err) {
+                return { success: false, error: err.message };
+            }
+        });
+
+        ipcMain.handle('auth-clear-session', async () => {
+            this.accessToken = null;
+            this.user = null;
+            return { success: true, data: { role: this.defaultRole } };
+        });
+
+        ipcMain.handle('auth-get-session', async () => {
+            const user = this.getActor();
+            return {
+                success: true,
+                data: {
+                    username: user ? user.username : null,
+                    role: user ? user.role : this.defaultRole
+                }
+            };
+        });
+    }
+
     setupDatabaseHandlers() {
         // User handlers
-        ipcMain.handle('get-users', async () => {
+        this._handle('get-users', PERMISSIONS.USERS_MANAGE, async () => {
             try {
                 const users = await this.database.getAllUsers();
                 return { success: true, data: users };
@@ -24,9 +125,9 @@ class IPCManager {
             }
         });
 
-        ipcMain.handle('insert-user', async (event, name, email) => {
+        this._handle('insert-user', PERMISSIONS.USERS_MANAGE, async (event, name, email) => {
             try {
-                const result = await this.database.insertUser(name, email);
+                const result = await this.database.insertUser(name, email, this.getWriteOptions());
                 return { success: true, id: result.insertId };
             } catch (err) {
                 return { success: false, error: err.message };
@@ -34,59 +135,156 @@ class IPCManager {
         });
 
         // Generic data handlers
-        ipcMain.handle('post-data', async (event, table, data) => {
+        // post-data / insert-data write the tables and columns of their config/tables.js write policy
+        this._handle('post-data', PERMISSIONS.DATA_WRITE, async (event, table, data) => {
             try {
-                const result = await this.database.postData(table, data);
+                this.writePolicy.check(table, [data || {}], this.getRole());
+                const result = await this.database.postData(table, data, this.getWriteOptions());
                 return { success: true, id: result.insertId };
             } catch (err) {
                 return { success: false, error: err.message };
             }
         });
 
-        ipcMain.handle('insert-data', async (event, table, data) => {
+        this._handle('insert-data', PERMISSIONS.DATA_WRITE, async (event, table, data) => {
             try {
-                const result = await this.database.postData(table, data);
+                this.writePolicy.check(table, [data || {}], this.getRole());
+                const result = await this.database.postData(table, data, this.getWriteOptions());
                 return { success: true, id: result.insertId };
             } catch (err) {
                 return { success: false, error: err.message };
             }
         });
 
-        ipcMain.handle('update-data', async (event, table, data, whereClause, whereParams) => {
+        // update-data / delete-data / get-data-by-filters take structured filters (lib/db/filters.js)
+        // on the tables and columns config/tables.js lists as filterable; update-data sets only
+        // columns of the table's write policy
+        this._handle('update-data', PERMISSIONS.DATA_UPDATE, async (event, table, data, filter) => {
             try {
-                const result = await this.database.updateData(table, data, whereClause, whereParams);
+                this.writePolicy.checkUpdate(table, data, this.getRole());
+                const result = await this._filteredTable(table, filter, true)
+                    .actingAs(this.getActor(), this.getWriteOptions())
+                    .update(data);
                 return { success: true, affectedRows: result.affectedRows };
             } catch (err) {
                 return { success: false, error: err.message };
             }
         });
 
-        ipcMain.handle('delete-data', async (event, table, whereClause, whereParams) => {
+        this._handle('delete-data', PERMISSIONS.DATA_DELETE, async (event, table, filter) => {
             try {
-                const result = await this.database.deleteData(table, whereClause, whereParams);
+                const result = await this._filteredTable(table, filter, true)
+                    .actingAs(this.getActor(), this.getWriteOptions())
+                    .delete();
                 return { success: true, affectedRows: result.affectedRows };
             } catch (err) {
                 return { success: false, error: err.message };
             }
         });
 
-        ipcMain.handle('get-data-by-filters', async (event, table, filters, options) => {
+        // options: orderBy ('column [asc|desc]' or { column, direction }), limit, withTrashed
+        this._handle('get-data-by-filters', PERMISSIONS.DATA_READ, async (event, table, filter, options = {}) => {
             try {
-                const result = await this.database.getDataByFilters(table, filters, options);
+                const query = this._filteredTable(table, filter, false);
+                if (options.orderBy) {
+                    const { column, direction } = this.filterPolicy.checkOrder(table, options.orderBy);
+                    query.orderBy(column, direction);
+                }
+                if (options.limit) {
+                    query.limit(options.limit);
+                }
+                if (options.withTrashed) {
+                    query.withTrashed();
+                }
+                const result = await query.get();
                 return { success: true, data: result };
             } catch (err) {
                 console.error("Error in get-data-by-filters handler:", err);
                 return { success: false, error: err.message };
             }
         });
+
+        // Offline write queue (depth changes are also pushed on 'database-queue-status')
+        this._handle('database-get-queue-status', PERMISSIONS.DASHBOARD_READ, async () => {
+            if (!this.writeJournal) {
+                return { success: false, error: 'Write journal not enabled' };
+            }
+            return { success: true, data: this.writeJournal.getStatus() };
+        });
+
+        this._handle('database-replay-queue', PERMISSIONS.DATA_WRITE, async () => {
+            try {
+                if (!this.writeJournal) {
+                    return { success: false, error: 'Write journal not enabled' };
+                }
+                const summary = await this.writeJournal.flush();
+                return { success: true, data: { ...summary, ...this.writeJournal.getStatus() } };
+            } catch (err) {
+                return { success: false, error: err.message };
+            }
+        });
+
+        // Retention job (per-window progress is pushed on 'database-retention-progress')
+        this._handle('database-retention-status', PERMISSIONS.DASHBOARD_READ, async () => {
+            if (!this.retention) {
+                return { success: false, error: 'No retention policies configured' };
+            }
+            return { success: true, data: this.retention.getStatus() };
+        });
+
+        // options: { dryRun, tables }; resolves when the run has finished
+        this._handle('database-retention-run', PERMISSIONS.DATA_DELETE, async (event, options = {}) => {
+            try {
+                if (!this.retention) {
+                    return { success: false, error: 'No retention policies configured' };
+                }
+                const summary = await this.retention.run({
+                    dryRun: options.dryRun !== undefined ? !!options.dryRun : undefined,
+                    tables: Array.isArray(options.tables) ? options.tables : null
+                });
+                return { success: true, data: summary };
+            } catch (err) {
+                return { success: false, error: err.message };
+            }
+        });
+
+        // Audit log; filters as for GET /api/audit (table, operation, source, actor, from, to ...)
+        this._handle('audit-query', PERMISSIONS.AUDIT_READ, async (event, filters = {}) => {
+            try {
+                if (!this.database.auditLog) {
+                    return { success: false, error: 'The audit log is disabled' };
+                }
+                const page = await this.database.auditLog.query(filters);
+                return { success: true, data: page.rows, nextCursor: page.nextCursor };
+            } catch (err) {
+                return { success: false, error: err.message };
+            }
+        });
+
+        // The matching entries as one CSV string
+        this._handle('audit-export', PERMISSIONS.AUDIT_READ, async (event, filters = {}) => {
+            try {
+                if (!this.database.auditLog) {
+                    return { success: false, error: 'The audit log is disabled' };
+                }
+                const chunks = [];
+                const count = await this.database.auditLog.exportCsv(filters, chunk => chunks.push(chunk));
+                return { success: true, data: chunks.join(''), count };
+            } catch (err) {
+                return { success: false, error: err.message };
+            }
+        });
     }
 
+    // The serial-* channels take a device id (config/serialDevices.js) first. Left out (null),
+    // status, reconnect, disconnect, scan and dynamic switching act on every device; sending
+    // needs it unless there is a single device.
     setupSerialHandlers() {
-        // Get serial connection status
-        ipcMain.handle('serial-get-status', async () => {
+        // Get serial connection status: one device, or an array of every device
+        this._handle('serial-get-status', PERMISSIONS.DASHBOARD_READ, async (event, deviceId = null) => {
             try {
                 if (this.serialManager) {
-                    return { success: true, data: this.serialManager.getStatus() };
+                    return { success: true, data: this.serialManager.getStatus(deviceId) };
                 } else {
                     return { success: false, error: 'Serial manager not initialized' };
                 }
@@ -96,10 +294,10 @@ class IPCManager {
         });
 
         // Force reconnection
-        ipcMain.handle('serial-force-reconnect', async () => {
+        this._handle('serial-force-reconnect', PERMISSIONS.SERIAL_CONTROL, async (event, deviceId = null) => {
             try {
                 if (this.serialManager) {
-                    await this.serialManager.forceReconnect();
+                    await this.serialManager.forceReconnect(deviceId);
                     return { success: true, message: 'Reconnection initiated' };
                 } else {
                     return { success: false, error: 'Serial manager not initialized' };
@@ -110,10 +308,10 @@ class IPCManager {
         });
 
         // Disconnect serial connection
-        ipcMain.handle('serial-disconnect', async () => {
+        this._handle('serial-disconnect', PERMISSIONS.SERIAL_CONTROL, async (event, deviceId = null) => {
             try {
                 if (this.serialManager) {
-                    await this.serialManager.disconnect();
+                    await this.serialManager.disconnect(deviceId);
                     return { success: true, message: 'Disconnected successfully' };
                 } else {
                     return { success: false, error: 'Serial manager not initialized' };
@@ -124,10 +322,10 @@ class IPCManager {
         });
 
         // Scan for better ports
-        ipcMain.handle('serial-scan-ports', async () => {
+        this._handle('serial-scan-ports', PERMISSIONS.SERIAL_CONTROL, async (event, deviceId = null) => {
             try {
                 if (this.serialManager) {
-                    await this.serialManager.scanForBetterPorts();
+                    await this.serialManager.scanForBetterPorts(deviceId);
                     return { success: true, message: 'Port scanning initiated' };
                 } else {
                     return { success: false, error: 'Serial manager not initialized' };
@@ -138,10 +336,10 @@ class IPCManager {
         });
 
         // Toggle dynamic port switching
-        ipcMain.handle('serial-toggle-dynamic-switching', async (event, enabled) => {
+        this._handle('serial-toggle-dynamic-switching', PERMISSIONS.SERIAL_CONTROL, async (event, deviceId, enabled) => {
             try {
                 if (this.serialManager) {
-                    this.serialManager.setDynamicPortSwitching(enabled);
+                    this.serialManager.setDynamicPortSwitching(deviceId, enabled);
                     return { success: true, message: `Dynamic switching ${enabled ? 'enabled' : 'disabled'}` };
                 } else {
                     return { success: false, error: 'Serial manager not initialized' };
@@ -152,10 +350,10 @@ class IPCManager {
         });
 
         // Send data to serial device
-        ipcMain.handle('serial-send-data', async (event, data) => {
+        this._handle('serial-send-data', PERMISSIONS.SERIAL_CONTROL, async (event, deviceId, data) => {
             try {
                 if (this.serialManager) {
-                    this.serialManager.sendData(data);
+                    this.serialManager.sendData(deviceId, data);
                     return { success: true, message: 'Data sent successfully' };
                 } else {
                     return { success: false, error: 'Serial manager not initialized' };
@@ -164,6 +362,20 @@ class IPCManager {
                 return { success: false, error: err.message };
             }
         });
+
+        // Send a command and wait for the device's acknowledgement (lib/com/serialCommands.js)
+        this._handle('serial-send-command', PERMISSIONS.SERIAL_CONTROL, async (event, deviceId, command, args = null, options = {}) => {
+            try {
+                if (this.serialManager) {
+                    const result = await this.serialManager.sendCommand(deviceId, command, args, options);
+                    return { success: true, data: result };
+                } else {
+                    return { success: false, error: 'Serial manager not initialized' };
+                }
+            } catch (err) {
+                return { success: false, error: err.message, code: err.code };
+            }
+        });
     }
 }
 
@@ -1,18 +1,31 @@
 // modules/serial/serialManager.js
+// One SerialCommunicator per device listed in config/serialDevices.js, or a single "default"
+// device configured by the SERIAL_* variables when that list is empty.
 const SerialCommunicator = require('../../lib/com/serialCommunicator');
+const SerialProfiles = require('../../lib/com/serialProfiles');
+const SerialPortStore = require('../../lib/com/serialPortStore');
+const { getParser } = require('../../lib/com/parsers');
+const ModbusMaster = require('../../lib/com/modbusMaster');
 
 class SerialManager {
-    constructor(database, mainWindow) {
+    // devices: entries as in config/serialDevices.js (defaults to that file)
+    // portStore: last known good port per device profile (defaults to SERIAL_PORT_STATE_PATH)
+    constructor(database, mainWindow, writeJournal = null, devices = require('../../config/serialDevices'), portStore = null) {
         console.log('=== SerialManager Constructor ===');
         console.log('Database provided:', !!database);
         console.log('MainWindow provided:', !!mainWindow);
 
         this.database = database;
         this.mainWindow = mainWindow;
-        this.serialCommunicator = null;
+        this.writeJournal = writeJournal; // Queues readings while the database is unreachable
+        this.communicators = new Map(); // deviceId -> SerialCommunicator
+        this.connectTimer = null;
+        this.portStore = portStore || SerialPortStore.fromEnv();
         this.config = this.getSerialConfig();
+        this.devices = this._getDeviceConfigs(devices);
 
         console.log('Final SerialManager config:', JSON.stringify(this.config, null, 2));
+        console.log('Serial devices:', this.devices.map(device => device.deviceId).join(', '));
         console.log('=== End SerialManager Constructor ===');
     }
 
@@ -62,18 +75,59 @@ class SerialManager {
         return config;
     }
 
+    // Communicator configs: the SERIAL_* settings overridden per device. SERIAL_PORT only
+    // applies to the "default" device.
+    _getDeviceConfigs(devices) {
+        if (!devices || devices.length === 0) {
+            return [{ ...this.config, deviceId: 'default' }];
+        }
+
+        const ids = new Set();
+        const ports = new Set();
+        return devices.map(device => {
+            const { id, port, ...settings } = device;
+            if (typeof id !== 'string' || !/^[\w.-]+$/.test(id)) {
+                throw new Error(`config/serialDevices.js: invalid device id '${id}'`);
+            }
+            if (ids.has(id)) {
+                throw new Error(`config/serialDevices.js: device id '${id}' is used twice`);
+            }
+            if (port && ports.has(port)) {
+                throw new Error(`config/serialDevices.js: port ${port} is assigned to two devices`);
+            }
+            const config = { ...this.config, match: null, ...settings, portPath: port || null, deviceId: id };
+            try {
+                SerialProfiles.fromConfig(config);
+                getParser(config.dataType, config);
+                if (config.modbus) ModbusMaster.checkConfig(config.modbus, config.dataType);
+            } catch (error) {
+                throw new Error(`config/serialDevices.js: device '${id}': ${error.message}`);
+            }
+            ids.add(id);
+            if (port) ports.add(port);
+            return config;
+        });
+    }
+
     async initialize() {
         try {
-            this.serialCommunicator = new SerialCommunicator(
-                this.config,
-                this.database,
-                this.mainWindow
-            );
+            for (const device of this.devices) {
+                const communicator = new SerialCommunicator(
+                    device,
+                    this.database,
+                    this.mainWindow,
+                    this.writeJournal,
+                    portPath => this._isPortFree(device.deviceId, portPath),
+                    this.portStore
+                );
+                this.communicators.set(device.deviceId, communicator);
+            }
 
             // Wait for window to load before connecting
-            setTimeout(() => {
-                console.log('Starting SerialCommunicator connection...');
-                this.serialCommunicator.connect();
+            this.connectTimer = setTimeout(() => {
+                this.connectTimer = null;
+                console.log('Starting SerialCommunicator connections...');
+                this._connectAll().catch(error => console.error('Serial connection error:', error));
             }, 2000);
 
             console.log('Serial manager initialized');
@@ -83,55 +137,119 @@ class SerialManager {
         }
     }
 
-    getStatus() {
-        return this.serialCommunicator ? this.serialCommunicator.getStatus() : null;
+    // One device at a time, explicit ports first, then devices with their own profiles, and
+    // auto-detected ones last, so that a device picking the first free port does not take the
+    // port of a device configured for it
+    async _connectAll() {
+        const rank = communicator => communicator.config.portPath ? 0 : !communicator.profiles.isDefault ? 1 : 2;
+        const ordered = Array.from(this.communicators.values()).sort((a, b) => rank(a) - rank(b));
+        for (const communicator of ordered) {
+            await communicator.connect();
+        }
     }
 
-    async forceReconnect() {
-        if (this.serialCommunicator) {
-            await this.serialCommunicator.forceReconnect();
+    // A port is free for a device unless another device has it open or is configured for it
+    _isPortFree(deviceId, portPath) {
+        for (const [id, communicator] of this.communicators) {
+            if (id === deviceId) continue;
+            if (communicator.currentPortPath === portPath || communicator.config.portPath === portPath) {
+                return false;
+            }
         }
+        return true;
+    }
+
+    getDeviceIds() {
+        return Array.from(this.communicators.keys());
     }
 
-    async disconnect() {
-        if (this.serialCommunicator) {
-            await this.serialCommunicator.disconnect();
+    // Status of one device, or of every device when deviceId is left out
+    getStatus(deviceId = null) {
+        if (deviceId !== null && deviceId !== undefined) {
+            return this._getCommunicator(deviceId).getStatus();
         }
+        return Array.from(this.communicators.values()).map(communicator => communicator.getStatus());
     }
 
-    async scanForBetterPorts() {
-        if (this.serialCommunicator) {
-            await this.serialCommunicator.scanForBetterPorts();
+    // Control methods act on one device, or on every device when deviceId is left out
+    async forceReconnect(deviceId = null) {
+        for (const communicator of this._select(deviceId)) {
+            await communicator.forceReconnect();
         }
     }
 
-    setDynamicPortSwitching(enabled) {
-        if (this.serialCommunicator) {
-            this.serialCommunicator.setDynamicPortSwitching(enabled);
+    async disconnect(deviceId = null) {
+        for (const communicator of this._select(deviceId)) {
+            await communicator.disconnect();
         }
     }
 
-    sendData(data) {
-        if (this.serialCommunicator) {
-            this.serialCommunicator.sendData(data);
+    async scanForBetterPorts(deviceId = null) {
+        for (const communicator of this._select(deviceId)) {
+            await communicator.scanForBetterPorts();
         }
     }
 
+    setDynamicPortSwitching(deviceId, enabled) {
+        for (const communicator of this._select(deviceId)) {
+            communicator.setDynamicPortSwitching(enabled);
+        }
+    }
+
+    // deviceId may only be left out when there is a single device
+    sendData(deviceId, data) {
+        this._getCommunicator(deviceId).sendData(data);
+    }
+
+    // Resolves once the device acknowledges the command; deviceId as for sendData
+    sendCommand(deviceId, command, args = null, options = {}) {
+        return this._getCommunicator(deviceId).sendCommand(command, args, options);
+    }
+
+    // Closes every device before reporting the first failure
     async close() {
-        if (this.serialCommunicator) {
+        clearTimeout(this.connectTimer);
+        this.connectTimer = null;
+        let firstError = null;
+        for (const [id, communicator] of this.communicators) {
             try {
-                await this.serialCommunicator.close();
-                console.log('Serial communicator closed');
+                await communicator.close();
+                console.log(`Serial communicator ${id} closed`);
             } catch (error) {
-                console.error('Error closing serial communicator:', error);
-                throw error;
+                console.error(`Error closing serial communicator ${id}:`, error);
+                firstError = firstError || error;
             }
         }
+        if (firstError) {
+            throw firstError;
+        }
     }
 
-    isConnected() {
-        return this.serialCommunicator ? this.serialCommunicator.isConnected() : false;
+    // One device, or whether any device is connected
+    isConnected(deviceId = null) {
+        return this._select(deviceId).some(communicator => communicator.isConnected());
+    }
+
+    _select(deviceId) {
+        if (deviceId === null || deviceId === undefined) {
+            return Array.from(this.communicators.values());
+        }
+        return [this._getCommunicator(deviceId)];
+    }
+
+    _getCommunicator(deviceId) {
+        if (deviceId === null || deviceId === undefined) {
+            if (this.communicators.size === 1) {
+                return this.communicators.values().next().value;
+            }
+            throw new Error('A serial device id is required');
+        }
+        const communicator = this.communicators.get(deviceId);
+        if (!communicator) {
+            throw new Error(`Unknown serial device '${deviceId}'`);
+        }
+        return communicator;
     }
 }
 
-module.exports = SerialManager;
\ No newline at end of file
+module.exports = SerialManager;
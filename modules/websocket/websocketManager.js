@@ -1,15 +1,29 @@
 // WebsocketManager.js - Enhanced for General Purpose Applications
 const WebSocketHandler = require('../../lib/com/webSocketCommunicator');
+const { hasPermission, PERMISSIONS, OPEN_ROLE } = require('../../lib/auth/permissions');
+const WritePolicy = require('../../lib/db/writePolicy');
+const FilterPolicy = require('../../lib/db/filterPolicy');
+const { isEmptyFilter } = require('../../lib/db/filters');
+const { normalizeAggregateOptions } = require('../../lib/db/aggregation');
+
+const MAX_QUERY_LIMIT = 1000;
 
 class WebsocketManager {
-    constructor(database, mainWindow) {
+    constructor(database, mainWindow, sessionManager = null, writeJournal = null, retention = null) {
         this.database = database;
         this.mainWindow = mainWindow;
+        this.sessionManager = sessionManager;
+        this.writeJournal = writeJournal;
+        this.retention = retention;
+        this.serialManager = null; // set with setSerialManager() when serial devices are read
+        this.writePolicy = WritePolicy.fromConfig(); // tables the 'insert' and 'update' requests may write
+        this.filterPolicy = FilterPolicy.fromConfig(); // tables and columns 'update' / 'delete' may select rows by
         this.websocketHandler = null;
         this.config = this.getWebsocketConfig();
 
         // Application-specific handlers
         this.requestHandlers = new Map();
+        this.requestPermissions = new Map(); // endpoint -> required permission
         this.eventHandlers = new Map();
 
         // Manager state
@@ -28,7 +42,11 @@ class WebsocketManager {
             // Convert string to boolean
             enableAuthentication: (process.env.WEBSOCKET_ENABLE_AUTH || process.env.WS_AUTH_ENABLED) === 'true',
             authToken: process.env.WEBSOCKET_AUTH_TOKEN || process.env.WS_AUTH_TOKEN || null,
+            authTokenRole: process.env.WS_AUTH_TOKEN_ROLE || 'device',
+            defaultRole: process.env.WS_DEFAULT_ROLE || OPEN_ROLE,
             dbTableName: process.env.WEBSOCKET_DB_TABLE_NAME || process.env.WS_DB_TABLE || 'sensors_data',
+            // Tables the 'query' and 'aggregate' requests may read, as for GET /api/data/:table
+            readableTables: this._parseEnvArray(process.env.API_READABLE_TABLES || 'sensor_data,sensors_data'),
 
             // Parse arrays and numbers correctly
             requiredFields: this._parseEnvArray(process.env.WEBSOCKET_REQUIRED_FIELDS || process.env.WS_REQUIRED_FIELDS),
@@ -66,7 +84,9 @@ class WebsocketManager {
             this.websocketHandler = new WebSocketHandler(
                 this.config,
                 this.database,
-                this.mainWindow
+                this.mainWindow,
+                this.sessionManager,
+                this.writeJournal
             );
 
             this._setupEventHandlers();
@@ -191,6 +211,11 @@ class WebsocketManager {
             console.error(`Database error from ${data.clientId}:`, data.error);
             this._triggerEvent('database-error', data);
         });
+
+        this.websocketHandler.on('database-queued', (data) => {
+            console.warn(`Database unavailable, write ${data.journalId} from ${data.clientId} queued`);
+            this._triggerEvent('database-queued', data);
+        });
     }
 
     // Setup default request handlers
@@ -209,7 +234,7 @@ class WebsocketManager {
         // Server status endpoint
         this.registerRequestHandler('status', async (data, clientInfo) => {
             return this.getStatus();
-        });
+        }, PERMISSIONS.DASHBOARD_READ);
 
         // Echo endpoint for testing
         this.registerRequestHandler('echo', async (data, clientInfo) => {
@@ -239,25 +264,49 @@ class WebsocketManager {
                 },
                 supportedClientTypes: this.config.clientTypes
             };
-        });
+        }, PERMISSIONS.DASHBOARD_READ);
 
-        // Database query endpoint (if database is available)
+        // Database query endpoint (if database is available); reads the readable tables, with
+        // conditions and orderBy on their filterable columns
         if (this.database) {
             this.registerRequestHandler('query', async (data, clientInfo) => {
                 const { table, conditions, limit, offset, orderBy } = data;
                 if (!table) {
                     throw new Error('Table name is required');
                 }
+                this._assertReadable(table);
+                const query = this.database.table(table).whereFilter(this.filterPolicy.check(table, conditions));
+                if (orderBy) {
+                    const order = this.filterPolicy.checkOrder(table, orderBy);
+                    query.orderBy(order.column, order.direction);
+                }
+                query.limit(Math.min(parseInt(limit, 10) || 100, MAX_QUERY_LIMIT), offset || 0);
 
                 try {
-                    const queryOptions = {
-                        conditions: conditions || {},
-                        limit: limit || 100,
-                        offset: offset || 0,
-                        orderBy: orderBy || null
+                    const result = await query.get();
+                    return {
+                        table,
+                        count: result.length,
+                        data: result,
+                        timestamp: new Date().toISOString()
                     };
+                } catch (error) {
+                    throw new Error(`Database query failed: ${error.message}`);
+                }
+            }, PERMISSIONS.DATA_READ);
 
-                    const result = await this.database.getData(table, queryOptions.conditions, queryOptions.limit);
+            // Time-bucket aggregates for trend charts (options: lib/db/aggregation.js) of the
+            // readable tables; groupBy, timeField and where take filterable columns, metrics the
+            // filterable and writable ones
+            this.registerRequestHandler('aggregate', async (data, clientInfo) => {
+                const { table, bucket, metrics, groupBy, timeField, where, from, to } = data;
+                if (!table) {
+                    throw new Error('Table name is required');
+                }
+                this._checkAggregate(table, { bucket, metrics, groupBy, timeField, where });
+
+                try {
+                    const result = await this.database.aggregate(table, { bucket, metrics, groupBy, timeField, where, from, to });
                     return {
                         table,
                         count: result.length,
@@ -265,23 +314,25 @@ class WebsocketManager {
                         timestamp: new Date().toISOString()
                     };
                 } catch (error) {
-                    throw new Error(`Database query failed: ${error.message}`);
+                    throw new Error(`Database aggregate failed: ${error.message}`);
                 }
-            });
+            }, PERMISSIONS.DATA_READ);
 
-            // Insert data endpoint
+            // Insert data endpoint; the table's write policy (config/tables.js) decides which
+            // tables, columns and roles are accepted. Tables whose policy lists client_id get the
+            // sending client's id there, whatever the payload says.
             this.registerRequestHandler('insert', async (data, clientInfo) => {
                 const { table, payload } = data;
-                if (!table || !payload) {
+                if (!table || !payload || typeof payload !== 'object' || Array.isArray(payload)) {
                     throw new Error('Table and payload are required');
                 }
+                const record = this.writePolicy.columns(table).includes('client_id')
+                    ? { ...payload, client_id: clientInfo.clientId }
+                    : payload;
+                this.writePolicy.check(table, [record], clientInfo.role);
 
                 try {
-                    const result = await this.database.postData(table, {
-                        ...payload,
-                        client_id: clientInfo.clientId,
-                        inserted_at: new Date().toISOString()
-                    });
+                    const result = await this.database.postData(table, record, this._getWriteOptions(clientInfo));
                     return {
                         table,
                         insertId: result.insertId,
@@ -290,21 +341,22 @@ class WebsocketManager {
                 } catch (error) {
                     throw new Error(`Database insert failed: ${error.message}`);
                 }
-            });
+            }, PERMISSIONS.DATA_WRITE);
 
-            // Update data endpoint
+            // Update data endpoint; conditions are column equalities, e.g. { id: 5 }, or a structured
+            // filter on filterable columns, and the payload may only set write policy columns
             this.registerRequestHandler('update', async (data, clientInfo) => {
                 const { table, conditions, payload } = data;
-                if (!table || !conditions || !payload) {
+                if (!table || !payload || typeof payload !== 'object' || Array.isArray(payload)) {
                     throw new Error('Table, conditions, and payload are required');
                 }
+                this.writePolicy.checkUpdate(table, payload, clientInfo.role);
+                const query = this._filteredTable(table, conditions);
 
                 try {
-                    const result = await this.database.updateData(table, conditions, {
-                        ...payload,
-                        updated_at: new Date().toISOString(),
-                        updated_by: clientInfo.clientId
-                    });
+                    const result = await query
+                        .actingAs(this._getActor(clientInfo), this._getWriteOptions(clientInfo))
+                        .update(payload);
                     return {
                         table,
                         affectedRows: result.affectedRows,
@@ -313,17 +365,20 @@ class WebsocketManager {
                 } catch (error) {
                     throw new Error(`Database update failed: ${error.message}`);
                 }
-            });
+            }, PERMISSIONS.DATA_UPDATE);
 
             // Delete data endpoint
             this.registerRequestHandler('delete', async (data, clientInfo) => {
                 const { table, conditions } = data;
-                if (!table || !conditions) {
+                if (!table) {
                     throw new Error('Table and conditions are required');
                 }
+                const query = this._filteredTable(table, conditions);
 
                 try {
-                    const result = await this.database.deleteData(table, conditions);
+                    const result = await query
+                        .actingAs(this._getActor(clientInfo), this._getWriteOptions(clientInfo))
+                        .delete();
                     return {
                         table,
                         deletedRows: result.affectedRows,
@@ -332,7 +387,7 @@ class WebsocketManager {
                 } catch (error) {
                     throw new Error(`Database delete failed: ${error.message}`);
                 }
-            });
+            }, PERMISSIONS.DATA_DELETE);
         }
 
         // List connected clients
@@ -351,7 +406,7 @@ class WebsocketManager {
                     capabilities: client.capabilities
                 }))
             };
-        });
+        }, PERMISSIONS.DASHBOARD_READ);
 
         // List active subscriptions
         this.registerRequestHandler('subscriptions', async (data, clientInfo) => {
@@ -360,7 +415,7 @@ class WebsocketManager {
                 topics: status.topics,
                 totalTopics: status.topics.length
             };
-        });
+        }, PERMISSIONS.DASHBOARD_READ);
 
         // List active streams
         this.registerRequestHandler('streams', async (data, clientInfo) => {
@@ -369,7 +424,7 @@ class WebsocketManager {
                 streams: status.streams,
                 totalStreams: status.streams.length
             };
-        });
+        }, PERMISSIONS.DASHBOARD_READ);
     }
 
     // Setup default RPC methods
@@ -400,7 +455,7 @@ class WebsocketManager {
             } catch (error) {
                 throw new Error(`File system error: ${error.message}`);
             }
-        });
+        }, PERMISSIONS.SYSTEM_MANAGE);
 
         // System information
         this.websocketHandler.registerRPCMethod('system.info', () => {
@@ -418,7 +473,7 @@ class WebsocketManager {
                 loadavg: os.loadavg(),
                 networkInterfaces: Object.keys(os.networkInterfaces())
             };
-        });
+        }, PERMISSIONS.DASHBOARD_READ);
 
         // Process information
         this.websocketHandler.registerRPCMethod('process.info', () => {
@@ -434,7 +489,7 @@ class WebsocketManager {
                     PWD: process.env.PWD
                 }
             };
-        });
+        }, PERMISSIONS.DASHBOARD_READ);
 
         // Database information (if available)
         if (this.database) {
@@ -444,7 +499,8 @@ class WebsocketManager {
                     return {
                         connected: !!this.database,
                         type: info.type || 'unknown',
-                        ...info
+                        ...info,
+                        queue: this.writeJournal ? this.writeJournal.getStatus() : null
                     };
                 } catch (error) {
                     return {
@@ -452,7 +508,14 @@ class WebsocketManager {
                         error: error.message
                     };
                 }
-            });
+            }, PERMISSIONS.DASHBOARD_READ);
+        }
+
+        // Retention job status: schedule, current progress and the last run's summary
+        if (this.retention) {
+            this.websocketHandler.registerRPCMethod('database.retention', () => {
+                return this.retention.getStatus();
+            }, PERMISSIONS.DASHBOARD_READ);
         }
 
         // Manager-specific methods
@@ -463,23 +526,56 @@ class WebsocketManager {
             } catch (error) {
                 throw new Error(`Restart failed: ${error.message}`);
             }
-        });
+        }, PERMISSIONS.SYSTEM_MANAGE);
 
         this.websocketHandler.registerRPCMethod('manager.broadcast', (params) => {
             const { message, clientType } = params || {};
             const count = this.broadcastToAll(message, clientType);
             return { success: true, sentTo: count };
-        });
+        }, PERMISSIONS.SYSTEM_MANAGE);
+
+        this._setupSerialRPCMethods();
+    }
+
+    // Serial devices can be commanded remotely once the serial manager is known
+    setSerialManager(serialManager) {
+        this.serialManager = serialManager;
+        this._setupSerialRPCMethods();
+    }
+
+    _setupSerialRPCMethods() {
+        if (!this.websocketHandler || !this.serialManager) return;
+
+        // Send a command and answer with the device's acknowledgement (lib/com/serialCommands.js)
+        this.websocketHandler.registerRPCMethod('serial.command', async (params, clientData) => {
+            const { deviceId = null, command, args = null, timeout, retries } = params || {};
+            if (!command) {
+                throw new Error('command is required');
+            }
+            console.log(`Serial command ${command} for ${deviceId || 'the serial device'} from ${clientData.id}`);
+            return this.serialManager.sendCommand(deviceId, command, args, { timeout, retries });
+        }, PERMISSIONS.SERIAL_CONTROL);
+
+        this.websocketHandler.registerRPCMethod('serial.status', (params) => {
+            return this.serialManager.getStatus((params && params.deviceId) || null);
+        }, PERMISSIONS.DASHBOARD_READ);
     }
 
     // Handle incoming requests
     async _handleIncomingRequest(requestData) {
-        const { clientId, requestId, endpoint, data, respond } = requestData;
+        const { clientId, requestId, endpoint, data, role, user, respond } = requestData;
 
         try {
             if (this.requestHandlers.has(endpoint)) {
+                const permission = this.requestPermissions.get(endpoint);
+                if (!hasPermission(role, permission)) {
+                    console.warn(`Request ${endpoint} from ${clientId} denied for role ${role || 'unauthenticated'}`);
+                    respond(null, new Error(`Permission denied: ${permission}`));
+                    return;
+                }
+
                 const handler = this.requestHandlers.get(endpoint);
-                const clientInfo = this._getClientInfo(clientId);
+                const clientInfo = { ...this._getClientInfo(clientId), clientId, role, user };
 
                 console.log(`Handling request: ${endpoint} from ${clientId}`);
                 const result = await handler(data, clientInfo);
@@ -502,6 +598,50 @@ class WebsocketManager {
         return client || { id: clientId };
     }
 
+    // Written to created_by / updated_by: the user of a session token, else the client id
+    _getActor(clientInfo) {
+        return clientInfo.user || clientInfo.clientId;
+    }
+
+    // Options of a write made for a client: the actor plus what the audit log records
+    _getWriteOptions(clientInfo) {
+        return { actor: this._getActor(clientInfo), source: 'websocket', clientId: clientInfo.clientId };
+    }
+
+    // Tables outside API_READABLE_TABLES (users, audit_log ...) cannot be read by clients
+    _assertReadable(table) {
+        if (!this.config.readableTables.includes(table)) {
+            throw new Error(`Table '${table}' is not available`);
+        }
+    }
+
+    // Throws unless the aggregate options only reach a readable table and its configured columns
+    _checkAggregate(table, options) {
+        this._assertReadable(table);
+        const spec = normalizeAggregateOptions(options);
+        this.filterPolicy.checkColumns(table, [spec.timeField, ...spec.groupBy]);
+        if (options.where) {
+            this.filterPolicy.check(table, options.where);
+        }
+        const metricColumns = [...this.filterPolicy.columns(table), ...this.writePolicy.columns(table)];
+        for (const metric of spec.metrics) {
+            if (!metricColumns.includes(metric.column)) {
+                throw new Error(`Column '${metric.column}' of '${table}' cannot be aggregated`);
+            }
+        }
+    }
+
+    // Query builder on table narrowed by a client's conditions; throws when the table or a
+    // column is not filterable in config/tables.js, or when there is no condition, since an
+    // update or delete without one would hit the whole table
+    _filteredTable(table, conditions) {
+        const filter = this.filterPolicy.check(table, conditions);
+        if (isEmptyFilter(filter)) {
+            throw new Error('Table and conditions are required');
+        }
+        return this.database.table(table).whereFilter(filter);
+    }
+
     // Trigger custom event handlers
     _triggerEvent(eventName, data) {
         if (this.eventHandlers.has(eventName)) {
@@ -529,15 +669,17 @@ class WebsocketManager {
 
     // Public API methods
 
-    // Register request handler
-    registerRequestHandler(endpoint, handler) {
+    // Register request handler (permission: required role permission, null = open to all clients)
+    registerRequestHandler(endpoint, handler, permission = null) {
         this.requestHandlers.set(endpoint, handler);
+        this.requestPermissions.set(endpoint, permission);
         console.log(`Request handler registered: ${endpoint}`);
     }
 
     // Unregister request handler
     unregisterRequestHandler(endpoint) {
         this.requestHandlers.delete(endpoint);
+        this.requestPermissions.delete(endpoint);
         console.log(`Request handler unregistered: ${endpoint}`);
     }
 
@@ -561,9 +703,9 @@ class WebsocketManager {
     }
 
     // Register RPC method
-    registerRPCMethod(methodName, handler) {
+    registerRPCMethod(methodName, handler, permission = null) {
         if (this.websocketHandler) {
-            this.websocketHandler.registerRPCMethod(methodName, handler);
+            this.websocketHandler.registerRPCMethod(methodName, handler, permission);
         } else {
             console.warn('WebSocket handler not initialized, RPC method registration deferred');
         }
@@ -647,6 +789,7 @@ class WebsocketManager {
             topics: [],
             streams: [],
             pendingRequests: 0,
+            databaseQueue: this.writeJournal ? this.writeJournal.getStatus() : null,
             rpcMethods: []
         };
 
@@ -689,6 +832,7 @@ class WebsocketManager {
 
             // Clear handlers
             this.requestHandlers.clear();
+            this.requestPermissions.clear();
             this.eventHandlers.clear();
 
             console.log('WebSocket server stopped');
@@ -1,16 +1,26 @@
 const { contextBridge, ipcRenderer } = require('electron');
 
 const validInvokeChannels = new Set([
+  'auth-set-session',
+  'auth-clear-session',
+  'auth-get-session',
   'get-data-by-filters',
   'delete-data',
   'insert-data',
   'update-data',
+  'database-get-queue-status',
+  'database-replay-queue',
+  'database-retention-status',
+  'database-retention-run',
+  'audit-query',
+  'audit-export',
   'serial-force-reconnect',
   'serial-disconnect',
   'serial-scan-ports',
   'serial-toggle-dynamic-switching',
   'serial-get-status',
   'serial-send-data',
+  'serial-send-command',
 ]);
 
 const validReceiveChannels = new Set([
@@ -21,7 +31,12 @@ const validReceiveChannels = new Set([
   'serial-reconnect-status',
   'serial-port-switched',
   'database-insert-success',
+  'database-insert-queued',
+  'database-queue-status',
+  'database-retention-progress',
+  'database-retention-completed',
   'serial-data-sent',
+  'serial-command-status',
 ]);
 
 contextBridge.exposeInMainWorld('api', {
@@ -45,17 +60,32 @@ contextBridge.exposeInMainWorld('api', {
     ipcRenderer.removeAllListeners(channel);
   },
 
+  // Session convenience methods
+  setSession: (accessToken) => ipcRenderer.invoke('auth-set-session', accessToken),
+  clearSession: () => ipcRenderer.invoke('auth-clear-session'),
+  getSession: () => ipcRenderer.invoke('auth-get-session'),
+
   // Database convenience methods
-  getDataByFilters: (table, filters, options) => ipcRenderer.invoke('get-data-by-filters', table, filters, options),
-  deleteData: (table, whereClause, whereParams) => ipcRenderer.invoke('delete-data', table, whereClause, whereParams),
+  // filter: { field, operator, value }, { and: [...] } / { or: [...] } or { column: value } (lib/db/filters.js)
+  getDataByFilters: (table, filter, options) => ipcRenderer.invoke('get-data-by-filters', table, filter, options),
+  deleteData: (table, filter) => ipcRenderer.invoke('delete-data', table, filter),
   insertData: (table, data) => ipcRenderer.invoke('insert-data', table, data),
-  updateData: (table, data, whereClause, whereParams) => ipcRenderer.invoke('update-data', table, data, whereClause, whereParams),
+  updateData: (table, data, filter) => ipcRenderer.invoke('update-data', table, data, filter),
+  getQueueStatus: () => ipcRenderer.invoke('database-get-queue-status'),
+  replayQueue: () => ipcRenderer.invoke('database-replay-queue'),
+  getRetentionStatus: () => ipcRenderer.invoke('database-retention-status'),
+  runRetention: (options) => ipcRenderer.invoke('database-retention-run', options),
+  queryAuditLog: (filters) => ipcRenderer.invoke('audit-query', filters),
+  exportAuditLog: (filters) => ipcRenderer.invoke('audit-export', filters),
 
   // Serial convenience methods
-  getSerialStatus: () => ipcRenderer.invoke('serial-get-status'),
-  forceReconnect: () => ipcRenderer.invoke('serial-force-reconnect'),
-  disconnect: () => ipcRenderer.invoke('serial-disconnect'),
-  scanPorts: () => ipcRenderer.invoke('serial-scan-ports'),
-  setDynamicSwitching: (enabled) => ipcRenderer.invoke('serial-toggle-dynamic-switching', enabled),
-  sendData: (data) => ipcRenderer.invoke('serial-send-data', data),
+  // deviceId: an id from config/serialDevices.js ("default" for the .env device); null = every device
+  getSerialStatus: (deviceId = null) => ipcRenderer.invoke('serial-get-status', deviceId),
+  forceReconnect: (deviceId = null) => ipcRenderer.invoke('serial-force-reconnect', deviceId),
+  disconnect: (deviceId = null) => ipcRenderer.invoke('serial-disconnect', deviceId),
+  scanPorts: (deviceId = null) => ipcRenderer.invoke('serial-scan-ports', deviceId),
+  setDynamicSwitching: (deviceId, enabled) => ipcRenderer.invoke('serial-toggle-dynamic-switching', deviceId, enabled),
+  sendData: (deviceId, data) => ipcRenderer.invoke('serial-send-data', deviceId, data),
+  // Resolves once the device acknowledges: { success, data: { id, result, attempts } } or { success: false, error, code }
+  sendCommand: (deviceId, command, args = null, options = {}) => ipcRenderer.invoke('serial-send-command', deviceId, command, args, options),
 });
\ No newline at end of file
@@ -0,0 +1,394 @@
+// scripts/copy-data.js
+// Copies tables from one backend to another (e.g. MySQL to Firebase after switch-db), in
+// batches read with keyset paging so large tables are never loaded at once.
+//
+// Ids: Firebase push keys and SQL integer ids are mapped to new ids on the target and the
+// mapping is kept in <state-dir>/<from>-<to>-<table>.ids.jsonl. Copying back uses the reverse
+// mapping, so rows return to their original ids. --map=column:table rewrites a reference
+// column (e.g. --map=user_id:users) through the mapping of a table copied earlier.
+// --keep-ids reuses the source ids instead (integer ids for a SQL target).
+//
+// Encrypted columns are decrypted by the source driver and encrypted again by the target
+// driver with the active key (same DB_ENCRYPTION_* settings for both).
+//
+// Progress is saved after every batch; rerun with --resume after an interruption.
+//
+// Usage: node scripts/copy-data.js <table...> --from=mysql --to=firebase [--batch-size=500]
+//        [--map=column:table ...] [--keep-ids] [--resume | --restart] [--dry-run] [--no-verify]
+//        [--state-dir=data/copy]
+require('dotenv').config();
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const DatabaseManager = require('../modules/database/databaseManager');
+
+const TYPES = ['mysql', 'firebase', 'sqlite'];
+// A SQL target that already has the batch (copy interrupted after the commit)
+const DUPLICATE_KEY_ERRORS = new Set(['ER_DUP_ENTRY', 'SQLITE_CONSTRAINT_PRIMARYKEY', 'SQLITE_CONSTRAINT_UNIQUE']);
+// Columns written in the target's timestamp form, whatever form the source stored them in
+const TIMESTAMP_COLUMNS = ['created_at', 'updated_at', 'deleted_at'];
+// SQLite's CURRENT_TIMESTAMP: UTC without a zone
+const ZONELESS_TIMESTAMP = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}(\.\d+)?$/;
+
+function parseArgs(argv) {
+    const options = {
+        tables: [], from: null, to: null, batchSize: 500, maps: {}, keepIds: false,
+        resume: false, restart: false, dryRun: false, verify: true,
+        stateDir: path.join(process.cwd(), 'data', 'copy')
+    };
+    for (const arg of argv) {
+        const [name, value] = arg.split(/=(.*)/s);
+        if (name === '--from') {
+            options.from = value;
+        } else if (name === '--to') {
+            options.to = value;
+        } else if (name === '--batch-size') {
+            options.batchSize = parseInt(value, 10);
+        } else if (name === '--map') {
+            const [column, table] = (value || '').split(':');
+            if (!column || !table) {
+                throw new Error(`--map must be written as column:table, got '${value}'`);
+            }
+            options.maps[column] = table;
+        } else if (name === '--state-dir') {
+            options.stateDir = path.resolve(value);
+        } else if (arg === '--keep-ids') {
+            options.keepIds = true;
+        } else if (arg === '--resume') {
+            options.resume = true;
+        } else if (arg === '--restart') {
+            options.restart = true;
+        } else if (arg === '--dry-run') {
+            options.dryRun = true;
+        } else if (arg === '--no-verify') {
+            options.verify = false;
+        } else if (!arg.startsWith('--')) {
+            options.tables.push(arg);
+        } else {
+            throw new Error(`Unknown option '${arg}'`);
+        }
+    }
+
+    if (options.tables.length === 0) {
+        throw new Error('Specify at least one table name');
+    }
+    if (!TYPES.includes(options.from) || !TYPES.includes(options.to)) {
+        throw new Error(`--from and --to must be one of: ${TYPES.join(', ')}`);
+    }
+    if (options.from === options.to) {
+        throw new Error('--from and --to must be different databases');
+    }
+    if (!Number.isInteger(options.batchSize) || options.batchSize <= 0) {
+        throw new Error('--batch-size must be a positive integer');
+    }
+    if (options.resume && options.restart) {
+        throw new Error('Use either --resume or --restart');
+    }
+    return options;
+}
+
+// Files of one copy direction for one table
+function jobFiles(options, tableName, from = options.from, to = options.to) {
+    const base = path.join(options.stateDir, `${from}-${to}-${tableName}`);
+    return { state: `${base}.json`, ids: `${base}.ids.jsonl` };
+}
+
+// source id -> target id, plus the inverted mapping of an earlier copy in the other direction
+function loadIdMap(options, tableName) {
+    const map = new Map();
+    const read = (file, inverted) => {
+        if (!fs.existsSync(file)) return;
+        for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                const [sourceId, targetId] = JSON.parse(line);
+                if (inverted) {
+                    map.set(String(targetId), sourceId);
+                } else {
+                    map.set(String(sourceId), targetId);
+                }
+            } catch (error) {
+                // Partial last line from an interrupted run; that batch is copied again
+            }
+        }
+    };
+    read(jobFiles(options, tableName, options.to, options.from).ids, true);
+    read(jobFiles(options, tableName).ids, false);
+    return map;
+}
+
+function loadState(options, tableName) {
+    const files = jobFiles(options, tableName);
+    if (options.restart && !options.dryRun) {
+        fs.rmSync(files.state, { force: true });
+        fs.rmSync(files.ids, { force: true });
+    }
+    if (!fs.existsSync(files.state)) {
+        return null;
+    }
+    const state = JSON.parse(fs.readFileSync(files.state, 'utf8'));
+    if (!options.resume && !options.dryRun) {
+        throw new Error(`${tableName}: an earlier copy ${state.completed ? 'completed' : 'was interrupted'} ` +
+            `(${state.copied} rows). Use --resume to continue it or --restart to copy again.`);
+    }
+    return state;
+}
+
+function saveState(options, tableName, state) {
+    const file = jobFiles(options, tableName).state;
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify({ ...state, updatedAt: new Date().toISOString() }, null, 2));
+    fs.renameSync(`${file}.tmp`, file);
+}
+
+// The Date a timestamp value stands for, or null when it is not one
+function toDate(column, value) {
+    if (value instanceof Date) return value;
+    if (typeof value !== 'string' || !TIMESTAMP_COLUMNS.includes(column)) return null;
+    const date = new Date(ZONELESS_TIMESTAMP.test(value) ? `${value.replace(' ', 'T')}Z` : value);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// The row as the target stores it: timestamps in the target's form (MySQL rejects ISO
+// strings ending in 'Z', Firebase cannot store Dates)
+function toTargetRow(row, target) {
+    const data = {};
+    for (const [column, value] of Object.entries(row)) {
+        if (column === 'id' || value === undefined) continue;
+        const date = toDate(column, value);
+        data[column] = date ? target._timestamp(date) : value;
+    }
+    return data;
+}
+
+// Order-independent of column order, tolerant of number/string differences between backends.
+// Timestamps compare to the second, since MySQL TIMESTAMP columns keep no fractions.
+function rowHash(data, columns) {
+    const canonical = columns.map(column => {
+        const value = data[column];
+        if (value === null || value === undefined) return [column, null];
+        const date = toDate(column, value);
+        return [column, date ? new Date(Math.round(date.getTime() / 1000) * 1000).toISOString() : String(value)];
+    });
+    return crypto.createHash('sha256').update(JSON.stringify(canonical)).digest('hex');
+}
+
+class TableCopy {
+    constructor(source, target, tableName, options, refMaps) {
+        this.source = source;
+        this.target = target;
+        this.tableName = tableName;
+        this.options = options;
+        this.refMaps = refMaps; // column -> id map of the referenced table
+        this.idMap = loadIdMap(options, tableName);
+        this.files = jobFiles(options, tableName);
+        this.newIds = []; // [sourceId, targetId] pairs not yet saved
+        this.stats = { table: tableName, read: 0, copied: 0, alreadyCopied: 0, unmappedRefs: 0 };
+    }
+
+    async run() {
+        const state = loadState(this.options, this.tableName) || {
+            table: this.tableName, from: this.options.from, to: this.options.to,
+            lastSourceId: null, copied: 0, nextId: null, completed: false,
+            startedAt: new Date().toISOString()
+        };
+        if (state.completed && this.options.resume) {
+            console.log(`${this.tableName}: already copied (${state.copied} rows), verifying only.`);
+            return state;
+        }
+        if (this.options.to !== 'firebase' && !this.options.keepIds) {
+            // Ids mapped before an interruption may not have been written yet
+            const mapped = Array.from(this.idMap.values()).map(Number).filter(Number.isInteger);
+            state.nextId = Math.max(state.nextId || 1, await this._nextTargetId(), ...mapped.map(id => id + 1));
+        }
+
+        for (;;) {
+            const rows = await this.source.getPage(this.tableName, { after: state.lastSourceId, limit: this.options.batchSize });
+            if (rows.length === 0) break;
+            this.stats.read += rows.length;
+
+            const batch = rows.map(row => ({ sourceId: row.id, targetId: this._targetId(row.id, state), data: this._translate(row) }));
+            if (!this.options.dryRun) {
+                await this._writeBatch(batch);
+            }
+            state.lastSourceId = rows[rows.length - 1].id;
+            state.copied += batch.length;
+            if (!this.options.dryRun) {
+                saveState(this.options, this.tableName, state);
+            }
+            console.log(`${this.tableName}: ${state.copied} rows ${this.options.dryRun ? 'read' : 'copied'}`);
+            if (rows.length < this.options.batchSize) break;
+        }
+
+        state.completed = true;
+        if (!this.options.dryRun) {
+            saveState(this.options, this.tableName, state);
+        }
+        return state;
+    }
+
+    // Compare every source row with its copy: counts plus a checksum over the copied columns
+    async verify() {
+        const sourceDigest = crypto.createHash('sha256');
+        const targetDigest = crypto.createHash('sha256');
+        const summary = { sourceRows: 0, targetRows: 0, missing: 0, mismatched: 0 };
+
+        let after = null;
+        for (;;) {
+            const rows = await this.source.getPage(this.tableName, { after, limit: this.options.batchSize });
+            if (rows.length === 0) break;
+
+            const targetIds = rows.map(row => this.idMap.get(String(row.id))).filter(id => id !== undefined);
+            const copies = new Map((await this.target.findMany(this.tableName, targetIds)).map(row => [String(row.id), row]));
+
+            for (const row of rows) {
+                summary.sourceRows++;
+                const data = this._translate(row);
+                const columns = Object.keys(data).sort();
+                const sourceHash = rowHash(data, columns);
+                sourceDigest.update(sourceHash);
+
+                const targetId = this.idMap.get(String(row.id));
+                const copy = targetId !== undefined ? copies.get(String(targetId)) : undefined;
+                if (!copy) {
+                    summary.missing++;
+                    targetDigest.update('missing');
+                    continue;
+                }
+                summary.targetRows++;
+                const targetHash = rowHash(copy, columns);
+                targetDigest.update(targetHash);
+                if (targetHash !== sourceHash) {
+                    summary.mismatched++;
+                }
+            }
+
+            after = rows[rows.length - 1].id;
+            if (rows.length < this.options.batchSize) break;
+        }
+
+        summary.sourceChecksum = sourceDigest.digest('hex').slice(0, 16);
+        summary.targetChecksum = targetDigest.digest('hex').slice(0, 16);
+        return summary;
+    }
+
+    _targetId(sourceId, state) {
+        const known = this.idMap.get(String(sourceId));
+        if (known !== undefined) return known;
+
+        let targetId;
+        if (this.options.keepIds) {
+            targetId = this.options.to === 'firebase' ? String(sourceId) : Number(sourceId);
+            if (this.options.to !== 'firebase' && !Number.isInteger(targetId)) {
+                throw new Error(`${this.tableName}: --keep-ids needs integer ids for a ${this.options.to} target, got '${sourceId}'`);
+            }
+        } else if (this.options.to === 'firebase') {
+            targetId = this.target.createWriteId(this.tableName);
+        } else {
+            targetId = state.nextId++;
+        }
+        this.idMap.set(String(sourceId), targetId);
+        this.newIds.push([sourceId, targetId]);
+        return targetId;
+    }
+
+    _translate(row) {
+        const data = toTargetRow(row, this.target);
+        for (const [column, refMap] of Object.entries(this.refMaps)) {
+            if (data[column] === null || data[column] === undefined) continue;
+            const mapped = refMap.get(String(data[column]));
+            if (mapped === undefined) {
+                this.stats.unmappedRefs++;
+            } else {
+                data[column] = mapped;
+            }
+        }
+        return data;
+    }
+
+    // The id mapping is saved before the rows, so a rerun writes the same ids again:
+    // Firebase overwrites its keys, a SQL target reports the batch as duplicate
+    async _writeBatch(batch) {
+        this._saveNewIds();
+        if (this.options.to === 'firebase') {
+            await this.target.transaction(trx =>
+                Promise.all(batch.map(item => trx.postDataOnce(this.tableName, item.data, item.targetId))));
+            this.stats.copied += batch.length;
+            return;
+        }
+
+        try {
+            await this.target.postMany(this.tableName, batch.map(item => ({ ...item.data, id: item.targetId })), { chunkSize: this.options.batchSize });
+            this.stats.copied += batch.length;
+        } catch (err) {
+            if (!DUPLICATE_KEY_ERRORS.has(err.code)) {
+                throw err;
+            }
+            this.stats.alreadyCopied += batch.length;
+        }
+    }
+
+    _saveNewIds() {
+        if (this.newIds.length === 0) return;
+        const fd = fs.openSync(this.files.ids, 'a');
+        try {
+            fs.writeSync(fd, this.newIds.map(pair => JSON.stringify(pair) + '\n').join(''));
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        this.newIds = [];
+    }
+
+    async _nextTargetId() {
+        const [last] = await this.target.table(this.tableName).withEncryptedValues().orderBy('id', 'desc').limit(1).get();
+        return last ? Number(last.id) + 1 : 1;
+    }
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    fs.mkdirSync(options.stateDir, { recursive: true });
+
+    const databaseManager = new DatabaseManager();
+    const source = databaseManager.createDriver(options.from);
+    const target = databaseManager.createDriver(options.to);
+    await source.connect();
+    await target.connect();
+
+    try {
+        if (options.dryRun) {
+            console.log('Dry run: rows are read and mapped but nothing is written.');
+        }
+
+        const results = [];
+        for (const tableName of options.tables) {
+            const refMaps = {};
+            for (const [column, refTable] of Object.entries(options.maps)) {
+                if (refTable !== tableName) {
+                    refMaps[column] = loadIdMap(options, refTable);
+                }
+            }
+
+            const copy = new TableCopy(source, target, tableName, options, refMaps);
+            await copy.run();
+            const verification = options.verify && !options.dryRun ? await copy.verify() : {};
+            results.push({ ...copy.stats, ...verification });
+        }
+
+        console.table(results);
+        const failed = results.some(result => result.missing > 0 || result.mismatched > 0);
+        if (failed) {
+            console.error('Verification found missing or different rows.');
+        }
+        return failed ? 1 : 0;
+    } finally {
+        await Promise.allSettled([source.close(), target.close()]);
+    }
+}
+
+main()
+    .then(code => process.exit(code))
+    .catch(error => {
+        console.error('Copy failed:', error.message);
+        process.exit(1);
+    });
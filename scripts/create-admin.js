@@ -0,0 +1,73 @@
+// scripts/create-admin.js
+// Creates an admin account, or makes an existing account admin. Accounts registered through
+// POST /api/auth/register get AUTH_DEFAULT_ROLE, so a fresh install gets its first admin here.
+// The password is read from ADMIN_PASSWORD, or asked for; it is needed for a new account and
+// replaces the current one of an existing account when given. A promoted user's open sessions
+// keep their old role until they log in again.
+//
+// Usage: node scripts/create-admin.js <username>
+require('dotenv').config();
+const readline = require('readline');
+const bcrypt = require('bcryptjs');
+const DatabaseManager = require('../modules/database/databaseManager');
+
+const USERNAME_PATTERN = /^[\w.@-]{3,50}$/;
+
+function askPassword(question) {
+    if (!process.stdin.isTTY) return Promise.resolve('');
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    return new Promise(resolve => rl.question(question, answer => {
+        rl.close();
+        resolve(answer);
+    }));
+}
+
+async function main() {
+    const username = process.argv[2];
+    if (!username || !USERNAME_PATTERN.test(username)) {
+        throw new Error('Usage: node scripts/create-admin.js <username> (3-50 letters, digits or _ . @ -)');
+    }
+
+    const databaseManager = new DatabaseManager();
+    await databaseManager.initialize();
+    const db = databaseManager.getDatabase();
+
+    try {
+        // Soft-deleted accounts keep their username, as in register
+        const existing = (await db.getDataByFilters('users', { username }, { withTrashed: true }))[0];
+        if (existing && existing.deleted_at) {
+            throw new Error(`User '${username}' has been deleted; restore it first`);
+        }
+
+        const password = process.env.ADMIN_PASSWORD
+            || await askPassword(existing ? 'New password (empty keeps the current one): ' : 'Password: ');
+        if (password && (password.length < 8 || password.length > 128)) {
+            throw new Error('The password must be 8-128 characters');
+        }
+        if (!existing && !password) {
+            throw new Error('A new account needs a password (ADMIN_PASSWORD)');
+        }
+
+        const changes = { role: 'admin' };
+        if (password) {
+            changes.password = await bcrypt.hash(password, await bcrypt.genSalt(10));
+        }
+
+        if (existing) {
+            await db.table('users').where('id', existing.id).update(changes);
+            console.log(`User '${username}' (#${existing.id}) is now admin.`);
+        } else {
+            const result = await db.postData('users', { username, ...changes });
+            console.log(`Admin '${username}' created (#${result.insertId}).`);
+        }
+    } finally {
+        await databaseManager.close();
+    }
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch(error => {
+        console.error('Creating the admin failed:', error.message);
+        process.exit(1);
+    });
@@ -0,0 +1,52 @@
+// scripts/migrate.js
+// Runs the migrations in database/migrations against the configured database (DB_TYPE).
+//
+// Usage: node scripts/migrate.js [up|rollback|status] [--steps=1]
+require('dotenv').config();
+const DatabaseManager = require('../modules/database/databaseManager');
+const Migrator = require('../lib/db/migrator');
+
+const command = process.argv[2] || 'up';
+const stepsArg = process.argv.find(arg => arg.startsWith('--steps='));
+const steps = stepsArg ? parseInt(stepsArg.split('=')[1], 10) : 1;
+
+if (!['up', 'rollback', 'status'].includes(command)) {
+    console.error('Invalid command. Use "up", "rollback" or "status".');
+    process.exit(1);
+}
+if (!Number.isInteger(steps) || steps <= 0) {
+    console.error('--steps must be a positive integer.');
+    process.exit(1);
+}
+
+async function main() {
+    const databaseManager = new DatabaseManager();
+    await databaseManager.initialize();
+    const migrator = new Migrator(databaseManager.getDatabase(), { type: databaseManager.getType() });
+
+    try {
+        if (command === 'status') {
+            const migrations = await migrator.status();
+            if (migrations.length === 0) {
+                console.log('No migrations found.');
+            } else {
+                console.table(migrations);
+            }
+        } else if (command === 'rollback') {
+            const rolledBack = await migrator.rollback(steps);
+            console.log(rolledBack.length > 0 ? `Rolled back ${rolledBack.length} migration(s).` : 'Nothing to roll back.');
+        } else {
+            const applied = await migrator.migrate();
+            console.log(applied.length > 0 ? `Applied ${applied.length} migration(s).` : 'Nothing to migrate.');
+        }
+    } finally {
+        await databaseManager.close();
+    }
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch(error => {
+        console.error(error.message);
+        process.exit(1);
+    });
@@ -0,0 +1,109 @@
+// scripts/reencrypt.js
+// Rewrites the encrypted columns of a table under the active encryption key, so retired keys
+// can be removed from DB_ENCRYPTION_KEYS afterwards. Values in the old CBC format and plain
+// values in policy columns are encrypted as well.
+//
+// Usage: node scripts/reencrypt.js <table|--all> [--batch-size=500] [--dry-run]
+require('dotenv').config();
+const DatabaseManager = require('../modules/database/databaseManager');
+
+function parseArgs(argv) {
+    const options = { tables: [], all: false, batchSize: 500, dryRun: false };
+    for (const arg of argv) {
+        if (arg === '--all') {
+            options.all = true;
+        } else if (arg === '--dry-run') {
+            options.dryRun = true;
+        } else if (arg.startsWith('--batch-size=')) {
+            options.batchSize = parseInt(arg.split('=')[1], 10);
+        } else if (!arg.startsWith('--')) {
+            options.tables.push(arg);
+        } else {
+            throw new Error(`Unknown option '${arg}'`);
+        }
+    }
+
+    if (!options.all && options.tables.length === 0) {
+        throw new Error('Specify a table name or --all');
+    }
+    if (!Number.isInteger(options.batchSize) || options.batchSize <= 0) {
+        throw new Error('--batch-size must be a positive integer');
+    }
+    return options;
+}
+
+async function reencryptTable(db, tableName, { batchSize, dryRun }) {
+    const fields = db.encryptionPolicy.getFields(tableName);
+    const stats = { table: tableName, scanned: 0, updated: 0, failed: 0 };
+
+    if (fields.length === 0) {
+        console.log(`${tableName}: no encrypted fields in the policy, skipped.`);
+        return stats;
+    }
+
+    let lastId = null;
+    for (;;) {
+        // Keyset paging on id keeps batches stable while rows are being rewritten
+        const query = db.table(tableName).withEncryptedValues().orderBy('id', 'asc').limit(batchSize);
+        if (lastId !== null) {
+            query.where('id', '>', lastId);
+        }
+        const rows = await query.get();
+
+        for (const row of rows) {
+            stats.scanned++;
+            const staleFields = fields.filter(field => db.cipher.needsReencryption(row[field]));
+            if (staleFields.length === 0) continue;
+
+            try {
+                // update() encrypts policy columns with the active key, so pass plain values
+                const changes = Object.fromEntries(staleFields.map(field => [field, db.decrypt(row[field])]));
+                if (!dryRun) {
+                    await db.table(tableName).where('id', row.id).update(changes);
+                }
+                stats.updated++;
+            } catch (error) {
+                stats.failed++;
+                console.error(`${tableName} #${row.id}: ${error.message}`);
+            }
+        }
+
+        console.log(`${tableName}: ${stats.scanned} rows scanned, ${stats.updated} ${dryRun ? 'to rewrite' : 'rewritten'}`);
+        if (rows.length < batchSize) break;
+        lastId = rows[rows.length - 1].id;
+    }
+
+    return stats;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const databaseManager = new DatabaseManager();
+    await databaseManager.initialize();
+    const db = databaseManager.getDatabase();
+
+    try {
+        console.log(`Active key: ${db.cipher.getActiveKeyId()} (configured: ${db.cipher.getKeyIds().join(', ')})`);
+        if (options.dryRun) {
+            console.log('Dry run: no rows will be written.');
+        }
+
+        const tables = options.all ? db.encryptionPolicy.getTableNames() : options.tables;
+        const results = [];
+        for (const tableName of tables) {
+            results.push(await reencryptTable(db, tableName, options));
+        }
+
+        console.table(results);
+        return results.some(result => result.failed > 0) ? 1 : 0;
+    } finally {
+        await databaseManager.close();
+    }
+}
+
+main()
+    .then(code => process.exit(code))
+    .catch(error => {
+        console.error('Re-encryption failed:', error.message);
+        process.exit(1);
+    });
@@ -2,11 +2,12 @@
 const fs = require('fs');
 const path = require('path');
 
-const dbType = process.argv[2]; // Get the third argument (e.g., 'mysql' or 'firebase')
+const dbType = process.argv[2]; // Get the third argument (e.g., 'mysql', 'firebase' or 'sqlite')
+const sqlitePath = process.argv[3]; // Optional database file for sqlite
 const envFilePath = path.join(__dirname, '..', '.env');
 
-if (dbType !== 'mysql' && dbType !== 'firebase') {
-    console.error('Invalid database type specified. Use "mysql" or "firebase".');
+if (dbType !== 'mysql' && dbType !== 'firebase' && dbType !== 'sqlite') {
+    console.error('Invalid database type specified. Use "mysql", "firebase" or "sqlite [file path]".');
     process.exit(1);
 }
 
@@ -40,13 +41,18 @@ try {
         }
     });
 
-    // Update the USE_FIREBASE value
+    // Update DB_TYPE, and USE_FIREBASE for older setups that still read it
+    envVars['DB_TYPE'] = dbType;
+    envVars['USE_FIREBASE'] = dbType === 'firebase' ? 'true' : 'false';
     if (dbType === 'mysql') {
-        envVars['USE_FIREBASE'] = 'false';
         console.log('Switching database configuration to MySQL...');
     } else if (dbType === 'firebase') {
-        envVars['USE_FIREBASE'] = 'true';
         console.log('Switching database configuration to Firebase...');
+    } else {
+        if (sqlitePath) {
+            envVars['SQLITE_PATH'] = sqlitePath;
+        }
+        console.log(`Switching database configuration to SQLite (${sqlitePath || envVars['SQLITE_PATH'] || 'data/monitor.sqlite'})...`);
     }
 
     // Reconstruct the .env file content while preserving structure
@@ -86,7 +92,7 @@ try {
     fs.writeFileSync(envFilePath, newEnvContent.trim() + '\n');
     
     console.log(`Successfully updated .env file to use ${dbType}.`);
-    console.log('Environment variables preserved, only USE_FIREBASE setting changed.');
+    console.log('Environment variables preserved, only DB_TYPE, USE_FIREBASE and SQLITE_PATH settings changed.');
     
     if (dbType === 'firebase') {
         console.log('\n📋 Firebase Development Setup:');
@@ -100,6 +106,12 @@ try {
         console.log('\n💡 For local development, consider adding firebase-admin for server-side operations');
     }
     
+    if (dbType === 'sqlite') {
+        console.log('\n📋 SQLite Setup:');
+        console.log('1. Install the driver: npm install better-sqlite3');
+        console.log('2. Create the tables: npm run migrate');
+    }
+    
     console.log('\n🔄 Please restart your application for the changes to take effect.');
     
 } catch (error) {
@@ -0,0 +1,164 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { crc16Modbus, crc16Ccitt, crc8, verifyCrc, appendCrc } = require('../../lib/com/crc');
+const modbus = require('../../lib/com/modbus');
+const { getParser } = require('../../lib/com/parsers');
+const { cobsDecode, slipDecode } = require('../../lib/com/parsers/binary');
+
+const CHECK = Buffer.from('123456789');
+
+// The frames a framer emits for the given chunks, and the invalid frames it reported
+function frameAll(parser, config, chunks) {
+    const invalid = [];
+    const framer = parser.createFramer(config, { invalidFrame: reason => invalid.push(reason) });
+    const frames = [];
+    framer.on('data', frame => frames.push(frame));
+    for (const chunk of chunks) framer.write(chunk);
+    return { frames, invalid };
+}
+
+function cobsEncode(bytes) {
+    const out = [0];
+    let codeAt = 0;
+    for (const byte of bytes) {
+        if (byte === 0) {
+            out[codeAt] = out.length - codeAt;
+            codeAt = out.length;
+            out.push(0);
+        } else {
+            out.push(byte);
+        }
+    }
+    out[codeAt] = out.length - codeAt;
+    return Buffer.from(out);
+}
+
+function slipEncode(bytes) {
+    const out = [];
+    for (const byte of bytes) {
+        if (byte === 0xC0) out.push(0xDB, 0xDC);
+        else if (byte === 0xDB) out.push(0xDB, 0xDD);
+        else out.push(byte);
+    }
+    return Buffer.from([...out, 0xC0]);
+}
+
+test('CRCs match their check values', () => {
+    assert.equal(crc16Modbus(CHECK), 0x4B37);
+    assert.equal(crc16Ccitt(CHECK), 0x29B1);
+    assert.equal(crc8(CHECK), 0xF4);
+
+    const framed = appendCrc(CHECK, 'crc16-modbus');
+    assert.deepEqual([...framed.subarray(-2)], [0x37, 0x4B]);
+    assert.equal(verifyCrc(framed, 'crc16-modbus'), true);
+    assert.equal(verifyCrc(appendCrc(CHECK, 'crc16-ccitt', 'little'), 'crc16-ccitt', 'little'), true);
+    framed[0] ^= 1;
+    assert.equal(verifyCrc(framed, 'crc16-modbus'), false);
+    assert.throws(() => appendCrc(CHECK, 'crc32'), /Unknown CRC/);
+});
+
+test('Modbus requests, responses and exceptions', () => {
+    assert.equal(modbus.buildReadRequest(1, 3, 0, 10).toString('hex'), '01030000000ac5cd');
+
+    const response = appendCrc(Buffer.from([0x11, 0x03, 0x04, 0x02, 0x2B, 0x00, 0x64]), 'crc16-modbus');
+    assert.equal(modbus.responseLength(response.subarray(0, 2)), null);
+    assert.equal(modbus.responseLength(response), response.length);
+    assert.deepEqual(modbus.parseResponse(response), { slaveId: 0x11, functionCode: 3, registers: [555, 100] });
+
+    const coils = appendCrc(Buffer.from([0x01, 0x01, 0x01, 0b00000101]), 'crc16-modbus');
+    assert.deepEqual(modbus.parseResponse(coils).bits, [1, 0, 1, 0, 0, 0, 0, 0]);
+
+    const exception = appendCrc(Buffer.from([0x01, 0x83, 0x02]), 'crc16-modbus');
+    assert.equal(modbus.responseLength(exception), 5);
+    assert.throws(() => modbus.parseResponse(exception), { exceptionCode: 2, message: /illegal data address/ });
+
+    response[4] ^= 0xFF;
+    assert.throws(() => modbus.parseResponse(response), /CRC mismatch/);
+});
+
+test('Modbus register maps', () => {
+    const float = Buffer.alloc(4);
+    float.writeFloatBE(21.5);
+    const registers = [0xFFFE, float.readUInt16BE(0), float.readUInt16BE(2), 0x0001, 0x0002];
+
+    assert.deepEqual(modbus.decodeRegisters(registers, [
+        { name: 'raw', offset: 0 },
+        { name: 'signed', offset: 0, type: 'int16', scale: 0.5 },
+        { name: 'temperature', offset: 1, type: 'float32' },
+        { name: 'big', offset: 3, type: 'uint32' },
+        { name: 'swapped', offset: 3, type: 'uint32', wordOrder: 'little' }
+    ]), { raw: 65534, signed: -1, temperature: 21.5, big: 0x00010002, swapped: 0x00020001 });
+    assert.throws(() => modbus.decodeRegisters(registers, [{ name: 'x', offset: 4, type: 'int32' }]), /outside the 5 registers/);
+});
+
+test('the modbus-rtu parser frames a stream and resynchronizes after noise', () => {
+    const parser = getParser('modbus-rtu', { frame: { registers: [{ name: 'ph', offset: 0, scale: 0.01 }] } });
+    const response = appendCrc(Buffer.from([0x01, 0x03, 0x02, 0x02, 0xBC]), 'crc16-modbus');
+    const stream = Buffer.concat([Buffer.from([0x01, 0x03, 0x02, 0x00]), response, response]);
+
+    const { frames, invalid } = frameAll(parser, {}, [stream.subarray(0, 6), stream.subarray(6)]);
+    assert.equal(frames.length, 2);
+    assert.ok(invalid.length > 0);
+    assert.deepEqual(parser.parse(frames[0], { frame: { registers: [{ name: 'ph', scale: 0.01 }] } }),
+        { slave_id: 1, function_code: 3, ph: 7 });
+    assert.equal(parser.parse(frames[0], { frame: { slaveId: 2 } }), null);
+});
+
+test('COBS frames decode, including zero bytes and CRCs', () => {
+    const body = Buffer.from([0x10, 0x00, 0x00, 0x2A, 0x00, 0x11]);
+    assert.deepEqual(cobsDecode(cobsEncode(body)), body);
+    assert.throws(() => cobsDecode(Buffer.from([0x05, 0x01])), /Malformed COBS/);
+
+    const config = { frame: { crc: 'crc16-ccitt', fields: [{ name: 'id', type: 'uint16' }, { name: 'value', type: 'int16', scale: 0.1 }] } };
+    const payload = Buffer.alloc(4);
+    payload.writeUInt16LE(0);
+    payload.writeInt16LE(-125, 2);
+    const encoded = Buffer.concat([cobsEncode(appendCrc(payload, 'crc16-ccitt')), Buffer.from([0x00])]);
+
+    const parser = getParser('cobs', config);
+    const { frames } = frameAll(parser, config, [Buffer.from([0x00]), encoded.subarray(0, 3), encoded.subarray(3)]);
+    assert.equal(frames.length, 1);
+    assert.deepEqual(parser.parse(frames[0], config), { id: 0, value: -12.5 });
+
+    const corrupted = cobsEncode(appendCrc(Buffer.from([1, 2, 3, 5]), 'crc16-ccitt'));
+    assert.throws(() => parser.parse(Buffer.from(corrupted.map((byte, i) => i === 1 ? byte ^ 0x40 : byte)), config), /CRC mismatch/);
+});
+
+test('SLIP frames unescape END and ESC bytes', () => {
+    assert.deepEqual([...slipDecode(Buffer.from([0x01, 0xDB, 0xDC, 0xDB, 0xDD, 0x02]))], [0x01, 0xC0, 0xDB, 0x02]);
+    assert.throws(() => slipDecode(Buffer.from([0xDB, 0x01])), /Malformed SLIP/);
+
+    const config = { frame: { crc: 'crc8' } };
+    const parser = getParser('slip', config);
+    const body = appendCrc(Buffer.from([0xC0, 0x01]), 'crc8');
+    const { frames } = frameAll(parser, config, [Buffer.from([0xC0]), slipEncode(body)]);
+    assert.equal(frames.length, 1);
+    assert.deepEqual(parser.parse(frames[0], config), { payload: 'c001' });
+});
+
+test('struct and length-prefixed frames', () => {
+    const structConfig = { frame: { sync: 'AA55', crc: 'crc16-modbus', endianness: 'big', fields: [{ name: 'temperature', type: 'float32' }, { name: 'status', type: 'uint8' }] } };
+    const body = Buffer.alloc(7);
+    body.write('aa55', 0, 'hex');
+    body.writeFloatBE(3.5, 2);
+    body.writeUInt8(9, 6);
+    const frame = appendCrc(body, 'crc16-modbus');
+
+    const struct = getParser('struct', structConfig);
+    const { frames, invalid } = frameAll(struct, structConfig, [Buffer.from([0x00, 0xAA]), frame.subarray(0, 4), frame.subarray(4)]);
+    assert.deepEqual(invalid, []);
+    assert.deepEqual(struct.parse(frames[0], structConfig), { temperature: 3.5, status: 9 });
+
+    const prefixedConfig = { frame: { sync: '7E', lengthBytes: 2, maxLength: 4 } };
+    const prefixed = getParser('length-prefixed', prefixedConfig);
+    const tooLong = Buffer.from([0x7E, 0x10, 0x00]);
+    const good = Buffer.from([0x7E, 0x02, 0x00, 0xBE, 0xEF]);
+    const result = frameAll(prefixed, prefixedConfig, [Buffer.concat([tooLong, good])]);
+    assert.deepEqual(result.invalid, ['unexpected frame header']);
+    assert.deepEqual(prefixed.parse(result.frames[0], prefixedConfig), { payload: 'beef' });
+
+    assert.throws(() => getParser('struct', { frame: {} }), /need frame.fields or frame.length/);
+    assert.throws(() => getParser('struct', { frame: { length: 4, sync: 'xyz' } }), /must be hex bytes/);
+    assert.throws(() => getParser('cobs', { frame: { crc: 'crc32' } }), /Unknown CRC/);
+    assert.throws(() => getParser('protobuf'), /Unsupported dataType/);
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { FieldCipher, EncryptionError } = require('../../lib/db/fieldCipher');
+
+// A value in the pre-GCM format: <iv hex>:<ciphertext hex>, AES-256-CBC with the sha256 of the secret
+function legacyEncrypt(text, secret) {
+    const iv = crypto.randomBytes(16);
+    const cipher = crypto.createCipheriv('aes-256-cbc', crypto.createHash('sha256').update(secret).digest(), iv);
+    return `${iv.toString('hex')}:${Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]).toString('hex')}`;
+}
+
+test('encrypts with the active key and decrypts the value back', () => {
+    const cipher = new FieldCipher({ keys: { k1: 'first secret' } });
+    const encrypted = cipher.encrypt('7.25');
+
+    assert.match(encrypted, /^gcm1:k1:/);
+    assert.notEqual(cipher.encrypt('7.25'), encrypted, 'every value gets a fresh IV');
+    assert.equal(cipher.decrypt(encrypted), '7.25');
+    assert.equal(cipher.decrypt(cipher.encrypt('')), '');
+    assert.equal(cipher.decrypt(cipher.encrypt('Ünïcode ✓')), 'Ünïcode ✓');
+});
+
+test('leaves null, undefined and plain values alone', () => {
+    const cipher = new FieldCipher({ keys: { k1: 'first secret' } });
+
+    assert.equal(cipher.encrypt(null), null);
+    assert.equal(cipher.encrypt(undefined), undefined);
+    assert.equal(cipher.decrypt('plain text'), 'plain text');
+    assert.equal(cipher.decrypt(42), 42);
+    assert.equal(cipher.isEncrypted('plain text'), false);
+});
+
+test('rotation: old values stay readable and are flagged for re-encryption', () => {
+    const before = new FieldCipher({ keys: { k1: 'first secret' } });
+    const oldValue = before.encrypt('old reading');
+
+    const after = new FieldCipher({ keys: { k1: 'first secret', k2: 'second secret' }, activeKeyId: 'k2' });
+    const newValue = after.encrypt('new reading');
+
+    assert.equal(after.getKeyId(newValue), 'k2');
+    assert.equal(after.decrypt(oldValue), 'old reading');
+    assert.equal(after.decrypt(newValue), 'new reading');
+    assert.equal(after.needsReencryption(oldValue), true);
+    assert.equal(after.needsReencryption(newValue), false);
+    assert.equal(after.needsReencryption(null), false);
+});
+
+test('refuses values of unknown keys and tampered values', () => {
+    const cipher = new FieldCipher({ keys: { k1: 'first secret' } });
+    const other = new FieldCipher({ keys: { k9: 'other secret' } });
+    assert.throws(() => cipher.decrypt(other.encrypt('x')), EncryptionError);
+
+    const encrypted = cipher.encrypt('reading');
+    const last = encrypted.slice(-1) === '0' ? '1' : '0';
+    assert.throws(() => cipher.decrypt(encrypted.slice(0, -1) + last), /failed authentication/);
+
+    const sameId = new FieldCipher({ keys: { k1: 'another secret' } });
+    assert.throws(() => sameId.decrypt(encrypted), EncryptionError);
+});
+
+test('decrypts legacy CBC values with the legacy key only', () => {
+    const legacy = legacyEncrypt('6.5', 'old secret');
+
+    const single = new FieldCipher({ keys: { default: 'old secret' } });
+    assert.equal(single.getKeyId(legacy), 'legacy');
+    assert.equal(single.decrypt(legacy), '6.5');
+    assert.equal(single.needsReencryption(legacy), true);
+
+    const rotated = new FieldCipher({ keys: { k2: 'new secret', default: 'old secret' }, activeKeyId: 'k2', legacyKeyId: 'default' });
+    assert.equal(rotated.decrypt(legacy), '6.5');
+
+    const noLegacyKey = new FieldCipher({ keys: { k2: 'new secret', k3: 'old secret' } });
+    assert.throws(() => noLegacyKey.decrypt(legacy), /no legacy key/);
+
+    const wrongKey = new FieldCipher({ keys: { k2: 'new secret' } });
+    assert.throws(() => wrongKey.decrypt(legacyEncrypt('a longer legacy reading', 'old secret')), EncryptionError);
+});
+
+test('reads keys from the environment', () => {
+    const cipher = FieldCipher.fromEnv({ DB_ENCRYPTION_KEYS: 'a:one, b:two', DB_ENCRYPTION_ACTIVE_KEY: 'b' });
+    assert.deepEqual(cipher.getKeyIds(), ['a', 'b']);
+    assert.equal(cipher.getActiveKeyId(), 'b');
+
+    const shorthand = FieldCipher.fromEnv({ DB_ENCRYPTION_KEY: 'secret' });
+    assert.equal(shorthand.getActiveKeyId(), 'default');
+    assert.equal(shorthand.legacyKeyId, 'default');
+
+    assert.throws(() => FieldCipher.fromEnv({ DB_ENCRYPTION_KEYS: 'missing-separator' }), EncryptionError);
+    assert.throws(() => new FieldCipher({ keys: { a: 'one' }, activeKeyId: 'b' }), /not configured/);
+    assert.equal(FieldCipher.fromEnv({}).hasKeys(), false);
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeFilter, filterFields, isEmptyFilter } = require('../../lib/db/filters');
+const FilterPolicy = require('../../lib/db/filterPolicy');
+const { QueryBuilder } = require('../../lib/db/sqlDatabase');
+
+const tables = {
+    sensors_data: { filterable: ['id', 'device_id', 'value', 'created_at'] },
+    sensor_data: { encrypt: ['ph_reading'], filterable: ['id', 'device_id'] },
+    users: {}
+};
+
+test('normalizes shorthand, arrays and groups', () => {
+    assert.deepEqual(normalizeFilter({ device_id: 'esp32-1', unit: null }), {
+        and: [
+            { field: 'device_id', operator: '=', value: 'esp32-1' },
+            { field: 'unit', operator: 'null' }
+        ]
+    });
+    assert.deepEqual(normalizeFilter([{ field: 'value', operator: '>', value: 5 }, { or: [{ a: 1 }, { b: 2 }] }]), {
+        and: [
+            { field: 'value', operator: '>', value: 5 },
+            { or: [{ and: [{ field: 'a', operator: '=', value: 1 }] }, { and: [{ field: 'b', operator: '=', value: 2 }] }] }
+        ]
+    });
+    assert.deepEqual(normalizeFilter({ field: 'x', operator: '<>', value: new Date('2024-01-01T00:00:00Z') }), {
+        and: [{ field: 'x', operator: '!=', value: '2024-01-01T00:00:00.000Z' }]
+    });
+    assert.equal(isEmptyFilter(normalizeFilter(null)), true);
+    assert.deepEqual([...filterFields(normalizeFilter({ or: [{ a: 1 }, { b: 2, a: 3 }] }))], ['a', 'b']);
+});
+
+test('refuses malformed filters', () => {
+    const invalid = [
+        [{ field: 'a; DROP TABLE users', operator: '=', value: 1 }, /Invalid filter field/],
+        [{ field: 'a', operator: 'regexp', value: 'x' }, /Unsupported filter operator/],
+        [{ field: 'a', operator: 'in', value: [] }, /needs an array/],
+        [{ field: 'a', operator: 'between', value: [1] }, /\[min, max\] pair/],
+        [{ field: 'a', operator: '>', value: null }, /needs a value/],
+        [{ a: { nested: true } }, /must be strings, numbers, booleans or dates/],
+        [{ or: 'a = 1' }, /must be an array/],
+        ['a = 1', /must be an object/]
+    ];
+    for (const [filter, message] of invalid) {
+        assert.throws(() => normalizeFilter(filter), message);
+    }
+
+    let deep = { a: 1 };
+    for (let i = 0; i < 7; i++) deep = { and: [deep] };
+    assert.throws(() => normalizeFilter(deep), /nested at most/);
+    assert.throws(() => normalizeFilter(Array.from({ length: 51 }, (_, i) => ({ [`c${i}`]: i }))), /at most 50 conditions/);
+});
+
+test('compiles filters to bound SQL', () => {
+    const query = new QueryBuilder({ modelPolicy: { softDeleteColumn: () => null } }, 'sensors_data');
+    query.where('device_id', 'esp32-1').whereFilter({
+        or: [
+            { field: 'value', operator: 'between', value: [1, 5] },
+            { field: 'unit', operator: 'in', value: ['C', 'F'] },
+            { field: 'note', operator: 'not-null' }
+        ]
+    });
+
+    assert.equal(query._buildSelectQuery(),
+        'SELECT * FROM `sensors_data` WHERE `device_id` = ? AND ((`value` BETWEEN ? AND ?) OR (`unit` IN (?, ?)) OR (`note` IS NOT NULL))');
+    assert.deepEqual(query.whereParams, ['esp32-1', 1, 5, 'C', 'F']);
+
+    const none = new QueryBuilder({ modelPolicy: { softDeleteColumn: () => null } }, 'sensors_data').whereFilter({ or: [] });
+    assert.match(none._buildSelectQuery(), /WHERE \(1 = 0\)$/);
+});
+
+test('the filter policy allows only filterable columns of filterable tables', () => {
+    const policy = new FilterPolicy(tables);
+
+    assert.deepEqual(policy.check('sensors_data', { device_id: 'a' }), { and: [{ field: 'device_id', operator: '=', value: 'a' }] });
+    assert.throws(() => policy.check('sensors_data', { unit: 'C' }), /'unit' of 'sensors_data' cannot be used/);
+    assert.throws(() => policy.check('sensor_data', { ph_reading: 7 }), /cannot be used/);
+    assert.throws(() => policy.check('users', { id: 1 }), /cannot be queried with filters/);
+    assert.throws(() => policy.checkColumns('sensors_data', ['device_id', 'unit']), /'unit'/);
+    assert.equal(policy.isAllowed('users'), false);
+    assert.deepEqual(policy.columns('users'), []);
+
+    assert.deepEqual(policy.checkOrder('sensors_data', 'created_at ASC'), { column: 'created_at', direction: 'asc' });
+    assert.deepEqual(policy.checkOrder('sensors_data', { column: 'value' }), { column: 'value', direction: 'desc' });
+    assert.throws(() => policy.checkOrder('sensors_data', 'unit'), /Cannot order/);
+});
+
+test('encrypted columns cannot be filterable', () => {
+    assert.throws(() => new FilterPolicy({ sensor_data: { encrypt: ['ph_reading'], filterable: ['ph_reading'] } }),
+        /lists encrypted columns \(ph_reading\)/);
+});
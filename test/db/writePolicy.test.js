@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const WritePolicy = require('../../lib/db/writePolicy');
+const { ValidationError } = require('../../lib/validation/validator');
+
+const policy = new WritePolicy({
+    sensors_data: {
+        write: { columns: ['device_id', 'value', 'unit', 'client_id'], required: ['device_id', 'value'], maxRecords: 2 }
+    },
+    settings: {
+        write: { columns: ['name', 'value'], roles: ['admin'] }
+    },
+    users: {}
+});
+
+test('accepts records within the policy', () => {
+    assert.doesNotThrow(() => policy.check('sensors_data', [{ device_id: 'a', value: 0 }, { device_id: 'b', value: 1, unit: 'C' }], 'operator'));
+    assert.doesNotThrow(() => policy.check('settings', [{ name: 'x' }], 'admin'));
+    assert.equal(policy.isWritable('sensors_data'), true);
+    assert.deepEqual(policy.columns('sensors_data'), ['device_id', 'value', 'unit', 'client_id']);
+    assert.deepEqual(policy.columns('users'), []);
+});
+
+test('refuses other tables and roles with 403', () => {
+    assert.throws(() => policy.check('users', [{ username: 'x' }], 'admin'), { status: 403 });
+    assert.throws(() => policy.check('settings', [{ name: 'x' }], 'operator'), { status: 403, message: /Role 'operator'/ });
+    assert.throws(() => policy.check('settings', [{ name: 'x' }], undefined), /Role 'unauthenticated'/);
+});
+
+test('refuses too many records with 413', () => {
+    const records = [1, 2, 3].map(value => ({ device_id: 'a', value }));
+    assert.throws(() => policy.check('sensors_data', records, 'operator'), { status: 413 });
+});
+
+test('reports unknown and missing columns per record', () => {
+    assert.throws(() => policy.check('sensors_data', [{ device_id: 'a', value: 1 }, { device_id: '', id: 7 }], 'operator'), error => {
+        assert.ok(error instanceof ValidationError);
+        assert.equal(error.status, 400);
+        assert.deepEqual(error.errors, {
+            'records.1.id': ["'id' cannot be written to 'sensors_data'"],
+            'records.1.device_id': ["'device_id' is required"],
+            'records.1.value': ["'value' is required"]
+        });
+        return true;
+    });
+    assert.throws(() => policy.check('sensors_data', [{ value: 1 }], 'operator'), { errors: { device_id: ["'device_id' is required"] } });
+});
+
+test('updates may leave required columns out but not set others', () => {
+    assert.doesNotThrow(() => policy.checkUpdate('sensors_data', { unit: 'F' }, 'operator'));
+    assert.throws(() => policy.checkUpdate('sensors_data', { created_at: 'now' }, 'operator'), ValidationError);
+    assert.throws(() => policy.checkUpdate('settings', { name: 'y' }, 'viewer'), { status: 403 });
+});
+
+test('checks the configuration', () => {
+    assert.throws(() => new WritePolicy({ t: { write: { columns: ['a'], required: ['b'] } } }), /required lists columns missing/);
+    assert.throws(() => new WritePolicy({ t: { write: { columns: ['a'], roles: ['root'] } } }), /unknown role/);
+});
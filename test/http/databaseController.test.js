@@ -0,0 +1,171 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const controller = require('../../App/Http/Controllers/databaseController');
+
+// In-memory stand-in for the SQL query builder: enough of where/orderBy/limit for the read
+// endpoints, with NULLs sorted first when ascending as in MySQL and SQLite
+class FakeQuery {
+    constructor(rows) {
+        this.rows = rows;
+        this.tests = [];
+        this.order = [];
+        this.count = null;
+    }
+
+    where(field, operator, value) {
+        if (typeof field === 'object') {
+            for (const [column, expected] of Object.entries(field)) this.where(column, expected);
+            return this;
+        }
+        if (arguments.length === 2) [operator, value] = ['=', operator];
+        const compare = {
+            '=': (a, b) => a === b, '<': (a, b) => a < b, '>': (a, b) => a > b,
+            '<=': (a, b) => a <= b, '>=': (a, b) => a >= b
+        }[operator];
+        this.tests.push(row => row[field] !== null && compare(row[field], value));
+        return this;
+    }
+
+    whereNull(field) {
+        this.tests.push(row => row[field] === null);
+        return this;
+    }
+
+    whereNotNull(field) {
+        this.tests.push(row => row[field] !== null);
+        return this;
+    }
+
+    whereBetween(field, from, to) {
+        return this.where(field, '>=', from).where(field, '<=', to);
+    }
+
+    orderBy(field, direction) {
+        this.order.push({ field, sign: direction === 'asc' ? 1 : -1 });
+        return this;
+    }
+
+    limit(count) {
+        this.count = count;
+        return this;
+    }
+
+    async get() {
+        const compare = (a, b) => a === b ? 0 : a === null ? -1 : b === null ? 1 : a < b ? -1 : 1;
+        const rows = this.rows.filter(row => this.tests.every(check => check(row))).sort((a, b) => {
+            for (const { field, sign } of this.order) {
+                const result = compare(a[field], b[field]);
+                if (result !== 0) return result * sign;
+            }
+            return 0;
+        });
+        return rows.slice(0, this.count === null ? undefined : this.count).map(row => ({ ...row }));
+    }
+}
+
+function fakeDatabase(rows) {
+    const db = {
+        queries: 0,
+        table() {
+            db.queries++;
+            return new FakeQuery(rows);
+        },
+        _timestamp: date => date.toISOString()
+    };
+    return db;
+}
+
+// 40 rows with runs of equal units and created_at values, some of them NULL
+const rows = Array.from({ length: 40 }, (_, index) => ({
+    id: index + 1,
+    device_id: index % 3 ? 'a' : 'b',
+    unit: index % 4 === 0 ? null : (index < 20 ? 'C' : 'F'),
+    value: index % 5,
+    created_at: new Date(Date.UTC(2024, 0, 1 + Math.floor(index / 10))).toISOString()
+}));
+
+async function request(query, table = 'sensors_data') {
+    let status = 200;
+    let body;
+    const res = {
+        status(code) { status = code; return this; },
+        json(data) { body = data; return this; }
+    };
+    await controller.getTableData({ params: { table }, query }, res);
+    return { status, body };
+}
+
+// Ids of every page, following nextCursor
+async function readAll(query) {
+    const ids = [];
+    let cursor;
+    do {
+        const { status, body } = await request({ ...query, cursor });
+        assert.equal(status, 200, body.error);
+        assert.ok(body.data.length <= Number(query.limit));
+        ids.push(...body.data.map(row => row.id));
+        cursor = body.nextCursor || undefined;
+    } while (cursor);
+    return ids;
+}
+
+async function expectedIds(orderField, direction, filter = () => true) {
+    const query = new FakeQuery(rows.filter(filter)).orderBy(orderField, direction);
+    if (orderField !== 'id') query.orderBy('id', direction);
+    return (await query.get()).map(row => row.id);
+}
+
+test('pages through ties and NULLs without skipping or repeating rows', async () => {
+    controller.initializeController(fakeDatabase(rows));
+
+    for (const orderBy of ['id', 'id asc', 'unit asc', 'unit desc', 'value asc', 'created_at desc']) {
+        const [column, direction = 'desc'] = orderBy.split(' ');
+        for (const limit of ['1', '3', '7', '40']) {
+            assert.deepEqual(await readAll({ orderBy, limit }), await expectedIds(column, direction), `${orderBy}, limit ${limit}`);
+        }
+    }
+});
+
+test('applies filters and the time range to every page', async () => {
+    controller.initializeController(fakeDatabase(rows));
+
+    const ids = await readAll({ device_id: 'a', from: '2024-01-02', to: '2024-01-03', orderBy: 'value asc', limit: '4' });
+    assert.deepEqual(ids, await expectedIds('value', 'asc', row => row.device_id === 'a' &&
+        row.created_at >= '2024-01-02T00:00:00.000Z' && row.created_at <= '2024-01-03T00:00:00.000Z'));
+});
+
+test('a page takes at most three queries however many rows tie', async () => {
+    const tied = Array.from({ length: 500 }, (_, index) => ({ id: index + 1, device_id: 'a', unit: 'C', value: 1, created_at: null }));
+    const db = fakeDatabase(tied);
+    controller.initializeController(db);
+
+    const first = await request({ orderBy: 'unit asc', limit: '10' });
+    db.queries = 0;
+    const second = await request({ orderBy: 'unit asc', limit: '10', cursor: first.body.nextCursor });
+    assert.deepEqual(second.body.data.map(row => row.id), [11, 12, 13, 14, 15, 16, 17, 18, 19, 20]);
+    assert.ok(db.queries <= 3);
+});
+
+test('refuses unknown tables, columns outside the filterable list and bad parameters', async () => {
+    controller.initializeController(fakeDatabase(rows));
+    const cursor = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+    assert.equal((await request({}, 'users')).status, 404);
+    for (const query of [
+        { orderBy: 'password' },
+        { timeField: 'ph_reading', from: '2024-01-01' },
+        { from: 'yesterday' },
+        { limit: '0' },
+        { device_id: ['a', 'b'] },
+        { orderBy: ['id', 'unit'] },
+        { cursor: 'not a cursor' },
+        { cursor: cursor({ v: 'C' }) },
+        { cursor: cursor({ id: { $gt: 1 } }) },
+        { cursor: cursor({ id: 1, v: ['C'] }) },
+        { cursor: cursor({ id: 1, v: 'soon', date: true }) }
+    ]) {
+        const { status, body } = await request(query);
+        assert.equal(status, 400, JSON.stringify(query));
+        assert.equal(body.success, false);
+    }
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Validator, ValidationError, validate, assertValid } = require('../../lib/validation/validator');
+
+const readingSchema = {
+    device_id: { type: 'string', required: true, max: 50 },
+    ph_reading: { type: 'numeric', min: 0, max: 14 },
+    unit: { enum: ['C', 'F'], nullable: true }
+};
+
+test('accepts a valid record', () => {
+    assert.deepEqual(validate({ device_id: 'probe-1', ph_reading: '7.2', unit: null }, readingSchema), { valid: true, errors: {} });
+});
+
+test('reports every failed field', () => {
+    const { valid, errors } = validate({ device_id: '  ', ph_reading: 15, unit: 'K' }, readingSchema);
+
+    assert.equal(valid, false);
+    assert.deepEqual(errors, {
+        device_id: ['device_id is required'],
+        ph_reading: ['ph_reading must be at most 14'],
+        unit: ['unit must be one of: C, F']
+    });
+    assert.deepEqual(validate({ device_id: 'p', ph_reading: 'acid' }, readingSchema).errors, {
+        ph_reading: ['ph_reading must be a number']
+    });
+});
+
+test('understands the list form', () => {
+    const schema = { email: ['required', 'email'], name: 'min:3|max:5', level: ['in:low,high'] };
+
+    assert.equal(validate({ email: 'a@b.co', name: 'abcd', level: 'low' }, schema).valid, true);
+    assert.deepEqual(validate({ email: 'nope', name: 'ab', level: 'mid' }, schema).errors, {
+        email: ['email must be a valid email'],
+        name: ['name must be at least 3 characters'],
+        level: ['level must be one of: low, high']
+    });
+});
+
+test('validates nested objects, array items and requiredWithout', () => {
+    const schema = {
+        id: { requiredWithout: 'serial' },
+        serial: {},
+        location: { type: 'object', properties: { lat: { type: 'number', required: true } } },
+        tags: { type: 'array', items: { type: 'string', max: 3 } }
+    };
+    const { errors } = validate({ location: {}, tags: ['ok', 'toolong'] }, schema);
+
+    assert.deepEqual(errors, {
+        id: ['id is required when serial is missing'],
+        'location.lat': ['lat is required'],
+        'tags[1]': ['tags[1] must be at most 3 characters']
+    });
+});
+
+test('runs registered and inline custom rules', () => {
+    const validator = new Validator().registerRule('startsWith', (value, prefix) =>
+        String(value).startsWith(prefix) || `must start with ${prefix}`);
+    const schema = {
+        device_id: ['startsWith:probe-'],
+        port: { custom: value => value !== 'COM0' }
+    };
+
+    assert.equal(validator.validate({ device_id: 'probe-2', port: 'COM3' }, schema).valid, true);
+    assert.deepEqual(validator.validate({ device_id: 'x', port: 'COM0' }, schema).errors, {
+        device_id: ['must start with probe-'],
+        port: ['port is invalid']
+    });
+    assert.throws(() => validator.validate({ a: 1 }, { a: ['unknownRule'] }), /Unknown validation rule/);
+});
+
+test('assertValid throws a ValidationError with status 400', () => {
+    assert.throws(() => assertValid({}, readingSchema), error => {
+        assert.ok(error instanceof ValidationError);
+        assert.equal(error.status, 400);
+        assert.deepEqual(Object.keys(error.errors), ['device_id']);
+        return true;
+    });
+});